@@ -16,10 +16,17 @@ import { withErrorHandling } from '../utils/error-boundary.js';
 import nfLogger from '../core/logger.js';
 import Storage from '../core/storage.js';
 import languageManager from '../i18n/manager.js';
+import { translateError } from '../i18n/error-translator.js';
+
+/**
+ * Storage key for the pending OAuth state parameter
+ * @constant {string}
+ */
+const OAUTH_STATE_KEY = 'nf_oauth_state';
 
 /**
  * Authentication service
- * Handles user authentication and session management
+ * Handles user authentication (Basic, Zammad access token, OAuth/SSO) and session management
  */
 export class AuthService {
     /**
@@ -30,7 +37,16 @@ export class AuthService {
     }
 
     /**
-     * Authenticates a user against the Zammad API and stores the credentials
+     * Gets the configured authentication strategy
+     * @returns {string} 'basic', 'token' or 'oauth'
+     */
+    getStrategy() {
+        return NF_CONFIG.api.auth?.strategy || 'basic';
+    }
+
+    /**
+     * Authenticates a user with username and password (Basic auth).
+     * The credentials are only kept in memory and never persisted.
      * @param {string} username - Username or email address
      * @param {string} password - User password in plain text
      * @returns {Promise<Object>} User data object from Zammad
@@ -52,83 +68,213 @@ export class AuthService {
                 try {
                     userData = await this.apiClient.authenticate(cleanUsername, cleanPassword);
                 } catch (apiError) {
-                    // Handle authentication errors with login attempt tracking
-                    if (apiError.code === 'INVALID_CREDENTIALS' || apiError.code === 'AUTH_FAILED') {
-                        const currentAttempts = appState.get('loginAttempts') || 0;
-                        const newAttempts = currentAttempts + 1;
-                        appState.set('loginAttempts', newAttempts);
-                        const maxAttempts = NF_CONFIG.ui.login.maxAttempts;
-                        
-                        if (newAttempts >= maxAttempts) {
-                            appState.set('isAccountLocked', true);
-                            const lockoutMessage = this._getMessage('lockoutMessage');
-                            eventBus.emit('login:failed', { reason: 'ACCOUNT_LOCKED', message: lockoutMessage });
-                            throw createApiError(lockoutMessage, 'ACCOUNT_LOCKED');
-                        }
-                        
-                        const errorMessage = this._getMessage('invalidCredentials');
-                        const warningMessage = this._getMessage('attemptsWarning');
-                        const error = createApiError(errorMessage, 'INVALID_CREDENTIALS');
-                        error.attemptsWarning = warningMessage;
-                        eventBus.emit('login:failed', { 
-                            reason: 'INVALID_CREDENTIALS', 
-                            message: errorMessage, 
-                            attempts: newAttempts 
-                        });
-                        throw error;
-                    }
-                    // Other HTTP errors (500, 503, etc.)
-                    const errorMessage = this._getMessage('authFailed', { 
-                        status: apiError.details?.status 
-                    });
-                    eventBus.emit('login:failed', { 
-                        reason: 'AUTH_FAILED', 
-                        message: errorMessage, 
-                        status: apiError.details?.status 
-                    });
-                    throw createApiError(errorMessage, 'AUTH_FAILED', { 
-                        status: apiError.details?.status 
-                    });
+                    this._handleAuthError(apiError);
                 }
-                
-                // Get credentials from client (it was set during authentication)
-                const credentials = this.apiClient.authToken;
-                
-                // Update state management
-                appState.setMultiple({
-                    userToken: credentials,
-                    userId: userData.id,
-                    loginAttempts: 0,
-                    isAccountLocked: false
-                });
-                
-                // Emit login success event
-                eventBus.emit('auth:login', { id: userData.id, userId: userData.id, userData });
-                
-                // Store session in localStorage
-                Storage.set('nf_session', {
-                    userId: userData.id,
-                    userToken: credentials,
-                    timestamp: Date.now()
-                });
-                
-                nfLogger.info('Authentication successful', { userId: userData.id });
-                
-                return userData;
+
+                return this._establishSession(userData, 'basic');
             }, 'Authentication'),
             'Authentication'
         )();
     }
 
+    /**
+     * Authenticates a user with a Zammad personal access token or an OAuth bearer token
+     * @param {string} token - Access token
+     * @param {string} [authType='token'] - Authentication type ('token' or 'oauth')
+     * @returns {Promise<Object>} User data object from Zammad
+     */
+    async authenticateWithToken(token, authType = 'token') {
+        return withPerformance(
+            withErrorHandling(async () => {
+                const cleanToken = (token || '').trim();
+
+                if (!cleanToken) {
+                    const errorMessage = this._getMessage('missingToken');
+                    throw createApiError(errorMessage, 'MISSING_CREDENTIALS');
+                }
+
+                nfLogger.info('Attempting token authentication', { authType });
+
+                let userData;
+                try {
+                    userData = await this.apiClient.authenticateWithToken(cleanToken, authType);
+                } catch (apiError) {
+                    this._handleAuthError(apiError);
+                }
+
+                return this._establishSession(userData, authType);
+            }, 'TokenAuthentication'),
+            'TokenAuthentication'
+        )();
+    }
+
+    /**
+     * Starts the OAuth/SSO login by redirecting to the identity provider
+     * (implicit flow, the access token is returned in the URL fragment)
+     */
+    beginOAuthLogin() {
+        const oauth = NF_CONFIG.api.auth?.oauth || {};
+        if (!oauth.authorizeUrl || !oauth.clientId) {
+            throw createApiError(this._getMessage('oauthFailed', { error: 'not configured' }), 'OAUTH_NOT_CONFIGURED');
+        }
+
+        const state = this._createState();
+        Storage.set(OAUTH_STATE_KEY, state);
+
+        const params = new URLSearchParams({
+            response_type: 'token',
+            client_id: oauth.clientId,
+            redirect_uri: oauth.redirectUri || window.location.href.split('#')[0],
+            state
+        });
+        if (oauth.scope) params.set('scope', oauth.scope);
+
+        nfLogger.info('Redirecting to OAuth provider');
+        window.location.assign(`${oauth.authorizeUrl}?${params.toString()}`);
+    }
+
+    /**
+     * Checks whether the current URL contains an OAuth callback response
+     * @returns {boolean} True if an access token or error is present in the URL fragment
+     */
+    hasOAuthCallback() {
+        if (typeof window === 'undefined' || !window.location.hash) return false;
+        const params = new URLSearchParams(window.location.hash.substring(1));
+        return params.has('access_token') || (params.has('error') && params.has('state'));
+    }
+
+    /**
+     * Completes the OAuth/SSO login after the redirect back from the identity provider
+     * @returns {Promise<Object>} User data object from Zammad
+     */
+    async completeOAuthLogin() {
+        const params = new URLSearchParams(window.location.hash.substring(1));
+        const expectedState = Storage.get(OAUTH_STATE_KEY, null);
+        Storage.remove(OAUTH_STATE_KEY);
+
+        // Remove the token from the address bar and browser history
+        window.history.replaceState(null, document.title, window.location.pathname + window.location.search);
+
+        if (params.has('error')) {
+            const error = params.get('error_description') || params.get('error');
+            throw createApiError(this._getMessage('oauthFailed', { error }), 'OAUTH_FAILED');
+        }
+
+        if (!expectedState || params.get('state') !== expectedState) {
+            throw createApiError(this._getMessage('oauthStateMismatch'), 'OAUTH_STATE_MISMATCH');
+        }
+
+        return this.authenticateWithToken(params.get('access_token'), 'oauth');
+    }
+
     /**
      * Logout user and clear session
+     * @param {string} [reason='USER_LOGOUT'] - Reason for the logout (e.g. 'SESSION_EXPIRED')
+     * @param {Object} [options] - Logout options
+     * @param {boolean} [options.keepStoredSession=false] - Only end the session of this tab, the stored session belongs to another tab
      */
-    logout() {
+    logout(reason = 'USER_LOGOUT', { keepStoredSession = false } = {}) {
         appState.reset();
-        Storage.remove('nf_session');
+        if (!keepStoredSession) Storage.remove('nf_session');
         this.apiClient.setAuthToken(null);
         eventBus.emit('logout:success');
-        nfLogger.info('User logged out');
+        eventBus.emit('auth:logout', { reason });
+        nfLogger.info('User logged out', { reason });
+    }
+
+    /**
+     * Tracks failed login attempts and rethrows a localized error
+     * @private
+     * @param {Error} apiError - Error thrown by the API client
+     * @throws {AppError} Always
+     */
+    _handleAuthError(apiError) {
+        if (apiError.code === 'API_INVALID_CREDENTIALS') {
+            const currentAttempts = appState.get('loginAttempts') || 0;
+            const newAttempts = currentAttempts + 1;
+            appState.set('loginAttempts', newAttempts);
+            const maxAttempts = NF_CONFIG.ui.login.maxAttempts;
+            
+            if (newAttempts >= maxAttempts) {
+                appState.set('isAccountLocked', true);
+                const lockoutMessage = this._getMessage('lockoutMessage');
+                eventBus.emit('login:failed', { reason: 'ACCOUNT_LOCKED', message: lockoutMessage });
+                throw createApiError(lockoutMessage, 'ACCOUNT_LOCKED');
+            }
+            
+            const errorMessage = this._getMessage('invalidCredentials');
+            const warningMessage = this._getMessage('attemptsWarning');
+            const error = createApiError(errorMessage, 'INVALID_CREDENTIALS');
+            error.attemptsWarning = warningMessage;
+            eventBus.emit('login:failed', { 
+                reason: 'INVALID_CREDENTIALS', 
+                message: errorMessage, 
+                attempts: newAttempts 
+            });
+            throw error;
+        }
+        // Other HTTP errors (500, 503, etc.), network errors and invalid input
+        const errorMessage = translateError(apiError, 'authFailed');
+        eventBus.emit('login:failed', { 
+            reason: 'AUTH_FAILED', 
+            message: errorMessage, 
+            status: apiError.details?.status 
+        });
+        throw createApiError(errorMessage, 'AUTH_FAILED', { 
+            status: apiError.details?.status 
+        });
+    }
+
+    /**
+     * Updates state after a successful login and persists token sessions
+     * @private
+     * @param {Object} userData - User data from Zammad
+     * @param {string} authType - Authentication type used for the login
+     * @returns {Object} User data object
+     */
+    _establishSession(userData, authType) {
+        // Get token from client (it was set during authentication)
+        const token = this.apiClient.authToken;
+        
+        // Update state management
+        appState.setMultiple({
+            userToken: token,
+            authType,
+            userId: userData.id,
+            loginAttempts: 0,
+            isAccountLocked: false
+        });
+        
+        // Only access tokens are persisted - Basic auth credentials would expose the password
+        if (authType === 'basic') {
+            Storage.remove('nf_session');
+        } else {
+            Storage.set('nf_session', {
+                userId: userData.id,
+                authType,
+                userToken: token,
+                timestamp: Date.now(),
+                lastActivity: Date.now()
+            });
+        }
+        
+        // Emit login success event
+        eventBus.emit('auth:login', { id: userData.id, userId: userData.id, userData });
+        
+        nfLogger.info('Authentication successful', { userId: userData.id, authType });
+        
+        return userData;
+    }
+
+    /**
+     * Creates a random state value for the OAuth redirect
+     * @private
+     * @returns {string} Random hex string
+     */
+    _createState() {
+        const bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
     }
 
     /**
@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Persistent storage backends for the cache repository
+ * @author danielknng
+ * @module api/cache-backends
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { NF_CONFIG } from '../core/config.js';
+import Storage from '../core/storage.js';
+import { openDatabase, requestToPromise, withTransaction, isIndexedDBAvailable } from '../core/idb.js';
+import nfLogger from '../core/logger.js';
+
+/**
+ * Prefix of cache entries in localStorage (also used by versions before the IndexedDB backend)
+ * @constant {string}
+ */
+const LOCAL_STORAGE_PREFIX = 'nfCache_';
+
+/**
+ * Persistent cache backends.
+ * All backends store entries of the form { key, value, expiry, size, lastAccess } and
+ * implement the same asynchronous interface (get, set, touch, delete, list, keys, clear),
+ * so CacheRepository does not depend on where entries are persisted.
+ */
+
+/**
+ * localStorage backend (~5 MB quota shared with the rest of the page)
+ */
+export class LocalStorageCacheBackend {
+    /**
+     * @param {Object} [storage] - Storage utility (defaults to global Storage)
+     */
+    constructor(storage = Storage) {
+        /** @type {string} Backend name for logging */
+        this.name = 'localStorage';
+        /** @type {Object} Storage utility */
+        this.storage = storage;
+    }
+
+    /**
+     * Loads an entry
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Entry ({ key, value, expiry, size, lastAccess }) or null
+     */
+    async get(key) {
+        const data = this.storage.get(LOCAL_STORAGE_PREFIX + key);
+        return data ? { key, ...data } : null;
+    }
+
+    /**
+     * Stores an entry
+     * @param {Object} entry - Entry ({ key, value, expiry, size, lastAccess })
+     * @returns {Promise<boolean>} False if the entry could not be stored (e.g. quota exceeded)
+     */
+    async set({ key, value, expiry, size, lastAccess }) {
+        return this.storage.set(LOCAL_STORAGE_PREFIX + key, { value, expiry, size, lastAccess });
+    }
+
+    /**
+     * Stores the metadata of an entry after it was read
+     * @param {Object} meta - Metadata ({ key, expiry, size, lastAccess })
+     * @returns {Promise<void>}
+     */
+    async touch(meta) {
+        // Rewriting the whole entry on every read is too expensive - the write time is used for LRU
+    }
+
+    /**
+     * Removes an entry
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        this.storage.remove(LOCAL_STORAGE_PREFIX + key);
+    }
+
+    /**
+     * Loads the metadata of all entries
+     * @returns {Promise<Array<Object>>} Metadata ({ key, expiry, size, lastAccess })
+     */
+    async list() {
+        return (await this.keys()).map(key => {
+            const raw = localStorage.getItem(LOCAL_STORAGE_PREFIX + key) || '';
+            let data = {};
+            try {
+                data = JSON.parse(raw) || {};
+            } catch (e) {
+                // Unreadable entry - evicted first
+            }
+            return {
+                key,
+                expiry: data.expiry || 0,
+                size: data.size || raw.length,
+                lastAccess: data.lastAccess || 0
+            };
+        });
+    }
+
+    /**
+     * Loads the keys of all entries
+     * @returns {Promise<Array<string>>} Cache keys
+     */
+    async keys() {
+        if (typeof localStorage === 'undefined') return [];
+        return Object.keys(localStorage)
+            .filter(storageKey => storageKey.startsWith(LOCAL_STORAGE_PREFIX))
+            .map(storageKey => storageKey.substring(LOCAL_STORAGE_PREFIX.length));
+    }
+
+    /**
+     * Removes all entries
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        (await this.keys()).forEach(key => this.storage.remove(LOCAL_STORAGE_PREFIX + key));
+    }
+}
+
+/**
+ * IndexedDB backend. Values and metadata are kept in separate object stores,
+ * so size accounting and eviction do not have to read the (large) values.
+ */
+export class IndexedDBCacheBackend {
+    /**
+     * @param {string} [dbName='nf_cache'] - Database name
+     */
+    constructor(dbName = 'nf_cache') {
+        /** @type {string} Backend name for logging */
+        this.name = 'indexedDB';
+        /** @type {string} Database name */
+        this.dbName = dbName;
+
+        /** @private */
+        this._dbPromise = null;
+    }
+
+    /**
+     * Loads an entry
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Entry ({ key, value, expiry, size, lastAccess }) or null
+     */
+    async get(key) {
+        const db = await this._getDb();
+        return withTransaction(db, ['entries', 'meta'], 'readonly', async (transaction) => {
+            const [entry, meta] = await Promise.all([
+                requestToPromise(transaction.objectStore('entries').get(key)),
+                requestToPromise(transaction.objectStore('meta').get(key))
+            ]);
+            return entry && meta ? { ...meta, value: entry.value } : null;
+        });
+    }
+
+    /**
+     * Stores an entry
+     * @param {Object} entry - Entry ({ key, value, expiry, size, lastAccess })
+     * @returns {Promise<boolean>} False if the entry could not be stored (e.g. quota exceeded)
+     */
+    async set({ key, value, expiry, size, lastAccess }) {
+        const db = await this._getDb();
+        try {
+            await withTransaction(db, ['entries', 'meta'], 'readwrite', (transaction) => {
+                transaction.objectStore('entries').put({ key, value });
+                transaction.objectStore('meta').put({ key, expiry, size, lastAccess });
+            });
+            return true;
+        } catch (error) {
+            nfLogger.warn('Failed to write cache entry to IndexedDB', { key, error: error?.message });
+            return false;
+        }
+    }
+
+    /**
+     * Stores the metadata of an entry after it was read
+     * @param {Object} meta - Metadata ({ key, expiry, size, lastAccess })
+     * @returns {Promise<void>}
+     */
+    async touch(meta) {
+        const db = await this._getDb();
+        await withTransaction(db, 'meta', 'readwrite', (transaction) => {
+            transaction.objectStore('meta').put(meta);
+        });
+    }
+
+    /**
+     * Removes an entry
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        const db = await this._getDb();
+        await withTransaction(db, ['entries', 'meta'], 'readwrite', (transaction) => {
+            transaction.objectStore('entries').delete(key);
+            transaction.objectStore('meta').delete(key);
+        });
+    }
+
+    /**
+     * Loads the metadata of all entries
+     * @returns {Promise<Array<Object>>} Metadata ({ key, expiry, size, lastAccess })
+     */
+    async list() {
+        const db = await this._getDb();
+        return withTransaction(db, 'meta', 'readonly', (transaction) =>
+            requestToPromise(transaction.objectStore('meta').getAll())
+        );
+    }
+
+    /**
+     * Loads the keys of all entries
+     * @returns {Promise<Array<string>>} Cache keys
+     */
+    async keys() {
+        const db = await this._getDb();
+        return withTransaction(db, 'meta', 'readonly', (transaction) =>
+            requestToPromise(transaction.objectStore('meta').getAllKeys())
+        );
+    }
+
+    /**
+     * Removes all entries
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        const db = await this._getDb();
+        await withTransaction(db, ['entries', 'meta'], 'readwrite', (transaction) => {
+            transaction.objectStore('entries').clear();
+            transaction.objectStore('meta').clear();
+        });
+    }
+
+    /**
+     * Opens the cache database
+     * @private
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    _getDb() {
+        if (!this._dbPromise) {
+            this._dbPromise = openDatabase(this.dbName, 1, (db) => {
+                if (!db.objectStoreNames.contains('entries')) {
+                    db.createObjectStore('entries', { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                }
+            }).catch(error => {
+                this._dbPromise = null;
+                throw error;
+            });
+        }
+        return this._dbPromise;
+    }
+}
+
+/**
+ * Creates the configured persistent cache backend
+ * @param {string} [type] - 'indexeddb', 'localStorage' or 'memory' (defaults to NF_CONFIG.ui.cache.backend)
+ * @returns {LocalStorageCacheBackend|IndexedDBCacheBackend|null} Backend or null for memory-only caching
+ */
+export function createCacheBackend(type = NF_CONFIG.ui.cache.backend || 'indexeddb') {
+    if (type === 'memory') return null;
+
+    if (type === 'indexeddb' && isIndexedDBAvailable()) {
+        return new IndexedDBCacheBackend();
+    }
+
+    if (type === 'indexeddb') {
+        nfLogger.warn('IndexedDB not available, caching in localStorage');
+    }
+    return new LocalStorageCacheBackend();
+}
+
+/**
+ * Removes the entries of the localStorage backend when the configured backend is IndexedDB.
+ * They were written by versions before the IndexedDB backend and would only take up the shared quota.
+ * Called once on startup, before the cache is used.
+ * @param {string} [type] - Configured backend (defaults to NF_CONFIG.ui.cache.backend)
+ * @returns {Promise<void>}
+ */
+export async function removeLegacyCacheEntries(type = NF_CONFIG.ui.cache.backend || 'indexeddb') {
+    if (type !== 'indexeddb' || !isIndexedDBAvailable()) return;
+
+    try {
+        await new LocalStorageCacheBackend().clear();
+    } catch (error) {
+        nfLogger.warn('Failed to remove legacy cache entries', { error: error.message });
+    }
+}
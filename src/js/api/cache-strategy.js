@@ -67,6 +67,21 @@ export const CacheStrategy = {
                 description: 'current year active (15 minutes)'
             };
         }
+    },
+
+    /**
+     * Decides whether cached ticket data is shown right away and refreshed in the background
+     * (stale-while-revalidate). Archived tickets of previous years do not change and are not refreshed.
+     * @param {number} cachedAt - Timestamp when the data was loaded from the server
+     * @param {number} year - Year of the ticket or the ticket list
+     * @param {number} [currentYear] - Current year (defaults to CURRENT_YEAR constant)
+     * @returns {boolean} True if the cached data should be revalidated
+     */
+    shouldRevalidate(cachedAt, year, currentYear = CURRENT_YEAR) {
+        const revalidation = NF_CONFIG.ui.cache.staleWhileRevalidate;
+        if (!revalidation?.enabled || year < currentYear) return false;
+
+        return Date.now() - (cachedAt || 0) >= revalidation.minAge;
     }
 };
 
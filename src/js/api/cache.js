@@ -6,70 +6,124 @@
  * @version 2.0.0
  */
 
-import Storage from '../core/storage.js';
+import { NF_CONFIG } from '../core/config.js';
 import nfLogger from '../core/logger.js';
+import eventBus from '../state/events.js';
+import { createCacheBackend } from './cache-backends.js';
 
 /**
- * Simple in-memory cache with time-to-live (TTL) support.
+ * Cache with time-to-live (TTL) support.
  * Used for caching API responses (tickets, details, search results) to improve performance.
- * Supports both memory and localStorage persistence for certain key types.
- * 
+ * Values are kept in memory; certain key types are also persisted in a pluggable backend
+ * (IndexedDB by default, see api/cache-backends.js). Persisted entries are limited to
+ * NF_CONFIG.ui.cache.maxSize bytes, the least recently used entries are evicted first.
+ *
  * @class CacheRepository
  */
 export class CacheRepository {
     /**
-     * Creates a new cache instance with memory and localStorage support
+     * Creates a new cache instance with memory and persistent storage
      * @constructor
-     * @param {Object} [storage] - Storage utility (defaults to global Storage)
+     * @param {Object|null} [backend] - Persistent backend (defaults to the configured one, null = memory only)
+     * @param {Object} [options] - Optional overrides for the configured settings
+     * @param {number} [options.maxSize] - Byte budget of the persisted entries (defaults to NF_CONFIG.ui.cache.maxSize)
      */
-    constructor(storage = Storage) {
+    constructor(backend = createCacheBackend(), options = {}) {
         /** @type {Map} In-memory cache storage */
         this.memory = new Map();
         /** @type {Map} Expiry timestamps for cached values */
         this.timestamps = new Map();
-        /** @type {string} Prefix for localStorage keys */
-        this.localStoragePrefix = 'nfCache_';
-        /** @type {Object} Storage utility */
-        this.storage = storage;
+        /** @type {Object|null} Persistent backend */
+        this.backend = backend;
+        /** @type {number} Byte budget of the persisted entries */
+        this.maxSize = options.maxSize ?? NF_CONFIG.ui.cache.maxSize;
+
+        /** @private Metadata of the persisted entries ({ key, expiry, size, lastAccess }) by key */
+        this._index = null;
+        /** @private */
+        this._indexPromise = null;
+        /** @private Invalidation counter per key, prevents persisting values that were invalidated while being written */
+        this._versions = new Map();
     }
 
     /**
-     * Stores a value in the cache with TTL and optional localStorage persistence
+     * Gets the size of all persisted entries known to this page
+     * @returns {number} Size in bytes
+     */
+    get totalSize() {
+        let total = 0;
+        this._index?.forEach(meta => {
+            total += meta.size;
+        });
+        return total;
+    }
+
+    /**
+     * Stores a value in the cache with TTL and optional persistence
      * @param {string} key - Unique cache key
      * @param {*} value - Value to cache
      * @param {number} ttl - Time to live in milliseconds (required)
+     * @returns {Promise<void>}
      * @throws {Error} When TTL is not provided or invalid
      */
-    set(key, value, ttl) {
+    async set(key, value, ttl) {
         if (!ttl || ttl <= 0) {
             throw new Error('TTL must be provided and greater than 0');
         }
+        const expiry = Date.now() + ttl;
         this.memory.set(key, value);
-        this.timestamps.set(key, Date.now() + ttl);
-        
-        // Persist to localStorage (ticket-related, search results, and request types)
-        if (key.startsWith('ticket') || key.startsWith('search_') || key === 'request_types') {
-            const data = {
+        this.timestamps.set(key, expiry);
+
+        if (!this._isPersistent(key)) return;
+
+        const version = this._versions.get(key);
+        try {
+            const entry = {
+                key,
                 value,
-                expiry: Date.now() + ttl
+                expiry,
+                size: JSON.stringify(value).length,
+                lastAccess: Date.now()
             };
-            this.storage.set(this.localStoragePrefix + key, data);
-            
-            // Debug logging for localStorage
-            nfLogger.debug('Cache saved to localStorage', {
+
+            if (entry.size > this.maxSize) {
+                nfLogger.warn('Cache entry exceeds the cache size, kept in memory only', { key, size: entry.size });
+                return;
+            }
+
+            const index = await this._getIndex();
+            await this._evict(entry.size, key);
+            if (this._versions.get(key) !== version) return;
+
+            let stored = await this.backend.set(entry);
+            if (!stored) {
+                // Quota of the browser reached before our budget - free up more space and try once more
+                await this._evict(entry.size + Math.round(this.maxSize / 4), key);
+                stored = await this.backend.set(entry);
+            }
+            if (!stored) return;
+
+            index.set(key, { key, expiry, size: entry.size, lastAccess: entry.lastAccess });
+
+            nfLogger.debug('Cache entry persisted', {
                 key,
+                backend: this.backend.name,
+                size: entry.size,
+                totalSize: this.totalSize,
                 ttlDays: Math.round(ttl / (24 * 60 * 60 * 1000)),
-                expiryDate: new Date(Date.now() + ttl).toISOString()
+                expiryDate: new Date(expiry).toISOString()
             });
+        } catch (error) {
+            nfLogger.warn('Failed to persist cache entry', { key, error: error.message });
         }
     }
 
     /**
      * Retrieves a value from the cache if not expired.
      * @param {string} key - Cache key
-     * @returns {*} Cached value or null if not found/expired
+     * @returns {Promise<*>} Cached value or null if not found/expired
      */
-    get(key) {
+    async get(key) {
         // Check in-memory first
         if (this.memory.has(key)) {
             const expiry = this.timestamps.get(key);
@@ -77,96 +131,324 @@ export class CacheRepository {
                 this.memory.delete(key);
                 this.timestamps.delete(key);
             } else {
+                this._touch(key);
                 return this.memory.get(key);
             }
         }
-        
-        // Check localStorage (ticket-related, search results, and request types)
-        if (key.startsWith('ticket') || key.startsWith('search_') || key === 'request_types') {
-            const data = this.storage.get(this.localStoragePrefix + key);
-            if (data && data.expiry && Date.now() < data.expiry) {
+
+        if (!this._isPersistent(key)) return null;
+
+        try {
+            const entry = await this.backend.get(key);
+            if (entry && entry.expiry && Date.now() < entry.expiry) {
                 // Restore to memory for faster access next time
-                this.memory.set(key, data.value);
-                this.timestamps.set(key, data.expiry);
-                
-                // Debug logging for localStorage
-                const cacheType = key.startsWith('search_') ? 'search results' : 'ticket data';
-                const cacheAgeMs = Date.now() - (data.value.cachedAt || 0);
-                const cacheAgeDays = Math.round(cacheAgeMs / (24 * 60 * 60 * 1000));
-                nfLogger.debug(`Cache loaded from localStorage (${cacheType})`, {
+                this.memory.set(key, entry.value);
+                this.timestamps.set(key, entry.expiry);
+
+                const index = await this._getIndex();
+                index.set(key, { key, expiry: entry.expiry, size: entry.size || 0, lastAccess: entry.lastAccess || 0 });
+                this._touch(key);
+
+                const cacheAgeMs = Date.now() - (entry.value?.cachedAt || 0);
+                nfLogger.debug(`Cache loaded from ${this.backend.name}`, {
                     key,
-                    cacheAgeDays,
-                    expiryDate: new Date(data.expiry).toISOString()
+                    cacheAgeDays: Math.round(cacheAgeMs / (24 * 60 * 60 * 1000)),
+                    expiryDate: new Date(entry.expiry).toISOString()
                 });
-                return data.value;
-            } else if (data) {
+                return entry.value;
+            } else if (entry) {
                 // Expired, clean up
-                this.storage.remove(this.localStoragePrefix + key);
+                await this._deletePersisted(key);
             }
+        } catch (error) {
+            nfLogger.warn('Failed to read cache entry', { key, error: error.message });
         }
         return null;
     }
 
+    /**
+     * Builds the cache key for a single page of a paginated result
+     * @param {string} key - Base cache key of the paginated result
+     * @param {number} page - Page number (1-based)
+     * @returns {string} Cache key for the page
+     */
+    pageKey(key, page) {
+        return `${key}_page_${page}`;
+    }
+
+    /**
+     * Stores a single page of a paginated result
+     * @param {string} key - Base cache key of the paginated result
+     * @param {number} page - Page number (1-based)
+     * @param {*} value - Page data to cache
+     * @param {number} ttl - Time to live in milliseconds (required)
+     * @returns {Promise<void>}
+     */
+    setPage(key, page, value, ttl) {
+        return this.set(this.pageKey(key, page), value, ttl);
+    }
+
+    /**
+     * Retrieves a single page of a paginated result if not expired
+     * @param {string} key - Base cache key of the paginated result
+     * @param {number} page - Page number (1-based)
+     * @returns {Promise<*>} Cached page data or null if not found/expired
+     */
+    getPage(key, page) {
+        return this.get(this.pageKey(key, page));
+    }
+
+    /**
+     * Invalidates all cached pages of a paginated result
+     * @param {string} key - Base cache key of the paginated result
+     * @returns {Promise<void>}
+     */
+    invalidatePages(key) {
+        return this.invalidatePattern(`${key}_page_*`);
+    }
+
     /**
      * Invalidates a specific cache entry.
+     * Other tabs are notified via 'cache:invalidated' and drop their in-memory copy.
      * @param {string} key - Cache key to remove
+     * @returns {Promise<void>}
      */
-    invalidate(key) {
-        this.memory.delete(key);
-        this.timestamps.delete(key);
-        if (key.startsWith('ticket')) {
-            this.storage.remove(this.localStoragePrefix + key);
-        }
+    async invalidate(key) {
+        await this._invalidateKey(key);
+        eventBus.emit('cache:invalidated', { key });
     }
 
     /**
      * Invalidates cache entries matching a pattern
      * @param {string} pattern - Pattern to match (e.g., 'ticket_detail_*')
+     * @returns {Promise<void>}
      */
-    invalidatePattern(pattern) {
-        const regex = new RegExp(pattern.replace(/\*/g, '.*'));
-        const keysToRemove = [];
-        
+    async invalidatePattern(pattern) {
+        const regex = this._patternToRegex(pattern);
+        const keysToRemove = new Set();
+
         for (const key of this.memory.keys()) {
             if (regex.test(key)) {
-                keysToRemove.push(key);
+                keysToRemove.add(key);
             }
         }
-        
-        keysToRemove.forEach(key => this.invalidate(key));
+
+        // Include entries that are only persisted (e.g. after a page reload or written by another tab)
+        if (this.backend) {
+            try {
+                (await this.backend.keys()).forEach(key => {
+                    if (regex.test(key)) keysToRemove.add(key);
+                });
+            } catch (error) {
+                nfLogger.warn('Failed to list persisted cache entries', { error: error.message });
+            }
+        }
+
+        await Promise.all([...keysToRemove].map(key => this._invalidateKey(key)));
+        eventBus.emit('cache:invalidated', { pattern });
+    }
+
+    /**
+     * Drops the in-memory copies of entries another tab has invalidated.
+     * The persisted entries are shared and were already removed by that tab.
+     * @param {Object} invalidation - Payload of the 'cache:invalidated' event
+     * @param {string} [invalidation.key] - Invalidated cache key
+     * @param {string} [invalidation.pattern] - Invalidated pattern (e.g., 'ticket_detail_*')
+     */
+    forget({ key, pattern } = {}) {
+        const regex = pattern ? this._patternToRegex(pattern) : null;
+        const matches = (candidate) => (regex ? regex.test(candidate) : candidate === key);
+
+        const keys = new Set([...this.memory.keys(), ...(this._index?.keys() || [])]);
+        keys.forEach(candidate => {
+            if (!matches(candidate)) return;
+            this._versions.set(candidate, (this._versions.get(candidate) || 0) + 1);
+            this.memory.delete(candidate);
+            this.timestamps.delete(candidate);
+            this._index?.delete(candidate);
+        });
     }
 
     /**
      * Clears all cache entries.
+     * @returns {Promise<void>}
      */
-    clear() {
+    async clear() {
         this.memory.clear();
         this.timestamps.clear();
-        
-        // Remove all ticket-related cache from localStorage
-        if (typeof localStorage !== 'undefined') {
-            Object.keys(localStorage).forEach(key => {
-                if (key.startsWith(this.localStoragePrefix)) {
-                    this.storage.remove(key);
-                }
-            });
+        this._index?.clear();
+
+        if (this.backend) {
+            try {
+                await this.backend.clear();
+            } catch (error) {
+                nfLogger.warn('Failed to clear persisted cache', { error: error.message });
+            }
         }
     }
 
     /**
      * Removes expired cache entries.
+     * @returns {Promise<void>}
      */
-    cleanup() {
+    async cleanup() {
         const now = Date.now();
         for (const [key, expiry] of this.timestamps.entries()) {
             if (now > expiry) {
                 this.memory.delete(key);
                 this.timestamps.delete(key);
-                if (key.startsWith('ticket')) {
-                    this.storage.remove(this.localStoragePrefix + key);
-                }
             }
         }
+
+        if (!this.backend) return;
+
+        try {
+            const index = await this._getIndex();
+            const expiredKeys = [...index.values()]
+                .filter(meta => now > meta.expiry)
+                .map(meta => meta.key);
+            await Promise.all(expiredKeys.map(key => this._deletePersisted(key)));
+        } catch (error) {
+            nfLogger.warn('Failed to clean up persisted cache', { error: error.message });
+        }
+    }
+
+    /**
+     * Gets statistics about the persisted entries
+     * @returns {Promise<Object>} Statistics ({ backend, entries, totalSize, maxSize })
+     */
+    async getStats() {
+        const index = this.backend ? await this._getIndex() : new Map();
+        return {
+            backend: this.backend?.name || 'memory',
+            entries: index.size,
+            totalSize: this.totalSize,
+            maxSize: this.maxSize
+        };
+    }
+
+    /**
+     * Removes a cache entry from memory and the persistent backend
+     * @private
+     * @param {string} key - Cache key to remove
+     * @returns {Promise<void>}
+     */
+    async _invalidateKey(key) {
+        this._versions.set(key, (this._versions.get(key) || 0) + 1);
+        this.memory.delete(key);
+        this.timestamps.delete(key);
+        if (this._isPersistent(key)) {
+            await this._deletePersisted(key);
+        }
+    }
+
+    /**
+     * Converts an invalidation pattern into a regular expression
+     * @private
+     * @param {string} pattern - Pattern with * as wildcard
+     * @returns {RegExp} Regular expression matching the cache keys
+     */
+    _patternToRegex(pattern) {
+        // Escape regex characters (keys may contain user input such as search queries), keep * as wildcard
+        const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(escaped.replace(/\*/g, '.*'));
+    }
+
+    /**
+     * Checks whether entries of a key are persisted (ticket data, search results,
+     * knowledge base articles and request types)
+     * @private
+     * @param {string} key - Cache key
+     * @returns {boolean} True if the entry is persisted
+     */
+    _isPersistent(key) {
+        return !!this.backend && (
+            key.startsWith('ticket') ||
+            key.startsWith('search_') ||
+            key.startsWith('kb_article_') ||
+            key === 'request_types'
+        );
+    }
+
+    /**
+     * Loads the metadata of the persisted entries once
+     * @private
+     * @returns {Promise<Map<string, Object>>} Metadata by key
+     */
+    _getIndex() {
+        if (!this._indexPromise) {
+            this._indexPromise = this.backend.list()
+                .then(entries => {
+                    this._index = new Map(entries.map(meta => [meta.key, meta]));
+                    nfLogger.debug('Cache index loaded', { backend: this.backend.name, entries: this._index.size, totalSize: this.totalSize });
+                    return this._index;
+                })
+                .catch(error => {
+                    this._indexPromise = null;
+                    throw error;
+                });
+        }
+        return this._indexPromise;
+    }
+
+    /**
+     * Records a read access for LRU eviction
+     * @private
+     * @param {string} key - Cache key
+     */
+    _touch(key) {
+        const meta = this._index?.get(key);
+        if (!meta) return;
+
+        meta.lastAccess = Date.now();
+        this.backend.touch({ ...meta }).catch(error => {
+            nfLogger.debug('Failed to update cache access time', { key, error: error.message });
+        });
+    }
+
+    /**
+     * Evicts the least recently used entries until the required space is free
+     * @private
+     * @param {number} requiredSize - Size of the entry about to be stored
+     * @param {string} key - Key of the entry about to be stored (replaces its old version)
+     * @returns {Promise<void>}
+     */
+    async _evict(requiredSize, key) {
+        const index = await this._getIndex();
+        const available = () => this.maxSize - (this.totalSize - (index.get(key)?.size || 0));
+        if (available() >= requiredSize) return;
+
+        // Expired entries first, then by last access
+        const now = Date.now();
+        const candidates = [...index.values()]
+            .filter(meta => meta.key !== key)
+            .sort((a, b) => (now > b.expiry) - (now > a.expiry) || a.lastAccess - b.lastAccess);
+
+        const evicted = [];
+        for (const meta of candidates) {
+            if (available() >= requiredSize) break;
+            await this._deletePersisted(meta.key);
+            this.memory.delete(meta.key);
+            this.timestamps.delete(meta.key);
+            evicted.push(meta.key);
+        }
+
+        nfLogger.debug('Evicted cache entries', { count: evicted.length, totalSize: this.totalSize, maxSize: this.maxSize });
+    }
+
+    /**
+     * Removes a persisted entry and its metadata
+     * @private
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
+     */
+    async _deletePersisted(key) {
+        this._index?.delete(key);
+        try {
+            await this.backend.delete(key);
+        } catch (error) {
+            nfLogger.warn('Failed to remove persisted cache entry', { key, error: error.message });
+        }
     }
 }
 
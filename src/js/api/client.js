@@ -6,10 +6,13 @@
  * @version 2.0.0
  */
 
-import { apiGet, apiPost, apiPut, getAuthHeaders, createApiError } from './http.js';
+import { apiGet, apiPost, apiPut, apiDelete, apiUpload, getAuthHeaders, createApiError, createHttpError, getOfflineCachedAt } from './http.js';
 import { NF_CONFIG } from '../core/config.js';
+import { CURRENT_YEAR } from '../core/constants.js';
 import { processFilesToAttachments } from '../utils/file-processor.js';
 import { Validators } from '../utils/validation.js';
+import { htmlToText } from '../utils/sanitize.js';
+import nfLogger from '../core/logger.js';
 
 /**
  * Centralized API client class for Zammad API communication
@@ -20,19 +23,23 @@ import { Validators } from '../utils/validation.js';
 export class ZammadApiClient {
     /**
      * @param {string} baseUrl - Base URL for Zammad API
-     * @param {string|null} authToken - Authentication token (Basic auth credentials)
+     * @param {string|null} authToken - Authentication token or Basic auth credentials
+     * @param {string} [authType='basic'] - Authentication type ('basic', 'token' or 'oauth')
      */
-    constructor(baseUrl, authToken = null) {
+    constructor(baseUrl, authToken = null, authType = 'basic') {
         this.baseUrl = baseUrl;
         this.authToken = authToken;
+        this.authType = authType;
     }
 
     /**
      * Set authentication token
      * @param {string|null} token - Authentication token
+     * @param {string} [authType] - Authentication type (keeps the current type if omitted)
      */
-    setAuthToken(token) {
+    setAuthToken(token, authType = this.authType) {
         this.authToken = token;
+        this.authType = authType || 'basic';
     }
 
     /**
@@ -44,7 +51,7 @@ export class ZammadApiClient {
         if (!this.authToken) {
             throw createApiError('Authentication token is required', 'AUTH_REQUIRED');
         }
-        return getAuthHeaders(this.authToken);
+        return getAuthHeaders(this.authToken, this.authType);
     }
 
     /**
@@ -79,21 +86,45 @@ export class ZammadApiClient {
         const credentials = btoa(authString);
 
         const response = await apiGet(this._buildUrl('/users/me'), {
-            headers: {
-                'Authorization': `Basic ${credentials}`,
-                'Content-Type': 'application/json'
-            }
+            headers: getAuthHeaders(credentials, 'basic')
         });
 
         if (!response.ok) {
             if (response.status === 401) {
                 throw createApiError('Invalid credentials', 'INVALID_CREDENTIALS');
             }
-            throw createApiError('Authentication failed', 'AUTH_FAILED', { status: response.status });
+            throw await createHttpError(response, 'AUTH_FAILED', 'Authentication failed');
         }
 
         const userData = await response.json();
-        this.setAuthToken(credentials);
+        this.setAuthToken(credentials, 'basic');
+        return userData;
+    }
+
+    /**
+     * Authenticate with an access token and get user data
+     * @param {string} token - Zammad personal access token or OAuth bearer token
+     * @param {string} [authType='token'] - Authentication type ('token' or 'oauth')
+     * @returns {Promise<Object>} User data object
+     */
+    async authenticateWithToken(token, authType = 'token') {
+        Validators.nonEmptyString(token, 'Token');
+
+        const cleanToken = token.trim();
+
+        const response = await apiGet(this._buildUrl('/users/me'), {
+            headers: getAuthHeaders(cleanToken, authType)
+        });
+
+        if (!response.ok) {
+            if (response.status === 401) {
+                throw createApiError('Invalid access token', 'INVALID_CREDENTIALS');
+            }
+            throw await createHttpError(response, 'AUTH_FAILED', 'Authentication failed');
+        }
+
+        const userData = await response.json();
+        this.setAuthToken(cleanToken, authType);
         return userData;
     }
 
@@ -107,7 +138,7 @@ export class ZammadApiClient {
         });
 
         if (!response.ok) {
-            throw createApiError('Failed to get current user', 'USER_FETCH_FAILED', { status: response.status });
+            throw await createHttpError(response, 'USER_FETCH_FAILED', 'Failed to get current user');
         }
 
         return await response.json();
@@ -116,73 +147,146 @@ export class ZammadApiClient {
     /**
      * Get ticket by ID with articles
      * @param {number|string} ticketId - Ticket ID
-     * @returns {Promise<Object>} Ticket object with articles
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<Object>} Ticket object with articles (cachedAt is set if served from the offline cache)
      */
-    async getTicket(ticketId) {
+    async getTicket(ticketId, { signal } = {}) {
         Validators.ticketId(ticketId);
 
         const ticketResponse = await apiGet(this._buildUrl(`/tickets/${ticketId}`), {
-            headers: this._getHeaders()
+            headers: this._getHeaders(),
+            signal
         });
 
         if (!ticketResponse.ok) {
-            throw createApiError('Error loading ticket details', 'TICKET_FETCH_FAILED', { 
-                status: ticketResponse.status 
-            });
+            throw await createHttpError(ticketResponse, 'TICKET_FETCH_FAILED', 'Error loading ticket details');
         }
 
         const ticket = await ticketResponse.json();
 
         const articlesResponse = await apiGet(this._buildUrl(`/ticket_articles/by_ticket/${ticketId}`), {
-            headers: this._getHeaders()
+            headers: this._getHeaders(),
+            signal
         });
 
         if (!articlesResponse.ok) {
-            throw createApiError('Error loading ticket articles', 'ARTICLES_FETCH_FAILED', { 
-                status: articlesResponse.status 
-            });
+            throw await createHttpError(articlesResponse, 'ARTICLES_FETCH_FAILED', 'Error loading ticket articles');
         }
 
         const articles = await articlesResponse.json();
         ticket.articles = articles;
 
+        // Served by the service worker while offline - keep the age of the oldest part
+        const cachedAt = [getOfflineCachedAt(ticketResponse), getOfflineCachedAt(articlesResponse)].filter(Boolean);
+        if (cachedAt.length > 0) {
+            ticket.cachedAt = Math.min(...cachedAt);
+        }
+
         return ticket;
     }
 
     /**
-     * Get filtered tickets
+     * Get filtered tickets of a customer
      * @param {Object} filters - Filter options
      * @param {string} [filters.statusCategory='active'] - Status category
-     * @param {number} [filters.year] - Year filter
-     * @param {string} [filters.sortOrder='date_desc'] - Sort order
-     * @param {string} [filters.searchQuery=''] - Search query
-     * @returns {Promise<Array>} Array of ticket objects
+     * @param {number} [filters.year] - Year filter (applied to closed tickets of previous years)
+     * @param {string} [filters.searchQuery=''] - Free-text search in title, number and article bodies
+     * @param {number} [filters.customerId] - Customer ID (defaults to the logged in user)
+     * @param {Object} [options] - Paging, sorting and request options (see searchTickets)
+     * @returns {Promise<Object>} Object with tickets array, total count (null if unknown) and cachedAt (null unless served from the offline cache)
      */
-    async getTickets(filters = {}) {
+    async getTickets(filters = {}, options = {}) {
         const {
             statusCategory = 'active',
-            year,
-            sortOrder = 'date_desc',
-            searchQuery = ''
+            year = CURRENT_YEAR,
+            searchQuery = '',
+            customerId = this._getUserId()
         } = filters;
 
         // Build query string
-        let query = searchQuery || '';
+        let query = `customer_id:${customerId}`;
         
         // Add status filter if provided
-        if (statusCategory && statusCategory !== 'all') {
-            // TODO: Implement Filter
+        const statusCategories = NF_CONFIG.ui.filters.statusCategories;
+        if (statusCategory && statusCategory !== 'all' && statusCategories) {
+            const stateIds = statusCategories[statusCategory];
+            if (stateIds && stateIds.length > 0) {
+                const stateQuery = stateIds.map(id => `state_id:${id}`).join(' OR ');
+                query += ` AND (${stateQuery})`;
+            }
         }
 
-        const response = await apiGet(this._buildUrl(`/tickets/search?query=${encodeURIComponent(query)}`), {
-            headers: this._getHeaders()
+        // Add year filter (only for closed tickets of previous years)
+        if (statusCategory === 'closed' && year !== CURRENT_YEAR) {
+            const yearStart = `${year}-01-01T00:00:00Z`;
+            const yearEnd = `${year}-12-31T23:59:59Z`;
+            query += ` AND created_at:[${yearStart} TO ${yearEnd}]`;
+        }
+
+        // Add free-text search
+        const searchTerms = this._buildSearchTerms(searchQuery);
+        if (searchTerms) {
+            query += ` AND (title:(${searchTerms}) OR number:(${searchTerms}) OR article.body:(${searchTerms}))`;
+        }
+
+        return this.searchTickets(query, options);
+    }
+
+    /**
+     * Search tickets with server-side pagination
+     * @param {string} query - Zammad search query
+     * @param {Object} [options] - Paging and sorting options
+     * @param {number} [options.page=1] - Page number (1-based)
+     * @param {number} [options.perPage=25] - Tickets per page
+     * @param {string} [options.sortBy='created_at'] - Ticket attribute to sort by
+     * @param {string} [options.orderBy='desc'] - Sort direction ('asc' or 'desc')
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<Object>} Object with tickets array, total count (null if unknown) and cachedAt (null unless served from the offline cache)
+     */
+    async searchTickets(query, options = {}) {
+        const {
+            page = 1,
+            perPage = 25,
+            sortBy = 'created_at',
+            orderBy = 'desc',
+            signal
+        } = options;
+
+        const params = new URLSearchParams({
+            query,
+            page: String(page),
+            per_page: String(perPage),
+            limit: String(perPage),
+            sort_by: sortBy,
+            order_by: orderBy,
+            with_total_count: 'true'
+        });
+
+        const response = await apiGet(this._buildUrl(`/tickets/search?${params.toString()}`), {
+            headers: this._getHeaders(),
+            signal
         });
 
         if (!response.ok) {
-            throw createApiError('Error fetching tickets', 'TICKETS_FETCH_FAILED', { status: response.status });
+            throw await createHttpError(response, 'TICKETS_FETCH_FAILED', 'Error fetching tickets');
         }
 
-        return await response.json();
+        const result = await response.json();
+        const cachedAt = getOfflineCachedAt(response);
+
+        // Expanded responses are plain arrays, otherwise tickets are referenced by ID in the assets
+        if (Array.isArray(result)) {
+            return { tickets: result, total: null, cachedAt };
+        }
+
+        const ticketAssets = result.assets?.Ticket || {};
+        const tickets = (result.tickets || [])
+            .map(entry => (typeof entry === 'object' ? entry : ticketAssets[entry]))
+            .filter(Boolean);
+        const total = result.total_count ?? null;
+
+        return { tickets, total, cachedAt };
     }
 
     /**
@@ -190,18 +294,31 @@ export class ZammadApiClient {
      * @param {Object} ticketData - Ticket data
      * @param {string} ticketData.subject - Ticket subject
      * @param {string} ticketData.body - Ticket body/message
+     * @param {string} [ticketData.contentType='text/plain'] - Content type of the body ('text/plain' or 'text/html')
      * @param {FileList|Array} [ticketData.files] - Optional attachments
+     * @param {Array<Object>} [ticketData.attachments] - Already encoded attachments ({ filename, data, 'mime-type' }), used if no files are given
      * @param {string} [ticketData.requestType] - Optional request type
+     * @param {string} [ticketData.formId] - Upload cache with the attachments (see uploadAttachment), used instead of files
+     * @param {string} [ticketData.idempotencyKey] - Unique key of this ticket, kept when the ticket is sent again
+     * @param {number} [ticketData.attemptedAt] - Start of an earlier attempt that got no response (the ticket may exist)
      * @returns {Promise<Object>} Created ticket object
      */
     async createTicket(ticketData) {
         Validators.ticket(ticketData);
 
-        const { subject, body, files, requestType } = ticketData;
+        const { subject, body, files, formId, requestType, idempotencyKey, attemptedAt = null } = ticketData;
+        const contentType = ticketData.contentType || 'text/plain';
+        const safeguard = NF_CONFIG.api.retry?.ticketCreation || {};
 
-        // Process files using utility to eliminate duplication
-        let attachments = [];
-        if (files && files.length > 0) {
+        // Sent again after an attempt without response (e.g. from the outbox) - do not create it twice
+        if (safeguard.enabled && attemptedAt) {
+            const existing = await this._findCreatedTicket(subject, body, contentType, attemptedAt);
+            if (existing) return existing;
+        }
+
+        // Process files using utility to eliminate duplication (queued tickets bring encoded attachments)
+        let attachments = ticketData.attachments || [];
+        if (files && files.length > 0 && !formId) {
             // Import fileToBase64 function from new file-handler module
             const { fileToBase64 } = await import('../features/upload/file-handler.js');
             attachments = await processFilesToAttachments(files, fileToBase64);
@@ -215,6 +332,8 @@ export class ZammadApiClient {
                 subject: subject,
                 body: body,
                 type: 'web',
+                content_type: contentType,
+                form_id: formId || undefined,
                 attachments: attachments.length > 0 ? attachments : undefined
             }
         };
@@ -223,86 +342,299 @@ export class ZammadApiClient {
             payload.type = requestType;
         }
 
-        const response = await apiPost(this._buildUrl('/tickets'), payload, {
-            headers: this._getHeaders()
-        });
+        const headers = this._getHeaders();
+        if (safeguard.idempotencyHeader && idempotencyKey) {
+            headers[safeguard.idempotencyHeader] = idempotencyKey;
+        }
+
+        const startedAt = Date.now();
+        let existing = null;
+        let response;
+        try {
+            response = await apiPost(this._buildUrl('/tickets'), payload, {
+                headers,
+                // POST is only resent once it is clear that the previous attempt did not create the ticket
+                idempotent: !!safeguard.enabled,
+                beforeRetry: async ({ error }) => {
+                    try {
+                        existing = await this._findCreatedTicket(subject, body, contentType, startedAt);
+                    } catch (lookupError) {
+                        // Unknown whether the ticket exists - stop and report the error of the POST
+                        nfLogger.warn('Ticket lookup before resending failed', { error: lookupError.message, cause: error?.message });
+                        return false;
+                    }
+                    return !existing;
+                }
+            });
+        } catch (error) {
+            if (existing) return existing;
+            throw error;
+        }
+
+        if (existing) return existing;
 
         if (!response.ok) {
-            throw createApiError('Error creating ticket', 'TICKET_CREATE_FAILED', { status: response.status });
+            throw await createHttpError(response, 'TICKET_CREATE_FAILED', 'Error creating ticket');
         }
 
         return await response.json();
     }
 
+    /**
+     * Looks for a ticket an earlier request without response has created after all
+     * (same customer, title and first article, created since the attempt started)
+     * @private
+     * @param {string} subject - Ticket subject
+     * @param {string} body - Body of the first article
+     * @param {string} contentType - Content type of the body
+     * @param {number} since - Start of the earlier attempt (ms)
+     * @returns {Promise<Object|null>} Existing ticket or null
+     */
+    async _findCreatedTicket(subject, body, contentType, since) {
+        const lookback = NF_CONFIG.api.retry?.ticketCreation?.lookback || 0;
+        const customerId = this._getUserId();
+
+        // Read from the database - the search index is updated asynchronously and misses new tickets
+        const params = new URLSearchParams({ sort_by: 'id', order_by: 'desc', per_page: '10' });
+        const listResponse = await apiGet(this._buildUrl(`/tickets?${params.toString()}`), {
+            headers: this._getHeaders()
+        });
+        if (!listResponse.ok) {
+            throw await createHttpError(listResponse, 'TICKETS_FETCH_FAILED', 'Error fetching tickets');
+        }
+
+        const tickets = await listResponse.json();
+        const candidates = (Array.isArray(tickets) ? tickets : []).filter(ticket =>
+            String(ticket.customer_id) === String(customerId) &&
+            ticket.title === subject &&
+            Date.parse(ticket.created_at) >= since - lookback
+        );
+
+        for (const ticket of candidates) {
+            const response = await apiGet(this._buildUrl(`/ticket_articles/by_ticket/${ticket.id}`), {
+                headers: this._getHeaders()
+            });
+            if (!response.ok) continue;
+
+            const [firstArticle] = await response.json();
+            // Zammad may rewrite the markup of HTML articles - the text is compared
+            if (this._getArticleText(firstArticle?.body, firstArticle?.content_type) === this._getArticleText(body, contentType)) {
+                nfLogger.info('Ticket was already created by an earlier attempt', { ticketId: ticket.id });
+                return ticket;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Gets the text of an article body for comparison
+     * @private
+     * @param {string} body - Article body
+     * @param {string} [contentType] - Content type of the body
+     * @returns {string} Text without markup and surrounding whitespace
+     */
+    _getArticleText(body, contentType) {
+        if (contentType === 'text/html') return htmlToText(body || '');
+        return (body || '').trim();
+    }
+
     /**
      * Send a reply to a ticket
      * @param {number|string} ticketId - Ticket ID
      * @param {string} text - Reply text
      * @param {FileList|Array} [files] - Optional attachments
-     * @returns {Promise<Object>} Updated ticket object
+     * @param {Array<Object>} [preparedAttachments] - Already encoded attachments ({ filename, data, 'mime-type' }), used instead of files
+     * @param {string} [contentType='text/plain'] - Content type of the text ('text/plain' or 'text/html')
+     * @param {string} [formId=null] - Upload cache with the attachments (see uploadAttachment), used instead of files
+     * @param {Object} [progress] - Resuming an interrupted reply
+     * @param {number} [progress.articleId] - Article created by an earlier attempt, only the attachments are sent
+     * @param {Function} [progress.onArticleCreated] - Called with the article once it was created
+     * @param {Function} [progress.onAttachmentSent] - Called with each attachment once it was added to the article
+     * @returns {Promise<Object>} Created article
      */
-    async sendReply(ticketId, text, files) {
+    async sendReply(ticketId, text, files, preparedAttachments = null, contentType = 'text/plain', formId = null, progress = {}) {
         Validators.reply({ ticketId, text, files });
 
+        const { articleId = null, onArticleCreated, onAttachmentSent } = progress;
+        const article = articleId
+            ? { id: articleId, ticket_id: ticketId }
+            : await this._createReplyArticle(ticketId, text, contentType, formId);
+        if (!articleId) await onArticleCreated?.(article);
+
+        // Handle attachments if provided using utility
+        let attachments = formId ? [] : (preparedAttachments || []);
+        if (files && files.length > 0 && !formId) {
+            const { fileToBase64 } = await import('../features/upload/file-handler.js');
+            attachments = await processFilesToAttachments(files, fileToBase64);
+        }
+        
+        for (const attachment of attachments) {
+            const attachmentData = {
+                ticket_id: ticketId,
+                article_id: article.id,
+                filename: attachment.filename,
+                data: attachment.data,
+                'mime-type': attachment['mime-type']
+            };
+
+            const response = await apiPost(this._buildUrl('/ticket_attachment'), attachmentData, {
+                headers: this._getHeaders()
+            });
+            if (!response.ok) {
+                throw await createHttpError(response, 'ATTACHMENT_UPLOAD_FAILED', 'Error adding attachment');
+            }
+            await onAttachmentSent?.(attachment);
+        }
+
+        return article;
+    }
+
+    /**
+     * Creates the article of a reply
+     * @private
+     * @param {number|string} ticketId - Ticket ID
+     * @param {string} text - Reply text
+     * @param {string} contentType - Content type of the text
+     * @param {string|null} formId - Upload cache with the attachments
+     * @returns {Promise<Object>} Created article
+     */
+    async _createReplyArticle(ticketId, text, contentType, formId) {
         const articleData = {
             ticket_id: ticketId,
             body: text,
             type: 'web',
+            content_type: contentType,
             internal: false
         };
 
+        // Zammad attaches the files of the upload cache to the article
+        if (formId) articleData.form_id = formId;
+
         const response = await apiPost(this._buildUrl('/ticket_articles'), articleData, {
             headers: this._getHeaders()
         });
 
         if (!response.ok) {
-            throw createApiError('Error creating reply', 'REPLY_CREATE_FAILED', { status: response.status });
+            throw await createHttpError(response, 'REPLY_CREATE_FAILED', 'Error creating reply');
         }
 
-        const article = await response.json();
+        return await response.json();
+    }
 
-        // Handle attachments if provided using utility
-        if (files && files.length > 0) {
-            const { fileToBase64 } = await import('../features/upload/file-handler.js');
-            const attachments = await processFilesToAttachments(files, fileToBase64);
-            
-            for (const attachment of attachments) {
-                const attachmentData = {
-                    ticket_id: ticketId,
-                    article_id: article.id,
-                    filename: attachment.filename,
-                    data: attachment.data,
-                    'mime-type': attachment['mime-type']
-                };
-
-                await apiPost(this._buildUrl('/ticket_attachment'), attachmentData, {
-                    headers: this._getHeaders()
-                });
-            }
+    /**
+     * Uploads a file into the upload cache of a form. Files in the cache are attached to the
+     * article that is created with the same form_id (createTicket/sendReply with formId).
+     * The file is sent as multipart form data, not base64 encoded.
+     * @param {string} formId - Form ID (e.g. from createIdempotencyKey)
+     * @param {File} file - File to upload
+     * @param {Object} [options] - Upload options
+     * @param {AbortSignal} [options.signal] - Cancels the upload
+     * @param {Function} [options.onProgress] - Called with (loaded, total) bytes
+     * @returns {Promise<Object>} Cached file ({ id, filename, size })
+     */
+    async uploadAttachment(formId, file, { signal, onProgress } = {}) {
+        Validators.nonEmptyString(formId, 'Form ID');
+
+        const formData = new FormData();
+        formData.append('File', file, file.name);
+
+        const response = await apiUpload(this._buildUrl(`/upload_caches/${encodeURIComponent(formId)}`), formData, {
+            headers: this._getHeaders(),
+            signal,
+            onProgress
+        });
+
+        if (!response.ok) {
+            throw await createHttpError(response, 'ATTACHMENT_UPLOAD_FAILED', 'Error uploading attachment');
         }
 
-        return article;
+        const result = await response.json();
+        return result.data || result;
+    }
+
+    /**
+     * Removes a file from the upload cache of a form, so it is not attached to the article
+     * @param {string} formId - Form ID the file was uploaded for
+     * @param {number|string} storeId - ID of the cached file (id returned by uploadAttachment)
+     * @returns {Promise<void>}
+     */
+    async removeUploadedAttachment(formId, storeId) {
+        Validators.nonEmptyString(formId, 'Form ID');
+
+        const url = `/upload_caches/${encodeURIComponent(formId)}/items/${encodeURIComponent(storeId)}`;
+        const response = await apiDelete(this._buildUrl(url), {
+            headers: this._getHeaders()
+        });
+
+        if (!response.ok) {
+            throw await createHttpError(response, 'ATTACHMENT_REMOVE_FAILED', 'Error removing uploaded attachment');
+        }
     }
 
     /**
      * Close a ticket
      * @param {number|string} ticketId - Ticket ID
+     * @param {string} [closingNote=''] - Optional note added as article when closing
      * @returns {Promise<Object>} Updated ticket object
      */
-    async closeTicket(ticketId) {
+    async closeTicket(ticketId, closingNote = '') {
         Validators.ticketId(ticketId);
 
-        const response = await apiPut(this._buildUrl(`/tickets/${ticketId}`), { state_id: 4 }, {
-            headers: this._getHeaders()
-        });
+        const response = await this._updateTicketState(ticketId, NF_CONFIG.ui.closeTicket.stateId, closingNote);
 
         if (!response.ok) {
-            throw createApiError('Error closing ticket', 'TICKET_CLOSE_FAILED', { status: response.status });
+            throw await createHttpError(response, 'TICKET_CLOSE_FAILED', 'Error closing ticket');
         }
 
         return await response.json();
     }
 
+    /**
+     * Reopen a closed ticket
+     * @param {number|string} ticketId - Ticket ID
+     * @param {string} [reason=''] - Optional reason added as article when reopening
+     * @returns {Promise<Object>} Updated ticket object
+     */
+    async reopenTicket(ticketId, reason = '') {
+        Validators.ticketId(ticketId);
+
+        const response = await this._updateTicketState(ticketId, NF_CONFIG.ui.reopenTicket.stateId, reason);
+
+        if (!response.ok) {
+            throw await createHttpError(response, 'TICKET_REOPEN_FAILED', 'Error reopening ticket');
+        }
+
+        return await response.json();
+    }
+
+    /**
+     * Sets the state of a ticket, optionally adding a public text article in the same request
+     * @private
+     * @param {number|string} ticketId - Ticket ID
+     * @param {number} stateId - Target state ID
+     * @param {string} [note=''] - Optional article body
+     * @returns {Promise<Response>} Fetch response
+     */
+    async _updateTicketState(ticketId, stateId, note = '') {
+        const payload = { state_id: stateId };
+
+        if (note && note.trim()) {
+            payload.article = {
+                body: note.trim(),
+                type: 'web',
+                content_type: 'text/plain',
+                internal: false
+            };
+        }
+
+        return apiPut(this._buildUrl(`/tickets/${ticketId}`), payload, {
+            headers: this._getHeaders(),
+            // Setting the state again is harmless, adding the note again is not
+            idempotent: !payload.article
+        });
+    }
+
     /**
      * Get request types for ticket creation
      * @returns {Promise<Object>} Request types with options and default value
@@ -313,9 +645,7 @@ export class ZammadApiClient {
         });
 
         if (!response.ok) {
-            throw createApiError('Error loading request types', 'REQUEST_TYPES_FETCH_FAILED', { 
-                status: response.status 
-            });
+            throw await createHttpError(response, 'REQUEST_TYPES_FETCH_FAILED', 'Error loading request types');
         }
 
         const data = await response.json();
@@ -366,20 +696,37 @@ export class ZammadApiClient {
         }
         return null;
     }
+
+    /**
+     * Converts free-text user input into escaped prefix search terms
+     * @private
+     * @param {string} searchQuery - Raw user input
+     * @returns {string} Search terms for the Zammad query (empty if there is nothing to search)
+     */
+    _buildSearchTerms(searchQuery) {
+        return (searchQuery || '')
+            .trim()
+            .split(/\s+/)
+            .map(term => term.replace(/[+\-=&|><!(){}[\]^"~*?:\\/]/g, '\\$&'))
+            .filter(Boolean)
+            .map(term => `${term}*`)
+            .join(' ');
+    }
 }
 
 /**
  * Create a new API client instance
  * @param {string} [baseUrl] - Base URL (defaults to NF_CONFIG.api.baseUrl)
  * @param {string|null} [authToken] - Initial auth token
+ * @param {string} [authType='basic'] - Authentication type of the initial token
  * @returns {ZammadApiClient} New API client instance
  */
-export function createApiClient(baseUrl, authToken = null) {
+export function createApiClient(baseUrl, authToken = null, authType = 'basic') {
     const url = baseUrl || NF_CONFIG.api.baseUrl;
     if (!url) {
         throw createApiError('API base URL is required', 'MISSING_BASE_URL');
     }
-    return new ZammadApiClient(url, authToken);
+    return new ZammadApiClient(url, authToken, authType);
 }
 
 export default ZammadApiClient;
@@ -7,17 +7,43 @@
  */
 
 import { NF_CONFIG } from '../core/config.js';
-import { TIMING_CONSTANTS } from '../core/constants.js';
-import { AppError } from '../utils/errors.js';
+import { AppError, ApiError } from '../utils/errors.js';
+import nfLogger from '../core/logger.js';
+import { RetryPolicy } from './retry-policy.js';
+
+/**
+ * Authorization header formats per authentication type
+ * - basic: base64 encoded "username:password"
+ * - token: Zammad personal access token
+ * - oauth: bearer token issued by the OAuth/SSO provider
+ * @constant {Object<string, Function>}
+ */
+const AUTH_SCHEMES = {
+    basic: token => `Basic ${token}`,
+    token: token => `Token token=${token}`,
+    oauth: token => `Bearer ${token}`
+};
+
+/**
+ * Formats the Authorization header value for an authentication type
+ * @param {string} token - Authentication token or Basic auth credentials
+ * @param {string} [authType='basic'] - Authentication type ('basic', 'token' or 'oauth')
+ * @returns {string} Authorization header value
+ */
+export function formatAuthorization(token, authType = 'basic') {
+    const scheme = AUTH_SCHEMES[authType] || AUTH_SCHEMES.basic;
+    return scheme(token);
+}
 
 /**
  * Creates standardized authentication headers for Zammad API requests
- * @param {string} token - Authentication token (Basic auth credentials)
+ * @param {string} token - Authentication token or Basic auth credentials
+ * @param {string} [authType='basic'] - Authentication type ('basic', 'token' or 'oauth')
  * @returns {Object} Headers object with Authorization and Content-Type
  */
-export function getAuthHeaders(token) {
+export function getAuthHeaders(token, authType = 'basic') {
     return {
-        'Authorization': `Basic ${token}`,
+        'Authorization': formatAuthorization(token, authType),
         'Content-Type': 'application/json'
     };
 }
@@ -38,46 +64,291 @@ export function createApiError(message, code, details = null) {
 }
 
 /**
- * Unified API fetch utility with retries and error handling, using config values
+ * Creates the error for an unsuccessful response, including the error text returned by Zammad
+ * (JSON body { error, error_human }, e.g. for validation errors)
+ * @param {Response} response - Response with a non-2xx status
+ * @param {string} code - Error code of the failed operation (will be prefixed with 'API_')
+ * @param {string} message - Technical error message (for logging)
+ * @returns {Promise<ApiError>} Error with status, code and details { status, error, errorHuman }
+ */
+export async function createHttpError(response, code, message) {
+    const details = { status: response.status, error: null, errorHuman: null };
+
+    try {
+        const body = await response.clone().json();
+        details.error = typeof body?.error === 'string' ? body.error : null;
+        details.errorHuman = typeof body?.error_human === 'string' ? body.error_human : null;
+    } catch (e) {
+        // No JSON body (e.g. HTML error page of a proxy)
+    }
+
+    const serverMessage = details.errorHuman || details.error;
+    return new ApiError(serverMessage ? `${message}: ${serverMessage}` : message, response.status, details, `API_${code}`);
+}
+
+/**
+ * Creates the error thrown when the caller cancelled a request via its AbortSignal
+ * @returns {Error|AppError} Error with code API_REQUEST_CANCELLED
+ */
+function createCancelledError() {
+    return createApiError('Request cancelled', 'REQUEST_CANCELLED');
+}
+
+/**
+ * Checks whether an error was thrown because the caller cancelled the request
+ * (as opposed to a timeout, which is reported as network error)
+ * @param {Error} error - Error thrown by apiFetch or a service method
+ * @returns {boolean} True for cancelled requests
+ */
+export function isCancelledRequest(error) {
+    return error?.code === 'API_REQUEST_CANCELLED';
+}
+
+/**
+ * Creates a random key identifying one logical request across resends (e.g. a ticket submission)
+ * @returns {string} Unique key
+ */
+export function createIdempotencyKey() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Checks whether the browser reports that it has no network connection
+ * @returns {boolean} True if the browser is offline
+ */
+export function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Errors of requests that got no response, by reason ('network' or 'timeout').
+ * Only errors of fetch()/XMLHttpRequest itself are recorded - a TypeError thrown by
+ * application code is not a connection problem.
+ * @private
+ * @type {WeakMap<Error, string>}
+ */
+const unansweredRequests = new WeakMap();
+
+/**
+ * Records that a request got no response
+ * @private
+ * @param {Error} error - Rejection of fetch() or the upload
+ * @param {boolean} timedOut - Whether the request was aborted by its timeout
+ * @returns {Error} The same error
+ */
+function markUnanswered(error, timedOut) {
+    if (error && typeof error === 'object') {
+        unansweredRequests.set(error, timedOut ? 'timeout' : 'network');
+    }
+    return error;
+}
+
+/**
+ * Checks whether an error means the server could not be reached at all
+ * (offline, DNS/connection failure or timeout) as opposed to an error response
+ * @param {Error} error - Error thrown by apiFetch or a service method
+ * @returns {boolean} True for network errors
+ */
+export function isNetworkError(error) {
+    if (isCancelledRequest(error)) return false;
+    return unansweredRequests.has(error);
+}
+
+/**
+ * Checks whether a request was aborted by its timeout. The request may have reached the
+ * server, so it must not be sent again unless it is idempotent.
+ * @param {Error} error - Error thrown by apiFetch or a service method
+ * @returns {boolean} True for timeouts
+ */
+export function isRequestTimeout(error) {
+    return unansweredRequests.get(error) === 'timeout';
+}
+
+/**
+ * Gets the time a response was stored by the service worker (src/sw.js)
+ * @param {Response} response - Response returned by apiFetch
+ * @returns {number|null} Timestamp in ms if the response was served from the offline cache, otherwise null
+ */
+export function getOfflineCachedAt(response) {
+    const cachedAt = Number(response?.headers?.get('X-NF-Cached-At'));
+    return cachedAt > 0 ? cachedAt : null;
+}
+
+/**
+ * GET requests currently in flight, keyed by URL and Authorization header
+ * @private
+ * @type {Map<string, {promise: Promise<Response>, controller: AbortController, subscribers: number}>}
+ */
+const inflightGets = new Map();
+
+/**
+ * Waits before the next attempt
+ * @private
+ * @param {number} ms - Wait in milliseconds
+ * @param {AbortSignal} [signal] - Ends the wait early with API_REQUEST_CANCELLED
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(id);
+            reject(createCancelledError());
+        };
+        const id = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Unified API fetch utility with retries and error handling, using config values.
+ * Retries follow RetryPolicy (NF_CONFIG.api.retry): only idempotent methods are resent after
+ * network errors or retryable statuses, with exponential backoff and Retry-After support.
  * @param {string} url - The API endpoint
  * @param {object} options - Fetch options (method, headers, body, etc.)
+ * @param {AbortSignal} [options.signal] - Cancels the request (and pending retries); rejects with API_REQUEST_CANCELLED
+ * @param {boolean} [options.idempotent] - Overrides whether the request may be resent (default: by method)
+ * @param {Function} [options.beforeRetry] - Called with { attempt, response, error } before each retry, return false to stop
  * @param {number} [retries] - Number of retry attempts on failure (default: from config)
  * @param {number} [timeout] - Timeout in ms (default: from config)
- * @returns {Promise<Response>} - Resolves with the Response object
+ * @returns {Promise<Response>} - Resolves with the Response object (also for error statuses)
  */
 export async function apiFetch(url, options = {}, retries, timeout) {
-    const retryAttempts = typeof retries === 'number' ? retries : NF_CONFIG.api.retryAttempts;
+    const { signal, idempotent, beforeRetry, ...fetchOptions } = options;
+    const policy = new RetryPolicy(typeof retries === 'number' ? { attempts: retries } : {});
     const timeoutMs = typeof timeout === 'number' ? timeout : NF_CONFIG.api.timeout;
-    let lastError;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
     
-    for (let attempt = 0; attempt <= retryAttempts; attempt++) {
+    for (let attempt = 0; ; attempt++) {
+        if (signal?.aborted) throw createCancelledError();
+        
+        // One controller per attempt - aborted by the timeout or by the caller's signal
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        let timedOut = false;
+        const id = setTimeout(() => {
+            timedOut = true;
+            abort();
+        }, timeoutMs);
+        signal?.addEventListener('abort', abort);
+        
+        let response = null;
+        let error = null;
         try {
-            const controller = new AbortController();
-            const id = setTimeout(() => controller.abort(), timeoutMs);
-            const response = await fetch(url, { ...options, signal: controller.signal });
+            response = await fetch(url, { ...fetchOptions, signal: controller.signal });
+        } catch (fetchError) {
+            if (signal?.aborted) throw createCancelledError();
+            error = markUnanswered(fetchError, timedOut);
+        } finally {
             clearTimeout(id);
-            // Always return the Response object, let caller handle .ok and .json()
-            return response;
-        } catch (error) {
-            lastError = error;
-            if (attempt < retryAttempts) {
-                await new Promise(res => setTimeout(res, TIMING_CONSTANTS.RETRY_DELAY_MS));
-            }
+            signal?.removeEventListener('abort', abort);
+        }
+        
+        // Always return the Response object, let caller handle .ok and .json()
+        if (response?.ok) return response;
+        
+        const retry = attempt < policy.attempts && (response
+            ? policy.shouldRetryResponse(response, method, idempotent)
+            : !isOffline() && policy.isRetryable(method, idempotent));
+        const delay = retry ? policy.getDelay(attempt, response) : null;
+        
+        if (delay === null) {
+            if (response) return response;
+            throw error;
+        }
+        
+        nfLogger.debug('Retrying request', { method, status: response?.status, attempt: attempt + 1, delayMs: delay });
+        await wait(delay, signal);
+        
+        if (beforeRetry && await beforeRetry({ attempt, response, error }) === false) {
+            if (response) return response;
+            throw error;
         }
     }
-    throw lastError;
 }
 
 /**
- * Helper function for GET requests with standardized configuration
+ * Starts a GET request that can be shared by several callers of apiGet
+ * @private
+ * @param {string} key - Key in inflightGets
+ * @param {string} url - The API endpoint URL
+ * @param {Object} options - Fetch options without signal
+ * @param {number} [retries] - Override retry attempts
+ * @param {number} [timeout] - Override timeout value
+ * @returns {{promise: Promise<Response>, controller: AbortController, subscribers: number}} Shared request
+ */
+function startSharedGet(key, url, options, retries, timeout) {
+    const controller = new AbortController();
+    const shared = {
+        controller,
+        subscribers: 0,
+        promise: apiFetch(url, { ...options, method: 'GET', signal: controller.signal }, retries, timeout)
+    };
+    
+    const release = () => {
+        if (inflightGets.get(key) === shared) inflightGets.delete(key);
+    };
+    shared.promise.then(release, release);
+    inflightGets.set(key, shared);
+    
+    return shared;
+}
+
+/**
+ * Helper function for GET requests with standardized configuration.
+ * Identical GETs (same URL and Authorization header) that are already in flight share one
+ * request; every caller receives its own copy of the response. The shared request is only
+ * aborted once all callers have cancelled via their signal.
  * @param {string} url - The API endpoint URL
  * @param {Object} [options={}] - Additional fetch options
+ * @param {AbortSignal} [options.signal] - Cancels the request for this caller
  * @param {number} [retries] - Override retry attempts (uses config default)
  * @param {number} [timeout] - Override timeout value (uses config default)
  * @returns {Promise<Response>} The fetch Response object
  */
 export function apiGet(url, options = {}, retries, timeout) {
-    return apiFetch(url, { ...options, method: 'GET' }, retries, timeout);
+    const { signal, ...fetchOptions } = options;
+    if (signal?.aborted) return Promise.reject(createCancelledError());
+    
+    const key = `${url}|${fetchOptions.headers?.Authorization || ''}`;
+    const shared = inflightGets.get(key) || startSharedGet(key, url, fetchOptions, retries, timeout);
+    shared.subscribers++;
+    
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        const onAbort = () => {
+            if (settled) return;
+            settled = true;
+            shared.subscribers--;
+            if (shared.subscribers === 0) {
+                inflightGets.delete(key);
+                shared.controller.abort();
+            }
+            reject(createCancelledError());
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        
+        shared.promise.then(
+            response => {
+                if (settled) return;
+                settled = true;
+                signal?.removeEventListener('abort', onAbort);
+                // The shared response body can only be read once
+                resolve(response.clone());
+            },
+            error => {
+                if (settled) return;
+                settled = true;
+                signal?.removeEventListener('abort', onAbort);
+                reject(error);
+            }
+        );
+    });
 }
 
 /**
@@ -116,4 +387,81 @@ export function apiPut(url, body, options = {}, retries, timeout) {
     }, retries, timeout);
 }
 
+/**
+ * Helper function for DELETE requests
+ * @param {string} url - The API endpoint URL
+ * @param {Object} [options={}] - Additional fetch options
+ * @param {number} [retries] - Override retry attempts (uses config default)
+ * @param {number} [timeout] - Override timeout value (uses config default)
+ * @returns {Promise<Response>} The fetch Response object
+ */
+export function apiDelete(url, options = {}, retries, timeout) {
+    return apiFetch(url, { ...options, method: 'DELETE' }, retries, timeout);
+}
+
 
+
+/**
+ * Uploads multipart form data with progress reporting.
+ * Uses XMLHttpRequest because fetch() does not report upload progress. The browser streams
+ * files from disk, they are never encoded to base64 in memory. Not retried - the caller
+ * decides whether to send the file again.
+ * @param {string} url - The API endpoint URL
+ * @param {FormData} formData - Form data containing the file
+ * @param {Object} [options={}] - Upload options
+ * @param {Object} [options.headers] - Request headers (Content-Type is set by the browser)
+ * @param {AbortSignal} [options.signal] - Cancels the upload; rejects with API_REQUEST_CANCELLED
+ * @param {Function} [options.onProgress] - Called with (loaded, total) bytes while uploading
+ * @param {number} [timeout] - Timeout in ms (default: NF_CONFIG.api.uploads.timeout)
+ * @returns {Promise<Response>} Response (also for error statuses)
+ */
+export function apiUpload(url, formData, options = {}, timeout) {
+    const { headers = {}, signal, onProgress } = options;
+    if (signal?.aborted) return Promise.reject(createCancelledError());
+
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', url);
+        xhr.timeout = typeof timeout === 'number' ? timeout : (NF_CONFIG.api.uploads?.timeout ?? NF_CONFIG.api.timeout);
+
+        Object.entries(headers)
+            .filter(([name]) => name.toLowerCase() !== 'content-type')
+            .forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+        const onAbort = () => xhr.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+        const done = () => signal?.removeEventListener('abort', onAbort);
+
+        if (onProgress) {
+            xhr.upload.onprogress = event => {
+                if (event.lengthComputable) onProgress(event.loaded, event.total);
+            };
+        }
+
+        xhr.onload = () => {
+            done();
+            // Responses without content must not get a body
+            const body = [204, 205, 304].includes(xhr.status) ? null : xhr.responseText;
+            resolve(new Response(body, {
+                status: xhr.status,
+                statusText: xhr.statusText,
+                headers: { 'Content-Type': xhr.getResponseHeader('Content-Type') || 'application/json' }
+            }));
+        };
+        // Reported like failed fetch() calls, so isNetworkError() recognizes them
+        xhr.onerror = () => {
+            done();
+            reject(markUnanswered(new TypeError('Upload failed'), false));
+        };
+        xhr.ontimeout = () => {
+            done();
+            reject(markUnanswered(new DOMException('Upload timed out', 'AbortError'), true));
+        };
+        xhr.onabort = () => {
+            done();
+            reject(createCancelledError());
+        };
+
+        xhr.send(formData);
+    });
+}
@@ -30,9 +30,11 @@ export class KnowledgeBaseService {
     /**
      * Search knowledge base
      * @param {string} query - Search query
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Cancels the request (rejects with API_REQUEST_CANCELLED)
      * @returns {Promise<Object>} Search results with highlights
      */
-    async search(query) {
+    async search(query, { signal } = {}) {
         return withPerformance(
             withErrorHandling(async () => {
                 if (!query || typeof query !== 'string' || query.trim().length < NF_CONFIG.ui.searchMinLength) {
@@ -43,7 +45,7 @@ export class KnowledgeBaseService {
                 const cacheKey = `search_${cleanQuery}`;
                 
                 // Check cache first
-                const cached = this.cache.get(cacheKey);
+                const cached = await this.cache.get(cacheKey);
                 if (cached) {
                     nfLogger.debug('Loaded search results from cache', { query: cleanQuery });
                     return cached;
@@ -60,7 +62,9 @@ export class KnowledgeBaseService {
                         locale: kbConfig.locale,
                         query: cleanQuery,
                         flavor: kbConfig.flavor
-                    }
+                    },
+                    // Searching has no side effects - safe to resend
+                    { signal, idempotent: true }
                 );
 
                 if (!response.ok) {
@@ -113,7 +117,7 @@ export class KnowledgeBaseService {
 
                 // Cache results
                 const ttl = NF_CONFIG.ui.cache.searchResultsTTL;
-                this.cache.set(cacheKey, { results, highlights }, ttl);
+                await this.cache.set(cacheKey, { results, highlights }, ttl);
 
                 nfLogger.debug('Cached search results', {
                     query: cleanQuery,
@@ -141,7 +145,7 @@ export class KnowledgeBaseService {
                 const cacheKey = `kb_article_${articleId}`;
                 
                 // Check cache first
-                const cached = this.cache.get(cacheKey);
+                const cached = await this.cache.get(cacheKey);
                 if (cached) {
                     nfLogger.debug('Loaded article from cache', { articleId });
                     return cached;
@@ -215,7 +219,7 @@ export class KnowledgeBaseService {
 
                 // Cache for a shorter time (5 minutes)
                 const ttl = 5 * 60 * 1000;
-                this.cache.set(cacheKey, article, ttl);
+                await this.cache.set(cacheKey, article, ttl);
 
                 nfLogger.debug('Fetched and cached article', { 
                     articleId,
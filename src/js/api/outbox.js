@@ -0,0 +1,536 @@
+/**
+ * @fileoverview IndexedDB-backed outbox for tickets and replies created while offline
+ * @author danielknng
+ * @module api/outbox
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { TicketService } from './tickets.js';
+import { isNetworkError, isOffline, isRequestTimeout } from './http.js';
+import { RetryPolicy } from './retry-policy.js';
+import { NF_CONFIG } from '../core/config.js';
+import { openDatabase, requestToPromise, withTransaction, isIndexedDBAvailable } from '../core/idb.js';
+import { processFilesToAttachments } from '../utils/file-processor.js';
+import eventBus from '../state/events.js';
+import appState from '../state/store.js';
+import nfLogger from '../core/logger.js';
+
+/**
+ * IndexedDB database name
+ * @constant {string}
+ */
+const DB_NAME = 'nf_outbox';
+
+/**
+ * IndexedDB schema version
+ * @constant {number}
+ */
+const DB_VERSION = 1;
+
+/**
+ * Object store holding the queued items
+ * @constant {string}
+ */
+const STORE_NAME = 'items';
+
+/**
+ * Web Lock held while items are sent - every open tab runs an outbox, only one of them sends at a time
+ * @constant {string}
+ */
+const LOCK_NAME = 'nf-outbox';
+
+/**
+ * Outbox item states
+ * @constant {Object<string, string>}
+ */
+export const OUTBOX_STATUS = {
+    PENDING: 'pending',
+    SENDING: 'sending',
+    FAILED: 'failed'
+};
+
+/**
+ * Checks whether an item whose request got no response may be sent again automatically.
+ * A request that timed out may have reached Zammad: only tickets are sent again, because
+ * createTicket looks for the earlier ticket first. Replies would be posted twice.
+ * @param {string} type - 'ticket' or 'reply'
+ * @param {Error} error - Network error of the request
+ * @returns {boolean} True if the item may be queued or kept pending
+ */
+export function canResend(type, error) {
+    if (!isRequestTimeout(error)) return true;
+    return type === 'ticket' && !!NF_CONFIG.api.retry?.ticketCreation?.enabled;
+}
+
+/**
+ * Ticket outbox
+ * Queues new tickets and replies that could not be sent because the network was down,
+ * persists them (including base64 encoded attachments) in IndexedDB and sends them in
+ * the order they were created once the server is reachable again. Sending is tried on start,
+ * when the browser goes online, when the tab becomes visible and with backoff in between.
+ * Tabs share the database: sending holds a Web Lock, and each item is claimed in the database
+ * first, so an item another tab has sent or rejected meanwhile is skipped.
+ *
+ * Emits:
+ * - outbox:changed - items were added, sent, failed or removed ({ items })
+ * - outbox:sent - an item was sent ({ item, result })
+ * - outbox:failed - the server rejected an item ({ item, error })
+ */
+export class TicketOutbox {
+    constructor() {
+        /** @type {TicketService|null} Service used to send queued items */
+        this.ticketService = null;
+        /** @type {Array<Object>} Items of the current user, oldest first */
+        this.items = [];
+        /** @type {boolean} Whether the outbox is running */
+        this.active = false;
+
+        /** @private */
+        this._dbPromise = null;
+        /** @private */
+        this._flushing = null;
+        /** @private */
+        this._retryTimer = null;
+        /** @private Number of tries since the server was last reached */
+        this._retryAttempt = 0;
+        /** @private */
+        this._onlineHandler = () => this.flush();
+        /** @private */
+        this._visibilityHandler = () => {
+            if (document.visibilityState === 'visible') this.flush();
+        };
+    }
+
+    /**
+     * Checks whether items can be queued in this browser
+     * @returns {boolean} True if IndexedDB is available
+     */
+    isAvailable() {
+        return isIndexedDBAvailable();
+    }
+
+    /**
+     * Starts the outbox for the logged in user, loads queued items and sends them if online
+     * @param {TicketService} ticketService - Ticket service used to send queued items
+     * @returns {Promise<void>}
+     */
+    async start(ticketService) {
+        this.ticketService = ticketService;
+        if (!this.isAvailable()) return;
+
+        if (!this.active && typeof window !== 'undefined') {
+            window.addEventListener('online', this._onlineHandler);
+            document.addEventListener('visibilitychange', this._visibilityHandler);
+        }
+        this.active = true;
+
+        try {
+            await this._loadItems();
+        } catch (error) {
+            nfLogger.warn('Failed to load outbox', { error: error.message });
+            return;
+        }
+
+        this.flush();
+    }
+
+    /**
+     * Stops sending queued items (e.g. on logout). Items stay queued for the next login.
+     */
+    stop() {
+        if (this.active && typeof window !== 'undefined') {
+            window.removeEventListener('online', this._onlineHandler);
+            document.removeEventListener('visibilitychange', this._visibilityHandler);
+        }
+        clearTimeout(this._retryTimer);
+        this._retryTimer = null;
+        this._retryAttempt = 0;
+        this.active = false;
+        this.items = [];
+        this._emitChanged();
+    }
+
+    /**
+     * Queues a new ticket
+     * @param {Object} ticketData - Ticket data as passed to TicketService.createTicket
+     * @param {string} ticketData.subject - Ticket subject
+     * @param {string} ticketData.body - Ticket body
+     * @param {string} [ticketData.contentType='text/plain'] - Content type of the body
+     * @param {FileList|Array<File>} [ticketData.files] - Attachments (stored base64 encoded)
+     * @param {string} [ticketData.requestType] - Optional request type
+     * @param {string} [ticketData.idempotencyKey] - Unique key of the submission
+     * @param {number} [ticketData.attemptedAt] - Start of a failed attempt that may have created the ticket
+     * @returns {Promise<Object>} Queued item
+     */
+    async queueTicket({ subject, body, contentType = 'text/plain', files, requestType, idempotencyKey = null, attemptedAt = null }) {
+        return this._add('ticket', {
+            subject,
+            body,
+            contentType,
+            requestType,
+            idempotencyKey,
+            attemptedAt,
+            attachments: await this._encodeFiles(files)
+        });
+    }
+
+    /**
+     * Queues a reply to a ticket
+     * @param {number|string} ticketId - Ticket ID
+     * @param {string} text - Reply text
+     * @param {FileList|Array<File>} [files] - Attachments (stored base64 encoded)
+     * @param {string} [contentType='text/plain'] - Content type of the text
+     * @param {number|null} [articleId=null] - Article that was already created, only the attachments are missing
+     * @returns {Promise<Object>} Queued item
+     */
+    async queueReply(ticketId, text, files, contentType = 'text/plain', articleId = null) {
+        return this._add('reply', {
+            ticketId: String(ticketId),
+            text,
+            contentType,
+            articleId,
+            attachments: await this._encodeFiles(files)
+        });
+    }
+
+    /**
+     * Gets queued tickets of the current user
+     * @returns {Array<Object>} Queued ticket items, oldest first
+     */
+    getQueuedTickets() {
+        return this.items.filter(item => item.type === 'ticket');
+    }
+
+    /**
+     * Gets queued replies to a ticket
+     * @param {number|string} ticketId - Ticket ID
+     * @returns {Array<Object>} Queued reply items, oldest first
+     */
+    getQueuedReplies(ticketId) {
+        return this.items.filter(item => item.type === 'reply' && item.payload.ticketId === String(ticketId));
+    }
+
+    /**
+     * Sends all pending items in order. Stops at the first network error,
+     * items rejected by the server are marked as failed and skipped.
+     * @returns {Promise<void>} Resolves when done, database errors are logged and do not reject
+     */
+    flush() {
+        if (this._flushing) return this._flushing;
+
+        this._flushing = this._withLock(() => this._flushPending())
+            .catch(error => {
+                nfLogger.warn('Outbox flush failed', { error: error.message });
+            })
+            .finally(() => {
+                this._flushing = null;
+            });
+        return this._flushing;
+    }
+
+    /**
+     * Queues a failed item again and tries to send it
+     * @param {number} itemId - Outbox item ID
+     * @returns {Promise<void>}
+     */
+    async retry(itemId) {
+        const item = this.items.find(entry => entry.id === itemId);
+        if (!item) return;
+
+        await this._update(item, { status: OUTBOX_STATUS.PENDING, error: null });
+        return this.flush();
+    }
+
+    /**
+     * Removes an item from the outbox without sending it
+     * @param {number} itemId - Outbox item ID
+     * @returns {Promise<void>}
+     */
+    async discard(itemId) {
+        await this._delete(itemId);
+        nfLogger.info('Outbox item discarded', { itemId });
+    }
+
+    /**
+     * Sends the pending items one after another
+     * @private
+     */
+    async _flushPending() {
+        if (!this.active || !this.ticketService) return;
+
+        clearTimeout(this._retryTimer);
+        this._retryTimer = null;
+        if (isOffline()) {
+            this._scheduleRetry();
+            return;
+        }
+
+        // Items queued while flushing are picked up as well
+        let item;
+        while (this.active && (item = this.items.find(entry => entry.status === OUTBOX_STATUS.PENDING))) {
+            if (!await this._claim(item)) continue;
+
+            // An interrupted send may have created the ticket - remember the first attempt for the duplicate check
+            const attemptedAt = item.payload.attemptedAt ?? null;
+            if (attemptedAt === null) {
+                await this._update(item, { payload: { ...item.payload, attemptedAt: Date.now() } });
+            }
+
+            try {
+                const result = await this._send(item, attemptedAt);
+                this._retryAttempt = 0;
+                await this._delete(item.id);
+
+                nfLogger.info('Outbox item sent', { itemId: item.id, type: item.type });
+                eventBus.emit('outbox:sent', { item, result });
+            } catch (error) {
+                if (isNetworkError(error) && canResend(item.type, error)) {
+                    // Still offline - keep the item and try again later
+                    await this._update(item, { status: OUTBOX_STATUS.PENDING });
+                    nfLogger.info('Outbox flush paused, server not reachable', { itemId: item.id });
+                    this._scheduleRetry();
+                    return;
+                }
+
+                await this._update(item, {
+                    status: OUTBOX_STATUS.FAILED,
+                    error: error.message,
+                    attempts: (item.attempts || 0) + 1
+                });
+
+                nfLogger.warn('Outbox item rejected', { itemId: item.id, type: item.type, error: error.message });
+                eventBus.emit('outbox:failed', { item, error });
+            }
+        }
+    }
+
+    /**
+     * Runs a callback while holding the outbox lock. Without Web Locks (e.g. outside a secure
+     * context) the callback runs right away: _claim() then skips items another tab has finished,
+     * but not an item another tab is sending at that moment.
+     * @private
+     * @param {Function} callback - Called once the lock is held
+     * @returns {Promise<*>} Result of the callback
+     */
+    _withLock(callback) {
+        if (typeof navigator === 'undefined' || !navigator.locks?.request) return callback();
+        return navigator.locks.request(LOCK_NAME, callback);
+    }
+
+    /**
+     * Marks an item as being sent. The stored item is read and changed in one transaction,
+     * because another tab may have sent, discarded or rejected it since this tab loaded it.
+     * An item still marked as being sent was left by a tab that was closed while sending.
+     * @private
+     * @param {Object} item - Pending item (updated in place with the stored state)
+     * @returns {Promise<boolean>} True if this tab sends the item
+     */
+    async _claim(item) {
+        const db = await this._getDb();
+        const stored = await withTransaction(db, STORE_NAME, 'readwrite', async (transaction) => {
+            const store = transaction.objectStore(STORE_NAME);
+            const current = await requestToPromise(store.get(item.id));
+            if (!current || current.status === OUTBOX_STATUS.FAILED) return current ?? null;
+
+            const claimed = { ...current, status: OUTBOX_STATUS.SENDING };
+            await requestToPromise(store.put(claimed));
+            return claimed;
+        });
+
+        if (stored) {
+            Object.assign(item, stored);
+        } else {
+            this.items = this.items.filter(entry => entry.id !== item.id);
+        }
+        this._emitChanged();
+
+        const claimed = stored?.status === OUTBOX_STATUS.SENDING;
+        if (!claimed) nfLogger.debug('Outbox item skipped, handled by another tab', { itemId: item.id });
+        return claimed;
+    }
+
+    /**
+     * Tries to send the pending items again after a wait that grows with every failed try
+     * @private
+     */
+    _scheduleRetry() {
+        if (!this.active || this._retryTimer || !this.items.some(item => item.status === OUTBOX_STATUS.PENDING)) return;
+
+        const config = NF_CONFIG.api.outbox || {};
+        const policy = new RetryPolicy({ baseDelay: config.retryDelay, maxDelay: config.maxRetryDelay });
+        const delay = policy.getDelay(this._retryAttempt++);
+
+        this._retryTimer = setTimeout(() => {
+            this._retryTimer = null;
+            this.flush();
+        }, delay);
+        nfLogger.debug('Outbox retry scheduled', { delayMs: delay, attempt: this._retryAttempt });
+    }
+
+    /**
+     * Sends a single item via the ticket service
+     * @private
+     * @param {Object} item - Outbox item
+     * @param {number|null} attemptedAt - Start of an earlier attempt to send the item (null = first attempt)
+     * @returns {Promise<Object>} Created ticket or article
+     */
+    _send(item, attemptedAt) {
+        const { payload } = item;
+
+        if (item.type === 'ticket') {
+            return this.ticketService.createTicket({
+                subject: payload.subject,
+                body: payload.body,
+                contentType: payload.contentType,
+                requestType: payload.requestType,
+                attachments: payload.attachments,
+                idempotencyKey: payload.idempotencyKey,
+                attemptedAt
+            });
+        }
+
+        // The article and the sent attachments are stored, an interrupted reply is not posted twice
+        return this.ticketService.sendReply(payload.ticketId, payload.text, null, payload.attachments, payload.contentType, null, {
+            articleId: payload.articleId ?? null,
+            onArticleCreated: article => this._update(item, {
+                payload: { ...item.payload, articleId: article.id }
+            }),
+            onAttachmentSent: attachment => this._update(item, {
+                payload: { ...item.payload, attachments: item.payload.attachments.filter(entry => entry !== attachment) }
+            })
+        });
+    }
+
+    /**
+     * Encodes files as attachments so they survive a page reload
+     * @private
+     * @param {FileList|Array<File>} [files] - Files to encode
+     * @returns {Promise<Array<Object>>} Attachments ({ filename, data, 'mime-type' })
+     */
+    async _encodeFiles(files) {
+        if (!files || files.length === 0) return [];
+
+        const { fileToBase64 } = await import('../features/upload/file-handler.js');
+        return processFilesToAttachments(files, fileToBase64);
+    }
+
+    /**
+     * Opens the outbox database
+     * @private
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    _getDb() {
+        if (!this._dbPromise) {
+            this._dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('userId', 'userId', { unique: false });
+                }
+            }).catch(error => {
+                this._dbPromise = null;
+                throw error;
+            });
+        }
+        return this._dbPromise;
+    }
+
+    /**
+     * Loads the items of the current user from the database
+     * @private
+     */
+    async _loadItems() {
+        const userId = appState.get('userId');
+        const db = await this._getDb();
+
+        const items = await withTransaction(db, STORE_NAME, 'readonly', (transaction) =>
+            requestToPromise(transaction.objectStore(STORE_NAME).index('userId').getAll(String(userId)))
+        );
+
+        // Items that were being sent when the page was closed are sent again
+        this.items = items
+            .map(item => item.status === OUTBOX_STATUS.SENDING ? { ...item, status: OUTBOX_STATUS.PENDING } : item)
+            .sort((a, b) => a.id - b.id);
+
+        nfLogger.debug('Outbox loaded', { count: this.items.length });
+        this._emitChanged();
+    }
+
+    /**
+     * Adds an item to the database and the in-memory list
+     * @private
+     * @param {string} type - 'ticket' or 'reply'
+     * @param {Object} payload - Data needed to send the item
+     * @returns {Promise<Object>} Stored item
+     */
+    async _add(type, payload) {
+        const item = {
+            type,
+            payload,
+            userId: String(appState.get('userId')),
+            status: OUTBOX_STATUS.PENDING,
+            error: null,
+            attempts: 0,
+            createdAt: new Date().toISOString()
+        };
+
+        const db = await this._getDb();
+        item.id = await withTransaction(db, STORE_NAME, 'readwrite', (transaction) =>
+            requestToPromise(transaction.objectStore(STORE_NAME).add(item))
+        );
+
+        this.items.push(item);
+        nfLogger.info('Queued in outbox', { itemId: item.id, type, attachments: payload.attachments.length });
+        this._emitChanged();
+
+        return item;
+    }
+
+    /**
+     * Updates an item in the database and the in-memory list
+     * @private
+     * @param {Object} item - Item to update (updated in place)
+     * @param {Object} changes - Changed fields
+     */
+    async _update(item, changes) {
+        Object.assign(item, changes);
+
+        const db = await this._getDb();
+        await withTransaction(db, STORE_NAME, 'readwrite', (transaction) =>
+            requestToPromise(transaction.objectStore(STORE_NAME).put(item))
+        );
+
+        this._emitChanged();
+    }
+
+    /**
+     * Removes an item from the database and the in-memory list
+     * @private
+     * @param {number} itemId - Item ID
+     */
+    async _delete(itemId) {
+        const db = await this._getDb();
+        await withTransaction(db, STORE_NAME, 'readwrite', (transaction) =>
+            requestToPromise(transaction.objectStore(STORE_NAME).delete(itemId))
+        );
+
+        this.items = this.items.filter(item => item.id !== itemId);
+        this._emitChanged();
+    }
+
+    /**
+     * Notifies listeners about the current items
+     * @private
+     */
+    _emitChanged() {
+        eventBus.emit('outbox:changed', { items: [...this.items] });
+    }
+}
+
+/**
+ * Global outbox instance
+ * @type {TicketOutbox}
+ */
+const ticketOutbox = new TicketOutbox();
+
+export default ticketOutbox;
@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Background poller that detects ticket changes made outside the portal
+ * @author danielknng
+ * @module api/poller
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { TicketService } from './tickets.js';
+import eventBus from '../state/events.js';
+import { NF_CONFIG } from '../core/config.js';
+import nfLogger from '../core/logger.js';
+
+/**
+ * Ticket events emitted for changes made by the user in this portal
+ * @constant {Array<string>}
+ */
+const LOCAL_TICKET_EVENTS = ['ticket:created', 'ticket:updated', 'ticket:closed', 'ticket:reopened'];
+
+/**
+ * Ticket poller
+ * Periodically fetches the update timestamps of the user's open tickets, compares them
+ * with the previous poll and hands changed tickets to the ticket service.
+ * Polling pauses while the page is hidden and catches up as soon as it is visible again,
+ * unless something still needs the updates then (desktop notifications): it continues at
+ * the slower hidden interval.
+ */
+export class TicketPoller {
+    /**
+     * @param {TicketService} ticketService - Ticket service instance
+     * @param {Object} [options] - Optional overrides for the configured settings
+     * @param {boolean} [options.enabled] - Whether polling is enabled (defaults to NF_CONFIG.ui.liveUpdates.enabled)
+     * @param {number} [options.interval] - Poll interval in ms (defaults to NF_CONFIG.ui.liveUpdates.interval)
+     * @param {number} [options.maxTickets] - Tickets checked per poll (defaults to NF_CONFIG.ui.liveUpdates.maxTickets)
+     * @param {number} [options.hiddenInterval] - Poll interval in ms while the page is hidden (defaults to NF_CONFIG.ui.liveUpdates.hiddenInterval)
+     * @param {Function} [options.pollWhileHidden] - Returns true while polling has to continue in a hidden page
+     */
+    constructor(ticketService, options = {}) {
+        const config = NF_CONFIG.ui.liveUpdates || {};
+
+        this.ticketService = ticketService;
+        this.enabled = options.enabled ?? config.enabled ?? false;
+        this.interval = options.interval ?? config.interval;
+        this.maxTickets = options.maxTickets ?? config.maxTickets;
+        this.hiddenInterval = options.hiddenInterval ?? config.hiddenInterval ?? this.interval;
+        /** @type {Function} */
+        this.pollWhileHidden = options.pollWhileHidden || (() => false);
+
+        /** @type {boolean} Whether the poller is running */
+        this.active = false;
+        /** @type {Map<string, Object>|null} Last known version per ticket ID (null until the first poll) */
+        this.knownTickets = null;
+
+        /** @private */
+        this._timer = null;
+        /** @private */
+        this._polling = false;
+        /** @private */
+        this._lastPoll = 0;
+        /** @private Ticket IDs changed by the user since the last poll */
+        this._localChanges = new Set();
+        /** @private */
+        this._unsubscribers = [];
+        /** @private */
+        this._visibilityHandler = () => this._schedule();
+    }
+
+    /**
+     * Starts polling. The first poll only records the current state of the tickets.
+     */
+    start() {
+        if (!this.enabled || this.active) return;
+
+        this.active = true;
+        this.knownTickets = null;
+        this._lastPoll = 0;
+        this._localChanges.clear();
+
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', this._visibilityHandler);
+        }
+
+        // Own replies and state changes also move updated_at - they must not show up as remote updates
+        this._unsubscribers = LOCAL_TICKET_EVENTS.map(eventName =>
+            eventBus.on(eventName, ({ ticketId = null, ticket = null, source } = {}) => {
+                const id = ticketId ?? ticket?.id;
+                if (source !== 'poll' && id != null) this._localChanges.add(String(id));
+            })
+        );
+
+        this._schedule();
+
+        nfLogger.debug('Ticket polling started', { intervalSeconds: Math.round(this.interval / 1000) });
+    }
+
+    /**
+     * Stops polling and forgets the known ticket state
+     */
+    stop() {
+        if (!this.active) return;
+
+        if (typeof document !== 'undefined') {
+            document.removeEventListener('visibilitychange', this._visibilityHandler);
+        }
+        this._unsubscribers.forEach(unsubscribe => unsubscribe());
+        this._unsubscribers = [];
+
+        clearTimeout(this._timer);
+        this._timer = null;
+        this.active = false;
+        this.knownTickets = null;
+        this._localChanges.clear();
+
+        nfLogger.debug('Ticket polling stopped');
+    }
+
+    /**
+     * Polls the ticket update timestamps once and applies detected changes
+     * @returns {Promise<Array<Object>>} Detected changes ({ ticketId, updatedAt, ticket, previous })
+     */
+    async poll() {
+        if (!this.active || this._polling) return [];
+
+        this._polling = true;
+        try {
+            const tickets = await this.ticketService.getTicketUpdates(this.maxTickets);
+            if (!this.active) return []; // Stopped (e.g. logout) while the request was running
+
+            const changes = this._detectChanges(tickets);
+
+            if (changes.length > 0) {
+                await this.ticketService.applyRemoteUpdates(changes);
+            }
+
+            return changes;
+        } catch (error) {
+            nfLogger.warn('Ticket update poll failed', { error: error.message });
+            return [];
+        } finally {
+            this._polling = false;
+            this._lastPoll = Date.now();
+            this._schedule();
+        }
+    }
+
+    /**
+     * Schedules the next poll. While the page is hidden, polling continues at the hidden
+     * interval if pollWhileHidden() asks for it and pauses otherwise.
+     * @private
+     */
+    _schedule() {
+        clearTimeout(this._timer);
+        this._timer = null;
+        if (!this.active) return;
+
+        let interval = this.interval;
+        if (typeof document !== 'undefined' && document.visibilityState === 'hidden') {
+            if (!this.pollWhileHidden()) return;
+            interval = this.hiddenInterval;
+        }
+
+        const delay = Math.max(this._lastPoll + interval - Date.now(), 0);
+        this._timer = setTimeout(() => this.poll(), delay);
+    }
+
+    /**
+     * Compares the fetched tickets with the previous poll
+     * @private
+     * @param {Array<Object>} tickets - Tickets with id and updated_at
+     * @returns {Array<Object>} Changed tickets ({ ticketId, updatedAt, ticket, previous }),
+     *                          ticket is null if it left the open tickets, previous is null for new tickets
+     */
+    _detectChanges(tickets) {
+        const current = new Map(tickets.map(ticket => [String(ticket.id), ticket]));
+        const previous = this.knownTickets;
+        const localChanges = this._localChanges;
+
+        this.knownTickets = current;
+        this._localChanges = new Set();
+
+        // First poll after start - nothing to compare with yet
+        if (!previous) return [];
+
+        const changes = tickets
+            .filter(ticket => previous.get(String(ticket.id))?.updated_at !== ticket.updated_at)
+            .map(ticket => ({
+                ticketId: ticket.id,
+                updatedAt: ticket.updated_at,
+                ticket,
+                previous: previous.get(String(ticket.id)) || null
+            }));
+
+        // Tickets that are no longer open (e.g. closed by an agent). With a full result
+        // a missing ticket may just have been pushed out by more recently updated ones.
+        if (current.size < this.maxTickets) {
+            previous.forEach((knownTicket, ticketId) => {
+                if (!current.has(ticketId)) {
+                    changes.push({ ticketId: knownTicket.id, updatedAt: null, ticket: null, previous: knownTicket });
+                }
+            });
+        }
+
+        return changes.filter(change => !localChanges.has(String(change.ticketId)));
+    }
+}
+
+export default TicketPoller;
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Retry policy for API requests (backoff, Retry-After and idempotency rules)
+ * @author danielknng
+ * @module api/retry-policy
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { NF_CONFIG } from '../core/config.js';
+
+/**
+ * Status that is retried for every method - the server rejected the request before processing it
+ * @constant {number}
+ */
+const TOO_MANY_REQUESTS = 429;
+
+/**
+ * Retry policy
+ * Decides whether a failed request is sent again and how long to wait before the next attempt.
+ * - Network errors and the configured statuses (e.g. 503) are retried for idempotent methods only,
+ *   other requests must be marked as safe to resend by the caller (options.idempotent)
+ * - 429 Too Many Requests is retried for every method
+ * - The wait grows exponentially with random jitter; a Retry-After header is honored
+ *   unless it asks for longer than maxDelay, in which case the response is returned as is
+ */
+export class RetryPolicy {
+    /**
+     * @param {Object} [options] - Optional overrides for the configured settings (NF_CONFIG.api.retry)
+     * @param {number} [options.attempts] - Retries after the first attempt (defaults to NF_CONFIG.api.retryAttempts)
+     * @param {number} [options.baseDelay] - Wait before the first retry in ms, doubled for every further retry
+     * @param {number} [options.maxDelay] - Upper limit of a single wait in ms
+     * @param {number} [options.jitter] - Random deviation of each wait (0 = none, 0.5 = ±50%)
+     * @param {Array<number>} [options.statuses] - Response statuses that are retried
+     * @param {Array<string>} [options.methods] - Methods that are retried without being marked idempotent
+     */
+    constructor(options = {}) {
+        const config = NF_CONFIG.api.retry || {};
+
+        this.attempts = options.attempts ?? NF_CONFIG.api.retryAttempts ?? 0;
+        this.baseDelay = options.baseDelay ?? config.baseDelay ?? 500;
+        this.maxDelay = options.maxDelay ?? config.maxDelay ?? 10 * 1000;
+        this.jitter = options.jitter ?? config.jitter ?? 0;
+        this.statuses = options.statuses ?? config.statuses ?? [];
+        this.methods = (options.methods ?? config.methods ?? ['GET', 'HEAD', 'OPTIONS']).map(method => method.toUpperCase());
+    }
+
+    /**
+     * Checks whether a request may be sent again after it failed without response
+     * @param {string} [method='GET'] - HTTP method
+     * @param {boolean} [idempotent] - Caller override (true = safe to resend, false = never resend)
+     * @returns {boolean} True if the method may be retried
+     */
+    isRetryable(method = 'GET', idempotent) {
+        if (typeof idempotent === 'boolean') return idempotent;
+        return this.methods.includes(method.toUpperCase());
+    }
+
+    /**
+     * Checks whether an error response is worth another attempt
+     * @param {Response} response - Response of the last attempt
+     * @param {string} [method='GET'] - HTTP method
+     * @param {boolean} [idempotent] - Caller override (see isRetryable)
+     * @returns {boolean} True if the request should be sent again
+     */
+    shouldRetryResponse(response, method = 'GET', idempotent) {
+        if (response.status === TOO_MANY_REQUESTS) return idempotent !== false;
+        return this.statuses.includes(response.status) && this.isRetryable(method, idempotent);
+    }
+
+    /**
+     * Calculates the wait before the next attempt
+     * @param {number} attempt - Number of the failed attempt (0 = first request)
+     * @param {Response} [response] - Response of the failed attempt (for Retry-After)
+     * @returns {number|null} Wait in ms, or null if the server asks to wait longer than maxDelay
+     */
+    getDelay(attempt, response = null) {
+        const retryAfter = this.getRetryAfter(response);
+        if (retryAfter !== null) {
+            return retryAfter <= this.maxDelay ? retryAfter : null;
+        }
+
+        const exponential = Math.min(this.baseDelay * 2 ** attempt, this.maxDelay);
+        const deviation = exponential * this.jitter * (Math.random() * 2 - 1);
+        return Math.max(0, Math.round(exponential + deviation));
+    }
+
+    /**
+     * Reads the Retry-After header (seconds or HTTP date)
+     * @param {Response} [response] - Response
+     * @returns {number|null} Wait in ms or null if the header is missing or invalid
+     */
+    getRetryAfter(response) {
+        const header = response?.headers?.get('Retry-After');
+        if (!header) return null;
+
+        const seconds = Number(header);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+        const date = Date.parse(header);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+}
+
+export default RetryPolicy;
@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Session manager for idle tracking and session expiry
+ * @author danielknng
+ * @module api/session
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { AuthService } from './auth.js';
+import eventBus from '../state/events.js';
+import { NF_CONFIG } from '../core/config.js';
+import { TIMING_CONSTANTS } from '../core/constants.js';
+import nfLogger from '../core/logger.js';
+import Storage from '../core/storage.js';
+
+/**
+ * DOM events that count as user activity
+ * @constant {Array<string>}
+ */
+const ACTIVITY_EVENTS = ['click', 'keydown', 'mousemove', 'scroll', 'touchstart'];
+
+/**
+ * Session manager
+ * Tracks user activity, warns before the configured idle timeout is reached
+ * and logs the user out once the session has expired.
+ */
+export class SessionManager {
+    /**
+     * @param {AuthService} authService - Authentication service instance
+     * @param {Object} [options] - Optional overrides for the configured timings
+     * @param {number} [options.timeout] - Idle timeout in ms (defaults to NF_CONFIG.security.sessionTimeout)
+     * @param {number} [options.warningTime] - Warning lead time in ms (defaults to NF_CONFIG.security.sessionWarningTime)
+     */
+    constructor(authService, options = {}) {
+        this.authService = authService;
+        this.timeout = options.timeout ?? NF_CONFIG.security.sessionTimeout;
+        this.warningTime = Math.min(options.warningTime ?? NF_CONFIG.security.sessionWarningTime ?? 0, this.timeout);
+
+        /** @type {number} Timestamp of the last recorded user activity */
+        this.lastActivity = 0;
+        /** @type {boolean} Whether a session is currently tracked */
+        this.active = false;
+        /** @type {boolean} Whether the expiry warning is currently shown */
+        this.warningShown = false;
+
+        /** @private */
+        this._timer = null;
+        /** @private */
+        this._lastPersisted = 0;
+        /** @private */
+        this._activityHandler = () => this.touch();
+        /** @private */
+        this._visibilityHandler = () => {
+            if (document.visibilityState === 'visible') this._check();
+        };
+    }
+
+    /**
+     * Checks whether a stored session record has been idle for longer than the timeout
+     * @param {Object} session - Session record from localStorage (nf_session)
+     * @param {number} [timeout] - Idle timeout in ms (defaults to NF_CONFIG.security.sessionTimeout)
+     * @returns {boolean} True if the session has expired
+     */
+    static isExpired(session, timeout = NF_CONFIG.security.sessionTimeout) {
+        if (!session) return true;
+        const lastActivity = session.lastActivity || session.timestamp || 0;
+        return Date.now() - lastActivity > timeout;
+    }
+
+    /**
+     * Starts tracking the session
+     * @param {number} [lastActivity=Date.now()] - Timestamp of the last known activity
+     */
+    start(lastActivity = Date.now()) {
+        if (!this.active && typeof document !== 'undefined') {
+            ACTIVITY_EVENTS.forEach(eventName => {
+                document.addEventListener(eventName, this._activityHandler, { passive: true, capture: true });
+            });
+            document.addEventListener('visibilitychange', this._visibilityHandler);
+        }
+
+        this.active = true;
+        this.warningShown = false;
+        this.lastActivity = lastActivity;
+        this._persistActivity(true);
+        this._schedule();
+
+        nfLogger.debug('Session tracking started', {
+            timeoutMinutes: Math.round(this.timeout / (60 * 1000)),
+            expiresAt: new Date(this.getExpiresAt()).toISOString()
+        });
+    }
+
+    /**
+     * Stops tracking the session without logging the user out
+     */
+    stop() {
+        if (this.active && typeof document !== 'undefined') {
+            ACTIVITY_EVENTS.forEach(eventName => {
+                document.removeEventListener(eventName, this._activityHandler, { capture: true });
+            });
+            document.removeEventListener('visibilitychange', this._visibilityHandler);
+        }
+
+        clearTimeout(this._timer);
+        this._timer = null;
+        this.active = false;
+        this.warningShown = false;
+
+        nfLogger.debug('Session tracking stopped');
+    }
+
+    /**
+     * Records user activity. Ignored while the expiry warning is shown,
+     * so the session is only extended by an explicit confirmation.
+     */
+    touch() {
+        if (!this.active || this.warningShown) return;
+        this.lastActivity = Date.now();
+        this._persistActivity();
+    }
+
+    /**
+     * Extends the session after the user confirmed the expiry warning
+     */
+    extend() {
+        if (!this.active) return;
+        this.warningShown = false;
+        this.lastActivity = Date.now();
+        this._persistActivity(true);
+        this._schedule();
+
+        eventBus.emit('session:extended', { expiresAt: this.getExpiresAt() });
+        nfLogger.info('Session extended by user');
+    }
+
+    /**
+     * Gets the timestamp at which the session expires
+     * @returns {number} Expiry timestamp in ms
+     */
+    getExpiresAt() {
+        return this.lastActivity + this.timeout;
+    }
+
+    /**
+     * Schedules the next check for either the warning or the expiry point
+     * @private
+     */
+    _schedule() {
+        clearTimeout(this._timer);
+        if (!this.active) return;
+
+        const now = Date.now();
+        const expiresAt = this.getExpiresAt();
+        const nextCheck = this.warningShown || this.warningTime <= 0
+            ? expiresAt
+            : expiresAt - this.warningTime;
+
+        this._timer = setTimeout(() => this._check(), Math.max(nextCheck - now, 0));
+    }
+
+    /**
+     * Compares the idle time against the configured thresholds
+     * @private
+     */
+    _check() {
+        if (!this.active) return;
+
+        this._syncActivity();
+        const remaining = this.getExpiresAt() - Date.now();
+
+        if (remaining <= 0) {
+            this._expire();
+            return;
+        }
+
+        if (!this.warningShown && this.warningTime > 0 && remaining <= this.warningTime) {
+            this.warningShown = true;
+            eventBus.emit('session:warning', { expiresAt: this.getExpiresAt(), remaining });
+            nfLogger.debug('Session about to expire', { remainingSeconds: Math.round(remaining / 1000) });
+        }
+
+        this._schedule();
+    }
+
+    /**
+     * Adopts newer activity persisted by another tab, so an idle tab does not end
+     * the session the user is working with in another one
+     * @private
+     */
+    _syncActivity() {
+        const session = Storage.get('nf_session', null);
+        const storedActivity = session?.lastActivity || 0;
+        if (storedActivity <= this.lastActivity) return;
+
+        this.lastActivity = storedActivity;
+        this._lastPersisted = storedActivity;
+
+        if (this.warningShown && this.getExpiresAt() - Date.now() > this.warningTime) {
+            // Extended in another tab
+            this.warningShown = false;
+            eventBus.emit('session:extended', { expiresAt: this.getExpiresAt() });
+        }
+    }
+
+    /**
+     * Ends the expired session and logs the user out
+     * @private
+     */
+    _expire() {
+        nfLogger.info('Session expired due to inactivity', {
+            idleMinutes: Math.round((Date.now() - this.lastActivity) / (60 * 1000))
+        });
+        this.stop();
+        this.authService.logout('SESSION_EXPIRED');
+    }
+
+    /**
+     * Writes the last activity timestamp to the stored session record (throttled)
+     * @private
+     * @param {boolean} [force=false] - Persist regardless of the throttle interval
+     */
+    _persistActivity(force = false) {
+        if (!force && this.lastActivity - this._lastPersisted < TIMING_CONSTANTS.SESSION_ACTIVITY_PERSIST_MS) {
+            return;
+        }
+
+        const session = Storage.get('nf_session', null);
+        if (!session) return;
+
+        Storage.set('nf_session', { ...session, lastActivity: this.lastActivity });
+        this._lastPersisted = this.lastActivity;
+    }
+}
+
+export default SessionManager;
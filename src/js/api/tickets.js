@@ -15,8 +15,42 @@ import { CURRENT_YEAR } from '../core/constants.js';
 import { withPerformance } from '../utils/performance.js';
 import { withErrorHandling } from '../utils/error-boundary.js';
 import nfLogger from '../core/logger.js';
+import { isOffline } from './http.js';
 import appState from '../state/store.js';
 
+/**
+ * Server-side sort parameters per sort order
+ * @constant {Object<string, {sortBy: string, orderBy: string}>}
+ */
+const SORT_PARAMS = {
+    date_desc: { sortBy: 'created_at', orderBy: 'desc' },
+    date_asc: { sortBy: 'created_at', orderBy: 'asc' },
+    status: { sortBy: 'state_id', orderBy: 'asc' },
+    subject: { sortBy: 'title', orderBy: 'asc' },
+    id: { sortBy: 'number', orderBy: 'asc' }
+};
+
+/**
+ * Builds a comparable summary of a ticket or ticket page, used to detect whether
+ * revalidated data differs from the cached version
+ * @private
+ * @param {Object} data - Ticket (with articles) or ticket page (with tickets)
+ * @returns {string} Fingerprint
+ */
+function getFingerprint(data) {
+    if (Array.isArray(data?.tickets)) {
+        return JSON.stringify([
+            data.total,
+            data.tickets.map(ticket => [ticket.id, ticket.updated_at, ticket.state_id])
+        ]);
+    }
+    return JSON.stringify([
+        data?.updated_at,
+        data?.state_id,
+        (data?.articles || []).map(article => [article.id, article.updated_at])
+    ]);
+}
+
 /**
  * Ticket service
  * Handles all ticket-related operations with caching and event emission
@@ -29,10 +63,15 @@ export class TicketService {
     constructor(apiClient, cache) {
         this.apiClient = apiClient;
         this.cache = cache;
+        
+        /** @private Cache keys currently being revalidated in the background */
+        this._revalidating = new Set();
     }
 
     /**
-     * Get ticket by ID with caching
+     * Get ticket by ID with caching.
+     * Cached tickets are returned right away; if CacheStrategy.shouldRevalidate allows it they are
+     * refreshed in the background and ticket:revalidated is emitted when the ticket has changed.
      * @param {number|string} ticketId - Ticket ID
      * @returns {Promise<Object>} Ticket object with articles
      */
@@ -42,56 +81,42 @@ export class TicketService {
                 const cacheKey = `ticket_detail_${ticketId}`;
                 
                 // Check cache first
-                const cached = this.cache.get(cacheKey);
+                const cached = await this.cache.get(cacheKey);
                 if (cached) {
                     nfLogger.debug('Loaded ticket from cache', { ticketId, cacheKey });
+                    
+                    const ticketYear = new Date(cached.created_at).getFullYear();
+                    if (CacheStrategy.shouldRevalidate(cached.cachedAt, ticketYear)) {
+                        this._revalidate(cacheKey, cached, () => this._fetchTicket(ticketId), {
+                            scope: 'ticketdetail',
+                            ticketId,
+                            onChange: ticket => eventBus.emit('ticket:revalidated', { ticketId, ticket })
+                        });
+                    }
                     return cached;
                 }
                 
-                // Fetch from API
-                const ticket = await this.apiClient.getTicket(ticketId);
-                const articles = ticket.articles || [];
-                
-                ticket.messages = (articles || []).map(a => ({
-                    from: a.from || (a.sender_id === 1 ? 'Support' : 'User'),
-                    date: a.created_at,
-                    body: a.body || ''
-                }));
-                
-                // Determine cache TTL using strategy
-                const ticketYear = new Date(ticket.created_at).getFullYear();
-                const ticketStateId = ticket.state_id;
-                const closedStateIds = NF_CONFIG.ui.filters.statusCategories.closed;
-                const isClosedTicket = closedStateIds.includes(ticketStateId);
-                
-                const cacheStrategy = CacheStrategy.getTicketDetailTTL(ticketYear, CURRENT_YEAR, isClosedTicket);
-                
-                // Add timestamp for better logging
-                ticket.cachedAt = Date.now();
-                this.cache.set(cacheKey, ticket, cacheStrategy.ttl);
-                
-                nfLogger.debug('Cached ticket detail', {
-                    ticketId,
-                    cacheType: cacheStrategy.description,
-                    reason: cacheStrategy.reason
-                });
-                
-                return ticket;
+                return this._fetchTicket(ticketId);
             }, 'Get Ticket'),
             'Get Ticket'
         )();
     }
 
     /**
-     * Get filtered tickets with caching
+     * Get one page of filtered tickets with per-page caching.
+     * Cached pages are returned right away; if CacheStrategy.shouldRevalidate allows it they are
+     * refreshed in the background and tickets:revalidated is emitted when the page has changed.
      * @param {Object} filters - Filter options
      * @param {string} [filters.statusCategory='active'] - Status category
      * @param {number} [filters.year] - Year filter
      * @param {string} [filters.sortOrder='date_desc'] - Sort order
      * @param {string} [filters.searchQuery=''] - Search query
-     * @returns {Promise<Array>} Array of ticket objects
+     * @param {number} [page=1] - Page number (1-based)
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Cancels the request (rejects with API_REQUEST_CANCELLED)
+     * @returns {Promise<Object>} Page object with tickets, page, perPage, total (null if unknown) and hasMore
      */
-    async getTickets(filters = {}) {
+    async getTickets(filters = {}, page = 1, { signal } = {}) {
         return withPerformance(
             withErrorHandling(async () => {
                 const {
@@ -100,89 +125,67 @@ export class TicketService {
                     sortOrder = NF_CONFIG.ui.filters.defaultSortOrder || 'date_desc',
                     searchQuery = ''
                 } = filters;
+                const listFilters = { statusCategory, year, sortOrder, searchQuery };
                 
-                const userId = appState.get('userId');
-                const cacheKey = `tickets_${statusCategory}_${year}_${userId}`;
+                const cacheKey = this.getTicketListCacheKey(listFilters);
                 
                 // Check cache first
-                const cached = this.cache.get(cacheKey);
+                const cached = await this.cache.getPage(cacheKey, page);
                 if (cached) {
                     const cacheType = year < CURRENT_YEAR ? 'archived' : 
                                     statusCategory === 'closed' ? 'current year closed' : 
                                     'current year active';
                     nfLogger.debug(`Loaded tickets from cache (${cacheType})`, {
                         key: cacheKey,
-                        count: cached.length,
+                        page,
+                        count: cached.tickets.length,
                         statusCategory,
-                        year
+                        year,
+                        searchQuery
                     });
-                    return this._sortTickets(cached, sortOrder);
-                }
-                
-                // Build query
-                let query = `customer_id:${userId}`;
-                
-                const statusCategories = NF_CONFIG.ui.filters.statusCategories;
-                if (statusCategory !== 'all' && statusCategories) {
-                    const stateIds = statusCategories[statusCategory];
-                    if (stateIds && stateIds.length > 0) {
-                        const stateQuery = stateIds.map(id => `state_id:${id}`).join(' OR ');
-                        query += ` AND (${stateQuery})`;
+                    eventBus.emit('tickets:loaded', { tickets: cached.tickets });
+                    
+                    if (CacheStrategy.shouldRevalidate(cached.cachedAt, year)) {
+                        this._revalidate(this.cache.pageKey(cacheKey, page), cached, () => this._fetchTicketPage(listFilters, page), {
+                            scope: 'ticketlist',
+                            onChange: result => eventBus.emit('tickets:revalidated', { cacheKey, page, result })
+                        });
                     }
+                    return cached;
                 }
                 
-                // Add year filter (only for closed tickets or specific years)
-                if (statusCategory === 'closed' && year !== CURRENT_YEAR) {
-                    const yearStart = `${year}-01-01T00:00:00Z`;
-                    const yearEnd = `${year}-12-31T23:59:59Z`;
-                    query += ` AND created_at:[${yearStart} TO ${yearEnd}]`;
-                }
-                
-                // Fetch from API
-                const baseUrl = NF_CONFIG.api.baseUrl;
-                const userToken = appState.get('userToken');
-                const { apiGet } = await import('./http.js');
-                
-                const response = await apiGet(`${baseUrl}/tickets/search?query=${encodeURIComponent(query)}`, {
-                    headers: {
-                        'Authorization': `Basic ${userToken}`,
-                        'Content-Type': 'application/json'
-                    }
-                });
-                
-                if (!response.ok) {
-                    throw new Error(`API error loading filtered tickets: ${response.status} ${response.statusText}`);
-                }
-                
-                const result = await response.json();
-                const ticketsArray = Array.isArray(result) ? result : (result.tickets || []);
-                
-                // Cache using strategy
-                const cacheStrategy = CacheStrategy.getTicketListTTL(year, CURRENT_YEAR, statusCategory);
-                this.cache.set(cacheKey, ticketsArray, cacheStrategy.ttl);
-                
-                nfLogger.debug('Cached ticket list', {
-                    key: cacheKey,
-                    count: ticketsArray.length,
-                    cacheType: cacheStrategy.description,
-                    ttlMinutes: Math.round(cacheStrategy.ttl / (60 * 1000)),
-                    statusCategory,
-                    year
-                });
-                
-                return this._sortTickets(ticketsArray, sortOrder);
+                return this._fetchTicketPage(listFilters, page, signal);
             }, 'Get Tickets'),
             'Get Tickets'
         )();
     }
 
+    /**
+     * Builds the base cache key for a ticket list (pages are cached below this key)
+     * @param {Object} filters - Filter options
+     * @param {string} filters.statusCategory - Status category
+     * @param {number} filters.year - Year filter
+     * @param {string} filters.sortOrder - Sort order
+     * @param {string} [filters.searchQuery=''] - Search query
+     * @returns {string} Cache key
+     */
+    getTicketListCacheKey({ statusCategory, year, sortOrder, searchQuery = '' }) {
+        const queryKey = encodeURIComponent(searchQuery.trim().toLowerCase());
+        return `tickets_${statusCategory}_${year}_${sortOrder}_q${queryKey}_${appState.get('userId')}`;
+    }
+
     /**
      * Create a new ticket
      * @param {Object} ticketData - Ticket data
      * @param {string} ticketData.subject - Ticket subject
      * @param {string} ticketData.body - Ticket body/message
+     * @param {string} [ticketData.contentType] - Content type of the body ('text/plain' or 'text/html')
      * @param {FileList|Array} [ticketData.files] - Optional attachments
+     * @param {Array<Object>} [ticketData.attachments] - Already encoded attachments (e.g. from the outbox)
+     * @param {string} [ticketData.formId] - Upload cache with the attachments, used instead of files
      * @param {string} [ticketData.requestType] - Optional request type
+     * @param {string} [ticketData.idempotencyKey] - Unique key of the submission
+     * @param {number} [ticketData.attemptedAt] - Start of an earlier attempt without response
      * @returns {Promise<Object>} Created ticket object
      */
     async createTicket(ticketData) {
@@ -191,7 +194,7 @@ export class TicketService {
                 const ticket = await this.apiClient.createTicket(ticketData);
                 
                 // Invalidate relevant caches
-                this._invalidateTicketCaches();
+                await this._invalidateTicketCaches();
                 
                 // Emit event
                 eventBus.emit('ticket:created', { ticket });
@@ -209,15 +212,19 @@ export class TicketService {
      * @param {number|string} ticketId - Ticket ID
      * @param {string} text - Reply text
      * @param {FileList|Array} [files] - Optional attachments
+     * @param {Array<Object>} [attachments] - Already encoded attachments (e.g. from the outbox), used instead of files
+     * @param {string} [contentType='text/plain'] - Content type of the text ('text/plain' or 'text/html')
+     * @param {string} [formId=null] - Upload cache with the attachments, used instead of files
+     * @param {Object} [progress] - Resuming an interrupted reply (see ZammadApiClient.sendReply)
      * @returns {Promise<Object>} Created article object
      */
-    async sendReply(ticketId, text, files) {
+    async sendReply(ticketId, text, files, attachments = null, contentType = 'text/plain', formId = null, progress = {}) {
         return withPerformance(
             withErrorHandling(async () => {
-                const article = await this.apiClient.sendReply(ticketId, text, files);
+                const article = await this.apiClient.sendReply(ticketId, text, files, attachments, contentType, formId, progress);
                 
                 // Invalidate ticket detail cache
-                this.cache.invalidate(`ticket_detail_${ticketId}`);
+                await this.cache.invalidate(`ticket_detail_${ticketId}`);
                 
                 // Emit event
                 eventBus.emit('ticket:updated', { ticketId, article });
@@ -231,18 +238,44 @@ export class TicketService {
     }
 
     /**
-     * Close a ticket
+     * Upload an attachment into the upload cache of a form (see ZammadApiClient.uploadAttachment)
+     * @param {string} formId - Form ID passed to createTicket/sendReply afterwards
+     * @param {File} file - File to upload
+     * @param {Object} [options] - Upload options ({ signal, onProgress })
+     * @returns {Promise<Object>} Cached file ({ id, filename, size })
+     */
+    async uploadAttachment(formId, file, options = {}) {
+        return withErrorHandling(async () => {
+            return this.apiClient.uploadAttachment(formId, file, options);
+        }, 'Upload Attachment')();
+    }
+
+    /**
+     * Remove a file from the upload cache of a form (see ZammadApiClient.removeUploadedAttachment)
+     * @param {string} formId - Form ID the file was uploaded for
+     * @param {number|string} storeId - ID of the cached file
+     * @returns {Promise<void>}
+     */
+    async removeUploadedAttachment(formId, storeId) {
+        return withErrorHandling(async () => {
+            return this.apiClient.removeUploadedAttachment(formId, storeId);
+        }, 'Remove Uploaded Attachment')();
+    }
+
+    /**
+     * Close a ticket (target state from NF_CONFIG.ui.closeTicket.stateId)
      * @param {number|string} ticketId - Ticket ID
+     * @param {string} [closingNote=''] - Optional note added to the ticket
      * @returns {Promise<Object>} Updated ticket object
      */
-    async closeTicket(ticketId) {
+    async closeTicket(ticketId, closingNote = '') {
         return withPerformance(
             withErrorHandling(async () => {
-                const ticket = await this.apiClient.closeTicket(ticketId);
+                const ticket = await this.apiClient.closeTicket(ticketId, closingNote);
                 
                 // Invalidate caches
-                this.cache.invalidate(`ticket_detail_${ticketId}`);
-                this._invalidateTicketCaches();
+                await this.cache.invalidate(`ticket_detail_${ticketId}`);
+                await this._invalidateTicketCaches();
                 
                 // Emit event
                 eventBus.emit('ticket:closed', { ticketId, ticket });
@@ -255,6 +288,220 @@ export class TicketService {
         )();
     }
 
+    /**
+     * Reopen a closed ticket (target state from NF_CONFIG.ui.reopenTicket.stateId)
+     * @param {number|string} ticketId - Ticket ID
+     * @param {string} [reason=''] - Optional reason added to the ticket
+     * @returns {Promise<Object>} Updated ticket object
+     */
+    async reopenTicket(ticketId, reason = '') {
+        return withPerformance(
+            withErrorHandling(async () => {
+                const ticket = await this.apiClient.reopenTicket(ticketId, reason);
+                
+                // Invalidate caches
+                await this.cache.invalidate(`ticket_detail_${ticketId}`);
+                await this._invalidateTicketCaches();
+                
+                // Emit event
+                eventBus.emit('ticket:reopened', { ticketId, ticket });
+                
+                nfLogger.info('Ticket reopened', { ticketId });
+                
+                return ticket;
+            }, 'Reopen Ticket'),
+            'Reopen Ticket'
+        )();
+    }
+
+    /**
+     * Get the most recently updated open tickets of the user, always fetched from the server
+     * @param {number} [limit=50] - Maximum number of tickets
+     * @returns {Promise<Array<Object>>} Ticket objects (at least id and updated_at), most recently updated first
+     */
+    async getTicketUpdates(limit = 50) {
+        return withErrorHandling(async () => {
+            const result = await this.apiClient.getTickets({
+                statusCategory: 'active',
+                customerId: appState.get('userId')
+            }, {
+                page: 1,
+                perPage: limit,
+                sortBy: 'updated_at',
+                orderBy: 'desc'
+            });
+            
+            eventBus.emit('tickets:loaded', { tickets: result.tickets });
+            
+            return result.tickets;
+        }, 'Get Ticket Updates')();
+    }
+
+    /**
+     * Applies ticket changes that were made outside the portal (e.g. an agent replied)
+     * Invalidates the affected caches and emits ticket:updated with source 'poll' for every ticket
+     * @param {Array<Object>} changes - Changed tickets ({ ticketId, updatedAt, ticket, previous })
+     * @returns {Promise<void>}
+     */
+    async applyRemoteUpdates(changes) {
+        await Promise.all(changes.map(({ ticketId }) => this.cache.invalidate(`ticket_detail_${ticketId}`)));
+        await this._invalidateTicketCaches();
+        
+        changes.forEach(change => eventBus.emit('ticket:updated', { ...change, source: 'poll' }));
+        
+        nfLogger.info('Remote ticket updates detected', { ticketIds: changes.map(change => change.ticketId) });
+    }
+
+    /**
+     * Loads a ticket with its articles from the API and caches it
+     * @private
+     * @param {number|string} ticketId - Ticket ID
+     * @returns {Promise<Object>} Ticket object with articles
+     */
+    async _fetchTicket(ticketId) {
+        const cacheKey = `ticket_detail_${ticketId}`;
+        const ticket = await this.apiClient.getTicket(ticketId);
+        const articles = ticket.articles || [];
+        
+        ticket.messages = (articles || []).map(a => ({
+            from: a.from || (a.sender_id === 1 ? 'Support' : 'User'),
+            date: a.created_at,
+            body: a.body || ''
+        }));
+        
+        // Served from the service worker while offline - not fresh enough to be cached again
+        if (ticket.cachedAt) {
+            nfLogger.debug('Loaded ticket from offline cache', { ticketId, cachedAt: ticket.cachedAt });
+            return ticket;
+        }
+        
+        // Determine cache TTL using strategy
+        const ticketYear = new Date(ticket.created_at).getFullYear();
+        const ticketStateId = ticket.state_id;
+        const closedStateIds = NF_CONFIG.ui.filters.statusCategories.closed;
+        const isClosedTicket = closedStateIds.includes(ticketStateId);
+        
+        const cacheStrategy = CacheStrategy.getTicketDetailTTL(ticketYear, CURRENT_YEAR, isClosedTicket);
+        
+        // Add timestamp for better logging
+        ticket.cachedAt = Date.now();
+        await this.cache.set(cacheKey, ticket, cacheStrategy.ttl);
+        
+        nfLogger.debug('Cached ticket detail', {
+            ticketId,
+            cacheType: cacheStrategy.description,
+            reason: cacheStrategy.reason
+        });
+        
+        return ticket;
+    }
+
+    /**
+     * Loads one page of filtered tickets from the API and caches it
+     * @private
+     * @param {Object} filters - Complete filter options ({ statusCategory, year, sortOrder, searchQuery })
+     * @param {number} page - Page number (1-based)
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<Object>} Page object with tickets, page, perPage, total (null if unknown) and hasMore
+     */
+    async _fetchTicketPage(filters, page, signal) {
+        const { statusCategory, year, sortOrder, searchQuery } = filters;
+        const perPage = NF_CONFIG.ui.pagination.pageSize;
+        const cacheKey = this.getTicketListCacheKey(filters);
+        
+        // Fetch page from API (sorted server-side so pages line up)
+        const sort = SORT_PARAMS[sortOrder] || SORT_PARAMS.date_desc;
+        const result = await this.apiClient.getTickets({
+            statusCategory,
+            year,
+            searchQuery,
+            customerId: appState.get('userId')
+        }, {
+            page,
+            perPage,
+            sortBy: sort.sortBy,
+            orderBy: sort.orderBy,
+            signal
+        });
+        
+        const tickets = this._sortTickets(result.tickets, sortOrder);
+        const hasMore = result.total !== null
+            ? page * perPage < result.total
+            : tickets.length >= perPage;
+        
+        const ticketPage = {
+            tickets,
+            page,
+            perPage,
+            total: result.total,
+            hasMore,
+            cachedAt: result.cachedAt || Date.now()
+        };
+        
+        // Served from the service worker while offline - not fresh enough to be cached again
+        if (result.cachedAt) {
+            nfLogger.debug('Loaded ticket list page from offline cache', { key: cacheKey, page, cachedAt: result.cachedAt });
+            eventBus.emit('tickets:loaded', { tickets });
+            return ticketPage;
+        }
+        
+        // Cache using strategy
+        const cacheStrategy = CacheStrategy.getTicketListTTL(year, CURRENT_YEAR, statusCategory);
+        await this.cache.setPage(cacheKey, page, ticketPage, cacheStrategy.ttl);
+        
+        nfLogger.debug('Cached ticket list page', {
+            key: cacheKey,
+            page,
+            count: tickets.length,
+            total: result.total,
+            cacheType: cacheStrategy.description,
+            ttlMinutes: Math.round(cacheStrategy.ttl / (60 * 1000)),
+            statusCategory,
+            year
+        });
+        
+        eventBus.emit('tickets:loaded', { tickets });
+        
+        return ticketPage;
+    }
+
+    /**
+     * Refreshes cached data in the background (stale-while-revalidate).
+     * Emits cache:revalidating ({ scope, ticketId, active }) while the request is running.
+     * @private
+     * @param {string} cacheKey - Cache key of the data (one refresh per key at a time)
+     * @param {Object} cached - Cached ticket or ticket page
+     * @param {Function} fetchFresh - Loads and caches the fresh data
+     * @param {Object} options - Revalidation options
+     * @param {string} options.scope - View showing the data ('ticketlist' or 'ticketdetail')
+     * @param {number|string} [options.ticketId] - Ticket ID (detail only)
+     * @param {Function} options.onChange - Called with the fresh data if it differs from the cached data
+     */
+    _revalidate(cacheKey, cached, fetchFresh, { scope, ticketId = null, onChange }) {
+        if (this._revalidating.has(cacheKey) || isOffline()) return;
+        
+        this._revalidating.add(cacheKey);
+        eventBus.emit('cache:revalidating', { scope, ticketId, active: true });
+        
+        fetchFresh()
+            .then(fresh => {
+                if (getFingerprint(fresh) === getFingerprint(cached)) {
+                    nfLogger.debug('Cached data is up to date', { cacheKey });
+                    return;
+                }
+                nfLogger.debug('Cached data changed on the server', { cacheKey });
+                onChange(fresh);
+            })
+            .catch(error => {
+                // The cached data stays on screen - the next load tries again
+                nfLogger.debug('Background revalidation failed', { cacheKey, error: error.message });
+            })
+            .finally(() => {
+                this._revalidating.delete(cacheKey);
+                eventBus.emit('cache:revalidating', { scope, ticketId, active: false });
+            });
+    }
+
     /**
      * Sort tickets by various criteria
      * @private
@@ -286,12 +533,13 @@ export class TicketService {
     /**
      * Invalidate ticket list caches
      * @private
+     * @returns {Promise<void>}
      */
-    _invalidateTicketCaches() {
+    async _invalidateTicketCaches() {
         const userId = appState.get('userId');
         if (userId) {
             // Invalidate all ticket list caches for this user
-            this.cache.invalidatePattern(`tickets_*_${userId}`);
+            await this.cache.invalidatePattern(`tickets_*_${userId}`);
         }
     }
 }
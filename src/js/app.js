@@ -12,19 +12,34 @@ import { dom } from './ui/dom.js';
 import { Modal } from './ui/modal.js';
 import appState from './state/store.js';
 import eventBus from './state/events.js';
+import tabSync from './state/tab-sync.js';
 import Storage from './core/storage.js';
 import ZammadApiClient from './api/client.js';
-import { CacheRepository } from './api/cache.js';
+import cacheRepository, { CacheRepository } from './api/cache.js';
+import { removeLegacyCacheEntries } from './api/cache-backends.js';
 import TicketService from './api/tickets.js';
 import AuthService from './api/auth.js';
+import SessionManager from './api/session.js';
+import TicketPoller from './api/poller.js';
+import ticketOutbox from './api/outbox.js';
 import KnowledgeBaseService from './api/knowledge-base.js';
 import { TicketList } from './features/tickets/list.js';
-import { handleNewTicketSubmit } from './features/tickets/create.js';
+import { handleNewTicketSubmit, restoreNewTicketDraft, resetNewTicketForm } from './features/tickets/create.js';
+import { FormDraft } from './features/tickets/drafts.js';
 import { handleCloseTicket } from './features/tickets/actions.js';
+import { UnreadTracker } from './features/tickets/unread.js';
+import { DesktopNotifications } from './features/notifications/desktop.js';
 import { KnowledgeBaseSearch } from './features/search/knowledge-base.js';
 import { closeGallery, galleryPrevious, galleryNext } from './features/gallery/viewer.js';
+import { clearAttachmentCache } from './features/gallery/attachments.js';
 import { initializeDragAndDrop } from './features/upload/file-handler.js';
 import { UIInit } from './ui/init.js';
+import { SessionWarning } from './ui/session-warning.js';
+import { OfflineBanner } from './ui/offline-banner.js';
+import { RefreshIndicator } from './ui/refresh-indicator.js';
+import ServiceWorkerManager from './core/service-worker.js';
+import languageManager from './i18n/manager.js';
+import { getErrorReason } from './i18n/error-translator.js';
 
 /**
  * Main application class
@@ -44,6 +59,12 @@ class App {
         /** @type {AuthService} */
         this.authService = null;
         
+        /** @type {SessionManager} */
+        this.sessionManager = null;
+        
+        /** @type {TicketPoller} */
+        this.ticketPoller = null;
+        
         /** @type {KnowledgeBaseService} */
         this.knowledgeBaseService = null;
         
@@ -58,6 +79,9 @@ class App {
         
         /** @type {boolean} */
         this.initialized = false;
+        
+        /** @type {Set<string>} Ticket IDs with remote updates waiting for the open views to refresh */
+        this.pendingTicketUpdates = new Set();
     }
 
     /**
@@ -91,6 +115,11 @@ class App {
             // 5. Make services available globally for backward compatibility
             this._exposeGlobals();
 
+            // 6. Finish a pending OAuth/SSO login after the redirect back
+            if (this.authService.hasOAuthCallback()) {
+                await this._completeOAuthLogin();
+            }
+
             this.initialized = true;
             nfLogger.info('Application initialized successfully');
 
@@ -110,19 +139,34 @@ class App {
     async _initServices() {
         nfLogger.debug('Initializing services...');
 
-        // Initialize cache
-        this.cache = new CacheRepository();
+        // Initialize cache - the shared instance, other modules see the same entries
+        await removeLegacyCacheEntries();
+        this.cache = cacheRepository;
         
         // Initialize API client
         const baseUrl = NF_CONFIG.api.baseUrl;
         this.apiClient = new ZammadApiClient(baseUrl);
 
         // Restore session from localStorage if available
-        this._restoreSession();
+        const restoredSession = this._restoreSession();
 
         // Initialize services with dependencies
         this.ticketService = new TicketService(this.apiClient, this.cache);
         this.authService = new AuthService(this.apiClient);
+        this.sessionManager = new SessionManager(this.authService);
+        if (restoredSession) {
+            this.sessionManager.start(restoredSession.lastActivity || restoredSession.timestamp);
+        }
+        // Desktop notifications are only useful if updates keep coming while the tab is in the background
+        this.ticketPoller = new TicketPoller(this.ticketService, {
+            pollWhileHidden: () => DesktopNotifications.isEnabled()
+        });
+        if (restoredSession) {
+            this.ticketPoller.start();
+            ticketOutbox.start(this.ticketService).catch(error => {
+                nfLogger.warn('Failed to start outbox', { error: error.message });
+            });
+        }
         // Pass API client to knowledge base service so it can fetch article details when authenticated
         this.knowledgeBaseService = new KnowledgeBaseService(this.cache, this.apiClient);
 
@@ -131,6 +175,8 @@ class App {
             hasCache: !!this.cache,
             hasTicketService: !!this.ticketService,
             hasAuthService: !!this.authService,
+            hasSessionManager: !!this.sessionManager,
+            hasTicketPoller: !!this.ticketPoller,
             hasKnowledgeBaseService: !!this.knowledgeBaseService
         });
     }
@@ -138,14 +184,28 @@ class App {
     /**
      * Restores user session from localStorage if available
      * @private
+     * @returns {Object|null} The restored session record or null
      */
     _restoreSession() {
         try {
             const session = Storage.get('nf_session', null);
+            if (session && SessionManager.isExpired(session)) {
+                // Idle for longer than the configured session timeout
+                Storage.remove('nf_session');
+                nfLogger.info('Stored session expired, login required', { userId: session.userId });
+                return null;
+            }
+            if (session && (!session.authType || session.authType === 'basic')) {
+                // Legacy session with persisted Basic auth credentials - discard it
+                Storage.remove('nf_session');
+                nfLogger.info('Discarded stored Basic auth session, login required');
+                return null;
+            }
             if (session && session.userToken && session.userId) {
                 // Restore session to appState
                 appState.setMultiple({
                     userToken: session.userToken,
+                    authType: session.authType,
                     userId: session.userId,
                     loginAttempts: 0,
                     isAccountLocked: false
@@ -153,14 +213,16 @@ class App {
                 
                 // Set token on API client
                 if (this.apiClient) {
-                    this.apiClient.setAuthToken(session.userToken);
+                    this.apiClient.setAuthToken(session.userToken, session.authType);
                 }
                 
-                nfLogger.debug('Session restored from localStorage', { userId: session.userId });
+                nfLogger.debug('Session restored from localStorage', { userId: session.userId, authType: session.authType });
+                return session;
             }
         } catch (error) {
             nfLogger.warn('Failed to restore session from localStorage', { error: error.message });
         }
+        return null;
     }
 
     /**
@@ -314,6 +376,16 @@ class App {
             initializeDragAndDrop();
         }
 
+        // Desktop notification opt-in in the ticket list
+        DesktopNotifications.initToggle();
+
+        // Offline support: app shell and ticket responses are served by the service worker
+        OfflineBanner.init();
+        ServiceWorkerManager.register();
+
+        // Drop drafts that were not touched for NF_CONFIG.ui.drafts.maxAge
+        FormDraft.prune();
+
         nfLogger.debug('Event handlers set up');
     }
 
@@ -325,28 +397,267 @@ class App {
         // Listen for login events
         eventBus.on('auth:login', (userData) => {
             nfLogger.info('User logged in', { userId: userData.id });
-            // Update UI or perform other actions
+            this.sessionManager.start();
+            this.ticketPoller.start();
+            ticketOutbox.start(this.ticketService).catch(error => {
+                nfLogger.warn('Failed to start outbox', { error: error.message });
+            });
         });
 
-        eventBus.on('auth:logout', () => {
-            nfLogger.info('User logged out');
+        eventBus.on('auth:logout', ({ reason } = {}) => {
+            nfLogger.info('User logged out', { reason });
+            this.sessionManager.stop();
+            this.ticketPoller.stop();
+            ticketOutbox.stop();
+            UnreadTracker.reset();
+            OfflineBanner.reset();
+            // Unsent input stays in the draft of the user and is restored after the next login
+            resetNewTicketForm();
+            RefreshIndicator.reset();
+            ServiceWorkerManager.clearApiCache();
+            clearAttachmentCache();
+            SessionWarning.hide();
             this._resetLoginState();
+
+            if (reason === 'SESSION_EXPIRED') {
+                this._handleSessionExpired();
+            } else if (reason === 'OTHER_TAB') {
+                this._handleSessionExpired('loggedOutInOtherTab');
+            }
+        });
+
+        // Login and logout in another tab of the portal
+        eventBus.on('tab:login', () => {
+            this._adoptSessionFromOtherTab();
+        });
+
+        eventBus.on('tab:logout', ({ reason } = {}) => {
+            if (!appState.get('userToken')) return;
+            // The other tab has removed the stored session already - a newer one must not be removed here
+            this.authService.logout(reason === 'SESSION_EXPIRED' ? 'SESSION_EXPIRED' : 'OTHER_TAB', { keepStoredSession: true });
+        });
+
+        // Cache entries invalidated by another tab are only dropped from memory - the persisted ones are shared
+        eventBus.on('cache:invalidated', ({ source, ...invalidation } = {}) => {
+            if (source === 'tab') this.cache.forget(invalidation);
+        });
+
+        // Listen for session events
+        eventBus.on('session:warning', ({ expiresAt }) => {
+            SessionWarning.show(expiresAt, () => this.sessionManager.extend());
+        });
+
+        eventBus.on('session:extended', () => {
+            SessionWarning.hide();
         });
 
         // Listen for ticket events
-        eventBus.on('ticket:created', ({ ticket }) => {
-            nfLogger.info('Ticket created', { ticketId: ticket.id });
+        eventBus.on('ticket:created', ({ ticket, source }) => {
+            nfLogger.info('Ticket created', { ticketId: ticket.id, source });
+            if (source === 'tab') this._queueViewRefresh(ticket.id);
+        });
+
+        eventBus.on('ticket:updated', (change) => {
+            nfLogger.info('Ticket updated', { ticketId: change.ticketId, source: change.source });
+            
+            if (change.source === 'poll') {
+                DesktopNotifications.notify(change);
+                this._queueViewRefresh(change.ticketId);
+            } else if (change.source === 'tab') {
+                this._queueViewRefresh(change.ticketId);
+            }
+        });
+        
+        // Cached data shown first was refreshed in the background and has changed
+        eventBus.on('ticket:revalidated', ({ ticketId }) => {
+            this._queueViewRefresh(ticketId);
+        });
+        
+        eventBus.on('tickets:revalidated', (revalidation) => {
+            if (dom.ticketListContainer && !dom.ticketListContainer.classList.contains('nf-hidden')) {
+                this.ticketList.applyRevalidatedPage(revalidation);
+            }
+        });
+        
+        eventBus.on('cache:revalidating', (state) => {
+            RefreshIndicator.update(state);
+        });
+        
+        eventBus.on('notification:clicked', ({ ticketId }) => {
+            this._openTicket(ticketId);
+        });
+
+        // Track unseen replies of loaded tickets
+        eventBus.on('tickets:loaded', ({ tickets }) => {
+            UnreadTracker.track(tickets);
+        });
+        
+        eventBus.on('tickets:unread', ({ total }) => {
+            UIInit.updateTriggerBadge(total);
+            this.ticketList?.updateUnreadBadges();
+        });
+        
+        // Listen for outbox events (tickets and replies queued while offline)
+        eventBus.on('outbox:changed', () => {
+            this._renderQueuedItems();
+        });
+        
+        eventBus.on('outbox:sent', ({ item, result }) => {
+            const ticketId = item.type === 'reply' ? item.payload.ticketId : result?.id;
+            const message = item.type === 'reply'
+                ? languageManager.getMessage('outboxReplySent', { ticketId })
+                : languageManager.getMessage('outboxTicketSent', { subject: item.payload.subject });
+            
+            this._showStatusInOpenView(message, 'success');
+            if (ticketId) this._queueViewRefresh(ticketId);
+        });
+        
+        eventBus.on('outbox:failed', ({ item, error }) => {
+            const message = item.type === 'reply'
+                ? languageManager.getMessage('outboxReplyFailed', { ticketId: item.payload.ticketId, error: getErrorReason(error) })
+                : languageManager.getMessage('outboxTicketFailed', { subject: item.payload.subject, error: getErrorReason(error) });
+            
+            this._showStatusInOpenView(message, 'error');
+        });
+        
+        eventBus.on('ticket:closed', ({ ticketId, source }) => {
+            nfLogger.info('Ticket closed', { ticketId, source });
+            if (source === 'tab') this._queueViewRefresh(ticketId);
         });
 
-        eventBus.on('ticket:updated', ({ ticketId }) => {
-            nfLogger.info('Ticket updated', { ticketId });
+        eventBus.on('ticket:reopened', ({ ticketId, source }) => {
+            nfLogger.info('Ticket reopened', { ticketId, source });
+            if (source === 'tab') this._queueViewRefresh(ticketId);
         });
 
-        eventBus.on('ticket:closed', ({ ticketId }) => {
-            nfLogger.info('Ticket closed', { ticketId });
+        // Forward login, logout, cache invalidations and ticket changes to other open tabs
+        tabSync.start();
+    }
+
+    /**
+     * Takes over the session another tab of the portal has just logged in with.
+     * Basic auth sessions are not stored and cannot be taken over.
+     * @private
+     */
+    _adoptSessionFromOtherTab() {
+        const session = Storage.get('nf_session', null);
+        const currentToken = appState.get('userToken');
+        if (!session?.userToken || session.userToken === currentToken) return;
+
+        const replacesSession = !!currentToken;
+        if (replacesSession) {
+            // Another user logged in - the browser only keeps one session. The stored session is
+            // the new one: only the state of this tab is dropped before it is taken over.
+            this.authService.logout('SESSION_REPLACED', { keepStoredSession: true });
+            this.cache.forget({ pattern: '*' });
+        }
+
+        const restoredSession = this._restoreSession();
+        if (!restoredSession) return;
+
+        if (dom.loginContainer && !dom.loginContainer.classList.contains('nf-hidden')) {
+            this.modal.close('nf_login_container');
+        }
+
+        // Open views show tickets of the previous user
+        if (replacesSession && dom.overlay && !dom.overlay.classList.contains('nf-hidden')) {
+            this._showStart();
+        }
+
+        eventBus.emit('auth:login', { id: restoredSession.userId, userId: restoredSession.userId, source: 'tab' });
+        nfLogger.info('Session taken over from another tab', { userId: restoredSession.userId });
+    }
+
+    /**
+     * Opens the portal straight into the detail view of a ticket (e.g. from a desktop notification)
+     * @private
+     * @param {number|string} ticketId - Ticket ID
+     */
+    async _openTicket(ticketId) {
+        await this._requireLogin(async () => {
+            if (dom.ticketListContainer?.classList.contains('nf-hidden')) {
+                await this.ticketList.loadAndShow();
+            }
+            
+            dom.ticketDetailContainer.setAttribute('data-ticket-id', ticketId);
+            const { showTicketDetailView } = await import('./features/tickets/detail.js');
+            await showTicketDetailView(ticketId, this.ticketService, this.modal);
         });
     }
 
+    /**
+     * Shows the outbox items in the open ticket list and ticket detail view
+     * @private
+     */
+    async _renderQueuedItems() {
+        this.ticketList?.renderQueuedTickets();
+        
+        if (dom.ticketDetailContainer && !dom.ticketDetailContainer.classList.contains('nf-hidden')) {
+            const { renderQueuedReplies } = await import('./features/tickets/detail.js');
+            renderQueuedReplies(dom.ticketDetailContainer.getAttribute('data-ticket-id'));
+        }
+    }
+
+    /**
+     * Shows a status message in the view that is currently open
+     * @private
+     * @param {string} message - Message text
+     * @param {string} type - Message type (success|error|info|warning)
+     */
+    async _showStatusInOpenView(message, type) {
+        const isOpen = (element) => element && !element.classList.contains('nf-hidden');
+        const target = isOpen(dom.ticketDetailContainer) ? 'ticketdetail'
+            : isOpen(dom.ticketListContainer) ? 'ticketlist'
+            : 'main';
+        
+        const { showStatus } = await import('./ui/status.js');
+        showStatus(message, type, target);
+    }
+
+    /**
+     * Collects remotely updated (or revalidated) tickets and refreshes the open views once per poll
+     * @private
+     * @param {number|string} ticketId - Updated ticket ID
+     */
+    _queueViewRefresh(ticketId) {
+        this.pendingTicketUpdates.add(String(ticketId));
+        if (this.pendingTicketUpdates.size > 1) return;
+        
+        // All ticket:updated events of one poll are emitted synchronously
+        queueMicrotask(() => this._refreshOpenViews());
+    }
+
+    /**
+     * Re-renders the ticket list and the ticket detail view if they show an updated ticket
+     * @private
+     */
+    async _refreshOpenViews() {
+        const ticketIds = [...this.pendingTicketUpdates];
+        this.pendingTicketUpdates.clear();
+        
+        const detailOpen = dom.ticketDetailContainer && !dom.ticketDetailContainer.classList.contains('nf-hidden');
+        const openTicketId = detailOpen ? dom.ticketDetailContainer.getAttribute('data-ticket-id') : null;
+        
+        if (openTicketId && ticketIds.includes(openTicketId)) {
+            // Re-rendering would discard what the user is typing - only point out the update
+            const isComposing = [dom.ticketDetailReplyBox, dom.ticketDetailCloseBox, dom.ticketDetailReopenBox]
+                .some(box => box?.classList.contains('nf-active'));
+            
+            if (isComposing) {
+                const { showStatus } = await import('./ui/status.js');
+                showStatus(languageManager.getMessage('ticketUpdatedRemotely'), 'info', 'ticketdetail');
+            } else {
+                const { showTicketDetailView } = await import('./features/tickets/detail.js');
+                await showTicketDetailView(openTicketId, this.ticketService, this.modal, { refresh: true });
+            }
+        }
+        
+        if (dom.ticketListContainer && !dom.ticketListContainer.classList.contains('nf-hidden')) {
+            // Keeps the pages loaded by infinite scrolling and the scroll position
+            await this.ticketList.refresh();
+        }
+    }
+
     /**
      * Exposes services globally for backward compatibility
      * @private
@@ -357,6 +668,8 @@ class App {
             window.app = this;
             window.ticketService = this.ticketService;
             window.authService = this.authService;
+            window.sessionManager = this.sessionManager;
+            window.ticketPoller = this.ticketPoller;
             window.knowledgeBaseService = this.knowledgeBaseService;
             window.cache = this.cache;
             window.modal = this.modal;
@@ -404,6 +717,9 @@ class App {
         if (NF_CONFIG.api.allowRequestType && dom.newTicketRequestType) {
             await this._loadRequestTypes();
         }
+
+        // Input of an earlier visit (closed modal, logout, reload) - the request type needs the loaded options
+        restoreNewTicketDraft();
     }
 
     /**
@@ -417,7 +733,7 @@ class App {
             const ttl = NF_CONFIG.ui.cache.requestTypeTTL;
 
             // Check cache first
-            let requestTypes = cache.get(cacheKey);
+            let requestTypes = await cache.get(cacheKey);
             if (requestTypes) {
                 nfLogger.debug('Loaded request types from cache');
                 this._populateRequestTypes(requestTypes);
@@ -428,7 +744,7 @@ class App {
             const { options, defaultValue } = await this.apiClient.getRequestTypes();
             
             // Cache the results
-            cache.set(cacheKey, { options, defaultValue }, ttl);
+            await cache.set(cacheKey, { options, defaultValue }, ttl);
             
             nfLogger.debug('Loaded request types from API', { count: options.length });
             this._populateRequestTypes({ options, defaultValue });
@@ -504,7 +820,7 @@ class App {
         if (userToken && userId) {
             // Ensure API client has the token set before proceeding
             if (this.apiClient) {
-                this.apiClient.setAuthToken(userToken);
+                this.apiClient.setAuthToken(userToken, appState.get('authType'));
             }
             next();
             return;
@@ -520,7 +836,7 @@ class App {
                 // Ensure API client has the token set after login
                 const token = appState.get('userToken');
                 if (this.apiClient && token) {
-                    this.apiClient.setAuthToken(token);
+                    this.apiClient.setAuthToken(token, appState.get('authType'));
                 }
                 next();
                 resolve();
@@ -550,12 +866,27 @@ class App {
      * @private
      */
     async _handleLoginSubmit() {
+        const strategy = this.authService.getStrategy();
+
+        if (strategy === 'oauth') {
+            try {
+                this.authService.beginOAuthLogin();
+            } catch (error) {
+                nfLogger.error('OAuth login failed', { error });
+                import('./ui/status.js').then(({ showError }) => {
+                    showError(error, 'login', 'authFailed');
+                });
+            }
+            return;
+        }
+
         const username = dom.loginUser?.value?.trim();
         const password = dom.loginPass?.value?.trim();
 
-        if (!username || !password) {
+        if ((strategy === 'basic' && !username) || !password) {
+            const messageKey = strategy === 'token' ? 'missingToken' : 'missingCredentials';
             import('./ui/status.js').then(({ showStatus }) => {
-                showStatus('Please enter both username and password', 'error', 'login');
+                showStatus(languageManager.getMessage(messageKey), 'error', 'login');
             });
             return;
         }
@@ -565,7 +896,12 @@ class App {
         });
 
         try {
-            await this.authService.authenticate(username, password);
+            if (strategy === 'token') {
+                // The password field holds the personal access token
+                await this.authService.authenticateWithToken(password, 'token');
+            } else {
+                await this.authService.authenticate(username, password);
+            }
             
             // Login successful - close login modal and hide form (synchronously)
             // Note: The auth:login event is fired by AuthService.authenticate()
@@ -580,8 +916,8 @@ class App {
         } catch (error) {
             nfLogger.error('Login failed', { error });
             
-            import('./ui/status.js').then(({ showStatus }) => {
-                showStatus(error.message || 'Login failed', 'error', 'login');
+            import('./ui/status.js').then(({ showError }) => {
+                showError(error, 'login', 'authFailed');
             });
             
             import('./ui/helpers.js').then(({ setLoading }) => {
@@ -590,6 +926,48 @@ class App {
         }
     }
 
+    /**
+     * Completes the OAuth/SSO login after the identity provider redirected back
+     * and opens the portal
+     * @private
+     */
+    async _completeOAuthLogin() {
+        try {
+            await this.authService.completeOAuthLogin();
+            this._showStart();
+            nfLogger.info('OAuth login successful');
+        } catch (error) {
+            nfLogger.error('OAuth login failed', { error });
+            this._showStart();
+            this._showLogin();
+            import('./ui/status.js').then(({ showError }) => {
+                showError(error, 'login', 'authFailed');
+            });
+        }
+    }
+
+    /**
+     * Drops back to the login view after the session expired or ended in another tab.
+     * Only shown if the portal is currently open.
+     * @private
+     * @param {string} [messageKey='sessionExpired'] - Message shown in the login form
+     */
+    _handleSessionExpired(messageKey = 'sessionExpired') {
+        const galleryOverlay = document.getElementById('nf_gallery_overlay');
+        if (galleryOverlay && galleryOverlay.classList.contains('nf-gallery-active')) {
+            closeGallery();
+        }
+
+        if (!dom.overlay || dom.overlay.classList.contains('nf-hidden')) {
+            return;
+        }
+
+        this._showLogin();
+        import('./ui/status.js').then(({ showStatus }) => {
+            showStatus(languageManager.getMessage(messageKey), 'info', 'login');
+        });
+    }
+
     /**
      * Resets login state
      * @private
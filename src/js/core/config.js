@@ -33,7 +33,31 @@ const NF_CONFIG = {
      * @property {string} knowledgeBase.flavor - Knowledge base flavor (public/private)
      * @property {number} timeout - Request timeout in milliseconds
      * @property {number} retryAttempts - Number of retry attempts for failed requests
+     * @property {Object} retry - Retry policy (see api/retry-policy.js)
+     * @property {number} retry.baseDelay - Wait before the first retry in milliseconds, doubled for every further retry
+     * @property {number} retry.maxDelay - Upper limit of a single wait in milliseconds (longer Retry-After values are not waited for)
+     * @property {number} retry.jitter - Random deviation of each wait (0 = none, 0.5 = ±50%)
+     * @property {Array<number>} retry.statuses - Response statuses that are retried (429 is always retried)
+     * @property {Array<string>} retry.methods - Methods retried after network errors and retryable statuses
+     * @property {Object} retry.ticketCreation - Safeguard against duplicate tickets when resending a ticket
+     * @property {boolean} retry.ticketCreation.enabled - Whether ticket creation is retried after checking that the earlier attempt did not create the ticket
+     * @property {number} retry.ticketCreation.lookback - Tolerance in milliseconds for clock differences when looking for the earlier ticket
+     * @property {string|null} retry.ticketCreation.idempotencyHeader - Header carrying a unique key per ticket (only if a proxy in front of Zammad supports it)
+     * @property {Object} uploads - Attachment uploads into the Zammad upload cache (see features/upload/upload-queue.js)
+     * @property {boolean} uploads.enabled - Whether attachments are uploaded with progress before sending (otherwise they are sent base64 encoded)
+     * @property {number} uploads.concurrency - Number of files uploaded at the same time
+     * @property {number} uploads.timeout - Timeout of a single file upload in milliseconds
+     * @property {Object} outbox - Sending of tickets and replies queued while offline (see api/outbox.js)
+     * @property {number} outbox.retryDelay - Wait before the outbox tries again after the server was not reachable, doubled for every further try
+     * @property {number} outbox.maxRetryDelay - Upper limit of the wait between two tries in milliseconds
      * @property {boolean} allowRequestType - Whether to allow the user to pick the request type of their ticket
+     * @property {Object} auth - Authentication strategy settings
+     * @property {string} auth.strategy - Login strategy ('basic', 'token' or 'oauth')
+     * @property {Object} auth.oauth - OAuth/SSO redirect settings (only used with strategy 'oauth')
+     * @property {string} auth.oauth.authorizeUrl - Authorization endpoint of the identity provider
+     * @property {string} auth.oauth.clientId - Client ID registered with the identity provider
+     * @property {string} auth.oauth.redirectUri - Redirect URI (defaults to the current page)
+     * @property {string} auth.oauth.scope - Requested scope
      */
     api: {
         baseUrl: 'https://helpdesk.yourdomain.de/api/v1',
@@ -44,10 +68,50 @@ const NF_CONFIG = {
         },
         timeout: 10000,
         retryAttempts: 3,
+        // Retries use exponential backoff with jitter and honor Retry-After.
+        // Only idempotent methods are resent - a repeated POST could create a ticket twice.
+        retry: {
+            baseDelay: TIMING_CONSTANTS.RETRY_DELAY_MS,
+            maxDelay: 10 * 1000,
+            jitter: 0.5,
+            statuses: [408, 429, 502, 503, 504],
+            methods: ['GET', 'HEAD', 'OPTIONS'],   // PUT is left out: state changes may add an article
+            ticketCreation: {
+                enabled: true,              // Look for the ticket before sending it again
+                lookback: 2 * 60 * 1000,    // Clock difference tolerated between browser and Zammad
+                idempotencyHeader: null     // e.g. 'Idempotency-Key' (must be allowed by CORS)
+            }
+        },
+        // Attachments are uploaded file by file (multipart, with progress) before the ticket or reply is sent.
+        // Disable to send them base64 encoded within the article request instead.
+        uploads: {
+            enabled: true,
+            concurrency: 3,
+            timeout: 5 * 60 * 1000          // Per file - api.timeout is too short for large files
+        },
+        // Queued items are sent when the browser goes online or the tab becomes visible, and retried
+        // with backoff in between - the online event alone misses a server that comes back by itself.
+        outbox: {
+            retryDelay: 15 * 1000,
+            maxRetryDelay: 5 * 60 * 1000
+        },
         // If you want to use this feature, make sure that in Zammad you have a custom object with the name "type" and the format "Single selection field". 
         // This way, the user can choose the request type of his ticket. (E.g.: General request, Issue, Question, ...)
         // Check the filters.allowedRequestTypes to see which request types are allowed to be chosen (further below in the file).
-        allowRequestType: true
+        allowRequestType: true,
+        // Authentication strategy:
+        // 'basic' - username/password, credentials are kept in memory only (login required after reload)
+        // 'token' - Zammad personal access token (Profile > Token Access), the token is persisted
+        // 'oauth' - redirect to an OAuth/SSO provider which returns a bearer token, the token is persisted
+        auth: {
+            strategy: 'basic',
+            oauth: {
+                authorizeUrl: '',
+                clientId: '',
+                redirectUri: '',
+                scope: ''
+            }
+        }
     },
 
     /**
@@ -118,9 +182,47 @@ const NF_CONFIG = {
      * @property {number} debounceTimeout - Debounce timeout for search in milliseconds
      * @property {Object} login - Login-specific settings
      * @property {number} defaultGroup - Default group ID for new tickets
-     * @property {Object} cache - Cache configuration with TTL values
+     * @property {Object} cache - Cache configuration (TTL values, persistence backend and size budget)
      * @property {Object} filters - Filter and sorting configuration
      * @property {Array<string>} filters.allowedRequestTypes - Optional array of allowed request type values to show in dropdown
+     * @property {Object} pagination - Ticket list pagination settings
+     * @property {number} pagination.pageSize - Number of tickets fetched per page
+     * @property {boolean} pagination.infiniteScroll - Load the next page automatically when scrolling to the end of the list
+     * @property {Object} closeTicket - Settings for customers closing their own tickets
+     * @property {number} closeTicket.stateId - Target state ID when a customer closes a ticket
+     * @property {boolean} closeTicket.closingNote - Whether to ask for an optional closing note
+     * @property {Array<string>} closeTicket.reasons - Optional close reasons shown in a picker (labels from ui.json closeDialog.reasons)
+     * @property {Object} reopenTicket - Settings for customers reopening closed tickets
+     * @property {boolean} reopenTicket.enabled - Whether closed tickets can be reopened from the detail view
+     * @property {number} reopenTicket.stateId - Target state ID when a customer reopens a ticket
+     * @property {boolean} reopenTicket.askReason - Whether to ask for an optional reason
+     * @property {Object} liveUpdates - Background polling for ticket changes made outside the portal
+     * @property {boolean} liveUpdates.enabled - Whether open tickets are polled for updates while logged in
+     * @property {number} liveUpdates.interval - Poll interval in milliseconds
+     * @property {number} liveUpdates.maxTickets - Maximum number of open tickets checked per poll (most recently updated first)
+     * @property {number} liveUpdates.hiddenInterval - Poll interval in milliseconds while the tab is hidden and desktop notifications are enabled (otherwise polling pauses)
+     * @property {Object} notifications - Opt-in desktop notifications (requires liveUpdates)
+     * @property {boolean} notifications.enabled - Whether users can enable desktop notifications in the ticket list
+     * @property {boolean} notifications.replies - Default for notifying about agent replies
+     * @property {boolean} notifications.stateChanges - Default for notifying about ticket state changes
+     * @property {Object} offline - Offline support
+     * @property {boolean} offline.serviceWorker - Whether the service worker (src/sw.js) is registered to keep the portal and viewed tickets available offline
+     * @property {string|null} offline.scope - Service worker scope (null = src/, pages outside need the Service-Worker-Allowed header)
+     * @property {Object} tabSync - Synchronization between open portal tabs
+     * @property {boolean} tabSync.enabled - Whether login, logout, cache invalidations and ticket changes are shared with other tabs
+     * @property {Object} drafts - Autosaved drafts of the new ticket form and replies (localStorage, per user)
+     * @property {boolean} drafts.enabled - Whether unsent input is saved and restored when the form is opened again
+     * @property {number} drafts.saveDelay - Time after the last keystroke before the draft is saved in milliseconds
+     * @property {number} drafts.maxAge - Drafts not changed for this time are deleted in milliseconds
+     * @property {Object} editor - Rich text editor of the new ticket form and the reply box
+     * @property {boolean} editor.enabled - Whether tickets and replies can be formatted (sent as HTML), otherwise plain text only
+     * @property {string} editor.defaultMode - Mode until the user switches it: 'rich' or 'plain'
+     * @property {boolean} editor.inlineImages - Whether pasted images are placed into formatted text instead of being attached
+     * @property {Object} attachmentPreview - Preview of attachments in the gallery overlay (see features/gallery/attachments.js)
+     * @property {boolean} attachmentPreview.enabled - Whether PDF, text and email attachments are previewed (otherwise they are downloaded)
+     * @property {number} attachmentPreview.maxTextSize - Bytes of a text file that are shown, longer files are truncated
+     * @property {number} attachmentPreview.cacheSize - Number of loaded attachments kept in memory
+     * @property {number} attachmentPreview.timeout - Timeout for loading an attachment in milliseconds
      */
     ui: {
         // Timing settings
@@ -146,7 +248,17 @@ const NF_CONFIG = {
             currentYearClosedTicketDetailTTL: 4 * 60 * 60 * 1000, // 4 hours for closed ticket details
             archivedTicketListTTL: 30 * 24 * 60 * 60 * 1000,   // 30 days for archived tickets
             archivedTicketDetailTTL: 30 * 24 * 60 * 60 * 1000, // 30 days for archived ticket details
-            requestTypeTTL: 24 * 60 * 60 * 1000                // 24 hours for requestType options
+            requestTypeTTL: 24 * 60 * 60 * 1000,               // 24 hours for requestType options
+            // Where ticket data, search results and request types are persisted between page loads:
+            // 'indexeddb' (falls back to 'localStorage' if unavailable), 'localStorage' or 'memory' (not persisted)
+            backend: 'indexeddb',
+            maxSize: 25 * 1024 * 1024,                         // 25 MB, least recently used entries are evicted first
+            // Show cached ticket lists and details immediately and refresh them in the background
+            // if they are older than minAge (archived tickets are never refreshed)
+            staleWhileRevalidate: {
+                enabled: true,
+                minAge: 30 * 1000                              // 30 seconds
+            }
         },
 
         // Filter settings - Get status IDs from: https://helpdesk.yourdomain.com/api/v1/ticket_states
@@ -170,6 +282,78 @@ const NF_CONFIG = {
             // Values must match the "value" field from Zammad's object_manager_attributes API
             // Example: ["problem", "general_request", "procurement"]
             allowedRequestTypes: []
+        },
+
+        // Ticket list pagination - tickets are fetched page by page from the server
+        pagination: {
+            pageSize: 25,
+            infiniteScroll: true    // false = only load further pages via the "Load more" button
+        },
+
+        // Closing tickets by the customer - Get state IDs from: https://helpdesk.yourdomain.com/api/v1/ticket_states
+        // Use a state that is listed in filters.statusCategories.closed, otherwise closed tickets stay in the active list
+        closeTicket: {
+            stateId: 4,             // closed (e.g. use the ID of a custom "solved by customer" state)
+            closingNote: false,     // Ask for an optional note that is added to the ticket when closing
+            // Optional reasons shown in a picker, the chosen reason is added to the closing note
+            // Labels are taken from ui.json "closeDialog.reasons", unknown keys are shown as-is
+            // Example: ['solved', 'no_longer_needed', 'workaround']
+            reasons: []
+        },
+
+        // Reopening closed tickets (tickets whose state is in filters.statusCategories.closed)
+        reopenTicket: {
+            enabled: true,
+            stateId: 2,             // open
+            askReason: true         // Ask for an optional reason that is added to the ticket
+        },
+
+        // Live updates - polls the open tickets for changes (e.g. agent replies) while the page is visible
+        liveUpdates: {
+            enabled: true,
+            interval: 60 * 1000,    // 1 minute
+            maxTickets: 50,
+            hiddenInterval: 5 * 60 * 1000   // Keeps desktop notifications coming while the tab is in the background
+        },
+
+        // Desktop notifications - users opt in via the ticket list, the browser asks for permission
+        notifications: {
+            enabled: true,
+            replies: true,          // Notify about agent replies
+            stateChanges: true      // Notify when the state of a ticket changes (e.g. closed by an agent)
+        },
+
+        // Offline support - requires HTTPS (or localhost)
+        offline: {
+            serviceWorker: true,
+            scope: null             // e.g. '/' when the portal is embedded in a page outside src/
+        },
+
+        // Tab sync - logging out (or replying) in one tab also updates the other open tabs
+        tabSync: {
+            enabled: true
+        },
+
+        // Drafts - unsent tickets and replies survive closing the form, a logout or a reload
+        drafts: {
+            enabled: true,
+            saveDelay: 500,
+            maxAge: 7 * 24 * 60 * 60 * 1000  // 7 days
+        },
+
+        // Editor - formatted tickets and replies are sent as sanitized HTML (content_type text/html)
+        editor: {
+            enabled: true,
+            defaultMode: 'rich',                 // 'rich' or 'plain', the choice of the user is remembered
+            inlineImages: false                  // Pasted screenshots are attached unless enabled
+        },
+
+        // Attachments are loaded with the login of the user - the browser cannot open their URLs directly
+        attachmentPreview: {
+            enabled: true,                       // PDF, text and .eml files open in the gallery
+            maxTextSize: 1024 * 1024,            // 1 MB of text is shown, the rest only after download
+            cacheSize: 20,
+            timeout: 2 * 60 * 1000               // api.timeout is too short for large files
         }
     },
 
@@ -177,13 +361,25 @@ const NF_CONFIG = {
      * Security policies and file restrictions
      * @namespace NF_CONFIG.security
      * @property {number} maxFileSize - Maximum file size in bytes
+     * @property {number} maxTotalSize - Maximum size of all attachments of a ticket or reply in bytes
+     * @property {number} maxFileCount - Maximum number of attachments of a ticket or reply
      * @property {Array<string>} allowedFileTypes - Array of allowed MIME types
+     * @property {boolean} verifyFileContent - Whether the file content is checked against the file type (see features/upload/file-signature.js)
      * @property {Array<string>} imageExtensions - Array of supported image file extensions
      * @property {boolean} emailAttachmentsAllowed - Whether email attachments are permitted
-     * @property {number} sessionTimeout - Session timeout in milliseconds
+     * @property {Object} imageProcessing - Downscaling and recompression of images before upload
+     * @property {boolean} imageProcessing.enabled - Whether images are processed in the browser before they are attached
+     * @property {number} imageProcessing.maxDimension - Maximum width and height in pixels
+     * @property {number} imageProcessing.quality - Quality of JPEG and WebP images (0-1)
+     * @property {boolean} imageProcessing.stripMetadata - Whether every image is encoded again to remove EXIF and XMP data (camera, GPS position), even if it is small enough
+     * @property {Array<string>} imageProcessing.types - MIME types that are processed
+     * @property {number} sessionTimeout - Idle time in milliseconds after which the session expires
+     * @property {number} sessionWarningTime - Time in milliseconds before expiry at which the user is warned
      */
     security: {
         maxFileSize: 10 * 1024 * 1024,  // 10 MB
+        maxTotalSize: 25 * 1024 * 1024, // 25 MB for all attachments of a ticket or reply
+        maxFileCount: 10,
         allowedFileTypes: [
             'image/jpeg', 'image/png', 'image/gif', 'image/webp',
             'application/pdf', 'text/plain',
@@ -195,7 +391,21 @@ const NF_CONFIG = {
         ],
         imageExtensions: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.svg'],
         emailAttachmentsAllowed: true,  // Allow email attachments (eml files)
-        sessionTimeout: 30 * 60 * 1000  // 30 minutes
+        // Rejects files whose content does not match their type, e.g. a program renamed to .pdf.
+        // Types without a known signature (see features/upload/file-signature.js) are only checked by type.
+        verifyFileContent: true,
+
+        // Images are reduced before upload - phone photos often exceed maxFileSize
+        imageProcessing: {
+            enabled: true,
+            maxDimension: 2560,          // Longer side in pixels
+            quality: 0.85,
+            stripMetadata: true,         // Removes EXIF and XMP data including the GPS position
+            types: ['image/jpeg', 'image/png', 'image/webp']
+        },
+
+        sessionTimeout: 30 * 60 * 1000,     // 30 minutes of inactivity
+        sessionWarningTime: 60 * 1000       // Warn 1 minute before the session expires
     },
 
     /**
@@ -226,13 +436,76 @@ const NF_CONFIG = {
         if (!this.api?.baseUrl) errors.push('api.baseUrl is required');
         if (!this.api?.retryAttempts) errors.push('api.retryAttempts is required');
         if (!this.api?.timeout) errors.push('api.timeout is required');
+        if (!(this.api?.retry?.baseDelay >= 0) || !(this.api?.retry?.maxDelay >= this.api?.retry?.baseDelay)) errors.push('api.retry.maxDelay must not be smaller than api.retry.baseDelay');
+        if (!(this.api?.retry?.jitter >= 0 && this.api.retry.jitter <= 1)) errors.push('api.retry.jitter must be between 0 and 1');
+        if (this.api?.uploads?.enabled && !(this.api.uploads.concurrency > 0)) errors.push('api.uploads.concurrency must be greater than 0');
+        if (this.api?.uploads?.enabled && !(this.api.uploads.timeout > 0)) errors.push('api.uploads.timeout must be greater than 0');
+        if (!(this.api?.outbox?.retryDelay > 0) || !(this.api.outbox.maxRetryDelay >= this.api.outbox.retryDelay)) errors.push('api.outbox.maxRetryDelay must not be smaller than api.outbox.retryDelay');
         if (!this.system?.supportEmail) errors.push('system.supportEmail is required');
         if (!this.ui?.statusMessageDuration) errors.push('ui.statusMessageDuration is required');
         if (!this.ui?.defaultGroup) errors.push('ui.defaultGroup is required');
         if (!this.ui?.login?.maxAttempts) errors.push('ui.login.maxAttempts is required');
         if (!this.ui?.cache?.searchResultsTTL) errors.push('ui.cache.searchResultsTTL is required');
+        if (!['indexeddb', 'localStorage', 'memory'].includes(this.ui?.cache?.backend)) errors.push(`ui.cache.backend '${this.ui?.cache?.backend}' is not supported`);
+        if (!(this.ui?.cache?.maxSize > 0)) errors.push('ui.cache.maxSize must be greater than 0');
+        if (this.ui?.cache?.staleWhileRevalidate?.enabled && !(this.ui.cache.staleWhileRevalidate.minAge >= 0)) errors.push('ui.cache.staleWhileRevalidate.minAge must not be negative');
         if (!this.ui?.filters?.statusCategories?.active) errors.push('ui.filters.statusCategories.active is required');
         if (!this.ui?.filters?.statusCategories?.closed) errors.push('ui.filters.statusCategories.closed is required');
+        if (!(this.ui?.pagination?.pageSize > 0)) errors.push('ui.pagination.pageSize must be greater than 0');
+        if (!this.ui?.closeTicket?.stateId) errors.push('ui.closeTicket.stateId is required');
+        if (this.ui?.reopenTicket?.enabled && !this.ui.reopenTicket.stateId) errors.push('ui.reopenTicket.stateId is required when reopening is enabled');
+        if (this.ui?.liveUpdates?.enabled && !(this.ui.liveUpdates.interval > 0)) errors.push('ui.liveUpdates.interval must be greater than 0');
+        if (this.ui?.liveUpdates?.enabled && !(this.ui.liveUpdates.maxTickets > 0)) errors.push('ui.liveUpdates.maxTickets must be greater than 0');
+        if (this.ui?.liveUpdates?.enabled && !(this.ui.liveUpdates.hiddenInterval >= this.ui.liveUpdates.interval)) errors.push('ui.liveUpdates.hiddenInterval must not be smaller than ui.liveUpdates.interval');
+        if (this.ui?.drafts?.enabled && !(this.ui.drafts.saveDelay >= 0)) errors.push('ui.drafts.saveDelay must not be negative');
+        if (this.ui?.attachmentPreview?.enabled && !(this.ui.attachmentPreview.maxTextSize > 0)) errors.push('ui.attachmentPreview.maxTextSize must be greater than 0');
+        if (this.ui?.editor?.defaultMode && !['rich', 'plain'].includes(this.ui.editor.defaultMode)) {
+            errors.push(`ui.editor.defaultMode '${this.ui.editor.defaultMode}' is not supported`);
+        }
+        if (this.security?.imageProcessing?.enabled) {
+            const { maxDimension, quality } = this.security.imageProcessing;
+            if (!(maxDimension > 0)) errors.push('security.imageProcessing.maxDimension must be greater than 0');
+            if (!(quality > 0 && quality <= 1)) errors.push('security.imageProcessing.quality must be between 0 and 1');
+        }
+        if (!(this.security?.maxTotalSize >= this.security?.maxFileSize)) errors.push('security.maxTotalSize must not be smaller than security.maxFileSize');
+        if (!(this.security?.maxFileCount > 0)) errors.push('security.maxFileCount must be greater than 0');
+        if (!this.security?.sessionTimeout) errors.push('security.sessionTimeout is required');
+        
+        // Authentication validation
+        const authStrategy = this.api?.auth?.strategy || 'basic';
+        if (!['basic', 'token', 'oauth'].includes(authStrategy)) {
+            errors.push(`api.auth.strategy '${authStrategy}' is not supported`);
+        }
+        if (authStrategy === 'oauth') {
+            if (!this.api.auth.oauth?.authorizeUrl) errors.push('api.auth.oauth.authorizeUrl is required for the oauth strategy');
+            if (!this.api.auth.oauth?.clientId) errors.push('api.auth.oauth.clientId is required for the oauth strategy');
+        }
+        
+        // Retry validation
+        if (this.api?.retry?.methods?.some(method => ['POST', 'PATCH'].includes(method.toUpperCase()))) {
+            warnings.push('api.retry.methods contains non-idempotent methods - replies may be created twice');
+        }
+        
+        // Close state validation
+        if (this.ui?.closeTicket?.stateId && !this.ui?.filters?.statusCategories?.closed?.includes(this.ui.closeTicket.stateId)) {
+            warnings.push('ui.closeTicket.stateId is not part of ui.filters.statusCategories.closed');
+        }
+        if (this.ui?.reopenTicket?.enabled && !this.ui?.filters?.statusCategories?.active?.includes(this.ui.reopenTicket.stateId)) {
+            warnings.push('ui.reopenTicket.stateId is not part of ui.filters.statusCategories.active');
+        }
+        
+        // Live update validation
+        if (this.ui?.liveUpdates?.enabled && this.ui.liveUpdates.interval < 15 * 1000) {
+            warnings.push('ui.liveUpdates.interval below 15 seconds causes unnecessary load on the Zammad server');
+        }
+        if (this.ui?.notifications?.enabled && !this.ui?.liveUpdates?.enabled) {
+            warnings.push('ui.notifications requires ui.liveUpdates to be enabled');
+        }
+        
+        // Session validation
+        if (this.security?.sessionWarningTime >= this.security?.sessionTimeout) {
+            warnings.push('security.sessionWarningTime should be shorter than security.sessionTimeout');
+        }
         
         // Language validation
         if (!this.language?.current) {
@@ -15,7 +15,8 @@ export const TIMING_CONSTANTS = {
     RETRY_DELAY_MS: 500,
     IMAGE_LOAD_TIMEOUT_MS: 2000,
     LANGUAGE_LOAD_TIMEOUT_MS: 2000,
-    CONFIG_REINIT_DELAY_MS: 100
+    CONFIG_REINIT_DELAY_MS: 100,
+    SESSION_ACTIVITY_PERSIST_MS: 30000
 };
 
 /**
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Minimal promise wrappers around IndexedDB
+ * @author danielknng
+ * @module core/idb
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+/**
+ * Checks whether IndexedDB can be used in this browser
+ * @returns {boolean} True if IndexedDB is available
+ */
+export function isIndexedDBAvailable() {
+    try {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch (e) {
+        // Some browsers throw when accessing indexedDB with storage disabled
+        return false;
+    }
+}
+
+/**
+ * Opens (and if necessary creates or upgrades) a database
+ * @param {string} name - Database name
+ * @param {number} version - Database version
+ * @param {Function} upgrade - Called with (db, oldVersion, transaction) when the schema needs to be created or upgraded
+ * @returns {Promise<IDBDatabase>} Opened database
+ */
+export function openDatabase(name, version, upgrade) {
+    return new Promise((resolve, reject) => {
+        if (!isIndexedDBAvailable()) {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion, request.transaction);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error(`Database ${name} is blocked by another tab`));
+    });
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+export function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs a callback inside a transaction and resolves once the transaction has completed
+ * @param {IDBDatabase} db - Database
+ * @param {string|Array<string>} storeNames - Object store(s) used by the transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Called with the transaction, its return value is resolved
+ * @returns {Promise<*>} Value returned by the callback (awaited)
+ */
+export function withTransaction(db, storeNames, mode, callback) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        let result;
+
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+
+        Promise.resolve(callback(transaction))
+            .then(value => { result = value; })
+            .catch(error => {
+                transaction.abort();
+                reject(error);
+            });
+    });
+}
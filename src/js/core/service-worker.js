@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Registration of the offline service worker (src/sw.js)
+ * @author danielknng
+ * @module core/service-worker
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { NF_CONFIG } from './config.js';
+import nfLogger from './logger.js';
+
+/**
+ * Service worker script, resolved relative to this module so it works from any page path
+ * @constant {URL}
+ */
+const SERVICE_WORKER_URL = new URL('../../sw.js', import.meta.url);
+
+/**
+ * Registration promise (null until registered)
+ * @private
+ */
+let registrationPromise = null;
+
+/**
+ * Offline service worker handling.
+ * The worker precaches the app shell and keeps the last ticket/article responses for offline use.
+ *
+ * @namespace ServiceWorkerManager
+ */
+export const ServiceWorkerManager = {
+    /**
+     * Checks whether service workers can be used on this page
+     * @returns {boolean} True if supported and enabled in NF_CONFIG.ui.offline
+     */
+    isAvailable() {
+        return typeof navigator !== 'undefined' && 'serviceWorker' in navigator &&
+            typeof window !== 'undefined' && window.isSecureContext &&
+            !!NF_CONFIG.ui.offline?.serviceWorker;
+    },
+
+    /**
+     * Registers the service worker. The API base URL is passed as query parameter,
+     * so changing it in the config also updates the worker.
+     * @returns {Promise<ServiceWorkerRegistration|null>} Registration or null if not available
+     */
+    register() {
+        if (registrationPromise) return registrationPromise;
+        if (!this.isAvailable()) return Promise.resolve(null);
+
+        const scriptUrl = new URL(SERVICE_WORKER_URL);
+        scriptUrl.searchParams.set('api', new URL(NF_CONFIG.api.baseUrl, window.location.href).href);
+
+        const options = NF_CONFIG.ui.offline.scope ? { scope: NF_CONFIG.ui.offline.scope } : undefined;
+
+        registrationPromise = navigator.serviceWorker.register(scriptUrl.href, options)
+            .then(registration => {
+                nfLogger.debug('Service worker registered', { scope: registration.scope });
+                return registration;
+            })
+            .catch(error => {
+                // e.g. page outside the worker scope without Service-Worker-Allowed header
+                nfLogger.warn('Service worker registration failed', { error: error.message });
+                registrationPromise = null;
+                return null;
+            });
+
+        return registrationPromise;
+    },
+
+    /**
+     * Removes the cached API responses (on logout)
+     * @returns {Promise<void>}
+     */
+    async clearApiCache() {
+        if (!registrationPromise) return;
+
+        const registration = await registrationPromise;
+        const worker = registration?.active || navigator.serviceWorker.controller;
+        if (worker) {
+            worker.postMessage({ type: 'nf:clear-api-cache' });
+            nfLogger.debug('Offline API cache cleared');
+        }
+    }
+};
+
+export default ServiceWorkerManager;
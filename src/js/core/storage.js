@@ -9,6 +9,18 @@
 import nfLogger from './logger.js';
 import languageManager from '../i18n/manager.js';
 
+/**
+ * Prefix of the per-user key holding the ticket read state
+ * @constant {string}
+ */
+export const TICKET_READ_STATE_PREFIX = 'nf_ticket_read_';
+
+/**
+ * Maximum number of tickets whose read state is kept per user
+ * @constant {number}
+ */
+const TICKET_READ_STATE_LIMIT = 500;
+
 /**
  * Wrapper object for safe localStorage access with automatic error handling
  * Prevents crashes if storage is full or localStorage is disabled
@@ -70,6 +82,40 @@ export const Storage = {
             nfLogger.warn(message, { key, error: e.message });
             return false;
         }
+    },
+    
+    /**
+     * Loads the read state of all tickets of a user
+     * @param {number|string} userId - User ID
+     * @returns {Object<string, Object>} Read state per ticket ID ({ articleCount, lastArticleId, updatedAt, seenAt })
+     */
+    getTicketReadState(userId) {
+        return this.get(`${TICKET_READ_STATE_PREFIX}${userId}`, {}) || {};
+    },
+    
+    /**
+     * Stores what the user has last seen of one or more tickets.
+     * Only the most recently seen tickets are kept (TICKET_READ_STATE_LIMIT).
+     * @param {number|string} userId - User ID
+     * @param {Object<string, Object>} seenTickets - Last seen state per ticket ID ({ articleCount, lastArticleId, updatedAt })
+     * @returns {boolean} true on success, false on error
+     */
+    setTicketReadState(userId, seenTickets) {
+        const readState = this.getTicketReadState(userId);
+        const seenAt = Date.now();
+        Object.entries(seenTickets).forEach(([ticketId, seen]) => {
+            readState[ticketId] = { ...seen, seenAt };
+        });
+        
+        const ticketIds = Object.keys(readState);
+        if (ticketIds.length > TICKET_READ_STATE_LIMIT) {
+            ticketIds
+                .sort((a, b) => readState[a].seenAt - readState[b].seenAt)
+                .slice(0, ticketIds.length - TICKET_READ_STATE_LIMIT)
+                .forEach(id => delete readState[id]);
+        }
+        
+        return this.set(`${TICKET_READ_STATE_PREFIX}${userId}`, readState);
     }
 };
 
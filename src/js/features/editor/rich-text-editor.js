@@ -0,0 +1,463 @@
+/**
+ * @fileoverview Lightweight rich text editor for ticket bodies and replies
+ * @author danielknng
+ * @module features/editor/rich-text-editor
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { NF_CONFIG } from '../../core/config.js';
+import Storage from '../../core/storage.js';
+import nfLogger from '../../core/logger.js';
+import languageManager from '../../i18n/manager.js';
+import { show, hide } from '../../ui/helpers.js';
+import { sanitizeHtml, textToHtml, htmlToText, escapeHtml, isSafeUrl } from '../../utils/sanitize.js';
+import { fileToBase64, getPastedImages } from '../upload/file-handler.js';
+
+/**
+ * Storage key of the editor mode chosen by the user ('rich' or 'plain')
+ * @constant {string}
+ */
+const MODE_STORAGE_KEY = 'nf_editor_mode';
+
+/**
+ * Sanitizer rules for the editor content - only the formatting the toolbar can produce is sent
+ * @constant {Object}
+ */
+export const EDITOR_SANITIZER = {
+    allowedTags: ['p', 'div', 'br', 'strong', 'b', 'em', 'i', 'u', 's', 'ul', 'ol', 'li', 'a', 'code', 'pre', 'blockquote'],
+    allowedAttributes: { a: ['href'] },
+    allowedStyles: []
+};
+
+/**
+ * Sanitizer rules if pasted images are placed inline (NF_CONFIG.ui.editor.inlineImages) - only
+ * embedded images are kept, Zammad stores them as inline attachments of the article
+ * @constant {Object}
+ */
+export const INLINE_IMAGE_SANITIZER = {
+    ...EDITOR_SANITIZER,
+    allowedTags: [...EDITOR_SANITIZER.allowedTags, 'img'],
+    allowedAttributes: { ...EDITOR_SANITIZER.allowedAttributes, img: ['src', 'alt'] },
+    allowedImageSchemes: ['data']
+};
+
+/**
+ * Toolbar buttons: label key (ui.json editor.*) and symbol shown on the button
+ * @constant {Array<{command: string, symbol: string}>}
+ */
+const TOOLBAR_COMMANDS = [
+    { command: 'bold', symbol: 'B' },
+    { command: 'italic', symbol: 'I' },
+    { command: 'bulletList', symbol: '•' },
+    { command: 'numberedList', symbol: '1.' },
+    { command: 'link', symbol: '🔗' },
+    { command: 'code', symbol: '</>' },
+    { command: 'quote', symbol: '❝' }
+];
+
+/**
+ * Commands whose state (active at the cursor) is shown with aria-pressed
+ * @constant {Object<string, string>}
+ */
+const STATE_COMMANDS = {
+    bold: 'bold',
+    italic: 'italic',
+    bulletList: 'insertUnorderedList',
+    numberedList: 'insertOrderedList'
+};
+
+/**
+ * Rich text editor
+ * Replaces a textarea by a contenteditable area with a small toolbar (bold, italic, lists,
+ * links, code, quotes). The textarea stays in the form and is shown again in plain text mode,
+ * which users can switch to (stored per browser) and which is used if the editor is
+ * disabled (NF_CONFIG.ui.editor.enabled) or not supported.
+ *
+ * value is always HTML, so drafts can be restored in either mode. getContent() returns
+ * what is sent to Zammad: sanitized HTML (text/html) or the plain text (text/plain).
+ * The toolbar labels are set by UIInit.initEditors().
+ *
+ * @class RichTextEditor
+ */
+export class RichTextEditor {
+    /**
+     * @param {HTMLTextAreaElement} textarea - Textarea to enhance
+     * @param {Object} [options] - Editor options
+     * @param {Function} [options.onPasteImages] - Called with the pasted image files (see getPastedImages), in both modes
+     */
+    constructor(textarea, { onPasteImages = null } = {}) {
+        /** @type {HTMLTextAreaElement} */
+        this.textarea = textarea;
+        /** @type {HTMLElement|null} Editable area (null if the editor is not available) */
+        this.content = null;
+        /** @type {HTMLElement|null} */
+        this.toolbar = null;
+        /** @type {string} Current mode ('rich' or 'plain') */
+        this.mode = 'plain';
+
+        /** @private */
+        this._required = textarea.required;
+        /** @private */
+        this._onPasteImages = onPasteImages;
+        /** @private */
+        this._sanitizer = NF_CONFIG.ui.editor?.inlineImages ? INLINE_IMAGE_SANITIZER : EDITOR_SANITIZER;
+
+        textarea.addEventListener('paste', event => this._handleImagePaste(event));
+
+        if (RichTextEditor.isAvailable()) {
+            this._render();
+            this.setMode(Storage.get(MODE_STORAGE_KEY) || NF_CONFIG.ui.editor?.defaultMode || 'rich', { remember: false });
+        }
+    }
+
+    /**
+     * Checks whether the rich text mode can be used
+     * @returns {boolean} True if the editor is enabled and the browser supports editing HTML
+     */
+    static isAvailable() {
+        if (NF_CONFIG.ui.editor?.enabled === false || typeof document === 'undefined') return false;
+        return typeof document.execCommand === 'function' && 'contentEditable' in document.documentElement;
+    }
+
+    /**
+     * Gets the content as HTML (also in plain text mode)
+     * @returns {string} HTML, empty if nothing was entered
+     */
+    get value() {
+        if (this.mode === 'plain') return textToHtml(this.textarea.value.trim() ? this.textarea.value : '');
+        return this.isEmpty() ? '' : sanitizeHtml(this.content.innerHTML, this._sanitizer);
+    }
+
+    /**
+     * Replaces the content
+     * @param {string} html - HTML (e.g. a restored draft), converted to text in plain text mode
+     */
+    set value(html) {
+        if (this.mode === 'plain') {
+            this.textarea.value = htmlToText(html);
+        } else {
+            this.content.innerHTML = sanitizeHtml(html || '', this._sanitizer);
+        }
+    }
+
+    /**
+     * Gets the content to send to Zammad
+     * @returns {{body: string, contentType: string}} Article body and content type
+     */
+    getContent() {
+        if (this.mode === 'plain') {
+            return { body: this.textarea.value.trim(), contentType: 'text/plain' };
+        }
+        return { body: this.value, contentType: 'text/html' };
+    }
+
+    /**
+     * Checks whether nothing was entered
+     * @returns {boolean} True if the editor contains no text
+     */
+    isEmpty() {
+        if (this.mode === 'plain') return !this.textarea.value.trim();
+        return !this.content.textContent.trim() && !this.content.querySelector('img');
+    }
+
+    /**
+     * Checks whether pasted images are placed into the text (otherwise they are attached)
+     * @returns {boolean} True if inline images are enabled and the editor is in rich text mode
+     */
+    canInlineImages() {
+        return this.mode === 'rich' && this._sanitizer === INLINE_IMAGE_SANITIZER;
+    }
+
+    /**
+     * Inserts an image at the cursor, embedded as data URL
+     * @param {File} file - Image file (validated by the caller)
+     * @returns {Promise<void>}
+     */
+    async insertImage(file) {
+        const data = await fileToBase64(file);
+        this.content.focus();
+        document.execCommand('insertHTML', false,
+            sanitizeHtml(`<img src="data:${escapeHtml(file.type)};base64,${data}" alt="${escapeHtml(file.name)}">`, this._sanitizer));
+    }
+
+    /**
+     * Empties the editor
+     */
+    clear() {
+        this.textarea.value = '';
+        if (this.content) this.content.innerHTML = '';
+    }
+
+    /**
+     * Moves the focus into the editor
+     */
+    focus() {
+        (this.mode === 'plain' ? this.textarea : this.content).focus();
+    }
+
+    /**
+     * Checks whether the editor has the focus
+     * @returns {boolean} True if the user is typing in the editor
+     */
+    hasFocus() {
+        return document.activeElement === this.textarea || (!!this.content && document.activeElement === this.content);
+    }
+
+    /**
+     * Listens to changes in both modes (used by drafts)
+     * @param {string} type - Event type ('input' or 'change')
+     * @param {Function} listener - Event listener
+     */
+    addEventListener(type, listener) {
+        this.textarea.addEventListener(type, listener);
+        this.content?.addEventListener(type, listener);
+    }
+
+    /**
+     * Switches between rich text and plain text, the content is converted
+     * @param {string} mode - 'rich' or 'plain'
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.remember=true] - Store the mode for the next visits
+     */
+    setMode(mode, { remember = true } = {}) {
+        const nextMode = mode === 'plain' || !this.content ? 'plain' : 'rich';
+        if (nextMode !== this.mode) {
+            const html = this.value;
+            this.mode = nextMode;
+            this.value = html;
+        }
+
+        const rich = this.mode === 'rich';
+        rich ? hide(this.textarea) : show(this.textarea);
+        if (this.content) rich ? show(this.content) : hide(this.content);
+        this.textarea.required = this._required && !rich;
+
+        this.toolbar?.querySelectorAll('[data-command]').forEach(button => {
+            button.disabled = !rich;
+        });
+        this.toolbar?.querySelector('[data-mode]')?.setAttribute('aria-pressed', String(!rich));
+
+        if (remember) Storage.set(MODE_STORAGE_KEY, this.mode);
+    }
+
+    /**
+     * Creates the toolbar and the editable area around the textarea
+     * @private
+     */
+    _render() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'nf-editor';
+
+        this.toolbar = document.createElement('div');
+        this.toolbar.className = 'nf-editor-toolbar';
+        this.toolbar.setAttribute('role', 'toolbar');
+
+        TOOLBAR_COMMANDS.forEach(({ command, symbol }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `nf-editor-btn nf-editor-btn--${command}`;
+            button.dataset.command = command;
+            button.textContent = symbol;
+            if (STATE_COMMANDS[command]) button.setAttribute('aria-pressed', 'false');
+            this.toolbar.appendChild(button);
+        });
+
+        const modeButton = document.createElement('button');
+        modeButton.type = 'button';
+        modeButton.className = 'nf-editor-btn nf-editor-btn--mode';
+        modeButton.dataset.mode = 'plain';
+        modeButton.setAttribute('aria-pressed', 'false');
+        this.toolbar.appendChild(modeButton);
+
+        this.content = document.createElement('div');
+        this.content.className = 'nf-editor-content';
+        this.content.contentEditable = 'true';
+        this.content.setAttribute('role', 'textbox');
+        this.content.setAttribute('aria-multiline', 'true');
+        if (this._required) this.content.setAttribute('aria-required', 'true');
+
+        this.textarea.before(wrapper);
+        wrapper.append(this.toolbar, this.content, this.textarea);
+
+        // Keep the selection in the editor while a toolbar button is clicked
+        this.toolbar.addEventListener('mousedown', event => {
+            if (event.target.closest('[data-command]')) event.preventDefault();
+        });
+        this.toolbar.addEventListener('click', event => {
+            const button = event.target.closest('button');
+            if (!button) return;
+            if (button.dataset.mode) {
+                this.setMode(this.mode === 'plain' ? 'rich' : 'plain');
+                this.focus();
+            } else {
+                this._execute(button.dataset.command);
+            }
+        });
+
+        this.content.addEventListener('keydown', event => this._handleKeydown(event));
+        this.content.addEventListener('paste', event => this._handlePaste(event));
+        this.content.addEventListener('focus', () => document.execCommand('defaultParagraphSeparator', false, 'p'));
+        ['keyup', 'mouseup', 'input'].forEach(type => {
+            this.content.addEventListener(type, () => this._updateToolbarState());
+        });
+    }
+
+    /**
+     * Runs a toolbar command on the current selection
+     * @private
+     * @param {string} command - Command from TOOLBAR_COMMANDS
+     */
+    _execute(command) {
+        this.content.focus();
+
+        switch (command) {
+            case 'bold':
+            case 'italic':
+                document.execCommand(command);
+                break;
+            case 'bulletList':
+            case 'numberedList':
+                document.execCommand(STATE_COMMANDS[command]);
+                break;
+            case 'quote':
+                document.execCommand('formatBlock', false, this._isInside('blockquote') ? 'p' : 'blockquote');
+                break;
+            case 'code':
+                this._insertCode();
+                break;
+            case 'link':
+                this._insertLink();
+                break;
+            default:
+                return;
+        }
+
+        this._updateToolbarState();
+        this.content.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Formats the selection as inline code, or as code block if it spans several lines
+     * @private
+     */
+    _insertCode() {
+        const text = window.getSelection()?.toString() || '';
+        const code = `<code>${escapeHtml(text || '\u200b')}</code>`;
+        document.execCommand('insertHTML', false, text.includes('\n') ? `<pre>${code}</pre>` : code);
+    }
+
+    /**
+     * Asks for a URL and links the selection (or inserts the URL as link)
+     * @private
+     */
+    _insertLink() {
+        const labels = languageManager.getLanguageData()?.ui?.editor || {};
+        const selection = window.getSelection();
+        const range = selection?.rangeCount ? selection.getRangeAt(0).cloneRange() : null;
+
+        const input = window.prompt(labels.linkPrompt || 'URL', 'https://');
+        if (!input || !input.trim() || input.trim() === 'https://') return;
+
+        let url = input.trim();
+        if (!/^[a-z][a-z0-9+.-]*:/i.test(url)) url = `https://${url}`;
+        if (!isSafeUrl(url)) {
+            nfLogger.warn('Link with unsupported scheme ignored', { url });
+            return;
+        }
+
+        // The prompt took the focus - restore the selection first
+        this.content.focus();
+        if (range) {
+            selection.removeAllRanges();
+            selection.addRange(range);
+        }
+
+        if (range && !range.collapsed) {
+            document.execCommand('createLink', false, url);
+        } else {
+            document.execCommand('insertHTML', false, `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`);
+        }
+    }
+
+    /**
+     * Keyboard shortcuts (Ctrl/Cmd+B and +I are handled by the browser)
+     * @private
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    _handleKeydown(event) {
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+            event.preventDefault();
+            this._execute('link');
+        }
+    }
+
+    /**
+     * Inserts pasted content sanitized - formatting of other applications is reduced to the editor's
+     * @private
+     * @param {ClipboardEvent} event - Paste event
+     */
+    _handlePaste(event) {
+        const clipboard = event.clipboardData;
+        if (!clipboard || this._handleImagePaste(event)) return;
+
+        event.preventDefault();
+        const html = clipboard.getData('text/html');
+        if (html) {
+            document.execCommand('insertHTML', false, sanitizeHtml(html, this._sanitizer));
+        } else {
+            document.execCommand('insertText', false, clipboard.getData('text/plain'));
+        }
+    }
+
+    /**
+     * Passes pasted images (e.g. screenshots) to the onPasteImages option
+     * @private
+     * @param {ClipboardEvent} event - Paste event
+     * @returns {boolean} True if images were pasted
+     */
+    _handleImagePaste(event) {
+        if (!this._onPasteImages) return false;
+
+        const images = getPastedImages(event);
+        if (images.length === 0) return false;
+
+        event.preventDefault();
+        this._onPasteImages(images);
+        return true;
+    }
+
+    /**
+     * Checks whether the cursor is inside an element
+     * @private
+     * @param {string} tagName - Lowercase tag name
+     * @returns {boolean} True if an ancestor of the selection has the tag
+     */
+    _isInside(tagName) {
+        let node = window.getSelection()?.anchorNode || null;
+        while (node && node !== this.content) {
+            if (node.nodeName?.toLowerCase() === tagName) return true;
+            node = node.parentNode;
+        }
+        return false;
+    }
+
+    /**
+     * Marks the toolbar buttons whose formatting is active at the cursor
+     * @private
+     */
+    _updateToolbarState() {
+        Object.entries(STATE_COMMANDS).forEach(([command, stateCommand]) => {
+            const button = this.toolbar.querySelector(`[data-command="${command}"]`);
+            let active = false;
+            try {
+                active = document.queryCommandState(stateCommand);
+            } catch (e) {
+                // Not supported - the button just shows no state
+            }
+            button?.setAttribute('aria-pressed', String(active));
+        });
+    }
+}
+
+export default RichTextEditor;
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Authenticated loading, preview type detection and download of ticket attachments
+ * @author danielknng
+ * @module features/gallery/attachments
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { apiGet, createHttpError, formatAuthorization } from '../../api/http.js';
+import { NF_CONFIG } from '../../core/config.js';
+import appState from '../../state/store.js';
+import nfLogger from '../../core/logger.js';
+
+/**
+ * Preview kinds of attachments
+ * @constant {Object<string, string>}
+ */
+export const PREVIEW_KIND = {
+    IMAGE: 'image',
+    PDF: 'pdf',
+    TEXT: 'text',
+    EMAIL: 'email'
+};
+
+/**
+ * File extensions of the document previews, used if Zammad reports no or a generic MIME type
+ * @constant {Object<string, string>}
+ */
+const EXTENSION_KINDS = {
+    '.pdf': PREVIEW_KIND.PDF,
+    '.txt': PREVIEW_KIND.TEXT,
+    '.log': PREVIEW_KIND.TEXT,
+    '.csv': PREVIEW_KIND.TEXT,
+    '.eml': PREVIEW_KIND.EMAIL
+};
+
+/**
+ * Loaded attachments by URL, the oldest entry is dropped first
+ * @private
+ * @type {Map<string, Promise<Blob>>}
+ */
+const blobCache = new Map();
+
+/**
+ * Gets the preview kind of an attachment
+ * @param {string} mimeType - MIME type reported by Zammad (may be empty)
+ * @param {string} filename - File name
+ * @param {boolean} isImage - Whether the attachment is shown as image
+ * @returns {string|null} Kind from PREVIEW_KIND or null if it can only be downloaded
+ */
+export function getPreviewKind(mimeType, filename, isImage) {
+    if (isImage) return PREVIEW_KIND.IMAGE;
+    if (NF_CONFIG.ui.attachmentPreview?.enabled === false) return null;
+
+    if (mimeType === 'application/pdf') return PREVIEW_KIND.PDF;
+    if (mimeType === 'message/rfc822') return PREVIEW_KIND.EMAIL;
+    if (mimeType === 'text/plain' || mimeType === 'text/csv') return PREVIEW_KIND.TEXT;
+
+    const extension = ((filename || '').toLowerCase().match(/\.[^.]+$/) || [''])[0];
+    return EXTENSION_KINDS[extension] || null;
+}
+
+/**
+ * Loads an attachment with the Authorization header of the logged in user - the browser cannot
+ * open attachment URLs by itself
+ * @param {string} url - Attachment URL
+ * @returns {Promise<Blob>} Content of the attachment
+ * @throws {Error} API_ATTACHMENT_FETCH_FAILED if Zammad does not return the attachment
+ */
+export function loadAttachment(url) {
+    if (blobCache.has(url)) {
+        // Re-insert to keep recently used attachments longest
+        const cached = blobCache.get(url);
+        blobCache.delete(url);
+        blobCache.set(url, cached);
+        return cached;
+    }
+
+    const config = NF_CONFIG.ui.attachmentPreview || {};
+    const promise = (async () => {
+        const response = await apiGet(url, {
+            headers: { 'Authorization': formatAuthorization(appState.get('userToken'), appState.get('authType')) }
+        }, undefined, config.timeout);
+        if (!response.ok) {
+            throw await createHttpError(response, 'ATTACHMENT_FETCH_FAILED', 'Error loading attachment');
+        }
+        return response.blob();
+    })();
+
+    blobCache.set(url, promise);
+    // Failed loads are not cached, the next attempt loads again
+    promise.catch(() => {
+        if (blobCache.get(url) === promise) blobCache.delete(url);
+    });
+
+    const maxEntries = config.cacheSize ?? 20;
+    while (blobCache.size > maxEntries) {
+        blobCache.delete(blobCache.keys().next().value);
+    }
+
+    return promise;
+}
+
+/**
+ * Downloads an attachment under its file name
+ * @param {string} url - Attachment URL
+ * @param {string} filename - File name to save as
+ * @returns {Promise<void>}
+ */
+export async function downloadAttachment(url, filename) {
+    const blob = await loadAttachment(url);
+    const objectUrl = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = filename || 'attachment';
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Revoked later - some browsers start reading the URL only after click() returned
+    setTimeout(() => URL.revokeObjectURL(objectUrl), 60 * 1000);
+    nfLogger.debug('Attachment downloaded', { filename, size: blob.size });
+}
+
+/**
+ * Drops all loaded attachments, e.g. on logout
+ */
+export function clearAttachmentCache() {
+    blobCache.clear();
+}
+
+export default loadAttachment;
@@ -1,27 +1,31 @@
 /**
- * @fileoverview Internal gallery view for ticket attachments
+ * @fileoverview Internal gallery view for ticket attachments (images, PDF, text and email previews)
  * @author danielknng
  * @module features/gallery/viewer
  * @since 2025-01-XX
  * @version 2.0.0
  */
 
-import { apiGet, apiFetch } from '../../api/http.js';
 import { NF_CONFIG } from '../../core/config.js';
 import { TIMING_CONSTANTS } from '../../core/constants.js';
 import { dom } from '../../ui/dom.js';
-import appState from '../../state/store.js';
 import { show, hide, setLoading } from '../../ui/helpers.js';
 import { Modal } from '../../ui/modal.js';
 import { FocusUtils } from '../../utils/focus.js';
+import { parseEmail, EMAIL_PREVIEW_HEADERS } from '../../utils/email-parser.js';
+import { translateError } from '../../i18n/error-translator.js';
+import languageManager from '../../i18n/manager.js';
 import nfLogger from '../../core/logger.js';
+import { loadAttachment, downloadAttachment, PREVIEW_KIND } from './attachments.js';
 
 /**
  * Gallery state management
  * @private
  */
-let galleryImages = [];
+let galleryItems = [];
 let currentImageIndex = 0;
+/** @private Object URL of the shown image or PDF, revoked when it is replaced */
+let currentObjectUrl = null;
 
 /**
  * Opens the internal gallery view for an image
@@ -35,11 +39,11 @@ export async function openGallery(imageUrl, allImages = [], startIndex = 0) {
         return;
     }
     
-    galleryImages = allImages.filter(img => isImageFile(img.url));
-    currentImageIndex = galleryImages.findIndex(img => img.url === imageUrl);
+    galleryItems = allImages.filter(img => isImageFile(img.url));
+    currentImageIndex = galleryItems.findIndex(img => img.url === imageUrl);
     if (currentImageIndex === -1) {
         currentImageIndex = 0;
-        galleryImages = [{ url: imageUrl, name: 'Attachment' }];
+        galleryItems = [{ url: imageUrl, name: 'Attachment' }];
     }
     
     const overlay = document.getElementById('nf_gallery_overlay');
@@ -49,7 +53,7 @@ export async function openGallery(imageUrl, allImages = [], startIndex = 0) {
         return;
     }
     
-    await displayCurrentImage();
+    await displayCurrentItem();
     updateGalleryNavigation();
     show(overlay);
     overlay.classList.add('nf-gallery-active');
@@ -85,6 +89,10 @@ export function closeGallery() {
         overlay.setAttribute('aria-hidden', 'true');
         overlay.classList.remove('nf-blur-bg');
         
+        // Stops the embedded PDF viewer and frees the loaded file
+        showPreviewElement(null);
+        revokeObjectUrl();
+        
         // Restore the ticket detail modal as the active modal
         const ticketDetailContainer = document.getElementById('nf_ticketdetail_container');
         if (ticketDetailContainer && !ticketDetailContainer.classList.contains('nf-hidden')) {
@@ -119,51 +127,111 @@ export function closeGallery() {
     }, TIMING_CONSTANTS.TRANSITION_DURATION_MS);
 }
 
+/**
+ * Creates an object URL for a loaded attachment and revokes the previous one
+ * @private
+ * @param {Blob} blob - Loaded attachment
+ * @returns {string} Object URL
+ */
+function createObjectUrl(blob) {
+    revokeObjectUrl();
+    currentObjectUrl = URL.createObjectURL(blob);
+    return currentObjectUrl;
+}
+
+/**
+ * Revokes the object URL of the shown attachment
+ * @private
+ */
+function revokeObjectUrl() {
+    if (currentObjectUrl) URL.revokeObjectURL(currentObjectUrl);
+    currentObjectUrl = null;
+}
+
 /**
  * Loads an authenticated image for gallery display
  * @private
  * @param {string} imageUrl - URL of the image to load
- * @returns {Promise<string>} Data URL of the loaded image
+ * @returns {Promise<string>} Object URL of the loaded image
  */
 async function loadAuthenticatedImage(imageUrl) {
     try {
-        const userToken = appState.get('userToken');
-        const response = await apiFetch(imageUrl, {
-            method: 'GET',
-            headers: { 'Authorization': `Basic ${userToken}` },
-        });
-        
-        if (!(response instanceof Response)) {
-            throw new Error('Image could not be loaded');
-        }
-        
-        const blob = await response.blob();
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = reject;
-            reader.readAsDataURL(blob);
-        });
+        return createObjectUrl(await loadAttachment(imageUrl));
     } catch (err) {
         throw new Error('Image could not be loaded');
     }
 }
 
 /**
- * Displays the current image in the gallery
+ * Shows the element for a preview kind and hides the others
  * @private
+ * @param {string|null} kind - Kind from PREVIEW_KIND, null hides all
  */
-async function displayCurrentImage() {
+function showPreviewElement(kind) {
     const image = document.getElementById('nf_gallery_image');
+    const documentFrame = document.getElementById('nf_gallery_document');
+    const textPane = document.getElementById('nf_gallery_text');
+    
+    image?.classList.toggle('nf-hidden', kind !== PREVIEW_KIND.IMAGE);
+    documentFrame?.classList.toggle('nf-hidden', kind !== PREVIEW_KIND.PDF);
+    textPane?.classList.toggle('nf-hidden', kind !== PREVIEW_KIND.TEXT && kind !== PREVIEW_KIND.EMAIL);
+    
+    if (documentFrame && kind !== PREVIEW_KIND.PDF) documentFrame.removeAttribute('src');
+}
+
+/**
+ * Shows an error in the gallery (the status area of the detail view is covered)
+ * @private
+ * @param {string} message - Localized message, empty hides the error
+ */
+function setGalleryError(message) {
+    const error = document.getElementById('nf_gallery_error');
+    if (!error) return;
+    error.textContent = message || '';
+    error.classList.toggle('nf-hidden', !message);
+}
+
+/**
+ * Displays the current attachment in the gallery
+ * @private
+ */
+async function displayCurrentItem() {
     const info = document.getElementById('nf_gallery_info');
-    if (!image || !galleryImages[currentImageIndex]) return;
+    const current = galleryItems[currentImageIndex];
+    if (!current) return;
+    
+    const kind = current.kind || PREVIEW_KIND.IMAGE;
+    setGalleryError('');
+    showPreviewElement(kind);
+    
+    if (kind === PREVIEW_KIND.IMAGE) {
+        await displayImage(current);
+    } else {
+        await displayDocument(current, kind);
+    }
+    
+    // Show info if multiple attachments
+    if (info && galleryItems.length > 1) {
+        info.textContent = `${currentImageIndex + 1} of ${galleryItems.length}`;
+        show(info);
+    } else if (info) {
+        hide(info);
+    }
+}
+
+/**
+ * Displays an image attachment
+ * @private
+ * @param {Object} currentImage - Gallery item ({ url, name })
+ */
+async function displayImage(currentImage) {
+    const image = document.getElementById('nf_gallery_image');
+    if (!image) return;
     
-    const currentImage = galleryImages[currentImageIndex];
     setLoading(true);
     
     try {
-        const dataUrl = await loadAuthenticatedImage(currentImage.url);
-        image.src = dataUrl;
+        image.src = await loadAuthenticatedImage(currentImage.url);
         image.alt = currentImage.name || 'Attachment';
         await new Promise((resolve, reject) => {
             image.onload = resolve;
@@ -185,13 +253,91 @@ async function displayCurrentImage() {
     } finally {
         setLoading(false);
     }
+}
+
+/**
+ * Displays a PDF, text or email attachment
+ * @private
+ * @param {Object} item - Gallery item ({ url, name, kind })
+ * @param {string} kind - Kind from PREVIEW_KIND
+ */
+async function displayDocument(item, kind) {
+    const documentFrame = document.getElementById('nf_gallery_document');
+    const headerList = document.getElementById('nf_gallery_email_headers');
+    const textContent = document.getElementById('nf_gallery_text_content');
+    if (!documentFrame || !headerList || !textContent) return;
     
-    // Show info if multiple images
-    if (info && galleryImages.length > 1) {
-        info.textContent = `${currentImageIndex + 1} of ${galleryImages.length}`;
-        show(info);
-    } else if (info) {
-        hide(info);
+    headerList.innerHTML = '';
+    hide(headerList);
+    textContent.textContent = '';
+    
+    setLoading(true);
+    try {
+        const blob = await loadAttachment(item.url);
+        
+        if (kind === PREVIEW_KIND.PDF) {
+            // Typed explicitly: the browser only uses its PDF viewer, a disguised HTML file is never rendered
+            documentFrame.title = item.name || '';
+            documentFrame.src = createObjectUrl(new Blob([blob], { type: 'application/pdf' }));
+        } else if (kind === PREVIEW_KIND.EMAIL) {
+            renderEmail(parseEmail(await blob.arrayBuffer()), headerList, textContent);
+        } else {
+            const maxSize = NF_CONFIG.ui.attachmentPreview?.maxTextSize ?? 1024 * 1024;
+            textContent.textContent = await blob.slice(0, maxSize).text();
+            if (blob.size > maxSize) {
+                textContent.textContent += `\n\n${languageManager.getLabel('gallery.truncated', { size: `${Math.round(maxSize / 1024)} KB` })}`;
+            }
+        }
+    } catch (error) {
+        nfLogger.warn('Attachment preview could not be loaded', { name: item.name, error: error.message });
+        setGalleryError(translateError(error, 'errorLoadAttachment'));
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Renders a parsed email: header fields as list, the text below
+ * @private
+ * @param {Object} mail - Result of parseEmail()
+ * @param {HTMLElement} headerList - Definition list for the header fields
+ * @param {HTMLElement} textContent - Element for the text
+ */
+function renderEmail(mail, headerList, textContent) {
+    const addField = (label, value) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const description = document.createElement('dd');
+        description.textContent = value;
+        headerList.appendChild(term);
+        headerList.appendChild(description);
+    };
+    
+    EMAIL_PREVIEW_HEADERS.forEach(name => {
+        if (mail.headers[name]) addField(languageManager.getLabel(`gallery.emailHeaders.${name}`), mail.headers[name]);
+    });
+    if (mail.attachments.length > 0) {
+        addField(languageManager.getLabel('gallery.emailAttachments'), mail.attachments.join(', '));
+    }
+    
+    show(headerList);
+    textContent.textContent = mail.text;
+}
+
+/**
+ * Downloads the current attachment
+ * @private
+ */
+async function downloadCurrentItem() {
+    const current = galleryItems[currentImageIndex];
+    if (!current) return;
+    
+    setGalleryError('');
+    try {
+        await downloadAttachment(current.url, current.name);
+    } catch (error) {
+        nfLogger.warn('Attachment could not be downloaded', { name: current.name, error: error.message });
+        setGalleryError(translateError(error, 'errorDownloadAttachment'));
     }
 }
 
@@ -204,7 +350,7 @@ function updateGalleryNavigation() {
     const nextBtn = document.getElementById('nf_gallery_next');
     if (!prevBtn || !nextBtn) return;
     
-    if (galleryImages.length <= 1) {
+    if (galleryItems.length <= 1) {
         hide(prevBtn);
         hide(nextBtn);
         return;
@@ -221,7 +367,7 @@ function updateGalleryNavigation() {
         prevBtn.style.cursor = 'pointer';
     }
     
-    if (currentImageIndex === galleryImages.length - 1) {
+    if (currentImageIndex === galleryItems.length - 1) {
         nextBtn.style.opacity = '0.5';
         nextBtn.style.cursor = 'not-allowed';
     } else {
@@ -236,7 +382,7 @@ function updateGalleryNavigation() {
 export async function galleryPrevious() {
     if (currentImageIndex > 0) {
         currentImageIndex--;
-        await displayCurrentImage();
+        await displayCurrentItem();
         updateGalleryNavigation();
     }
 }
@@ -245,9 +391,9 @@ export async function galleryPrevious() {
  * Navigate to next image
  */
 export async function galleryNext() {
-    if (currentImageIndex < galleryImages.length - 1) {
+    if (currentImageIndex < galleryItems.length - 1) {
         currentImageIndex++;
-        await displayCurrentImage();
+        await displayCurrentItem();
         updateGalleryNavigation();
     }
 }
@@ -283,17 +429,17 @@ export function isImageFile(url) {
 
 /**
  * Opens the internal gallery view specifically for ticket attachments
- * @param {string} imageUrl - URL of the image to display
- * @param {Array} allImages - Array of all available images for navigation
+ * @param {string} attachmentUrl - URL of the attachment to display
+ * @param {Array<Object>} allItems - Previewable attachments for navigation ({ url, name, kind }, kind from PREVIEW_KIND)
  */
-export async function openGalleryForAttachment(imageUrl, allImages = []) {
+export async function openGalleryForAttachment(attachmentUrl, allItems = []) {
     setLoading(true);
     try {
-        galleryImages = allImages;
-        currentImageIndex = galleryImages.findIndex(img => img.url === imageUrl);
+        galleryItems = allItems;
+        currentImageIndex = galleryItems.findIndex(item => item.url === attachmentUrl);
         if (currentImageIndex === -1) {
             currentImageIndex = 0;
-            galleryImages = [{ url: imageUrl, name: 'Attachment' }];
+            galleryItems = [{ url: attachmentUrl, name: 'Attachment' }];
         }
         
         const overlay = document.getElementById('nf_gallery_overlay');
@@ -303,7 +449,7 @@ export async function openGalleryForAttachment(imageUrl, allImages = []) {
             return;
         }
         
-        await displayCurrentImage();
+        await displayCurrentItem();
         updateGalleryNavigation();
         overlay.classList.remove('nf-hidden');
         overlay.style.display = 'flex';
@@ -328,6 +474,7 @@ function initializeGalleryEvents() {
     const closeBtn = document.getElementById('nf_gallery_close');
     const prevBtn = document.getElementById('nf_gallery_prev');
     const nextBtn = document.getElementById('nf_gallery_next');
+    const downloadBtn = document.getElementById('nf_gallery_download');
     
     if (!overlay) return;
     
@@ -339,6 +486,11 @@ function initializeGalleryEvents() {
         closeBtn.onclick = closeGallery;
     }
     
+    // Download button
+    if (downloadBtn) {
+        downloadBtn.onclick = downloadCurrentItem;
+    }
+    
     // Navigation buttons
     if (prevBtn) {
         prevBtn.onclick = galleryPrevious;
@@ -369,6 +521,7 @@ function cleanupGalleryEvents() {
     const closeBtn = document.getElementById('nf_gallery_close');
     const prevBtn = document.getElementById('nf_gallery_prev');
     const nextBtn = document.getElementById('nf_gallery_next');
+    const downloadBtn = document.getElementById('nf_gallery_download');
     
     if (overlay && overlay._galleryKeyHandler) {
         overlay.removeEventListener('keydown', overlay._galleryKeyHandler);
@@ -378,6 +531,7 @@ function cleanupGalleryEvents() {
     if (closeBtn) closeBtn.onclick = null;
     if (prevBtn) prevBtn.onclick = null;
     if (nextBtn) nextBtn.onclick = null;
+    if (downloadBtn) downloadBtn.onclick = null;
 }
 
 
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Opt-in browser desktop notifications for ticket updates
+ * @author danielknng
+ * @module features/notifications/desktop
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { NF_CONFIG } from '../../core/config.js';
+import Storage from '../../core/storage.js';
+import nfLogger from '../../core/logger.js';
+import eventBus from '../../state/events.js';
+import { dom } from '../../ui/dom.js';
+import { stateLabel, show, hide } from '../../ui/helpers.js';
+import { showStatus } from '../../ui/status.js';
+import languageManager from '../../i18n/manager.js';
+
+/**
+ * localStorage key of the notification preferences
+ * @constant {string}
+ */
+const PREFERENCES_KEY = 'nf_notification_prefs';
+
+/**
+ * Determines what kind of change a polled ticket update is
+ * @private
+ * @param {Object} change - Change from the ticket poller ({ ticket, previous })
+ * @returns {string|null} 'reply', 'state' or null if nothing worth notifying
+ */
+function getChangeKind({ ticket, previous }) {
+    // New in the open tickets (e.g. created by mail) - nothing the user has to be told about
+    if (!previous) return null;
+
+    // No longer an open ticket (e.g. closed by an agent)
+    if (!ticket) return 'state';
+
+    const hasAgentContact = ticket.last_contact_agent_at !== undefined;
+    if (hasAgentContact && ticket.last_contact_agent_at && ticket.last_contact_agent_at !== previous.last_contact_agent_at) {
+        return 'reply';
+    }
+    if (!hasAgentContact && ticket.article_count > previous.article_count) {
+        return 'reply';
+    }
+    if (ticket.state_id !== previous.state_id) {
+        return 'state';
+    }
+
+    return null;
+}
+
+/**
+ * Checks whether the user is already looking at the ticket
+ * @private
+ * @param {number|string} ticketId - Ticket ID
+ * @returns {boolean} True if the ticket detail view of this ticket is open in a focused window
+ */
+function isTicketInView(ticketId) {
+    const detail = dom.ticketDetailContainer;
+    return document.hasFocus() &&
+        !!detail && !detail.classList.contains('nf-hidden') &&
+        detail.getAttribute('data-ticket-id') === String(ticketId);
+}
+
+/**
+ * Desktop notifications for agent replies and state changes detected by the ticket poller.
+ * Notifications are opt-in: the user enables them in the ticket list, which asks for the
+ * browser permission. The choice is stored in localStorage.
+ *
+ * @namespace DesktopNotifications
+ */
+export const DesktopNotifications = {
+    /**
+     * Checks whether the browser supports the Notifications API
+     * @returns {boolean} True if notifications are supported
+     */
+    isSupported() {
+        return typeof window !== 'undefined' && 'Notification' in window;
+    },
+
+    /**
+     * Checks whether notifications can be offered at all (supported, configured and live updates running)
+     * @returns {boolean} True if notifications are available
+     */
+    isAvailable() {
+        return this.isSupported() && !!NF_CONFIG.ui.notifications?.enabled && !!NF_CONFIG.ui.liveUpdates?.enabled;
+    },
+
+    /**
+     * Loads the notification preferences (configured defaults merged with the stored choice)
+     * @returns {Object} Preferences ({ enabled, replies, stateChanges })
+     */
+    getPreferences() {
+        const { replies = true, stateChanges = true } = NF_CONFIG.ui.notifications || {};
+        return { enabled: false, replies, stateChanges, ...Storage.get(PREFERENCES_KEY, {}) };
+    },
+
+    /**
+     * Stores notification preferences
+     * @param {Object} preferences - Preferences to change ({ enabled, replies, stateChanges })
+     */
+    setPreferences(preferences) {
+        Storage.set(PREFERENCES_KEY, { ...this.getPreferences(), ...preferences });
+    },
+
+    /**
+     * Checks whether notifications are currently shown
+     * @returns {boolean} True if enabled by the user and permitted by the browser
+     */
+    isEnabled() {
+        return this.isAvailable() && this.getPreferences().enabled && Notification.permission === 'granted';
+    },
+
+    /**
+     * Enables notifications, asking for the browser permission if necessary.
+     * Must be called from a user interaction.
+     * @returns {Promise<boolean>} True if notifications are enabled
+     */
+    async enable() {
+        if (!this.isAvailable()) return false;
+
+        const permission = Notification.permission === 'default'
+            ? await Notification.requestPermission()
+            : Notification.permission;
+        const granted = permission === 'granted';
+
+        this.setPreferences({ enabled: granted });
+        nfLogger.info('Desktop notifications permission', { permission });
+
+        return granted;
+    },
+
+    /**
+     * Disables notifications
+     */
+    disable() {
+        this.setPreferences({ enabled: false });
+    },
+
+    /**
+     * Shows a notification for a polled ticket change if the user wants to be told about it
+     * @param {Object} change - Change from the ticket poller ({ ticketId, ticket, previous })
+     */
+    notify(change) {
+        if (!this.isEnabled() || isTicketInView(change.ticketId)) return;
+
+        const kind = getChangeKind(change);
+        const preferences = this.getPreferences();
+        if (!kind || (kind === 'reply' && !preferences.replies) || (kind === 'state' && !preferences.stateChanges)) {
+            return;
+        }
+
+        const ticket = change.ticket || change.previous;
+        const placeholders = {
+            number: ticket.number || ticket.id,
+            title: ticket.title || '',
+            state: change.ticket ? stateLabel(change.ticket.state_id) : ''
+        };
+
+        const title = kind === 'reply'
+            ? languageManager.getMessage('notificationReplyTitle', placeholders)
+            : languageManager.getMessage('notificationStateTitle', placeholders);
+        const body = kind === 'state' && change.ticket
+            ? languageManager.getMessage('notificationStateBody', placeholders)
+            : placeholders.title;
+
+        try {
+            const notification = new Notification(title, {
+                body,
+                tag: `nf-ticket-${change.ticketId}`,
+                icon: NF_CONFIG.system.assets?.triggerButtonImage,
+                lang: languageManager.getCurrentLocale()
+            });
+
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+                eventBus.emit('notification:clicked', { ticketId: change.ticketId });
+            };
+        } catch (error) {
+            // e.g. Android Chrome only allows notifications from a service worker
+            nfLogger.warn('Failed to show desktop notification', { error: error.message });
+        }
+    },
+
+    /**
+     * Sets up the opt-in checkbox in the ticket list
+     */
+    initToggle() {
+        if (!dom.ticketListNotify || !dom.ticketListNotifyToggle) return;
+
+        if (!this.isAvailable()) {
+            hide(dom.ticketListNotify);
+            return;
+        }
+
+        show(dom.ticketListNotify);
+        dom.ticketListNotifyToggle.checked = this.isEnabled();
+
+        dom.ticketListNotifyToggle.onchange = async () => {
+            if (!dom.ticketListNotifyToggle.checked) {
+                this.disable();
+                return;
+            }
+
+            const enabled = await this.enable();
+            dom.ticketListNotifyToggle.checked = enabled;
+            if (!enabled) {
+                showStatus(languageManager.getMessage('notificationsBlocked'), 'warning', 'ticketlist');
+            }
+        };
+    }
+};
+
+export default DesktopNotifications;
@@ -11,6 +11,8 @@ import { cloneTemplate } from '../../utils/template.js';
 import { NF_CONFIG } from '../../core/config.js';
 import { dom } from '../../ui/dom.js';
 import { debounce } from '../../utils/debounce.js';
+import { sanitizeHtml } from '../../utils/sanitize.js';
+import { isCancelledRequest } from '../../api/http.js';
 import nfLogger from '../../core/logger.js';
 
 /**
@@ -25,6 +27,8 @@ export class KnowledgeBaseSearch {
         this.kbService = kbService;
         this.minLength = NF_CONFIG.ui.searchMinLength;
         this.debouncedSearch = null;
+        /** @type {AbortController|null} Controller of the running search (latest wins) */
+        this.searchController = null;
     }
 
     /**
@@ -37,16 +41,7 @@ export class KnowledgeBaseSearch {
         
         // Create debounced search function
         const debounceTimeout = NF_CONFIG.ui.debounceTimeout;
-        this.debouncedSearch = debounce(async (query) => {
-            try {
-                nfLogger.debug('Performing search', { query });
-                const res = await this.kbService.search(query);
-                await this.showSearchDropdown(res, query);
-            } catch (error) {
-                nfLogger.warn('Search failed', { query, error: error.message });
-                await this.showSearchDropdown({ results: [], highlights: {} }, query);
-            }
-        }, debounceTimeout);
+        this.debouncedSearch = debounce((query) => this.runSearch(query), debounceTimeout);
         
         // Event listeners
         dom.searchInput.addEventListener('input', (e) => this.handleSearchInput(e));
@@ -61,6 +56,8 @@ export class KnowledgeBaseSearch {
      */
     handleSearchInput(e) {
         const val = e.target.value.trim();
+        // Results of the previous input are outdated as soon as the user types
+        this.cancelSearch();
         if (val.length < this.minLength) {
             this.hideSearchDropdown();
             return;
@@ -68,6 +65,39 @@ export class KnowledgeBaseSearch {
         this.debouncedSearch(val);
     }
 
+    /**
+     * Searches the knowledge base and shows the results.
+     * Latest wins: a search still running for a previous query is cancelled.
+     * @param {string} query - Search query
+     */
+    async runSearch(query) {
+        this.cancelSearch();
+        const controller = new AbortController();
+        this.searchController = controller;
+        
+        try {
+            nfLogger.debug('Performing search', { query });
+            const res = await this.kbService.search(query, { signal: controller.signal });
+            // Cached results resolve without a request - a newer query may have started meanwhile
+            if (controller.signal.aborted) return;
+            await this.showSearchDropdown(res, query);
+        } catch (error) {
+            if (controller.signal.aborted || isCancelledRequest(error)) return;
+            nfLogger.warn('Search failed', { query, error: error.message });
+            await this.showSearchDropdown({ results: [], highlights: {} }, query);
+        } finally {
+            if (this.searchController === controller) this.searchController = null;
+        }
+    }
+
+    /**
+     * Cancels the running search, if any
+     */
+    cancelSearch() {
+        this.searchController?.abort();
+        this.searchController = null;
+    }
+
     /**
      * Handles search keyboard events
      * @private
@@ -78,11 +108,10 @@ export class KnowledgeBaseSearch {
             e.preventDefault();
             const val = e.target.value.trim();
             if (val.length < this.minLength) return;
-            this.kbService.search(val)
-                .then(res => this.showSearchDropdown(res, val))
-                .catch(() => this.showSearchDropdown({ results: [], highlights: {} }, val));
+            this.runSearch(val);
         }
         if (e.key === 'Escape') {
+            this.cancelSearch();
             this.hideSearchDropdown();
         }
     }
@@ -258,14 +287,14 @@ export class KnowledgeBaseSearch {
                 
                 const titleElem = div.querySelector('.nf-search-result-title');
                 if (titleElem) {
-                    titleElem.innerHTML = title;
+                    titleElem.innerHTML = sanitizeHtml(title);
                     titleElem.removeAttribute('href');
                     titleElem.removeAttribute('tabindex');
                     titleElem.style.cursor = 'inherit';
                 }
                 const summaryElem = div.querySelector('.nf-search-result-summary');
                 if (summaryElem) {
-                    summaryElem.innerHTML = summary;
+                    summaryElem.innerHTML = sanitizeHtml(summary);
                 }
                 
                 // Construct URL for the article
@@ -8,16 +8,53 @@
 
 import { dom } from '../../ui/dom.js';
 import { setLoading } from '../../ui/helpers.js';
-import { showStatus } from '../../ui/status.js';
+import { showStatus, showError } from '../../ui/status.js';
 import { TicketService } from '../../api/tickets.js';
+import { isNetworkError, isOffline } from '../../api/http.js';
+import ticketOutbox, { canResend } from '../../api/outbox.js';
 import { Modal } from '../../ui/modal.js';
+import { FormDraft } from './drafts.js';
+import { RichTextEditor } from '../editor/rich-text-editor.js';
+import { UploadQueue } from '../upload/upload-queue.js';
 import { 
     handleAttachFiles, 
     handleReplyAttachmentChange, 
     updateReplyFilePreview, 
-    clearReplyFilePreview 
+    clearReplyFilePreview,
+    addPastedImages,
+    getUploadQueue,
+    validateFiles
 } from '../upload/file-handler.js';
 import nfLogger from '../../core/logger.js';
+import { NF_CONFIG } from '../../core/config.js';
+import { AppError } from '../../utils/errors.js';
+import languageManager from '../../i18n/manager.js';
+
+/**
+ * Editor of the reply box
+ * @private
+ * @constant {RichTextEditor}
+ */
+const replyEditor = new RichTextEditor(dom.ticketDetailReplyInput, {
+    onPasteImages: images => addPastedImages(images, replyEditor, 'ticketdetail')
+});
+
+/**
+ * Autosaved reply drafts, one per ticket
+ * @private
+ * @constant {FormDraft}
+ */
+const replyDraft = new FormDraft(() => {
+    const ticketId = dom.ticketDetailContainer?.getAttribute('data-ticket-id');
+    return ticketId ? `reply_${ticketId}` : null;
+}, { text: replyEditor }, { hint: dom.ticketDetailReplyDraftHint, replace: true });
+
+/**
+ * Set while a reply is being sent - attachments upload without the loader, so the reply box stays clickable
+ * @private
+ * @type {boolean}
+ */
+let sendingReply = false;
 
 /**
  * Sets up the reply user interface for ticket replies
@@ -29,6 +66,9 @@ export function setupReplyInterface(ticketService, modal) {
     
     if (!replyToggle) return;
     
+    // Set up again when the open ticket is refreshed - the user may be typing a reply
+    const wasTyping = replyEditor.hasFocus();
+    
     replyToggle.style.display = '';
     dom.ticketDetailReplyBox.classList.remove('nf-active');
     dom.ticketDetailReplyBox.style.display = 'none';
@@ -37,9 +77,19 @@ export function setupReplyInterface(ticketService, modal) {
         replyToggle.style.display = 'none';
         dom.ticketDetailReplyBox.classList.add('nf-active');
         dom.ticketDetailReplyBox.style.display = '';
-        dom.ticketDetailReplyInput.focus();
+        replyEditor.focus();
     };
     
+    // Load the draft of this ticket - an unsent reply is shown right away
+    replyDraft.start();
+    replyDraft.restore();
+    if (!replyEditor.isEmpty()) {
+        replyToggle.style.display = 'none';
+        dom.ticketDetailReplyBox.classList.add('nf-active');
+        dom.ticketDetailReplyBox.style.display = '';
+        if (wasTyping) replyEditor.focus();
+    }
+    
     let replyBtn = dom.ticketDetailReplyBox.querySelector('#nf_ticketdetail_replybtn');
     let attachBtn = dom.ticketDetailReplyBox.querySelector('#nf_ticketdetail_attachbtn');
     let cancelBtn = dom.ticketDetailReplyBox.querySelector('#nf_ticketdetail_replycancel');
@@ -61,38 +111,99 @@ export function setupReplyInterface(ticketService, modal) {
  * @param {Modal} modal - Modal instance
  */
 async function handleReplySend(ticketService, modal) {
-    const text = dom.ticketDetailReplyInput.value.trim();
-    if (!text) return;
+    const { body: text, contentType } = replyEditor.getContent();
+    if (!text || sendingReply) return;
     
-    setLoading(true);
+    sendingReply = true;
     try {
         const ticketId = dom.ticketDetailContainer.getAttribute('data-ticket-id');
         const files = dom.ticketDetailAttachment?.files || null;
         
-        await ticketService.sendReply(ticketId, text, files);
+        if (files && files.length > 0) {
+            try {
+                await validateFiles(files);
+            } catch (error) {
+                throw new AppError(languageManager.getMessage('fileValidationFailed', { error: error.message }), 'FILE_VALIDATION_FAILED');
+            }
+        }
+        
+        // Without connection the reply is kept in the outbox and sent later
+        if (isOffline() && ticketOutbox.isAvailable()) {
+            setLoading(true);
+            await queueReply(ticketId, text, files, contentType);
+            return;
+        }
+        
+        // Attachments sent without upload cache are added after the article - remember how far it got
+        let articleId = null;
+        let sentAttachments = 0;
+        try {
+            // Attachments go into the upload cache first, their progress is shown in the file preview
+            let formId = null;
+            if (files && files.length > 0 && UploadQueue.isEnabled()) {
+                formId = await getUploadQueue('ticketdetail').upload(files, ticketService);
+            }
+            setLoading(true);
+            await ticketService.sendReply(ticketId, text, files, null, contentType, formId, {
+                onArticleCreated: article => { articleId = article.id; },
+                onAttachmentSent: () => { sentAttachments++; }
+            });
+        } catch (error) {
+            // A reply that timed out may have been posted - it is not queued to avoid sending it twice
+            if (!isNetworkError(error) || !canResend('reply', error) || !ticketOutbox.isAvailable()) throw error;
+            setLoading(true);
+            // The outbox only sends what is missing once the article exists
+            const missingFiles = articleId ? Array.from(files || []).slice(sentAttachments) : files;
+            await queueReply(ticketId, text, missingFiles, contentType, articleId);
+            return;
+        }
         
         nfLogger.debug('Ticket detail cache invalidated after reply', { ticketId });
         
         showStatus('Reply sent!', 'success', 'ticketdetail');
-        dom.ticketDetailReplyInput.value = '';
-        clearReplyFilePreview();
-        dom.ticketDetailReplyBox.classList.remove('nf-active');
-        dom.ticketDetailReplyBox.style.display = 'none';
-        
-        const replyToggle = document.getElementById('nf_ticketdetail_replytoggle');
-        if (replyToggle) replyToggle.style.display = '';
+        resetReplyBox();
         
         // Reload ticket detail view
         const { showTicketDetailView } = await import('./detail.js');
         await showTicketDetailView(ticketId, ticketService, modal);
     } catch (err) {
         nfLogger.error('Error sending reply', { error: err });
-        showStatus('Error sending reply: ' + err.message, 'error', 'ticketdetail');
+        showError(err, 'ticketdetail', 'errorSendReply');
     } finally {
         setLoading(false);
+        sendingReply = false;
     }
 }
 
+/**
+ * Stores a reply in the outbox, it is shown as pending in the detail view until it was sent
+ * @param {number|string} ticketId - Ticket ID
+ * @param {string} text - Reply text
+ * @param {FileList|Array<File>|null} files - Attachments
+ * @param {string} contentType - Content type of the text ('text/plain' or 'text/html')
+ * @param {number|null} [articleId=null] - Article that was already created, only the attachments are queued
+ */
+async function queueReply(ticketId, text, files, contentType, articleId = null) {
+    await ticketOutbox.queueReply(ticketId, text, files, contentType, articleId);
+    
+    showStatus(languageManager.getMessage('replyQueued'), 'info', 'ticketdetail');
+    resetReplyBox();
+}
+
+/**
+ * Clears and hides the reply box after a reply was sent or queued
+ */
+function resetReplyBox() {
+    replyDraft.clear();
+    replyEditor.clear();
+    clearReplyFilePreview();
+    dom.ticketDetailReplyBox.classList.remove('nf-active');
+    dom.ticketDetailReplyBox.style.display = 'none';
+    
+    const replyToggle = document.getElementById('nf_ticketdetail_replytoggle');
+    if (replyToggle) replyToggle.style.display = '';
+}
+
 /**
  * Cancels the reply in the ticket detail and resets the UI
  */
@@ -107,20 +218,55 @@ function handleReplyCancel() {
 }
 
 /**
- * Closes a ticket by setting its status to 'Closed'
+ * Sets up the close dialog (closing note and reason picker) for the current ticket
+ * @param {TicketService} ticketService - Ticket service instance
+ * @param {Modal} modal - Modal instance
+ */
+export function setupCloseDialog(ticketService, modal) {
+    hideCloseDialog();
+    
+    if (dom.ticketDetailCloseConfirm) {
+        dom.ticketDetailCloseConfirm.onclick = () => closeTicket(ticketService, modal, getClosingNote());
+    }
+    if (dom.ticketDetailCloseCancel) {
+        dom.ticketDetailCloseCancel.onclick = hideCloseDialog;
+    }
+}
+
+/**
+ * Handles the "mark as resolved" button.
+ * Opens the close dialog if a closing note or reasons are configured, otherwise closes directly.
  * @param {TicketService} ticketService - Ticket service instance
  * @param {Modal} modal - Modal instance
  */
 export async function handleCloseTicket(ticketService, modal) {
+    const { closingNote, reasons = [] } = NF_CONFIG.ui.closeTicket;
+    
+    if ((closingNote || reasons.length > 0) && dom.ticketDetailCloseBox) {
+        showCloseDialog(reasons, closingNote);
+        return;
+    }
+    
+    await closeTicket(ticketService, modal);
+}
+
+/**
+ * Closes a ticket by setting it to the configured close state
+ * @param {TicketService} ticketService - Ticket service instance
+ * @param {Modal} modal - Modal instance
+ * @param {string} [closingNote=''] - Optional note added to the ticket
+ */
+async function closeTicket(ticketService, modal, closingNote = '') {
     const ticketId = dom.ticketDetailContainer.getAttribute('data-ticket-id');
     if (!ticketId) return;
     
     setLoading(true);
     try {
-        await ticketService.closeTicket(ticketId);
+        await ticketService.closeTicket(ticketId, closingNote);
         
-        nfLogger.debug('Ticket detail cache invalidated after ticket close', { ticketId });
+        nfLogger.debug('Ticket detail cache invalidated after ticket close', { ticketId, withNote: !!closingNote });
         
+        hideCloseDialog();
         showStatus('Ticket marked as resolved.', 'success', 'ticketdetail');
         
         // Show ticket list
@@ -130,14 +276,170 @@ export async function handleCloseTicket(ticketService, modal) {
         modal.open('nf_ticketlist_container');
     } catch (err) {
         nfLogger.error('Error closing ticket', { error: err });
-        showStatus('Error marking as resolved: ' + err.message, 'error', 'ticketdetail');
+        showError(err, 'ticketdetail', 'errorCloseTicket');
     } finally {
         setLoading(false);
     }
 }
 
+/**
+ * Shows the close dialog in place of the close button
+ * @param {Array<string>} reasons - Configured close reasons
+ * @param {boolean} withNote - Whether to show the closing note input
+ */
+function showCloseDialog(reasons, withNote) {
+    const reasonSelect = dom.ticketDetailCloseReason;
+    if (reasonSelect) {
+        reasonSelect.innerHTML = '';
+        reasons.forEach(reason => {
+            const option = document.createElement('option');
+            option.value = reason;
+            option.textContent = getReasonLabel(reason);
+            reasonSelect.appendChild(option);
+        });
+    }
+    
+    if (dom.ticketDetailCloseReasonGroup) {
+        dom.ticketDetailCloseReasonGroup.style.display = reasons.length > 0 ? '' : 'none';
+    }
+    if (dom.ticketDetailCloseNoteGroup) {
+        dom.ticketDetailCloseNoteGroup.style.display = withNote ? '' : 'none';
+    }
+    if (dom.ticketDetailCloseNote) dom.ticketDetailCloseNote.value = '';
+    
+    if (dom.ticketDetailCloseBtn) dom.ticketDetailCloseBtn.style.display = 'none';
+    dom.ticketDetailCloseBox.classList.add('nf-active');
+    
+    (reasons.length > 0 ? reasonSelect : dom.ticketDetailCloseNote)?.focus();
+}
+
+/**
+ * Hides the close dialog and shows the close button again
+ */
+function hideCloseDialog() {
+    dom.ticketDetailCloseBox?.classList.remove('nf-active');
+    if (dom.ticketDetailCloseNote) dom.ticketDetailCloseNote.value = '';
+    if (dom.ticketDetailCloseBtn) dom.ticketDetailCloseBtn.style.display = '';
+}
+
+/**
+ * Builds the closing note from the selected reason and the entered note
+ * @returns {string} Closing note (empty if neither reason nor note is given)
+ */
+function getClosingNote() {
+    const { closingNote, reasons = [] } = NF_CONFIG.ui.closeTicket;
+    const parts = [];
+    
+    const reason = reasons.length > 0 ? dom.ticketDetailCloseReason?.value : '';
+    if (reason) {
+        parts.push(`${languageManager.getLabel('closeDialog.reasonPrefix')} ${getReasonLabel(reason)}`);
+    }
+    
+    const note = closingNote ? dom.ticketDetailCloseNote?.value.trim() : '';
+    if (note) parts.push(note);
+    
+    return parts.join('\n\n');
+}
+
+/**
+ * Gets the translated label of a close reason
+ * @param {string} reason - Reason key from NF_CONFIG.ui.closeTicket.reasons
+ * @returns {string} Label or the key itself if no translation exists
+ */
+function getReasonLabel(reason) {
+    const labels = languageManager.getLanguageData()?.ui?.closeDialog?.reasons || {};
+    return labels[reason] || reason;
+}
+
+/**
+ * Shows either the close or the reopen action depending on the ticket state
+ * @param {Object} ticket - Ticket object
+ * @param {TicketService} ticketService - Ticket service instance
+ * @param {Modal} modal - Modal instance
+ */
+export function setupReopenAction(ticket, ticketService, modal) {
+    const { enabled, askReason } = NF_CONFIG.ui.reopenTicket;
+    const closedStateIds = NF_CONFIG.ui.filters.statusCategories.closed;
+    const isClosed = closedStateIds.includes(ticket.state_id);
+    
+    hideReopenDialog();
+    
+    if (dom.ticketDetailCloseBtn) dom.ticketDetailCloseBtn.style.display = isClosed ? 'none' : '';
+    if (!dom.ticketDetailReopenBtn) return;
+    
+    dom.ticketDetailReopenBtn.style.display = isClosed && enabled ? '' : 'none';
+    dom.ticketDetailReopenBtn.onclick = () => {
+        if (askReason && dom.ticketDetailReopenBox) {
+            showReopenDialog();
+        } else {
+            reopenTicket(ticketService, modal);
+        }
+    };
+    
+    if (dom.ticketDetailReopenConfirm) {
+        dom.ticketDetailReopenConfirm.onclick = () => {
+            reopenTicket(ticketService, modal, dom.ticketDetailReopenReason?.value.trim() || '');
+        };
+    }
+    if (dom.ticketDetailReopenCancel) {
+        dom.ticketDetailReopenCancel.onclick = () => {
+            hideReopenDialog();
+            dom.ticketDetailReopenBtn.style.display = '';
+        };
+    }
+}
+
+/**
+ * Reopens a closed ticket and reloads the detail view
+ * @param {TicketService} ticketService - Ticket service instance
+ * @param {Modal} modal - Modal instance
+ * @param {string} [reason=''] - Optional reason added to the ticket
+ */
+async function reopenTicket(ticketService, modal, reason = '') {
+    const ticketId = dom.ticketDetailContainer.getAttribute('data-ticket-id');
+    if (!ticketId) return;
+    
+    setLoading(true);
+    try {
+        await ticketService.reopenTicket(ticketId, reason);
+        
+        nfLogger.debug('Ticket detail cache invalidated after ticket reopen', { ticketId, withReason: !!reason });
+        
+        showStatus(languageManager.getMessage('ticketReopened'), 'success', 'ticketdetail');
+        
+        // Reload ticket detail view with the new state
+        const { showTicketDetailView } = await import('./detail.js');
+        await showTicketDetailView(ticketId, ticketService, modal);
+    } catch (err) {
+        nfLogger.error('Error reopening ticket', { error: err });
+        showError(err, 'ticketdetail', 'errorReopenTicket');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Shows the reopen dialog in place of the reopen button
+ */
+function showReopenDialog() {
+    dom.ticketDetailReopenBtn.style.display = 'none';
+    if (dom.ticketDetailReopenReason) dom.ticketDetailReopenReason.value = '';
+    dom.ticketDetailReopenBox.classList.add('nf-active');
+    dom.ticketDetailReopenReason?.focus();
+}
+
+/**
+ * Hides the reopen dialog
+ */
+function hideReopenDialog() {
+    dom.ticketDetailReopenBox?.classList.remove('nf-active');
+    if (dom.ticketDetailReopenReason) dom.ticketDetailReopenReason.value = '';
+}
+
 export default {
     setupReplyInterface,
+    setupCloseDialog,
+    setupReopenAction,
     handleCloseTicket
 };
 
@@ -9,14 +9,68 @@
 import { dom } from '../../ui/dom.js';
 import { NF_CONFIG } from '../../core/config.js';
 import { setLoading, show } from '../../ui/helpers.js';
-import { showStatus } from '../../ui/status.js';
+import { showStatus, showError } from '../../ui/status.js';
 import { TicketService } from '../../api/tickets.js';
-import { validateFile } from '../upload/file-handler.js';
-import { clearFilePreview } from '../upload/file-handler.js';
+import { isNetworkError, isOffline, createIdempotencyKey } from '../../api/http.js';
+import ticketOutbox, { canResend } from '../../api/outbox.js';
+import { AppError } from '../../utils/errors.js';
+import { validateFiles, clearFilePreview, addPastedImages, getUploadQueue } from '../upload/file-handler.js';
+import { UploadQueue } from '../upload/upload-queue.js';
 import { Modal } from '../../ui/modal.js';
+import { FormDraft } from './drafts.js';
+import { RichTextEditor } from '../editor/rich-text-editor.js';
 import nfLogger from '../../core/logger.js';
 import languageManager from '../../i18n/manager.js';
 
+/**
+ * Editor of the ticket description
+ * @private
+ * @constant {RichTextEditor}
+ */
+const newTicketEditor = new RichTextEditor(dom.newTicketBody, {
+    onPasteImages: images => addPastedImages(images, newTicketEditor, 'newticket')
+});
+
+/**
+ * Autosaved draft of the new ticket form
+ * @private
+ * @constant {FormDraft}
+ */
+const newTicketDraft = new FormDraft(() => 'newticket', {
+    requestType: dom.newTicketRequestType,
+    subject: dom.newTicketSubject,
+    body: newTicketEditor
+}, { hint: dom.newTicketDraftHint });
+
+/**
+ * Set while a ticket is being submitted - attachments upload without the loader, so the form stays clickable
+ * @private
+ * @type {boolean}
+ */
+let submitting = false;
+
+/**
+ * Restores the draft of the new ticket form (call after the request types were loaded)
+ * @returns {boolean} True if a draft was restored
+ */
+export function restoreNewTicketDraft() {
+    newTicketDraft.start();
+    return newTicketDraft.restore();
+}
+
+/**
+ * Empties the new ticket form, e.g. on logout - unsent input is kept in the draft
+ */
+export function resetNewTicketForm() {
+    // Without drafts the input would be lost
+    if (!FormDraft.isEnabled()) return;
+    
+    newTicketDraft.flush();
+    dom.newTicketForm?.reset();
+    newTicketEditor.clear();
+    clearFilePreview();
+}
+
 /**
  * Handles submitting the new ticket form
  * @param {Event} e - Submit event from the form
@@ -25,24 +79,23 @@ import languageManager from '../../i18n/manager.js';
  */
 export async function handleNewTicketSubmit(e, ticketService, modal) {
     e.preventDefault();
-    setLoading(true);
+    if (submitting) return;
+    submitting = true;
     try {
         const subject = dom.newTicketSubject.value.trim();
-        const body = dom.newTicketBody.value.trim();
+        const { body, contentType } = newTicketEditor.getContent();
         const requestType = dom.newTicketRequestType ? dom.newTicketRequestType.value : '';
         const files = dom.newTicketAttachment.files;
         
         if (!subject || !body) {
-            throw new Error(getLanguageMessage('missingFields', {}, languageManager));
+            throw new AppError(getLanguageMessage('missingFields', {}, languageManager), 'MISSING_FIELDS');
         }
         
         if (files && files.length > 0) {
-            for (const file of files) {
-                try {
-                    validateFile(file);
-                } catch (error) {
-                    throw new Error(getLanguageMessage('fileValidationFailed', { file: file.name, error: error.message }, languageManager));
-                }
+            try {
+                await validateFiles(files);
+            } catch (error) {
+                throw new AppError(languageManager.getMessage('fileValidationFailed', { error: error.message }), 'FILE_VALIDATION_FAILED');
             }
         }
         
@@ -57,16 +110,45 @@ export async function handleNewTicketSubmit(e, ticketService, modal) {
             ? requestType.trim() 
             : undefined;
 
-        const createdTicket = await ticketService.createTicket({
+        const ticketData = {
             subject,
             body,
+            contentType,
             files,
-            requestType: effectiveRequestType
-        });
+            requestType: effectiveRequestType,
+            // Identifies this submission if it has to be sent again (see NF_CONFIG.api.retry.ticketCreation)
+            idempotencyKey: createIdempotencyKey()
+        };
+
+        // Without connection the ticket is kept in the outbox and sent later
+        if (isOffline() && ticketOutbox.isAvailable()) {
+            setLoading(true);
+            await queueTicket(ticketData, modal);
+            return;
+        }
+
+        let createdTicket;
+        const attemptedAt = Date.now();
+        try {
+            // Attachments go into the upload cache first, their progress is shown in the file preview
+            if (files && files.length > 0 && UploadQueue.isEnabled()) {
+                ticketData.formId = await getUploadQueue('newticket').upload(files, ticketService);
+            }
+            setLoading(true);
+            createdTicket = await ticketService.createTicket(ticketData);
+        } catch (error) {
+            if (!isNetworkError(error) || !canResend('ticket', error) || !ticketOutbox.isAvailable()) throw error;
+            setLoading(true);
+            // The request may have reached Zammad - the outbox checks for the ticket before sending it again
+            await queueTicket({ ...ticketData, attemptedAt }, modal);
+            return;
+        }
 
         const createdTicketId = getCreatedTicketId(createdTicket);
         
+        newTicketDraft.clear();
         dom.newTicketForm.reset();
+        newTicketEditor.clear();
         clearFilePreview();
 
         // Always close the creation modal first, otherwise it remains blurred/inert.
@@ -85,12 +167,33 @@ export async function handleNewTicketSubmit(e, ticketService, modal) {
         showStatus(getLanguageMessage('ticketCreated', {}, languageManager), 'success', 'main');
     } catch (error) {
         nfLogger.error('Failed to create ticket', { error: error.message });
-        showStatus(error.message || 'Error creating ticket', 'error', 'newticket');
+        showError(error, 'newticket', 'errorCreateTicket');
     } finally {
         setLoading(false);
+        submitting = false;
     }
 }
 
+/**
+ * Stores a ticket in the outbox and returns to the start screen
+ * @private
+ * @param {Object} ticketData - Ticket data ({ subject, body, contentType, files, requestType })
+ * @param {Modal} modal - Modal instance
+ */
+async function queueTicket(ticketData, modal) {
+    await ticketOutbox.queueTicket(ticketData);
+
+    newTicketDraft.clear();
+    dom.newTicketForm.reset();
+    newTicketEditor.clear();
+    clearFilePreview();
+
+    modal.close('nf_new_ticket_container');
+    show(dom.start);
+    modal.open('nf_modal_overlay');
+    showStatus(languageManager.getMessage('ticketQueued'), 'info', 'main');
+}
+
 /**
  * Gets language message
  * @private
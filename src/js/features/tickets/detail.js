@@ -9,26 +9,33 @@
 import { NF_CONFIG } from '../../core/config.js';
 import { dom } from '../../ui/dom.js';
 import { setLoading, stateLabel, show, hide } from '../../ui/helpers.js';
-import { showStatus } from '../../ui/status.js';
+import { showStatus, showError } from '../../ui/status.js';
+import { OfflineBanner } from '../../ui/offline-banner.js';
 import { TicketService } from '../../api/tickets.js';
-import { apiGet } from '../../api/http.js';
+import { apiGet, formatAuthorization } from '../../api/http.js';
 import { cloneTemplate } from '../../utils/template.js';
+import { sanitizeHtml, textToHtml } from '../../utils/sanitize.js';
 import { isImageFile, openGalleryForAttachment } from '../gallery/viewer.js';
+import { loadAttachment, downloadAttachment, getPreviewKind } from '../gallery/attachments.js';
 import appState from '../../state/store.js';
 import { Modal } from '../../ui/modal.js';
 import nfLogger from '../../core/logger.js';
 import languageManager from '../../i18n/manager.js';
+import { UnreadTracker } from './unread.js';
+import ticketOutbox, { OUTBOX_STATUS } from '../../api/outbox.js';
 
 /**
  * Shows the ticket detail view
  * @param {number|string} ticketId - Ticket ID
  * @param {TicketService} ticketService - Ticket service instance
  * @param {Modal} modal - Modal instance
+ * @param {Object} [options] - Render options
+ * @param {boolean} [options.refresh=false] - Re-render an already open detail view without loading overlay and focus change
  */
-export async function showTicketDetailView(ticketId, ticketService, modal) {
-    nfLogger.debug('showTicketDetailView called', { ticketId });
+export async function showTicketDetailView(ticketId, ticketService, modal, { refresh = false } = {}) {
+    nfLogger.debug('showTicketDetailView called', { ticketId, refresh });
     try {
-        setLoading(true);
+        if (!refresh) setLoading(true);
         
         // Load ticket data
         const ticket = await ticketService.getTicket(ticketId);
@@ -36,7 +43,7 @@ export async function showTicketDetailView(ticketId, ticketService, modal) {
         
         if (!ticket || typeof ticket !== 'object') {
             nfLogger.error('Ticket data invalid or not loaded', { ticket });
-            showStatus('Ticket data could not be loaded or is invalid.', 'error', 'ticketdetail');
+            showStatus(languageManager.getMessage('errorLoadTicket'), 'error', 'ticketdetail');
             return;
         }
         
@@ -174,11 +181,16 @@ export async function showTicketDetailView(ticketId, ticketService, modal) {
                 }
                 
                 const isUserEmail = article.type === 'email' && article.sender === 'Customer';
-                let bodyContent = isUserEmail ? extractEmailContent(article.body, true) : (article.body || '');
+                const emailText = isUserEmail ? extractEmailContent(article.body, true) : null;
                 
-                // Clean HTML if utility available
-                if (typeof window !== 'undefined' && window.NFUtils && window.NFUtils.cleanHtml) {
-                    bodyContent = window.NFUtils.cleanHtml(bodyContent);
+                // Extracted email text and plain text articles are escaped, HTML bodies are sanitized
+                let bodyContent;
+                if (emailText && emailText !== article.body) {
+                    bodyContent = textToHtml(emailText);
+                } else if (article.content_type === 'text/plain') {
+                    bodyContent = textToHtml(article.body);
+                } else {
+                    bodyContent = sanitizeHtml(article.body || '');
                 }
                 
                 const msgBody = msgDiv.querySelector('.nf-ticketdetail-message-body');
@@ -201,6 +213,9 @@ export async function showTicketDetailView(ticketId, ticketService, modal) {
         // Append all messages at once to minimize reflows
         dom.ticketDetailMessages.appendChild(messagesFragment);
         
+        // Replies waiting in the outbox are shown below the sent messages
+        renderQueuedReplies(ticketId);
+        
         // Auto-scroll to bottom
         requestAnimationFrame(() => {
             dom.ticketDetailMessages.scrollTop = dom.ticketDetailMessages.scrollHeight;
@@ -231,9 +246,18 @@ export async function showTicketDetailView(ticketId, ticketService, modal) {
             });
         }
         
+        // The user has now seen all replies of this ticket
+        UnreadTracker.markAsRead(ticket);
+        OfflineBanner.setDataTimestamp(ticket.cachedAt);
+        
         // Setup reply interface (imported from actions module)
-        const { setupReplyInterface } = await import('./actions.js');
+        const { setupReplyInterface, setupCloseDialog, setupReopenAction } = await import('./actions.js');
         setupReplyInterface(ticketService, modal);
+        setupCloseDialog(ticketService, modal);
+        setupReopenAction(ticket, ticketService, modal);
+        
+        // An open detail view stays as it is, only its content was replaced
+        if (refresh) return;
         
         // Show the detail modal
         show(dom.start);
@@ -244,29 +268,96 @@ export async function showTicketDetailView(ticketId, ticketService, modal) {
         
     } catch (err) {
         nfLogger.error('Error showing ticket detail', { error: err });
-        showStatus('Error loading ticket: ' + err.message, 'error', 'ticketdetail');
+        showError(err, 'ticketdetail', 'errorLoadTicket');
     } finally {
         setLoading(false);
     }
 }
 
+/**
+ * Shows the replies to a ticket that are waiting in the outbox at the end of the message list
+ * @param {number|string} ticketId - Ticket ID
+ */
+export function renderQueuedReplies(ticketId) {
+    const msgTemplate = dom.templates.ticketDetailMessage;
+    if (!dom.ticketDetailMessages || !msgTemplate?.firstElementChild) return;
+    
+    dom.ticketDetailMessages.querySelectorAll('.nf-ticketdetail-message--queued').forEach(msg => msg.remove());
+    
+    const locale = getCurrentLocale();
+    const fragment = document.createDocumentFragment();
+    
+    ticketOutbox.getQueuedReplies(ticketId).forEach(item => {
+        const failed = item.status === OUTBOX_STATUS.FAILED;
+        const msgDiv = cloneTemplate(msgTemplate.firstElementChild);
+        msgDiv.className = 'nf-ticketdetail-message nf-ticketdetail-message--user nf-ticketdetail-message--queued';
+        if (failed) msgDiv.classList.add('nf-ticketdetail-message--failed');
+        
+        const msgHeader = msgDiv.querySelector('.nf-ticketdetail-message-header');
+        if (msgHeader) {
+            msgHeader.textContent = `${new Date(item.createdAt).toLocaleString(locale)} • ${getLanguageLabel(`outbox.${item.status}`)}`;
+        }
+        
+        // Once the article exists it is listed above, only its missing attachments are waiting
+        const msgBody = msgDiv.querySelector('.nf-ticketdetail-message-body');
+        if (msgBody && item.payload.articleId) {
+            msgBody.remove();
+        } else if (msgBody) {
+            msgBody.innerHTML = item.payload.contentType === 'text/html'
+                ? sanitizeHtml(item.payload.text)
+                : textToHtml(item.payload.text);
+        }
+        
+        const attDiv = msgDiv.querySelector('.nf-ticketdetail-attachments');
+        if (attDiv) {
+            attDiv.textContent = item.payload.attachments.map(attachment => attachment.filename).join(', ');
+        }
+        
+        if (failed) {
+            const errorDiv = document.createElement('div');
+            errorDiv.className = 'nf-outbox-error';
+            errorDiv.textContent = item.error || '';
+            
+            const retryBtn = document.createElement('button');
+            retryBtn.type = 'button';
+            retryBtn.className = 'nf-btn nf-btn--secondary nf-outbox-action';
+            retryBtn.textContent = getLanguageLabel('outbox.retry');
+            retryBtn.onclick = () => ticketOutbox.retry(item.id);
+            
+            const discardBtn = document.createElement('button');
+            discardBtn.type = 'button';
+            discardBtn.className = 'nf-btn nf-btn--secondary nf-outbox-action';
+            discardBtn.textContent = getLanguageLabel('outbox.discard');
+            discardBtn.onclick = () => ticketOutbox.discard(item.id);
+            
+            errorDiv.append(' ', retryBtn, discardBtn);
+            msgDiv.appendChild(errorDiv);
+        }
+        
+        fragment.appendChild(msgDiv);
+    });
+    
+    dom.ticketDetailMessages.appendChild(fragment);
+}
+
 /**
  * Extracts the actual content from email messages
  * @param {string} body - Raw email HTML content
  * @param {boolean} isUserEmail - Whether this is a user email
  * @returns {string} Cleaned and readable message content
  */
-function extractEmailContent(body, isUserEmail = false) {
+export function extractEmailContent(body, isUserEmail = false) {
     if (!body || typeof body !== 'string') return body;
     
     if (!isUserEmail) return body;
     
-    // Create temporary DOM element for HTML processing
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = body;
+    // Parse inside an inert template - the mail HTML is untrusted, images and event handlers must not run
+    const template = document.createElement('template');
+    template.innerHTML = body;
+    const root = template.content;
     
     // Remove <hr> elements (often mark signature start)
-    const hrElements = tempDiv.querySelectorAll('hr');
+    const hrElements = root.querySelectorAll('hr');
     hrElements.forEach(hr => {
         let nextSibling = hr.nextSibling;
         while (nextSibling) {
@@ -282,7 +373,7 @@ function extractEmailContent(body, isUserEmail = false) {
     });
     
     // Remove signature markers
-    const signatureMarkers = tempDiv.querySelectorAll('.js-signatureMarker, [class*="signature"]');
+    const signatureMarkers = root.querySelectorAll('.js-signatureMarker, [class*="signature"]');
     signatureMarkers.forEach(marker => {
         let current = marker;
         while (current) {
@@ -294,7 +385,7 @@ function extractEmailContent(body, isUserEmail = false) {
         }
     });
     
-    let textContent = tempDiv.textContent || tempDiv.innerText || '';
+    let textContent = root.textContent || '';
     textContent = textContent.replace(/\s+/g, ' ').trim();
     
     // Get email separators from config
@@ -361,7 +452,7 @@ async function fetchUserNameById(userId) {
     
     const response = await apiGet(url, {
         headers: {
-            'Authorization': `Basic ${appState.get('userToken')}`
+            'Authorization': formatAuthorization(appState.get('userToken'), appState.get('authType'))
         }
     });
     
@@ -388,16 +479,17 @@ function renderAttachments(attachments, container) {
     
     container.innerHTML = '';
     
-    // Collect all image attachments for gallery navigation
-    const allImages = attachments
-        .filter(attachment => {
+    // Collect all previewable attachments (images, PDF, text, email) for gallery navigation
+    const previewItems = attachments
+        .map(attachment => {
             const attachmentUrl = buildAttachmentUrl(attachment);
-            return isImageAttachment(attachment, attachmentUrl);
+            return {
+                url: attachmentUrl,
+                name: attachment.filename || 'Attachment',
+                kind: getAttachmentPreviewKind(attachment, attachmentUrl)
+            };
         })
-        .map(attachment => ({
-            url: buildAttachmentUrl(attachment),
-            name: attachment.filename || 'Attachment'
-        }));
+        .filter(item => item.url && item.kind);
     
     attachments.forEach((attachment, index) => {
         const attachDiv = document.createElement('div');
@@ -424,16 +516,8 @@ function renderAttachments(attachments, container) {
                     if (!attachmentUrl) {
                         throw new Error('No attachment URL available');
                     }
-                    const response = await apiGet(attachmentUrl, {
-                        headers: { 'Authorization': `Basic ${appState.get('userToken')}` }
-                    });
-                    if (response.ok) {
-                        const blob = await response.blob();
-                        const dataUrl = URL.createObjectURL(blob);
-                        thumbImg.src = dataUrl;
-                    } else {
-                        thumbImg.src = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="150" height="150"><rect width="150" height="150" fill="%23f0f0f0"/><text x="75" y="75" text-anchor="middle" fill="%23666">📎</text></svg>';
-                    }
+                    const blob = await loadAttachment(attachmentUrl);
+                    thumbImg.src = URL.createObjectURL(blob);
                 } catch (error) {
                     nfLogger.warn('Failed to load thumbnail', { error, attachment, attachmentUrl });
                     thumbImg.src = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="150" height="150"><rect width="150" height="150" fill="%23f0f0f0"/><text x="75" y="75" text-anchor="middle" fill="%23666">📎</text></svg>';
@@ -443,8 +527,8 @@ function renderAttachments(attachments, container) {
             // Add click handler to open gallery
             thumbImg.addEventListener('click', (e) => {
                 e.preventDefault();
-                nfLogger.debug('Thumbnail clicked, opening gallery', { imageUrl: attachmentUrl, allImages });
-                openGalleryForAttachment(attachmentUrl, allImages);
+                nfLogger.debug('Thumbnail clicked, opening gallery', { imageUrl: attachmentUrl, previewItems });
+                openGalleryForAttachment(attachmentUrl, previewItems);
             });
             
             // Add filename below thumbnail
@@ -467,12 +551,22 @@ function renderAttachments(attachments, container) {
             attachDiv.appendChild(thumbImg);
             attachDiv.appendChild(nameDiv);
         } else {
-            // Create link for non-image files
+            // Create link for non-image files - opens the preview or downloads the file, both authenticated
+            const filename = attachment.filename || `Attachment ${index + 1}`;
+            const canPreview = previewItems.some(item => item.url === attachmentUrl);
             const attachLink = document.createElement('a');
-            attachLink.href = attachmentUrl || '#';
-            attachLink.textContent = attachment.filename || `Attachment ${index + 1}`;
-            attachLink.target = '_blank';
+            attachLink.href = '#';
+            attachLink.textContent = filename;
             attachLink.className = 'nf-attachment-link';
+            attachLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (!attachmentUrl) return;
+                if (canPreview) {
+                    openGalleryForAttachment(attachmentUrl, previewItems);
+                } else {
+                    handleAttachmentDownload(attachmentUrl, filename);
+                }
+            });
             
             // Add file size if available
             if (attachment.size) {
@@ -483,12 +577,47 @@ function renderAttachments(attachments, container) {
             }
             
             attachDiv.appendChild(attachLink);
+            
+            if (canPreview) {
+                const downloadBtn = document.createElement('button');
+                downloadBtn.type = 'button';
+                downloadBtn.className = 'nf-attachment-download';
+                downloadBtn.textContent = '⤓';
+                downloadBtn.title = getLanguageLabel('gallery.download');
+                downloadBtn.setAttribute('aria-label', `${getLanguageLabel('gallery.download')}: ${filename}`);
+                downloadBtn.addEventListener('click', () => handleAttachmentDownload(attachmentUrl, filename));
+                attachDiv.appendChild(downloadBtn);
+            }
         }
         
         container.appendChild(attachDiv);
     });
 }
 
+/**
+ * Downloads an attachment and shows an error in the detail view if it fails
+ * @param {string} attachmentUrl - Attachment URL
+ * @param {string} filename - File name
+ */
+async function handleAttachmentDownload(attachmentUrl, filename) {
+    try {
+        await downloadAttachment(attachmentUrl, filename);
+    } catch (error) {
+        nfLogger.warn('Attachment could not be downloaded', { filename, error: error.message });
+        showError(error, 'ticketdetail', 'errorDownloadAttachment');
+    }
+}
+
+/**
+ * Gets the preview kind of an attachment (see gallery/attachments.js)
+ * @param {Object} attachment - Attachment object from Zammad API
+ * @param {string|null} attachmentUrl - Resolved attachment URL
+ * @returns {string|null} Preview kind or null if the attachment can only be downloaded
+ */
+function getAttachmentPreviewKind(attachment, attachmentUrl) {
+    return getPreviewKind(getAttachmentMimeType(attachment), attachment?.filename, isImageAttachment(attachment, attachmentUrl));
+}
+
 /**
  * Builds the proper URL for a Zammad attachment
  * @param {Object} attachment - Attachment object from Zammad API
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Autosaved drafts of the new ticket form and the reply box
+ * @author danielknng
+ * @module features/tickets/drafts
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { NF_CONFIG } from '../../core/config.js';
+import Storage from '../../core/storage.js';
+import appState from '../../state/store.js';
+import nfLogger from '../../core/logger.js';
+import { show, hide } from '../../ui/helpers.js';
+
+/**
+ * Prefix of draft keys in localStorage, followed by the user ID and the draft name
+ * @constant {string}
+ */
+const DRAFT_PREFIX = 'nf_draft_';
+
+/**
+ * Form draft
+ * Saves the values of a form into localStorage (per user and draft name) shortly after
+ * every change, so they survive closing the modal, a logout or a reload of the page.
+ *
+ * The draft name is read when a change is saved - forms that are reused for several
+ * tickets (reply box) return a name per ticket.
+ *
+ * @class FormDraft
+ */
+export class FormDraft {
+    /**
+     * @param {Function} getName - Returns the draft name (e.g. 'newticket' or 'reply_42'), null if no draft is kept
+     * @param {Object<string, HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement>} fields - Form fields by draft property
+     * @param {Object} [options] - Draft options
+     * @param {HTMLElement} [options.hint] - "Draft restored" hint containing a .nf-draft-discard button
+     * @param {boolean} [options.replace=false] - Restore replaces all field values (otherwise only empty fields are filled)
+     */
+    constructor(getName, fields, { hint = null, replace = false } = {}) {
+        /** @type {Function} */
+        this.getName = getName;
+        /** @type {Object<string, HTMLElement>} */
+        this.fields = fields;
+        /** @type {HTMLElement|null} */
+        this.hint = hint;
+        /** @type {boolean} */
+        this.replace = replace;
+
+        /** @private */
+        this._started = false;
+        /** @private Storage key of the changes that are not saved yet */
+        this._pendingKey = null;
+        /** @private */
+        this._timer = null;
+    }
+
+    /**
+     * Checks whether drafts are enabled
+     * @returns {boolean} True if drafts are saved
+     */
+    static isEnabled() {
+        return NF_CONFIG.ui.drafts?.enabled !== false && typeof localStorage !== 'undefined';
+    }
+
+    /**
+     * Removes the drafts that are older than NF_CONFIG.ui.drafts.maxAge (of all users)
+     */
+    static prune() {
+        if (!FormDraft.isEnabled()) return;
+
+        const maxAge = NF_CONFIG.ui.drafts?.maxAge;
+        if (!(maxAge > 0)) return;
+
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(DRAFT_PREFIX))
+            .forEach(key => {
+                const draft = Storage.get(key);
+                if (!draft?.savedAt || Date.now() - draft.savedAt > maxAge) {
+                    Storage.remove(key);
+                }
+            });
+    }
+
+    /**
+     * Starts saving changes of the form fields (called again on every view, only listens once)
+     */
+    start() {
+        if (this._started || !FormDraft.isEnabled()) return;
+
+        Object.values(this.fields).forEach(field => {
+            if (!field) return;
+            field.addEventListener('input', () => this._scheduleSave());
+            field.addEventListener('change', () => this._scheduleSave());
+        });
+
+        this.hint?.querySelector('.nf-draft-discard')?.addEventListener('click', () => this.discard());
+
+        // Saves the last changes when the page is closed or reloaded within the save delay
+        window.addEventListener('pagehide', () => this.flush());
+
+        this._started = true;
+    }
+
+    /**
+     * Fills the form fields with the saved draft and shows the hint if something was restored
+     * @returns {boolean} True if the draft changed the form
+     */
+    restore() {
+        this.flush();
+        this._hideHint();
+
+        const key = this._getStorageKey();
+        if (!key) return false;
+
+        const draft = Storage.get(key);
+        if (!draft || this._isExpired(draft)) {
+            if (draft) Storage.remove(key);
+            if (this.replace) this._setValues({});
+            return false;
+        }
+
+        const restored = this._setValues(draft.values || {});
+        if (restored) {
+            show(this.hint);
+            nfLogger.debug('Draft restored', { key });
+        }
+        return restored;
+    }
+
+    /**
+     * Saves changes that are still waiting for the save delay
+     */
+    flush() {
+        if (!this._pendingKey) return;
+
+        clearTimeout(this._timer);
+        const key = this._pendingKey;
+        this._pendingKey = null;
+
+        const values = {};
+        Object.entries(this.fields).forEach(([name, field]) => {
+            if (field) values[name] = field.value;
+        });
+
+        if (Object.values(values).some(value => value && value.trim())) {
+            Storage.set(key, { values, savedAt: Date.now() });
+        } else {
+            Storage.remove(key);
+        }
+    }
+
+    /**
+     * Removes the draft after the form was submitted (the form itself is reset by the caller)
+     */
+    clear() {
+        clearTimeout(this._timer);
+        this._pendingKey = null;
+        this._hideHint();
+
+        const key = this._getStorageKey();
+        if (key) Storage.remove(key);
+    }
+
+    /**
+     * Removes the draft and empties the form fields (discard button of the hint)
+     */
+    discard() {
+        this.clear();
+        Object.values(this.fields).forEach(field => {
+            if (field) field.value = '';
+        });
+        nfLogger.debug('Draft discarded');
+    }
+
+    /**
+     * Saves the form after the configured delay
+     * @private
+     */
+    _scheduleSave() {
+        // The key is taken now - the user may be logged out or the form reused before the delay is over
+        const key = this._getStorageKey();
+        if (!key) return;
+
+        if (this._pendingKey && this._pendingKey !== key) this.flush();
+        this._pendingKey = key;
+
+        clearTimeout(this._timer);
+        this._timer = setTimeout(() => this.flush(), NF_CONFIG.ui.drafts?.saveDelay ?? 500);
+    }
+
+    /**
+     * Sets the field values from a draft
+     * @private
+     * @param {Object<string, string>} values - Saved values by draft property
+     * @returns {boolean} True if a field value was changed
+     */
+    _setValues(values) {
+        let changed = false;
+
+        Object.entries(this.fields).forEach(([name, field]) => {
+            if (!field) return;
+            const value = values[name] || '';
+            if (field.value === value || (!this.replace && (field.value || !value))) return;
+
+            // Select options may not exist (anymore), e.g. a request type that was removed
+            if (field.tagName === 'SELECT' && value && ![...field.options].some(option => option.value === value)) return;
+
+            field.value = value;
+            if (value) changed = true;
+        });
+
+        return changed;
+    }
+
+    /**
+     * Checks whether a draft is older than NF_CONFIG.ui.drafts.maxAge
+     * @private
+     * @param {Object} draft - Saved draft ({ values, savedAt })
+     * @returns {boolean} True if the draft should be dropped
+     */
+    _isExpired(draft) {
+        const maxAge = NF_CONFIG.ui.drafts?.maxAge;
+        return maxAge > 0 && Date.now() - (draft.savedAt || 0) > maxAge;
+    }
+
+    /**
+     * Builds the storage key of the current draft
+     * @private
+     * @returns {string|null} Key or null if drafts are disabled, nobody is logged in or the form has no draft name
+     */
+    _getStorageKey() {
+        if (!FormDraft.isEnabled()) return null;
+
+        const userId = appState.get('userId');
+        const name = this.getName();
+        return userId && name ? `${DRAFT_PREFIX}${userId}_${name}` : null;
+    }
+
+    /**
+     * Hides the "draft restored" hint
+     * @private
+     */
+    _hideHint() {
+        if (this.hint) hide(this.hint);
+    }
+}
+
+export default FormDraft;
@@ -10,12 +10,16 @@ import { NF_CONFIG } from '../../core/config.js';
 import { CURRENT_YEAR } from '../../core/constants.js';
 import { dom } from '../../ui/dom.js';
 import { setLoading, stateLabel, show, hide } from '../../ui/helpers.js';
-import { showStatus } from '../../ui/status.js';
+import { showError } from '../../ui/status.js';
+import { OfflineBanner } from '../../ui/offline-banner.js';
 import { TicketService } from '../../api/tickets.js';
 import appState from '../../state/store.js';
 import nfLogger from '../../core/logger.js';
 import { Modal } from '../../ui/modal.js';
 import languageManager from '../../i18n/manager.js';
+import { debounce } from '../../utils/debounce.js';
+import { UnreadTracker } from './unread.js';
+import ticketOutbox, { OUTBOX_STATUS } from '../../api/outbox.js';
 
 /**
  * Ticket list component
@@ -34,11 +38,35 @@ export class TicketList {
         this.filters = {
             statusCategory: NF_CONFIG?.ui?.filters?.defaultStatusFilter || 'active',
             year: CURRENT_YEAR,
-            sortOrder: NF_CONFIG?.ui?.filters?.defaultSortOrder || 'date_desc'
+            sortOrder: NF_CONFIG?.ui?.filters?.defaultSortOrder || 'date_desc',
+            searchQuery: ''
         };
         
         /** @type {boolean} Whether filters have been initialized */
         this.filtersInitialized = false;
+        
+        /** @type {Array} Tickets of all pages loaded so far */
+        this.tickets = [];
+        
+        /** @type {Object} Pagination state of the current list */
+        this.pagination = {
+            page: 0,
+            total: null,
+            hasMore: false,
+            cachedAt: null
+        };
+        
+        /** @type {boolean} Whether the next page is currently being loaded */
+        this.loadingMore = false;
+        
+        /** @type {AbortController|null} Controller of the running first page request (latest wins) */
+        this.reloadController = null;
+        
+        /** @type {boolean} Whether a running reload has shown the loading overlay */
+        this.reloadShowsLoader = false;
+        
+        /** @type {IntersectionObserver|null} Observer for infinite scrolling */
+        this.scrollObserver = null;
     }
 
     /**
@@ -56,14 +84,11 @@ export class TicketList {
                 nfLogger.debug('Filters initialized');
             }
             
-            const tickets = await this.ticketService.getTickets(this.filters);
-            nfLogger.debug('Tickets fetched', { tickets });
-            this.render(tickets);
+            await this.loadFirstPage();
             this.show();
         } catch (error) {
             nfLogger.error('Error loading ticket list', { error });
-            const errorMsg = this._getLanguageMessage('ticketListLoadError') + error.message;
-            showStatus(errorMsg, 'error', 'ticketlist');
+            showError(error, 'ticketlist', 'errorLoadTickets');
         } finally {
             setLoading(false);
         }
@@ -77,6 +102,7 @@ export class TicketList {
         const sortFilter = document.getElementById('nf_sort');
         const yearFilter = document.getElementById('nf_filter_year');
         const reloadBtn = document.getElementById('nf_ticketlist_reload');
+        const searchInput = dom.ticketListSearch;
         
         // Set reload button label
         if (reloadBtn) {
@@ -125,11 +151,33 @@ export class TicketList {
                     timestamp: new Date().toISOString()
                 });
                 
-                this.invalidateCurrentCaches();
+                await this.invalidateCurrentCaches();
                 await this.reload();
             });
         }
         
+        // Free-text search within the user's tickets
+        if (searchInput) {
+            const debouncedSearch = debounce((query) => this.onSearchChange(query), NF_CONFIG.ui.debounceTimeout);
+            searchInput.addEventListener('input', (e) => debouncedSearch(e.target.value.trim()));
+        }
+        
+        // Load more button (also used as sentinel for infinite scrolling)
+        const loadMoreBtn = dom.ticketListLoadMore;
+        if (loadMoreBtn) {
+            loadMoreBtn.textContent = this._getLanguageLabel('ticketListLoadMore');
+            loadMoreBtn.addEventListener('click', () => this.loadMore());
+            
+            if (NF_CONFIG.ui.pagination.infiniteScroll && typeof IntersectionObserver !== 'undefined') {
+                this.scrollObserver = new IntersectionObserver((entries) => {
+                    if (entries.some(entry => entry.isIntersecting)) {
+                        this.loadMore();
+                    }
+                }, { root: dom.ticketListContainer, rootMargin: '0px 0px 200px 0px' });
+                this.scrollObserver.observe(loadMoreBtn);
+            }
+        }
+        
         // Setup header sorting
         const headers = document.querySelectorAll('.nf-ticketlist-header-cell[data-sort]');
         headers.forEach(header => {
@@ -153,6 +201,20 @@ export class TicketList {
         await this.reload();
     }
 
+    /**
+     * Event handler for search input changes (debounced)
+     * Queries shorter than the configured minimum length reset the search.
+     * @param {string} query - Trimmed search input
+     */
+    async onSearchChange(query) {
+        const searchQuery = query.length >= NF_CONFIG.ui.searchMinLength ? query : '';
+        if (searchQuery === this.filters.searchQuery) return;
+        
+        nfLogger.debug('Ticket search changed', { searchQuery });
+        this.filters.searchQuery = searchQuery;
+        await this.reload();
+    }
+
     /**
      * Event handler for sort filter changes
      * @param {Event} event - Change event
@@ -205,37 +267,185 @@ export class TicketList {
 
     /**
      * Reloads tickets with current filters
+     * @param {Object} [options] - Reload options
+     * @param {boolean} [options.silent=false] - Reload in the background without loading overlay
      */
-    async reload() {
+    async reload({ silent = false } = {}) {
         const statusLabel = this.filters.statusCategory === 'closed' ? 'closed' : 'active';
-        nfLogger.debug(`Loading ${statusLabel} tickets...`);
+        nfLogger.debug(`Loading ${statusLabel} tickets...`, { silent });
         
-        setLoading(true);
+        if (!silent) {
+            setLoading(true);
+            this.reloadShowsLoader = true;
+        }
         try {
-            const tickets = await this.ticketService.getTickets(this.filters);
-            this.render(tickets);
+            await this.loadFirstPage();
         } catch (error) {
-            const errorMsg = this._getLanguageMessage('ticketListFilterError') + error.message;
-            showStatus(errorMsg, 'error', 'ticketlist');
+            showError(error, 'ticketlist', 'errorLoadTickets');
         } finally {
-            setLoading(false);
+            // A superseded reload leaves the overlay to the one that replaced it
+            if (!this.reloadController && this.reloadShowsLoader) {
+                setLoading(false);
+                this.reloadShowsLoader = false;
+            }
+        }
+    }
+
+    /**
+     * Refreshes the list in the background after tickets changed elsewhere. All pages loaded so
+     * far are fetched again and the scroll position is kept - reload() would drop back to page 1.
+     * Latest wins like loadFirstPage(): a newer reload or refresh discards this result.
+     */
+    async refresh() {
+        this.reloadController?.abort();
+        const controller = new AbortController();
+        this.reloadController = controller;
+        
+        const pageCount = Math.max(this.pagination.page, 1);
+        const scrollTop = dom.ticketListContainer?.scrollTop ?? 0;
+        
+        try {
+            const results = [];
+            for (let page = 1; page <= pageCount; page++) {
+                const result = await this.ticketService.getTickets(this.filters, page, { signal: controller.signal });
+                if (controller.signal.aborted) return;
+                results.push(result);
+                if (!result.hasMore) break;
+            }
+            
+            // Skip tickets that moved between pages while they were fetched
+            const knownIds = new Set();
+            this.tickets = results.flatMap(result => result.tickets).filter(ticket => {
+                if (knownIds.has(ticket.id)) return false;
+                knownIds.add(ticket.id);
+                return true;
+            });
+            results.forEach(result => this._updatePagination(result));
+            this.render(this.tickets);
+            
+            if (dom.ticketListContainer) dom.ticketListContainer.scrollTop = scrollTop;
+            nfLogger.debug('Ticket list refreshed', { pages: results.length, count: this.tickets.length });
+        } catch (error) {
+            if (!controller.signal.aborted) showError(error, 'ticketlist', 'errorLoadTickets');
+        } finally {
+            if (this.reloadController === controller) this.reloadController = null;
         }
     }
 
     /**
-     * Renders the ticket list into the table
+     * Loads the first page with the current filters and replaces the list.
+     * Latest wins: a running request of a previous call is cancelled and its result discarded.
+     * @returns {Promise<boolean>} False if the request was superseded by a newer one
+     */
+    async loadFirstPage() {
+        this.reloadController?.abort();
+        const controller = new AbortController();
+        this.reloadController = controller;
+        
+        try {
+            const result = await this.ticketService.getTickets(this.filters, 1, { signal: controller.signal });
+            // Cached pages resolve without a request - the filters may have changed meanwhile
+            if (controller.signal.aborted) return false;
+            
+            nfLogger.debug('Tickets fetched', { page: result.page, count: result.tickets.length, total: result.total });
+            
+            this.tickets = [...result.tickets];
+            this._updatePagination(result);
+            this.render(this.tickets);
+            return true;
+        } catch (error) {
+            if (controller.signal.aborted) return false;
+            throw error;
+        } finally {
+            if (this.reloadController === controller) this.reloadController = null;
+        }
+    }
+
+    /**
+     * Loads the next page and appends it to the list
+     */
+    async loadMore() {
+        // A running reload or refresh replaces the list, pages appended meanwhile would be lost
+        if (this.loadingMore || this.reloadController || !this.pagination.hasMore) return;
+        
+        const nextPage = this.pagination.page + 1;
+        const filtersAtRequest = { ...this.filters };
+        this.loadingMore = true;
+        this._setLoadMoreBusy(true);
+        
+        try {
+            const result = await this.ticketService.getTickets(filtersAtRequest, nextPage);
+            
+            // Discard the page if the filters changed in the meantime
+            if (JSON.stringify(filtersAtRequest) !== JSON.stringify(this.filters)) return;
+            
+            // Skip tickets that moved between pages since the previous page was fetched
+            const knownIds = new Set(this.tickets.map(t => t.id));
+            const newTickets = result.tickets.filter(t => !knownIds.has(t.id));
+            
+            this.tickets.push(...newTickets);
+            this._updatePagination(result);
+            this.render(newTickets, true);
+            
+            nfLogger.debug('Loaded next ticket page', { page: nextPage, count: newTickets.length, loaded: this.tickets.length });
+        } catch (error) {
+            nfLogger.error('Error loading next ticket page', { error, page: nextPage });
+            showError(error, 'ticketlist', 'errorLoadTickets');
+        } finally {
+            this.loadingMore = false;
+            this._setLoadMoreBusy(false);
+            
+            // Re-observe so a sentinel that is still in view triggers the next page
+            if (this.scrollObserver && this.pagination.hasMore && dom.ticketListLoadMore) {
+                this.scrollObserver.unobserve(dom.ticketListLoadMore);
+                this.scrollObserver.observe(dom.ticketListLoadMore);
+            }
+        }
+    }
+
+    /**
+     * Shows a ticket page that was refreshed in the background, if it is the page on screen.
+     * Only a list showing just its first page is replaced; further pages are picked up on the next load.
+     * @param {Object} revalidation - Payload of tickets:revalidated
+     * @param {string} revalidation.cacheKey - Base cache key of the refreshed list
+     * @param {number} revalidation.page - Refreshed page number
+     * @param {Object} revalidation.result - Fresh page object from TicketService.getTickets
+     * @returns {boolean} True if the list was re-rendered
+     */
+    applyRevalidatedPage({ cacheKey, page, result }) {
+        if (cacheKey !== this.ticketService.getTicketListCacheKey(this.filters)) return false;
+        if (page !== 1 || this.pagination.page !== 1) return false;
+        
+        this.tickets = [...result.tickets];
+        this._updatePagination(result);
+        this.render(this.tickets);
+        
+        nfLogger.debug('Ticket list updated after background refresh', { count: result.tickets.length });
+        return true;
+    }
+
+    /**
+     * Renders tickets into the table
      * @param {Array} tickets - Array of ticket objects
+     * @param {boolean} [append=false] - Append to the existing rows instead of replacing them
      */
-    render(tickets) {
-        nfLogger.debug('Rendering ticket list', { count: tickets.length });
-        dom.ticketListBody.innerHTML = '';
+    render(tickets, append = false) {
+        nfLogger.debug('Rendering ticket list', { count: tickets.length, append });
         
-        if (!tickets.length) {
-            show(dom.ticketListEmpty);
-            dom.ticketListEmpty.textContent = this._getLanguageLabel('ticketListEmpty');
-            return;
-        } else {
-            hide(dom.ticketListEmpty);
+        if (!append) {
+            dom.ticketListBody.innerHTML = '';
+            
+            if (!tickets.length) {
+                show(dom.ticketListEmpty);
+                dom.ticketListEmpty.textContent = this._getLanguageLabel(
+                    this.filters.searchQuery ? 'ticketListNoResults' : 'ticketListEmpty'
+                );
+                this.renderQueuedTickets();
+                this.renderPagination();
+                return;
+            } else {
+                hide(dom.ticketListEmpty);
+            }
         }
         
         const ticketRowTemplate = dom.templates.ticketListRow;
@@ -261,6 +471,9 @@ export class TicketList {
                         const subjectCell = tr.querySelector('.nf-ticketlist-cell--subject');
                         if (subjectCell) subjectCell.textContent = t.title || t.subject || '';
                         
+                        tr.setAttribute('data-ticket-id', t.id);
+                        this._renderUnreadBadge(tr, t);
+                        
                         const createdCell = tr.querySelector('.nf-ticketlist-cell--created');
                         if (createdCell) {
                             const locale = this._getCurrentLocale();
@@ -321,6 +534,70 @@ export class TicketList {
         
         // Append all rows at once to minimize reflows
         dom.ticketListBody.appendChild(fragment);
+        
+        if (!append) this.renderQueuedTickets();
+        this.renderPagination();
+    }
+
+    /**
+     * Updates the ticket count and the load more button
+     */
+    renderPagination() {
+        const countEl = dom.ticketListCount;
+        const loadMoreBtn = dom.ticketListLoadMore;
+        const loaded = this.tickets.length;
+        
+        if (countEl) {
+            if (!loaded) {
+                countEl.textContent = '';
+            } else if (this.pagination.total !== null) {
+                countEl.textContent = languageManager.getLabel('ticketListCount', {
+                    shown: loaded,
+                    total: this.pagination.total
+                });
+            } else {
+                countEl.textContent = languageManager.getLabel('ticketListCountLoaded', { shown: loaded });
+            }
+        }
+        
+        if (loadMoreBtn) {
+            this.pagination.hasMore ? show(loadMoreBtn) : hide(loadMoreBtn);
+        }
+    }
+
+    /**
+     * Shows tickets waiting in the outbox above the loaded tickets
+     */
+    renderQueuedTickets() {
+        if (!dom.ticketListBody) return;
+        
+        dom.ticketListBody.querySelectorAll('tr.nf-ticketlist-row--queued').forEach(tr => tr.remove());
+        
+        // Queued tickets are new tickets - they only belong to the open tickets
+        const items = this.filters.statusCategory === 'closed' ? [] : ticketOutbox.getQueuedTickets();
+        if (!items.length) return;
+        
+        const fragment = document.createDocumentFragment();
+        items.forEach(item => {
+            const tr = this._createQueuedRow(item);
+            if (tr) fragment.appendChild(tr);
+        });
+        
+        hide(dom.ticketListEmpty);
+        dom.ticketListBody.insertBefore(fragment, dom.ticketListBody.firstChild);
+    }
+
+    /**
+     * Updates the unread badges of the rendered rows (e.g. after a ticket was read)
+     */
+    updateUnreadBadges() {
+        if (!dom.ticketListBody) return;
+        
+        dom.ticketListBody.querySelectorAll('tr[data-ticket-id]').forEach(tr => {
+            const ticketId = tr.getAttribute('data-ticket-id');
+            const ticket = this.tickets.find(t => String(t.id) === ticketId);
+            if (ticket) this._renderUnreadBadge(tr, ticket);
+        });
     }
 
     /**
@@ -341,16 +618,18 @@ export class TicketList {
         // Open the ticket list modal
         this.modal.open('nf_ticketlist_container');
         setLoading(false);
+        OfflineBanner.setDataTimestamp(this.pagination.cachedAt);
     }
 
     /**
      * Invalidates ticket caches based on current filter context
      * Only invalidates current year tickets (active/closed), not archived
+     * @returns {Promise<void>}
      */
-    invalidateCurrentCaches() {
+    async invalidateCurrentCaches() {
         if (this.filters.year === CURRENT_YEAR && this.ticketService.cache) {
-            const cacheKey = `tickets_${this.filters.statusCategory}_${this.filters.year}_${appState.get('userId')}`;
-            this.ticketService.cache.invalidate(cacheKey);
+            const cacheKey = this.ticketService.getTicketListCacheKey(this.filters);
+            await this.ticketService.cache.invalidatePages(cacheKey);
             
             nfLogger.debug('Invalidated current year ticket caches on reload', {
                 cacheKey,
@@ -362,25 +641,136 @@ export class TicketList {
     }
 
     /**
-     * Gets language label
+     * Creates a row for a ticket waiting in the outbox
      * @private
-     * @param {string} key - Label key
-     * @returns {string} Label text
+     * @param {Object} item - Outbox item
+     * @returns {HTMLTableRowElement|null} Row or null if the template is missing
      */
-    _getLanguageLabel(key) {
-        if (!languageManager) return '';
-        return languageManager.getLabel(key) || '';
+    _createQueuedRow(item) {
+        const trTemplate = dom.templates.ticketListRow?.querySelector('tr.nf-ticketlist-row');
+        if (!trTemplate) return null;
+        
+        const tempTable = document.createElement('table');
+        tempTable.innerHTML = trTemplate.outerHTML;
+        const tr = tempTable.querySelector('tr');
+        tr.classList.add('nf-ticketlist-row--queued');
+        
+        const failed = item.status === OUTBOX_STATUS.FAILED;
+        const subjectCell = tr.querySelector('.nf-ticketlist-cell--subject');
+        const createdCell = tr.querySelector('.nf-ticketlist-cell--created');
+        const statusSpan = tr.querySelector('.nf-ticketlist-cell--status span');
+        
+        if (subjectCell) {
+            subjectCell.textContent = item.payload.subject;
+            if (failed) {
+                subjectCell.appendChild(this._createOutboxButton('outbox.retry', () => ticketOutbox.retry(item.id)));
+                subjectCell.appendChild(this._createOutboxButton('outbox.discard', () => ticketOutbox.discard(item.id)));
+            }
+        }
+        if (createdCell) {
+            createdCell.textContent = new Date(item.createdAt).toLocaleString(this._getCurrentLocale());
+        }
+        if (statusSpan) {
+            statusSpan.className = `nf-ticketlist-status nf-ticketlist-status--${failed ? 'failed' : 'queued'}`;
+            statusSpan.textContent = this._getLanguageLabel(`outbox.${item.status}`);
+            if (failed) statusSpan.title = item.error || '';
+        }
+        
+        return tr;
+    }
+
+    /**
+     * Creates a small action button for a queued ticket
+     * @private
+     * @param {string} labelKey - Label key in ui.json
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} Button
+     */
+    _createOutboxButton(labelKey, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'nf-btn nf-btn--secondary nf-outbox-action';
+        button.textContent = this._getLanguageLabel(labelKey);
+        button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    /**
+     * Adds, updates or removes the unread badge in the subject cell of a row
+     * @private
+     * @param {HTMLTableRowElement} tr - Ticket row
+     * @param {Object} ticket - Ticket shown in the row
+     */
+    _renderUnreadBadge(tr, ticket) {
+        const subjectCell = tr.querySelector('.nf-ticketlist-cell--subject');
+        if (!subjectCell) return;
+        
+        const unreadCount = UnreadTracker.getUnreadCount(ticket);
+        let badge = subjectCell.querySelector('.nf-ticketlist-unread');
+        
+        if (unreadCount === 0) {
+            badge?.remove();
+            tr.classList.remove('nf-ticketlist-row--unread');
+            return;
+        }
+        
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'nf-ticketlist-unread';
+            subjectCell.appendChild(badge);
+        }
+        badge.textContent = unreadCount;
+        const label = languageManager.getAriaLabel('unreadReplies', { count: unreadCount });
+        badge.setAttribute('aria-label', label);
+        badge.title = label;
+        tr.classList.add('nf-ticketlist-row--unread');
+    }
+
+    /**
+     * Stores the pagination state of the last loaded page
+     * @private
+     * @param {Object} result - Page object returned by TicketService.getTickets
+     */
+    _updatePagination(result) {
+        // The list is as old as its oldest page
+        const cachedAt = result.page > 1 && this.pagination.cachedAt
+            ? Math.min(this.pagination.cachedAt, result.cachedAt)
+            : result.cachedAt;
+        
+        this.pagination = {
+            page: result.page,
+            total: result.total,
+            hasMore: result.hasMore,
+            cachedAt
+        };
+        OfflineBanner.setDataTimestamp(cachedAt);
     }
 
     /**
-     * Gets language message
+     * Toggles the busy state of the load more button
      * @private
-     * @param {string} key - Message key
-     * @returns {string} Message text
+     * @param {boolean} busy - Whether a page is being loaded
      */
-    _getLanguageMessage(key) {
+    _setLoadMoreBusy(busy) {
+        const loadMoreBtn = dom.ticketListLoadMore;
+        if (!loadMoreBtn) return;
+        loadMoreBtn.disabled = busy;
+        loadMoreBtn.setAttribute('aria-busy', busy ? 'true' : 'false');
+        loadMoreBtn.textContent = this._getLanguageLabel(busy ? 'ticketListLoadingMore' : 'ticketListLoadMore');
+    }
+
+    /**
+     * Gets language label
+     * @private
+     * @param {string} key - Label key
+     * @returns {string} Label text
+     */
+    _getLanguageLabel(key) {
         if (!languageManager) return '';
-        return languageManager.getUtilsMessage(key) || '';
+        return languageManager.getLabel(key) || '';
     }
 
     /**
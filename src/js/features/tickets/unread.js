@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Tracks which tickets have replies the user has not seen yet
+ * @author danielknng
+ * @module features/tickets/unread
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import Storage, { TICKET_READ_STATE_PREFIX } from '../../core/storage.js';
+import appState from '../../state/store.js';
+import eventBus from '../../state/events.js';
+import nfLogger from '../../core/logger.js';
+
+/**
+ * Latest known version of the user's tickets by ticket ID (from ticket lists and polling)
+ * @private
+ */
+const knownTickets = new Map();
+
+/**
+ * Parsed read state of the current user - the ticket list asks for every row, parsing the
+ * stored JSON each time would be slow. Dropped on every write and when another tab writes.
+ * @private
+ * @type {{userId: string, state: Object}|null}
+ */
+let readStateCache = null;
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('storage', (event) => {
+        if (!event.key || event.key.startsWith(TICKET_READ_STATE_PREFIX)) readStateCache = null;
+    });
+}
+
+/**
+ * Gets the read state of a user, parsed from localStorage only once
+ * @private
+ * @param {number|string} userId - User ID
+ * @returns {Object} Last seen state per ticket ID
+ */
+function getReadState(userId) {
+    if (readStateCache?.userId !== String(userId)) {
+        readStateCache = { userId: String(userId), state: Storage.getTicketReadState(userId) };
+    }
+    return readStateCache.state;
+}
+
+/**
+ * Stores the read state of one or more tickets
+ * @private
+ * @param {number|string} userId - User ID
+ * @param {Object<string, Object>} seenTickets - Last seen state per ticket ID
+ */
+function setReadState(userId, seenTickets) {
+    Storage.setTicketReadState(userId, seenTickets);
+    readStateCache = null;
+}
+
+/**
+ * Builds the read state entry for a ticket
+ * @private
+ * @param {Object} ticket - Ticket object
+ * @returns {Object} Read state ({ articleCount, lastArticleId, updatedAt })
+ */
+function toReadState(ticket) {
+    const articleIds = (ticket.articles || []).map(article => article.id).filter(Boolean);
+    return {
+        articleCount: ticket.article_count ?? null,
+        lastArticleId: articleIds.length ? Math.max(...articleIds) : null,
+        updatedAt: ticket.updated_at || null
+    };
+}
+
+/**
+ * Unread reply tracking.
+ * The last seen state per ticket is persisted in localStorage (see Storage.setTicketReadState)
+ * and compared against article_count / updated_at of the tickets loaded from Zammad.
+ *
+ * @namespace UnreadTracker
+ */
+export const UnreadTracker = {
+    /**
+     * Records the latest version of loaded tickets. Tickets seen for the first time
+     * are taken as read, so existing replies do not show up as new.
+     * @param {Array<Object>} tickets - Tickets from a ticket list or poll
+     */
+    track(tickets) {
+        const userId = appState.get('userId');
+        if (!userId || !tickets?.length) return;
+
+        const readState = getReadState(userId);
+        const firstSeen = {};
+
+        tickets.forEach(ticket => {
+            if (!readState[ticket.id]) firstSeen[ticket.id] = toReadState(ticket);
+            knownTickets.set(String(ticket.id), ticket);
+        });
+
+        if (Object.keys(firstSeen).length > 0) {
+            setReadState(userId, firstSeen);
+        }
+
+        this._emitChange();
+    },
+
+    /**
+     * Gets the number of unseen replies of a ticket
+     * @param {Object} ticket - Ticket object with article_count, updated_at and optionally last_contact_agent_at
+     * @returns {number} Number of unseen replies (0 if the ticket is read or unknown)
+     */
+    getUnreadCount(ticket) {
+        const userId = appState.get('userId');
+        if (!userId || !ticket) return 0;
+
+        const seen = getReadState(userId)[ticket.id];
+        if (!seen) return 0;
+
+        // No agent contact since the ticket was seen - changes came from the user or the system
+        if (ticket.last_contact_agent_at && seen.updatedAt &&
+            new Date(ticket.last_contact_agent_at) <= new Date(seen.updatedAt)) {
+            return 0;
+        }
+
+        if (typeof ticket.article_count === 'number' && typeof seen.articleCount === 'number') {
+            return Math.max(ticket.article_count - seen.articleCount, 0);
+        }
+
+        return ticket.updated_at && seen.updatedAt && new Date(ticket.updated_at) > new Date(seen.updatedAt) ? 1 : 0;
+    },
+
+    /**
+     * Gets the number of unseen replies over all known tickets
+     * @returns {number} Total number of unseen replies
+     */
+    getTotalUnread() {
+        let total = 0;
+        knownTickets.forEach(ticket => {
+            total += this.getUnreadCount(ticket);
+        });
+        return total;
+    },
+
+    /**
+     * Marks a ticket as read with the state that was just shown to the user
+     * @param {Object} ticket - Ticket object (with articles if loaded from the detail view)
+     */
+    markAsRead(ticket) {
+        const userId = appState.get('userId');
+        if (!userId || !ticket?.id) return;
+
+        setReadState(userId, { [ticket.id]: toReadState(ticket) });
+
+        // The detail view may be newer than the ticket list - never go back to an older version
+        const known = knownTickets.get(String(ticket.id));
+        if (!known || new Date(ticket.updated_at) >= new Date(known.updated_at)) {
+            knownTickets.set(String(ticket.id), { ...known, ...ticket, articles: undefined });
+        }
+
+        nfLogger.debug('Ticket marked as read', { ticketId: ticket.id, articleCount: ticket.article_count });
+        this._emitChange();
+    },
+
+    /**
+     * Forgets the known tickets (e.g. on logout). The persisted read state is kept.
+     */
+    reset() {
+        knownTickets.clear();
+        this._emitChange();
+    },
+
+    /**
+     * Emits the current unread total
+     * @private
+     */
+    _emitChange() {
+        eventBus.emit('tickets:unread', { total: this.getTotalUnread() });
+    }
+};
+
+export default UnreadTracker;
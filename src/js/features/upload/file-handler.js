@@ -9,6 +9,36 @@
 import { dom } from '../../ui/dom.js';
 import { NF_CONFIG } from '../../core/config.js';
 import { showStatus } from '../../ui/status.js';
+import languageManager from '../../i18n/manager.js';
+import { processImages, getOriginalSize } from './image-processor.js';
+import { matchesFileType, detectFileType } from './file-signature.js';
+import { UploadQueue, UPLOAD_STATUS } from './upload-queue.js';
+import { getFileKey } from '../../utils/file-processor.js';
+import { getErrorReason } from '../../i18n/error-translator.js';
+
+/**
+ * Upload queues of the new ticket form and the reply box, progress is shown in their file previews
+ * @private
+ * @constant {Object<string, UploadQueue>}
+ */
+const uploadQueues = {
+    newticket: new UploadQueue({
+        onChange: item => renderUploadState(dom.filePreviewList, uploadQueues.newticket, item)
+    }),
+    ticketdetail: new UploadQueue({
+        onChange: item => renderUploadState(dom.ticketDetailFilePreviewList, uploadQueues.ticketdetail, item)
+    })
+};
+
+/**
+ * MIME types by file extension, for files the browser reports without type (e.g. Outlook .msg files)
+ * @private
+ * @constant {Object<string, string>}
+ */
+const EXTENSION_TYPES = {
+    '.eml': 'message/rfc822',
+    '.msg': 'application/vnd.ms-outlook'
+};
 
 /**
  * Converts a file to a Base64 string for API uploads
@@ -75,10 +105,11 @@ export function isFileTypeAllowed(fileType, fileName) {
 /**
  * Validates a file against configured security policies
  * @param {File} file - File object to validate
+ * @param {FileList|Array<File>} [attached=[]] - Other files of the same ticket or reply, for the count and total size limits
  * @throws {Error} If file is invalid
  * @returns {boolean} True if valid
  */
-export function validateFile(file) {
+export function validateFile(file, attached = []) {
     if (!file) throw new Error('No file provided');
     
     const config = NF_CONFIG?.security;
@@ -94,9 +125,89 @@ export function validateFile(file) {
         throw new Error(`File type "${file.type}" is not allowed for "${file.name}".`);
     }
     
+    // Check limits of the whole ticket or reply
+    const others = Array.from(attached || []);
+    if (config.maxFileCount && others.length + 1 > config.maxFileCount) {
+        throw new Error(languageManager.getUtilsMessage('fileCountExceeded', { file: file.name, max: config.maxFileCount }));
+    }
+    const totalSize = others.reduce((sum, other) => sum + other.size, file.size);
+    if (config.maxTotalSize && totalSize > config.maxTotalSize) {
+        throw new Error(languageManager.getUtilsMessage('fileTotalSizeExceeded', {
+            file: file.name,
+            max: Math.round(config.maxTotalSize / 1024 / 1024)
+        }));
+    }
+    
     return true;
 }
 
+/**
+ * Validates the content of a file against its type (magic numbers, see file-signature.js).
+ * The browser derives file.type from the file name, so a renamed executable would pass as PDF.
+ * Files without type have to be detected as one of the allowed types.
+ * @param {File} file - File object to validate
+ * @throws {Error} If the content does not match the type or is not an allowed type
+ * @returns {Promise<boolean>} True if valid
+ */
+export async function validateFileContent(file) {
+    const config = NF_CONFIG?.security;
+    if (!config || config.verifyFileContent === false) return true;
+    
+    const extension = (file.name.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+    const type = file.type || EXTENSION_TYPES[extension];
+    
+    if (type) {
+        // Types without known signature (added to allowedFileTypes) are only checked by type
+        if (await matchesFileType(file, type) === false) {
+            throw new Error(languageManager.getUtilsMessage('fileContentMismatch', { file: file.name, type }));
+        }
+        return true;
+    }
+    
+    if (!await detectFileType(file, config.allowedFileTypes || [])) {
+        throw new Error(languageManager.getUtilsMessage('fileContentNotAllowed', { file: file.name }));
+    }
+    return true;
+}
+
+/**
+ * Validates all files of a ticket or reply when it is sent: type, size, content and the limits
+ * of the whole set. Files are checked when they are added as well, but the file input may
+ * hold files that did not go through filterValidFiles() (e.g. restored by the browser).
+ * @param {FileList|Array<File>} files - Files to send
+ * @throws {Error} Reason for the first invalid file
+ * @returns {Promise<boolean>} True if all files are valid
+ */
+export async function validateFiles(files) {
+    const list = Array.from(files || []);
+    for (const [index, file] of list.entries()) {
+        validateFile(file, list.slice(0, index));
+        await validateFileContent(file);
+    }
+    return true;
+}
+
+/**
+ * Validates files added to a form and shows the reason for each rejected file
+ * @param {FileList|Array<File>} files - Added files
+ * @param {FileList|Array<File>} attached - Files already attached to the form
+ * @param {string} target - Status target: 'newticket' or 'ticketdetail'
+ * @returns {Promise<Array<File>>} Accepted files
+ */
+export async function filterValidFiles(files, attached, target) {
+    const accepted = [];
+    for (const file of Array.from(files || [])) {
+        try {
+            validateFile(file, [...Array.from(attached || []), ...accepted]);
+            await validateFileContent(file);
+            accepted.push(file);
+        } catch (error) {
+            showStatus(error.message, 'error', target);
+        }
+    }
+    return accepted;
+}
+
 /**
  * Creates a file preview item
  * @param {File} file - The file to create preview for
@@ -128,7 +239,7 @@ export function createFilePreviewItem(file, index, removeCallback) {
             const removeBtn = previewItem.querySelector('.file-preview-remove');
             
             if (nameEl) nameEl.textContent = file.name;
-            if (sizeEl) sizeEl.textContent = formatFileSize(file.size);
+            if (sizeEl) setPreviewSize(sizeEl, file);
             if (removeBtn && removeCallback) {
                 removeBtn.onclick = () => removeCallback(index);
             }
@@ -147,7 +258,7 @@ export function createFilePreviewItem(file, index, removeCallback) {
     
     const fileSize = document.createElement('div');
     fileSize.className = 'file-preview-size';
-    fileSize.textContent = formatFileSize(file.size);
+    setPreviewSize(fileSize, file);
     
     const removeBtn = document.createElement('button');
     removeBtn.className = 'file-preview-remove';
@@ -164,6 +275,137 @@ export function createFilePreviewItem(file, index, removeCallback) {
     return previewItem;
 }
 
+/**
+ * Shows the size of a file in its preview, for processed images with the original size
+ * @private
+ * @param {HTMLElement} sizeEl - Size element of the preview item
+ * @param {File} file - Previewed file
+ */
+function setPreviewSize(sizeEl, file) {
+    const originalSize = getOriginalSize(file);
+    if (originalSize === null) {
+        sizeEl.textContent = formatFileSize(file.size);
+        return;
+    }
+
+    sizeEl.textContent = `${formatFileSize(originalSize)} → ${formatFileSize(file.size)}`;
+    sizeEl.title = languageManager.getLabel('upload.imageProcessed', {
+        original: formatFileSize(originalSize),
+        size: formatFileSize(file.size)
+    });
+    sizeEl.classList.add('file-preview-size--processed');
+}
+
+/**
+ * Gets the upload queue of a form
+ * @param {string} target - Form: 'newticket' or 'ticketdetail'
+ * @returns {UploadQueue} Upload queue
+ */
+export function getUploadQueue(target) {
+    return uploadQueues[target];
+}
+
+/**
+ * Shows the upload state of a file in the preview list
+ * @private
+ * @param {HTMLElement|null} previewList - Preview list of the form
+ * @param {UploadQueue} queue - Upload queue of the form
+ * @param {Object} item - Queue item
+ */
+function renderUploadState(previewList, queue, item) {
+    if (!previewList) return;
+    Array.from(previewList.querySelectorAll('.file-preview-item'))
+        .filter(previewItem => previewItem.dataset.uploadKey === item.key)
+        .forEach(previewItem => setUploadState(previewItem, queue, item));
+}
+
+/**
+ * Updates progress bar, retry button and failure hint of a preview item
+ * @private
+ * @param {HTMLElement} previewItem - Preview item
+ * @param {UploadQueue} queue - Upload queue of the form
+ * @param {Object} item - Queue item
+ */
+function setUploadState(previewItem, queue, item) {
+    let progress = previewItem.querySelector('.file-preview-progress');
+    if (!progress) {
+        progress = document.createElement('div');
+        progress.className = 'file-preview-progress nf-hidden';
+        progress.setAttribute('role', 'progressbar');
+        progress.setAttribute('aria-valuemin', '0');
+        progress.setAttribute('aria-valuemax', '100');
+        const bar = document.createElement('div');
+        bar.className = 'file-preview-progress-bar';
+        progress.appendChild(bar);
+        previewItem.appendChild(progress);
+    }
+
+    let retryBtn = previewItem.querySelector('.file-preview-retry');
+    if (!retryBtn) {
+        retryBtn = document.createElement('button');
+        retryBtn.type = 'button';
+        retryBtn.className = 'file-preview-retry nf-hidden';
+        retryBtn.textContent = '↻';
+        previewItem.appendChild(retryBtn);
+    }
+
+    const active = item.status === UPLOAD_STATUS.PENDING || item.status === UPLOAD_STATUS.UPLOADING;
+    const failed = item.status === UPLOAD_STATUS.FAILED;
+    const percent = item.total > 0 ? Math.round((item.loaded / item.total) * 100) : 0;
+
+    progress.classList.toggle('nf-hidden', !active);
+    progress.setAttribute('aria-valuenow', String(percent));
+    progress.setAttribute('aria-label', languageManager.getLabel('upload.progress', { file: item.file.name, percent }));
+    progress.firstElementChild.style.width = `${percent}%`;
+
+    previewItem.classList.toggle('file-preview-item--uploading', active);
+    previewItem.classList.toggle('file-preview-item--uploaded', item.status === UPLOAD_STATUS.DONE);
+    previewItem.classList.toggle('file-preview-item--failed', failed);
+    previewItem.title = failed ? `${languageManager.getLabel('upload.failed')} ${getErrorReason(item.error)}`.trim() : '';
+
+    // The remove button cancels a running upload
+    const removeBtn = previewItem.querySelector('.file-preview-remove');
+    if (removeBtn) {
+        const label = active ? languageManager.getLabel('upload.cancel') : languageManager.getLabel('upload.remove');
+        removeBtn.title = label;
+        removeBtn.setAttribute('aria-label', label);
+    }
+
+    retryBtn.classList.toggle('nf-hidden', !failed);
+    retryBtn.title = languageManager.getLabel('upload.retry');
+    retryBtn.setAttribute('aria-label', languageManager.getLabel('upload.retry'));
+    retryBtn.onclick = () => queue.retry(item.file);
+}
+
+/**
+ * Marks a preview item with its file and shows the upload state if the file is queued
+ * @private
+ * @param {HTMLElement} previewItem - Preview item
+ * @param {File} file - Previewed file
+ * @param {UploadQueue} queue - Upload queue of the form
+ */
+function trackUpload(previewItem, file, queue) {
+    previewItem.dataset.uploadKey = getFileKey(file);
+    const item = queue.getItem(file);
+    if (item) setUploadState(previewItem, queue, item);
+}
+
+/**
+ * Processes the images chosen in a file input (see image-processor.js), validates the files
+ * and keeps only the accepted ones - the file picker replaces the previous selection
+ * @param {HTMLInputElement} input - File input
+ * @param {string} target - Status target: 'newticket' or 'ticketdetail'
+ * @returns {Promise<void>}
+ */
+export async function prepareInputFiles(input, target) {
+    if (!input?.files?.length) return;
+
+    const files = await filterValidFiles(await processImages(input.files), [], target);
+    const dataTransfer = new DataTransfer();
+    files.forEach(file => dataTransfer.items.add(file));
+    input.files = dataTransfer.files;
+}
+
 /**
  * Updates the file preview for new ticket creation
  */
@@ -185,7 +427,9 @@ export function updateFilePreview() {
     
     Array.from(files).forEach((file, index) => {
         const previewItem = createFilePreviewItem(file, index, removeFileFromPreview);
-        if (previewItem) previewList.appendChild(previewItem);
+        if (!previewItem) return;
+        trackUpload(previewItem, file, uploadQueues.newticket);
+        previewList.appendChild(previewItem);
     });
 }
 
@@ -202,6 +446,8 @@ export function removeFileFromPreview(indexToRemove) {
     Array.from(files).forEach((file, index) => {
         if (index !== indexToRemove) {
             dt.items.add(file);
+        } else {
+            uploadQueues.newticket.remove(file);
         }
     });
     
@@ -216,6 +462,7 @@ export function clearFilePreview() {
     if (dom.filePreviewList) dom.filePreviewList.innerHTML = '';
     if (dom.filePreviewContainer) dom.filePreviewContainer.style.display = 'none';
     if (dom.newTicketAttachment) dom.newTicketAttachment.value = '';
+    uploadQueues.newticket.reset();
 }
 
 /**
@@ -239,7 +486,9 @@ export function updateReplyFilePreview() {
     
     Array.from(files).forEach((file, index) => {
         const previewItem = createFilePreviewItem(file, index, removeReplyFileFromPreview);
-        if (previewItem) previewList.appendChild(previewItem);
+        if (!previewItem) return;
+        trackUpload(previewItem, file, uploadQueues.ticketdetail);
+        previewList.appendChild(previewItem);
     });
 }
 
@@ -256,6 +505,8 @@ export function removeReplyFileFromPreview(indexToRemove) {
     Array.from(files).forEach((file, index) => {
         if (index !== indexToRemove) {
             dt.items.add(file);
+        } else {
+            uploadQueues.ticketdetail.remove(file);
         }
     });
     
@@ -270,6 +521,87 @@ export function clearReplyFilePreview() {
     if (dom.ticketDetailFilePreviewList) dom.ticketDetailFilePreviewList.innerHTML = '';
     if (dom.ticketDetailFilePreview) dom.ticketDetailFilePreview.style.display = 'none';
     if (dom.ticketDetailAttachment) dom.ticketDetailAttachment.value = '';
+    uploadQueues.ticketdetail.reset();
+}
+
+/**
+ * Forms that accept pasted images: file input, preview and status target
+ * @private
+ * @constant {Object<string, Object>}
+ */
+const PASTE_TARGETS = {
+    newticket: {
+        getInput: () => dom.newTicketAttachment,
+        updatePreview: updateFilePreview
+    },
+    ticketdetail: {
+        getInput: () => dom.ticketDetailAttachment,
+        updatePreview: updateReplyFilePreview
+    }
+};
+
+/**
+ * Gets the images of a paste event. Pasted text wins - office applications put a picture of
+ * the copied cells next to the text.
+ * @param {ClipboardEvent} event - Paste event
+ * @returns {Array<File>} Pasted image files (empty if text was pasted)
+ */
+export function getPastedImages(event) {
+    const clipboard = event.clipboardData;
+    if (!clipboard || clipboard.getData('text/plain')) return [];
+
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+    return Array.from(clipboard.files || [])
+        .filter(file => file.type.startsWith('image/'))
+        .map((file, index) => {
+            // Screenshots are all called "image.png" - give them distinct names
+            const extension = file.type.split('/')[1].replace('jpeg', 'jpg').replace(/\+.*$/, '');
+            const name = `screenshot-${stamp}${index > 0 ? `-${index + 1}` : ''}.${extension}`;
+            return new File([file], name, { type: file.type, lastModified: file.lastModified });
+        });
+}
+
+/**
+ * Adds pasted images to a form: inline into the HTML body if NF_CONFIG.ui.editor.inlineImages
+ * is enabled and the editor is in rich text mode, otherwise as attachments
+ * @param {Array<File>} images - Images from getPastedImages()
+ * @param {Object} editor - RichTextEditor of the form
+ * @param {string} target - Form: 'newticket' or 'ticketdetail'
+ * @returns {Promise<void>}
+ */
+export async function addPastedImages(images, editor, target) {
+    const { getInput, updatePreview } = PASTE_TARGETS[target];
+    const input = getInput();
+
+    // Processed first - a large screenshot may fit the size limit afterwards
+    const processed = await processImages(images);
+    const inline = !!editor?.canInlineImages();
+    const valid = await filterValidFiles(processed, inline ? [] : input?.files, target);
+    if (valid.length === 0) return;
+
+    if (inline) {
+        for (const file of valid) {
+            await editor.insertImage(file);
+        }
+        return;
+    }
+
+    if (!input) return;
+    addFilesToInput(input, valid);
+    updatePreview();
+}
+
+/**
+ * Appends files to the files of a file input
+ * @param {HTMLInputElement} input - File input
+ * @param {FileList|Array<File>} files - Files to add
+ */
+export function addFilesToInput(input, files) {
+    const dataTransfer = new DataTransfer();
+    [...input.files, ...files].forEach(file => {
+        dataTransfer.items.add(file);
+    });
+    input.files = dataTransfer.files;
 }
 
 /**
@@ -298,17 +630,20 @@ export function initializeDragAndDrop() {
     });
     
     fileUpload.addEventListener('drop', (e) => {
-        const files = e.dataTransfer.files;
-        const newDataTransfer = new DataTransfer();
-        
         // Combine existing files with dropped files
-        [...fileInput.files, ...files].forEach(file => {
-            newDataTransfer.items.add(file);
-        });
-        
-        fileInput.files = newDataTransfer.files;
-        updateFilePreview();
+        processImages(e.dataTransfer.files)
+            .then(files => filterValidFiles(files, fileInput.files, 'newticket'))
+            .then(files => {
+                addFilesToInput(fileInput, files);
+                updateFilePreview();
+            });
     }, false);
+
+    // Files chosen with the file picker replace the previous selection
+    fileInput.addEventListener('change', async () => {
+        await prepareInputFiles(fileInput, 'newticket');
+        updateFilePreview();
+    });
 }
 
 /**
@@ -322,8 +657,10 @@ export function handleAttachFiles() {
 
 /**
  * Handles file selection change for reply attachments
+ * @returns {Promise<void>}
  */
-export function handleReplyAttachmentChange() {
+export async function handleReplyAttachmentChange() {
+    await prepareInputFiles(dom.ticketDetailAttachment, 'ticketdetail');
     updateReplyFilePreview();
 }
 
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview File type detection from the file content (magic numbers)
+ * @author danielknng
+ * @module features/upload/file-signature
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+/**
+ * Bytes at the start of a file that are read for detection
+ * @constant {number}
+ */
+const SNIFF_BYTES = 8 * 1024;
+
+/**
+ * Signatures of binary file types. A type matches if all parts of one of its signatures match;
+ * parts with "within" may start anywhere in the first bytes (PDF readers accept leading garbage).
+ * Office Open XML documents are ZIP archives, Word 97-2003 and Outlook files are OLE compound files.
+ * @constant {Object<string, Array<Array<Object>>>}
+ */
+const SIGNATURES = {
+    'image/jpeg': [[{ offset: 0, bytes: '\xFF\xD8\xFF' }]],
+    'image/png': [[{ offset: 0, bytes: '\x89PNG\r\n\x1A\n' }]],
+    'image/gif': [[{ offset: 0, bytes: 'GIF87a' }], [{ offset: 0, bytes: 'GIF89a' }]],
+    'image/webp': [[{ offset: 0, bytes: 'RIFF' }, { offset: 8, bytes: 'WEBP' }]],
+    'application/pdf': [[{ within: 1024, bytes: '%PDF-' }]],
+    'application/msword': [[{ offset: 0, bytes: '\xD0\xCF\x11\xE0\xA1\xB1\x1A\xE1' }]],
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': [[{ offset: 0, bytes: 'PK\x03\x04' }]],
+    'application/vnd.ms-outlook': [[{ offset: 0, bytes: '\xD0\xCF\x11\xE0\xA1\xB1\x1A\xE1' }]]
+};
+
+/**
+ * Text based types, checked by content instead of a signature
+ * @constant {Object<string, Function>}
+ */
+const TEXT_CHECKS = {
+    'text/plain': header => isText(header),
+    // The first line of a mail is a header field ("Received: ...") or an mbox "From " line
+    'message/rfc822': header => isText(header) && /^(From |[!-9;-~]+:)/.test(stripByteOrderMark(header).trimStart())
+};
+
+/**
+ * Checks whether the content of a file matches a MIME type
+ * @param {File|Blob} file - File to check
+ * @param {string} type - Expected MIME type
+ * @returns {Promise<boolean|null>} True or false, null if no signature is known for the type
+ */
+export async function matchesFileType(file, type) {
+    if (!SIGNATURES[type] && !TEXT_CHECKS[type]) return null;
+    return matchesHeader(await readHeader(file), type);
+}
+
+/**
+ * Detects the type of a file from its content
+ * @param {File|Blob} file - File to check
+ * @param {Array<string>} [types] - Candidate MIME types (defaults to all known types)
+ * @returns {Promise<string|null>} First matching MIME type or null
+ */
+export async function detectFileType(file, types = [...Object.keys(SIGNATURES), ...Object.keys(TEXT_CHECKS)]) {
+    const header = await readHeader(file);
+    // Binary signatures first - almost any file would pass as text otherwise
+    const ordered = [...types].sort((a, b) => Number(!!TEXT_CHECKS[a]) - Number(!!TEXT_CHECKS[b]));
+    return ordered.find(type => matchesHeader(header, type)) || null;
+}
+
+/**
+ * Reads the first bytes of a file as a string with one character per byte
+ * @private
+ * @param {File|Blob} file - File to read
+ * @returns {Promise<string>} Header
+ */
+async function readHeader(file) {
+    const bytes = new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer());
+    return Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+}
+
+/**
+ * Checks a file header against the signatures or text check of a type
+ * @private
+ * @param {string} header - Header from readHeader()
+ * @param {string} type - MIME type
+ * @returns {boolean} True if the header matches
+ */
+function matchesHeader(header, type) {
+    if (TEXT_CHECKS[type]) return TEXT_CHECKS[type](header);
+
+    return (SIGNATURES[type] || []).some(parts => parts.every(part => {
+        if (part.within) return header.slice(0, part.within).includes(part.bytes);
+        return header.startsWith(part.bytes, part.offset);
+    }));
+}
+
+/**
+ * Checks whether a header looks like text: no NUL bytes, except for UTF-16 text with byte order mark
+ * @private
+ * @param {string} header - Header from readHeader()
+ * @returns {boolean} True if text
+ */
+function isText(header) {
+    if (header.startsWith('\xFF\xFE') || header.startsWith('\xFE\xFF')) return true;
+    return !header.includes('\x00');
+}
+
+/**
+ * Removes a UTF-8 byte order mark
+ * @private
+ * @param {string} header - Header from readHeader()
+ * @returns {string} Header without byte order mark
+ */
+function stripByteOrderMark(header) {
+    return header.startsWith('\xEF\xBB\xBF') ? header.slice(3) : header;
+}
+
+export default detectFileType;
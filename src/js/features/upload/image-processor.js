@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Client-side downscaling, recompression and metadata removal of image attachments
+ * @author danielknng
+ * @module features/upload/image-processor
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { NF_CONFIG } from '../../core/config.js';
+import nfLogger from '../../core/logger.js';
+import { getFileKey } from '../../utils/file-processor.js';
+
+/**
+ * File extensions by output type, used if the browser encodes another type than requested
+ * @constant {Object<string, string>}
+ */
+const TYPE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp'
+};
+
+/**
+ * Original sizes of processed files by file key, shown in the file preview
+ * @private
+ * @type {Map<string, number>}
+ */
+const originalSizes = new Map();
+
+/**
+ * Checks whether images are processed before upload
+ * @returns {boolean} True if NF_CONFIG.security.imageProcessing is enabled and the browser can decode images
+ */
+export function isImageProcessingEnabled() {
+    return !!NF_CONFIG.security.imageProcessing?.enabled && typeof createImageBitmap === 'function';
+}
+
+/**
+ * Gets the size of a file before it was processed
+ * @param {File} file - File returned by processImage()
+ * @returns {number|null} Original size in bytes or null if the file was not changed
+ */
+export function getOriginalSize(file) {
+    return originalSizes.get(getFileKey(file)) ?? null;
+}
+
+/**
+ * Processes a list of files, only JPEG, PNG and WebP images are changed
+ * @param {FileList|Array<File>} files - Selected, dropped or pasted files
+ * @returns {Promise<Array<File>>} Files in the same order
+ */
+export async function processImages(files) {
+    const result = [];
+    // One after another - decoding several photos at once needs a lot of memory
+    for (const file of Array.from(files || [])) {
+        result.push(await processImage(file));
+    }
+    return result;
+}
+
+/**
+ * Downscales an image to NF_CONFIG.security.imageProcessing.maxDimension and encodes it again
+ * with the configured quality. Encoding drops all metadata (EXIF and XMP including GPS position);
+ * the orientation stored in EXIF is applied to the pixels first.
+ *
+ * With stripMetadata the encoded image is always used - metadata may sit anywhere in the
+ * file (e.g. WebP and XMP chunks after the image data), so it cannot be ruled out reliably.
+ * Otherwise the original is kept if the result is not resized and would be larger.
+ * The original is also kept if processing fails.
+ *
+ * @param {File} file - File to process
+ * @returns {Promise<File>} Processed or original file
+ */
+export async function processImage(file) {
+    const config = NF_CONFIG.security.imageProcessing || {};
+    if (!isImageProcessingEnabled() || !(config.types || []).includes(file.type)) return file;
+
+    try {
+        const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+        const maxDimension = config.maxDimension || Infinity;
+        const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+        const width = Math.round(bitmap.width * scale);
+        const height = Math.round(bitmap.height * scale);
+
+        const blob = await encodeImage(bitmap, width, height, file.type, config.quality ?? 0.85);
+        bitmap.close?.();
+
+        const resized = scale < 1;
+        const stripMetadata = config.stripMetadata !== false;
+        if (!blob || (!resized && !stripMetadata && blob.size >= file.size)) return file;
+
+        const processed = new File([blob], renameForType(file.name, file.type, blob.type), {
+            type: blob.type,
+            lastModified: file.lastModified
+        });
+        originalSizes.set(getFileKey(processed), file.size);
+
+        nfLogger.debug('Image processed before upload', {
+            name: file.name,
+            originalSize: file.size,
+            size: processed.size,
+            width,
+            height
+        });
+        return processed;
+    } catch (error) {
+        nfLogger.warn('Image could not be processed, uploading original', { name: file.name, error: error.message });
+        return file;
+    }
+}
+
+/**
+ * Draws an image onto a canvas and encodes it
+ * @private
+ * @param {ImageBitmap} bitmap - Decoded image
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @param {string} type - Requested output type
+ * @param {number} quality - Quality for JPEG and WebP (0-1)
+ * @returns {Promise<Blob|null>} Encoded image
+ */
+async function encodeImage(bitmap, width, height, type, quality) {
+    if (typeof OffscreenCanvas === 'function') {
+        const canvas = new OffscreenCanvas(width, height);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+        return canvas.convertToBlob({ type, quality });
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+    return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+}
+
+/**
+ * Changes the file extension if the browser encoded another type than requested
+ * (e.g. PNG instead of WebP)
+ * @private
+ * @param {string} name - Original file name
+ * @param {string} requestedType - Requested MIME type
+ * @param {string} actualType - MIME type of the encoded image
+ * @returns {string} File name
+ */
+function renameForType(name, requestedType, actualType) {
+    if (actualType === requestedType || !TYPE_EXTENSIONS[actualType]) return name;
+    return `${name.replace(/\.[^.]+$/, '')}.${TYPE_EXTENSIONS[actualType]}`;
+}
+
+export default processImages;
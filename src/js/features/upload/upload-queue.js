@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Parallel attachment uploads into the Zammad upload cache with progress, retry and cancel
+ * @author danielknng
+ * @module features/upload/upload-queue
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { NF_CONFIG } from '../../core/config.js';
+import { createIdempotencyKey, isCancelledRequest } from '../../api/http.js';
+import { getFileKey } from '../../utils/file-processor.js';
+import nfLogger from '../../core/logger.js';
+
+/**
+ * Status of a file in the upload queue
+ * @constant {Object<string, string>}
+ */
+export const UPLOAD_STATUS = {
+    PENDING: 'pending',
+    UPLOADING: 'uploading',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+/**
+ * Upload queue of a form
+ * Uploads the attachments of a form into the upload cache of Zammad before the ticket or reply
+ * is sent, several files at a time (NF_CONFIG.api.uploads.concurrency). The article is then
+ * created with the form ID and Zammad attaches the cached files.
+ *
+ * Files that were uploaded are remembered: if sending fails, only the missing files are uploaded
+ * on the next attempt. Failed files can be retried one by one, files removed from the form are
+ * cancelled. A file that is already cached is deleted from the cache; only if that fails, the
+ * next upload starts over with a new (empty) cache, so it is not attached.
+ *
+ * @class UploadQueue
+ */
+export class UploadQueue {
+    /**
+     * @param {Object} [options] - Queue options
+     * @param {Function} [options.onChange] - Called with the queue item when its status or progress changes
+     * @param {number} [options.concurrency] - Parallel uploads (defaults to NF_CONFIG.api.uploads.concurrency)
+     */
+    constructor({ onChange = null, concurrency } = {}) {
+        /** @type {Function|null} */
+        this.onChange = onChange;
+        /** @type {number} */
+        this.concurrency = Math.max(1, concurrency ?? NF_CONFIG.api.uploads?.concurrency ?? 3);
+        /** @type {string} Form ID the files are uploaded for */
+        this.formId = createIdempotencyKey();
+        /** @type {Map<string, Object>} Queue items by file key */
+        this.items = new Map();
+
+        /** @private Ticket service of the last upload, used for retries */
+        this._service = null;
+        /** @private */
+        this._waiting = [];
+        /** @private */
+        this._running = 0;
+        /** @private Set when a cached file could not be deleted - the next upload starts with a new cache */
+        this._stale = false;
+        /** @private Running deletions of cached files */
+        this._removals = new Set();
+    }
+
+    /**
+     * Checks whether attachments are uploaded into the upload cache
+     * @returns {boolean} True if enabled (otherwise they are sent base64 encoded with the article)
+     */
+    static isEnabled() {
+        return NF_CONFIG.api.uploads?.enabled !== false
+            && typeof XMLHttpRequest !== 'undefined'
+            && typeof FormData !== 'undefined';
+    }
+
+    /**
+     * Gets the queue item of a file
+     * @param {File} file - File of the form
+     * @returns {Object|null} Item ({ file, status, loaded, total, error }) or null if not queued
+     */
+    getItem(file) {
+        return this.items.get(getFileKey(file)) || null;
+    }
+
+    /**
+     * Uploads the files of the form that are not cached yet and waits for all uploads
+     * @param {FileList|Array<File>} files - Current files of the form
+     * @param {TicketService} ticketService - Ticket service instance
+     * @returns {Promise<string>} Form ID to send with the article
+     * @throws {Error} Error of the first failed upload
+     */
+    async upload(files, ticketService) {
+        this._service = ticketService;
+        const list = Array.from(files || []);
+        const keys = new Set(list.map(getFileKey));
+
+        this.items.forEach(item => {
+            if (!keys.has(item.key)) this.remove(item.file);
+        });
+        // Removed files must be gone from the cache before the article is created with it
+        await Promise.all([...this._removals]);
+        if (this._stale) this.reset();
+
+        const items = list.map(file => {
+            const key = getFileKey(file);
+            let item = this.items.get(key);
+            if (!item) {
+                item = { key, file, status: UPLOAD_STATUS.PENDING, loaded: 0, total: file.size, error: null, storeId: null };
+                this.items.set(key, item);
+                this._enqueue(item);
+            } else if (item.status === UPLOAD_STATUS.FAILED) {
+                this._enqueue(item);
+            }
+            return item;
+        });
+
+        await Promise.all(items.map(item => item.settled));
+
+        const failed = items.find(item => item.status === UPLOAD_STATUS.FAILED && this.items.get(item.key) === item);
+        if (failed) throw failed.error;
+
+        return this.formId;
+    }
+
+    /**
+     * Uploads a failed file again
+     * @param {File} file - File of the form
+     */
+    retry(file) {
+        const item = this.getItem(file);
+        if (!item || item.status !== UPLOAD_STATUS.FAILED || !this._service) return;
+        this._enqueue(item);
+    }
+
+    /**
+     * Cancels the upload of a file that was removed from the form, or deletes it from the cache
+     * @param {File} file - Removed file
+     */
+    remove(file) {
+        const item = this.getItem(file);
+        if (!item) return;
+
+        this.items.delete(item.key);
+        this._waiting = this._waiting.filter(entry => entry !== item);
+        item.controller?.abort();
+        item.resolve?.();
+
+        if (item.status === UPLOAD_STATUS.DONE) this._removeCached(item);
+    }
+
+    /**
+     * Cancels all uploads and starts with a new form ID (after sending or when the form is reset)
+     */
+    reset() {
+        this.items.forEach(item => {
+            item.controller?.abort();
+            item.resolve?.();
+        });
+        this.items.clear();
+        this._waiting = [];
+        this._removals = new Set();
+        this._stale = false;
+        this.formId = createIdempotencyKey();
+    }
+
+    /**
+     * Deletes an uploaded file from the cache of the current form
+     * @private
+     * @param {Object} item - Queue item of the removed file
+     */
+    _removeCached(item) {
+        if (item.storeId == null || !this._service) {
+            this._stale = true;
+            return;
+        }
+
+        const formId = this.formId;
+        const removals = this._removals;
+        const removal = this._service.removeUploadedAttachment(formId, item.storeId)
+            .catch(error => {
+                nfLogger.warn('Cached attachment could not be removed, starting a new upload cache', {
+                    name: item.file.name,
+                    error: error.message
+                });
+                if (this.formId === formId) this._stale = true;
+            })
+            .finally(() => removals.delete(removal));
+        removals.add(removal);
+    }
+
+    /**
+     * Adds an item to the waiting uploads
+     * @private
+     * @param {Object} item - Queue item
+     */
+    _enqueue(item) {
+        item.status = UPLOAD_STATUS.PENDING;
+        item.loaded = 0;
+        item.error = null;
+        item.settled = new Promise(resolve => {
+            item.resolve = resolve;
+        });
+
+        this._waiting.push(item);
+        this._notify(item);
+        this._next();
+    }
+
+    /**
+     * Starts waiting uploads while fewer than the allowed number are running
+     * @private
+     */
+    _next() {
+        while (this._running < this.concurrency && this._waiting.length > 0) {
+            this._start(this._waiting.shift());
+        }
+    }
+
+    /**
+     * Uploads a single file
+     * @private
+     * @param {Object} item - Queue item
+     */
+    async _start(item) {
+        const formId = this.formId;
+        this._running++;
+        item.status = UPLOAD_STATUS.UPLOADING;
+        item.controller = new AbortController();
+        this._notify(item);
+
+        try {
+            const stored = await this._service.uploadAttachment(formId, item.file, {
+                signal: item.controller.signal,
+                onProgress: (loaded, total) => {
+                    item.loaded = loaded;
+                    item.total = total;
+                    this._notify(item);
+                }
+            });
+            item.status = UPLOAD_STATUS.DONE;
+            item.loaded = item.total;
+            item.storeId = stored?.id ?? null;
+        } catch (error) {
+            item.status = UPLOAD_STATUS.FAILED;
+            item.error = error;
+            if (!isCancelledRequest(error)) {
+                nfLogger.warn('Attachment upload failed', { name: item.file.name, error: error.message });
+            }
+        } finally {
+            this._running--;
+            item.controller = null;
+            item.resolve();
+            if (this.items.get(item.key) === item) this._notify(item);
+            this._next();
+        }
+    }
+
+    /**
+     * Reports a changed item
+     * @private
+     * @param {Object} item - Queue item
+     */
+    _notify(item) {
+        if (this.onChange) this.onChange(item);
+    }
+}
+
+export default UploadQueue;
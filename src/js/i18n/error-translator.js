@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Translation of API and network errors into localized user-facing messages
+ * @author danielknng
+ * @module i18n/error-translator
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import languageManager from './manager.js';
+import { isCancelledRequest, isNetworkError, isOffline, isRequestTimeout } from '../api/http.js';
+
+/**
+ * Message keys (messages.json) describing the failed operation, by error code of ZammadApiClient
+ * @constant {Object<string, string>}
+ */
+const ACTION_KEYS = {
+    API_AUTH_FAILED: 'authFailed',
+    API_USER_FETCH_FAILED: 'errorLoadUser',
+    API_TICKET_FETCH_FAILED: 'errorLoadTicket',
+    API_ARTICLES_FETCH_FAILED: 'errorLoadTicket',
+    API_TICKETS_FETCH_FAILED: 'errorLoadTickets',
+    API_TICKET_CREATE_FAILED: 'errorCreateTicket',
+    API_REPLY_CREATE_FAILED: 'errorSendReply',
+    API_TICKET_CLOSE_FAILED: 'errorCloseTicket',
+    API_TICKET_REOPEN_FAILED: 'errorReopenTicket',
+    API_REQUEST_TYPES_FETCH_FAILED: 'errorLoadRequestTypes',
+    API_ATTACHMENT_UPLOAD_FAILED: 'errorUploadAttachment',
+    API_ATTACHMENT_FETCH_FAILED: 'errorLoadAttachment'
+};
+
+/**
+ * Message keys (messages.json) explaining why a request failed, by HTTP status
+ * @constant {Object<number, string>}
+ */
+const STATUS_KEYS = {
+    400: 'errorBadRequest',
+    401: 'errorUnauthorized',
+    403: 'errorForbidden',
+    404: 'errorNotFound',
+    409: 'errorConflict',
+    413: 'errorTooLarge',
+    422: 'errorBadRequest',
+    429: 'errorRateLimited'
+};
+
+/**
+ * Statuses for which the error text of Zammad (error_human/error) is shown - for other
+ * statuses it is a technical message and the localized explanation is used instead
+ * @constant {Array<number>}
+ */
+const DETAIL_STATUSES = [400, 422];
+
+/**
+ * Codes whose 404 means the ticket itself does not exist (or is not visible to the customer)
+ * @constant {Array<string>}
+ */
+const TICKET_CODES = ['API_TICKET_FETCH_FAILED', 'API_ARTICLES_FETCH_FAILED', 'API_REPLY_CREATE_FAILED',
+    'API_TICKET_CLOSE_FAILED', 'API_TICKET_REOPEN_FAILED'];
+
+/**
+ * Checks whether the request did not reach the server. Only errors thrown by fetch itself
+ * count - errors of the application carry a code and keep their own message while offline.
+ * @private
+ * @param {Error} error - Error
+ * @returns {boolean} True for offline, network errors and timeouts
+ */
+function isConnectionError(error) {
+    return !error?.code && isNetworkError(error);
+}
+
+/**
+ * Explains why a request failed, without naming the operation
+ * - Cancelled requests: empty string (nothing to show)
+ * - Offline, network errors and timeouts: connection hint
+ * - Error responses (ApiError): explanation of the HTTP status, for 400/422 with the
+ *   validation message returned by Zammad
+ * - Other application errors: their message (already meant for the user)
+ * @param {Error} error - Error thrown by an API service or feature module
+ * @returns {string} Localized reason
+ */
+export function getErrorReason(error) {
+    if (isCancelledRequest(error)) return '';
+
+    if (isConnectionError(error)) {
+        if (isOffline()) return languageManager.getMessage('errorOffline');
+        return languageManager.getMessage(isRequestTimeout(error) ? 'errorTimeout' : 'errorNetwork');
+    }
+
+    const status = error?.status;
+    if (typeof status === 'number') {
+        const detail = error.details?.errorHuman || error.details?.error;
+        if (detail && DETAIL_STATUSES.includes(status)) {
+            return languageManager.getMessage('errorRejected', { detail });
+        }
+        if (status === 404 && TICKET_CODES.includes(error.code)) {
+            return languageManager.getMessage('errorTicketNotFound');
+        }
+        if (STATUS_KEYS[status]) return languageManager.getMessage(STATUS_KEYS[status]);
+        return languageManager.getMessage(status >= 500 ? 'errorServer' : 'errorStatus', { status });
+    }
+
+    // Errors created by the application itself carry a code and a readable message
+    if (error?.code && error.message) return error.message;
+
+    return languageManager.getMessage('errorUnexpected');
+}
+
+/**
+ * Translates an error into the message shown to the user, e.g.
+ * "The ticket could not be loaded. You do not have permission for this action."
+ * The failed operation is derived from the error code (see ACTION_KEYS), fallbackKey is
+ * used for errors without a known code (e.g. network errors).
+ * @param {Error} error - Error thrown by an API service or feature module
+ * @param {string} [fallbackKey=null] - Message key of the failed operation (messages.json)
+ * @returns {string} Localized message, empty for cancelled requests
+ */
+export function translateError(error, fallbackKey = null) {
+    const reason = getErrorReason(error);
+    if (!reason) return '';
+
+    // Application errors (validation, login) already describe the whole problem
+    const actionKey = ACTION_KEYS[error?.code] || fallbackKey;
+    if (!actionKey || (error?.code && typeof error.status !== 'number')) return reason;
+
+    return `${languageManager.getMessage(actionKey)} ${reason}`;
+}
+
+export default translateError;
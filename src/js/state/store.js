@@ -17,6 +17,7 @@ export class AppState {
         /** @private */
         this._state = {
             userToken: null,
+            authType: null,
             userId: null,
             loginAttempts: 0,
             isAccountLocked: false
@@ -136,6 +137,7 @@ export class AppState {
         const oldState = { ...this._state };
         this._state = {
             userToken: null,
+            authType: null,
             userId: null,
             loginAttempts: 0,
             isAccountLocked: false
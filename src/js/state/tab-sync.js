@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Synchronization of session and cache events between open portal tabs
+ * @author danielknng
+ * @module state/tab-sync
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import eventBus from './events.js';
+import { NF_CONFIG } from '../core/config.js';
+import nfLogger from '../core/logger.js';
+
+/**
+ * Name of the BroadcastChannel and the localStorage key used as fallback
+ * @constant {string}
+ */
+const CHANNEL_NAME = 'nf_tab_sync';
+
+/**
+ * Events forwarded to the other tabs and re-emitted there with source 'tab'.
+ * Poll results and revalidations are not forwarded - every tab polls on its own.
+ * @constant {Array<string>}
+ */
+const SYNCED_EVENTS = ['ticket:created', 'ticket:updated', 'ticket:closed', 'ticket:reopened', 'cache:invalidated'];
+
+/**
+ * Tab synchronization
+ * Forwards login, logout, cache invalidations and ticket events of this tab to the other
+ * tabs of the portal (same origin) via BroadcastChannel, or via the localStorage 'storage'
+ * event in browsers without BroadcastChannel.
+ *
+ * Received ticket and cache events are emitted on the event bus with source 'tab'.
+ * Login and logout are emitted as 'tab:login' and 'tab:logout', because the receiving tab
+ * has to adopt or drop the stored session before the regular auth listeners run.
+ *
+ * @class TabSync
+ */
+export class TabSync {
+    /**
+     * @param {EventBus} [bus] - Event bus to forward (defaults to the global event bus)
+     */
+    constructor(bus = eventBus) {
+        /** @type {EventBus} */
+        this.bus = bus;
+        /** @type {string} Random ID of this tab, used to ignore own messages */
+        this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        /** @type {boolean} Whether messages are exchanged with other tabs */
+        this.active = false;
+
+        /** @private */
+        this._channel = null;
+        /** @private */
+        this._unsubscribers = [];
+        /** @private True while a received message is dispatched - events emitted meanwhile are not sent back */
+        this._receiving = false;
+        /** @private */
+        this._storageHandler = (event) => {
+            if (event.key !== CHANNEL_NAME || !event.newValue) return;
+            try {
+                this._receive(JSON.parse(event.newValue));
+            } catch (error) {
+                nfLogger.warn('Ignoring unreadable tab sync message', { error: error.message });
+            }
+        };
+    }
+
+    /**
+     * Checks whether another tab can be reached
+     * @returns {boolean} True if BroadcastChannel or localStorage events are available and sync is enabled
+     */
+    static isAvailable() {
+        if (NF_CONFIG.ui.tabSync?.enabled === false || typeof window === 'undefined') return false;
+        return typeof BroadcastChannel !== 'undefined' || typeof localStorage !== 'undefined';
+    }
+
+    /**
+     * Starts exchanging messages with the other tabs
+     */
+    start() {
+        if (this.active || !TabSync.isAvailable()) return;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this._channel = new BroadcastChannel(CHANNEL_NAME);
+            this._channel.onmessage = (event) => this._receive(event.data);
+        } else {
+            window.addEventListener('storage', this._storageHandler);
+        }
+
+        this._unsubscribers = [
+            this.bus.on('auth:login', () => this._send('login')),
+            this.bus.on('auth:logout', ({ reason } = {}) => this._send('logout', { reason })),
+            ...SYNCED_EVENTS.map(eventName =>
+                this.bus.on(eventName, (data = {}) => {
+                    // Poll results are seen by every tab itself
+                    if (data.source !== 'poll') this._send('event', { eventName, data });
+                })
+            )
+        ];
+
+        this.active = true;
+        nfLogger.debug('Tab sync started', { transport: this._channel ? 'BroadcastChannel' : 'storage' });
+    }
+
+    /**
+     * Stops exchanging messages with the other tabs
+     */
+    stop() {
+        if (!this.active) return;
+
+        this._unsubscribers.forEach(unsubscribe => unsubscribe());
+        this._unsubscribers = [];
+
+        if (this._channel) {
+            this._channel.close();
+            this._channel = null;
+        } else {
+            window.removeEventListener('storage', this._storageHandler);
+        }
+
+        this.active = false;
+        nfLogger.debug('Tab sync stopped');
+    }
+
+    /**
+     * Sends a message to the other tabs
+     * @private
+     * @param {string} type - Message type (login|logout|event)
+     * @param {Object} [payload={}] - Message payload (must be serializable)
+     */
+    _send(type, payload = {}) {
+        if (!this.active || this._receiving) return;
+
+        const message = { tabId: this.tabId, type, payload, sentAt: Date.now() };
+
+        try {
+            if (this._channel) {
+                this._channel.postMessage(message);
+            } else {
+                // Only changes of the value fire the storage event - sentAt and tabId keep it unique enough
+                localStorage.setItem(CHANNEL_NAME, JSON.stringify(message));
+                localStorage.removeItem(CHANNEL_NAME);
+            }
+        } catch (error) {
+            nfLogger.warn('Failed to notify other tabs', { type, error: error.message });
+        }
+    }
+
+    /**
+     * Dispatches a message of another tab on the event bus
+     * @private
+     * @param {Object} message - Received message ({ tabId, type, payload })
+     */
+    _receive(message) {
+        if (!message || message.tabId === this.tabId) return;
+
+        const { type, payload = {} } = message;
+        this._receiving = true;
+        try {
+            if (type === 'login') {
+                this.bus.emit('tab:login');
+            } else if (type === 'logout') {
+                this.bus.emit('tab:logout', { reason: payload.reason });
+            } else if (type === 'event' && SYNCED_EVENTS.includes(payload.eventName)) {
+                this.bus.emit(payload.eventName, { ...payload.data, source: 'tab' });
+            }
+        } finally {
+            this._receiving = false;
+        }
+
+        nfLogger.debug('Tab sync message received', { type, eventName: payload.eventName });
+    }
+}
+
+// Create singleton instance
+const tabSync = new TabSync();
+
+export default tabSync;
@@ -48,9 +48,16 @@ export const dom = {
     btnTicketCreate: document.getElementById('nf_btn_ticketcreate'),
     btnTicketView: document.getElementById('nf_btn_ticketview'),
     ticketListContainer: document.getElementById('nf_ticketlist_container'),
+    ticketListSearch: document.getElementById('nf_ticketlist_search'),
     ticketListTable: document.getElementById('nf_ticketlist_table'),
     ticketListBody: document.getElementById('nf_ticketlist_body'),
     ticketListEmpty: document.getElementById('nf_ticketlist_empty'),
+    ticketListCount: document.getElementById('nf_ticketlist_count'),
+    ticketListLoadMore: document.getElementById('nf_ticketlist_loadmore'),
+    ticketListNotify: document.getElementById('nf_ticketlist_notify'),
+    ticketListNotifyToggle: document.getElementById('nf_ticketlist_notify_toggle'),
+    ticketListNotifyLabel: document.getElementById('nf_ticketlist_notify_label'),
+    ticketListRefreshing: document.getElementById('nf_ticketlist_refreshing'),
     btnBackStart: document.getElementById('nf_btn_back_start'),
 
     /**
@@ -63,13 +70,28 @@ export const dom = {
     ticketDetailStatus: document.getElementById('nf_ticketdetail_status'),
     ticketDetailMeta: document.getElementById('nf_ticketdetail_meta'),
     ticketDetailMessages: document.getElementById('nf_ticketdetail_messages'),
+    ticketDetailRefreshing: document.getElementById('nf_ticketdetail_refreshing'),
     ticketDetailReplyBox: document.getElementById('nf_ticketdetail_replybox'),
     ticketDetailReplyInput: document.getElementById('nf_ticketdetail_replyinput'),
+    ticketDetailReplyDraftHint: document.getElementById('nf_ticketdetail_reply_draft_hint'),
     ticketDetailReplyBtn: document.getElementById('nf_ticketdetail_replybtn'),
     ticketDetailAttachBtn: document.getElementById('nf_ticketdetail_attachbtn'),
     ticketDetailAttachment: document.getElementById('nf_ticketdetail_attachment'),
     ticketDetailFilePreview: document.getElementById('nf_ticketdetail_filepreview'),
     ticketDetailFilePreviewList: document.getElementById('nf_ticketdetail_filepreview_list'),
+    ticketDetailCloseBtn: document.getElementById('nf_ticketdetail_closebtn'),
+    ticketDetailCloseBox: document.getElementById('nf_ticketdetail_closebox'),
+    ticketDetailCloseReasonGroup: document.getElementById('nf_ticketdetail_closereason_group'),
+    ticketDetailCloseReason: document.getElementById('nf_ticketdetail_closereason'),
+    ticketDetailCloseNoteGroup: document.getElementById('nf_ticketdetail_closenote_group'),
+    ticketDetailCloseNote: document.getElementById('nf_ticketdetail_closenote'),
+    ticketDetailCloseConfirm: document.getElementById('nf_ticketdetail_closeconfirm'),
+    ticketDetailCloseCancel: document.getElementById('nf_ticketdetail_closecancel'),
+    ticketDetailReopenBtn: document.getElementById('nf_ticketdetail_reopenbtn'),
+    ticketDetailReopenBox: document.getElementById('nf_ticketdetail_reopenbox'),
+    ticketDetailReopenReason: document.getElementById('nf_ticketdetail_reopenreason'),
+    ticketDetailReopenConfirm: document.getElementById('nf_ticketdetail_reopenconfirm'),
+    ticketDetailReopenCancel: document.getElementById('nf_ticketdetail_reopencancel'),
     btnBackList: document.getElementById('nf_btn_back_list'),
 
     /**
@@ -78,6 +100,11 @@ export const dom = {
      */
     statusMsg: document.getElementById('nf_status_msg'),
     loader: document.getElementById('nf_loader'),
+    sessionWarning: document.getElementById('nf_session_warning'),
+    sessionWarningText: document.getElementById('nf_session_warning_text'),
+    sessionExtendBtn: document.getElementById('nf_session_extend'),
+    offlineBanner: document.getElementById('nf_offline_banner'),
+    offlineBannerText: document.getElementById('nf_offline_banner_text'),
 
     /**
      * Filter and search elements
@@ -111,6 +138,7 @@ export const dom = {
     newTicketSubject: document.getElementById('nf_new_ticket_subject'),
     newTicketBody: document.getElementById('nf_new_ticket_body'),
     newTicketAttachment: document.getElementById('nf_new_ticket_attachment'),
+    newTicketDraftHint: document.getElementById('nf_new_ticket_draft_hint'),
     filePreviewContainer: document.getElementById('nf_file_preview_container'),
     filePreviewList: document.getElementById('nf_file_preview_list'),
 
@@ -54,24 +54,7 @@ export function stateLabel(state) {
     return languageManager.getLabel('unknownStatus') || '';
 }
 
-/**
- * Checks if a CSS style property is allowed
- * @param {string} style - CSS style property to check
- * @param {Array} allowedStyles - Array of allowed style properties
- * @returns {boolean} True if style is allowed
- */
-export function isAllowedStyle(style, allowedStyles) {
-    return allowedStyles.some(allowed => style.trim().startsWith(allowed));
-}
-
-/**
- * Checks if a CSS style contains problematic colors
- * @param {string} style - CSS style to check
- * @param {Array} problematicColors - Array of problematic color values
- * @returns {boolean} True if style contains problematic colors
- */
-export function hasProblematicColor(style, problematicColors) {
-    return problematicColors.some(color => style.includes(color));
-}
+// Style helpers live in the sanitizer module, re-exported for existing imports
+export { isAllowedStyle, hasProblematicColor } from '../utils/sanitize.js';
 
 
@@ -36,6 +36,8 @@ export const UIInit = {
         this.initGallery();
         this.initLogin();
         this.initNewTicket();
+        this.initDraftHints();
+        this.initEditors();
         this.initLinks();
         this.initTemplates();
     },
@@ -56,6 +58,35 @@ export const UIInit = {
             triggerImg.src = config.triggerButtonImage;
             triggerImg.alt = config.triggerButtonAlt;
         }
+
+        // Badge with the number of unseen ticket replies
+        if (triggerBtn && !triggerBtn.querySelector('.nf-trigger-badge')) {
+            const badge = document.createElement('span');
+            badge.className = 'nf-trigger-badge nf-hidden';
+            badge.setAttribute('aria-hidden', 'true');
+            triggerBtn.appendChild(badge);
+        }
+    },
+
+    /**
+     * Shows the number of unseen ticket replies on the trigger button.
+     * @param {number} count - Number of unseen replies (0 hides the badge)
+     */
+    updateTriggerBadge(count) {
+        const triggerBtn = document.getElementById('nf-zammad-trigger');
+        const badge = triggerBtn ? triggerBtn.querySelector('.nf-trigger-badge') : null;
+        const label = NF_CONFIG.system.assets?.triggerButtonLabel || '';
+        if (!badge) return;
+
+        if (count > 0) {
+            badge.textContent = count > 99 ? '99+' : String(count);
+            badge.classList.remove('nf-hidden');
+            triggerBtn.setAttribute('aria-label', languageManager.getAriaLabel('triggerUnread', { label, count }));
+        } else {
+            badge.textContent = '';
+            badge.classList.add('nf-hidden');
+            triggerBtn.setAttribute('aria-label', label);
+        }
     },
 
     /**
@@ -174,6 +205,25 @@ export const UIInit = {
         if (!langData) return;
         const labels = langData.ui;
         
+        // Search input
+        const searchInput = document.getElementById('nf_ticketlist_search');
+        if (searchInput && labels?.ticketListSearchPlaceholder) {
+            searchInput.placeholder = labels.ticketListSearchPlaceholder;
+            searchInput.setAttribute('aria-label', languageManager.getAriaLabel('searchTickets'));
+        }
+
+        // Desktop notification opt-in
+        if (dom.ticketListNotifyLabel && labels?.ticketListNotifications) {
+            dom.ticketListNotifyLabel.textContent = labels.ticketListNotifications;
+        }
+
+        // Background refresh indicator (list and detail view)
+        [dom.ticketListRefreshing, dom.ticketDetailRefreshing].forEach(indicator => {
+            if (indicator && labels?.refreshing) {
+                indicator.textContent = labels.refreshing;
+            }
+        });
+
         // Filter options
         const statusFilter = document.getElementById('nf_filter_status');
         if (statusFilter && labels?.ticketListFilters) {
@@ -263,6 +313,39 @@ export const UIInit = {
         if (closeBtn && labels.ticketDetailActions.closeTicket) {
             closeBtn.textContent = labels.ticketDetailActions.closeTicket;
         }
+
+        // Close dialog
+        if (labels.closeDialog) {
+            const reasonLabel = document.querySelector('label[for="nf_ticketdetail_closereason"]');
+            const noteLabel = document.querySelector('label[for="nf_ticketdetail_closenote"]');
+            const noteInput = document.getElementById('nf_ticketdetail_closenote');
+            const confirmBtn = document.getElementById('nf_ticketdetail_closeconfirm');
+            const cancelCloseBtn = document.getElementById('nf_ticketdetail_closecancel');
+
+            if (reasonLabel) reasonLabel.textContent = labels.closeDialog.reasonLabel;
+            if (noteLabel) noteLabel.textContent = labels.closeDialog.noteLabel;
+            if (noteInput) noteInput.placeholder = labels.closeDialog.notePlaceholder;
+            if (confirmBtn) confirmBtn.textContent = labels.closeDialog.confirm;
+            if (cancelCloseBtn) cancelCloseBtn.textContent = labels.closeDialog.cancel;
+        }
+
+        // Reopen button and dialog
+        const reopenBtn = document.getElementById('nf_ticketdetail_reopenbtn');
+        if (reopenBtn && labels.ticketDetailActions.reopenTicket) {
+            reopenBtn.textContent = labels.ticketDetailActions.reopenTicket;
+        }
+
+        if (labels.reopenDialog) {
+            const reasonLabel = document.querySelector('label[for="nf_ticketdetail_reopenreason"]');
+            const reasonInput = document.getElementById('nf_ticketdetail_reopenreason');
+            const confirmReopenBtn = document.getElementById('nf_ticketdetail_reopenconfirm');
+            const cancelReopenBtn = document.getElementById('nf_ticketdetail_reopencancel');
+
+            if (reasonLabel) reasonLabel.textContent = labels.reopenDialog.reasonLabel;
+            if (reasonInput) reasonInput.placeholder = labels.reopenDialog.reasonPlaceholder;
+            if (confirmReopenBtn) confirmReopenBtn.textContent = labels.reopenDialog.confirm;
+            if (cancelReopenBtn) cancelReopenBtn.textContent = labels.reopenDialog.cancel;
+        }
     },
 
     /**
@@ -276,10 +359,13 @@ export const UIInit = {
         const galleryClose = document.getElementById('nf_gallery_close');
         const galleryPrev = document.getElementById('nf_gallery_prev');
         const galleryNext = document.getElementById('nf_gallery_next');
+        const galleryDownload = document.getElementById('nf_gallery_download');
         if (galleryOverlay && aria) galleryOverlay.setAttribute('aria-label', aria.galleryView);
         if (galleryClose && aria) galleryClose.setAttribute('aria-label', aria.closeGallery);
         if (galleryPrev && aria) galleryPrev.setAttribute('aria-label', aria.previousImage);
         if (galleryNext && aria) galleryNext.setAttribute('aria-label', aria.nextImage);
+        if (galleryDownload && aria) galleryDownload.setAttribute('aria-label', aria.downloadAttachment);
+        if (galleryDownload) galleryDownload.title = languageManager.getLabel('gallery.download');
     },
 
     /**
@@ -322,6 +408,29 @@ export const UIInit = {
         if (submitBtn) {
             submitBtn.textContent = labels.loginLabels.submitButton;
         }
+
+        // Adapt the form to the configured authentication strategy
+        const strategy = NF_CONFIG.api.auth?.strategy || 'basic';
+        const usernameGroup = usernameInput?.closest('.nf-login-group');
+        const passwordGroup = passwordInput?.closest('.nf-login-group');
+
+        if (strategy === 'token') {
+            // Only the personal access token is needed
+            usernameGroup?.classList.add('nf-hidden');
+            usernameInput?.removeAttribute('required');
+            if (passwordLabel) passwordLabel.textContent = labels.loginLabels.token;
+            if (passwordInput) {
+                passwordInput.placeholder = labels.loginLabels.tokenPlaceholder;
+                passwordInput.setAttribute('autocomplete', 'off');
+            }
+        } else if (strategy === 'oauth') {
+            // Credentials are entered at the identity provider
+            usernameGroup?.classList.add('nf-hidden');
+            passwordGroup?.classList.add('nf-hidden');
+            usernameInput?.removeAttribute('required');
+            passwordInput?.removeAttribute('required');
+            if (submitBtn) submitBtn.textContent = labels.loginLabels.ssoButton;
+        }
     },
 
     /**
@@ -386,6 +495,55 @@ export const UIInit = {
         }
     },
 
+    /**
+     * Initializes the "draft restored" hints of the new ticket form and the reply box.
+     */
+    initDraftHints() {
+        const labels = languageManager.getLanguageData()?.ui?.draft;
+        if (!labels) return;
+
+        [dom.newTicketDraftHint, dom.ticketDetailReplyDraftHint].forEach(hint => {
+            if (!hint) return;
+            const text = hint.querySelector('.nf-draft-hint-text');
+            const discardBtn = hint.querySelector('.nf-draft-discard');
+            if (text) text.textContent = labels.restored;
+            if (discardBtn) discardBtn.textContent = labels.discard;
+        });
+    },
+
+    /**
+     * Initializes the toolbars of the rich text editors (see features/editor/rich-text-editor.js).
+     * Runs after initNewTicket and initTicketDetail, which set the placeholders shown in the editors.
+     */
+    initEditors() {
+        const labels = languageManager.getLanguageData()?.ui?.editor;
+        if (!labels) return;
+
+        document.querySelectorAll('.nf-editor').forEach(editor => {
+            const toolbar = editor.querySelector('.nf-editor-toolbar');
+            const content = editor.querySelector('.nf-editor-content');
+            const textarea = editor.querySelector('textarea');
+
+            if (toolbar) {
+                toolbar.setAttribute('aria-label', languageManager.getAriaLabel('editorToolbar'));
+                toolbar.querySelectorAll('[data-command]').forEach(button => {
+                    const label = labels[button.dataset.command];
+                    if (!label) return;
+                    button.title = label;
+                    button.setAttribute('aria-label', label);
+                });
+
+                const modeBtn = toolbar.querySelector('[data-mode]');
+                if (modeBtn) modeBtn.textContent = labels.plainText;
+            }
+
+            if (content && textarea) {
+                content.dataset.placeholder = textarea.placeholder || '';
+                content.setAttribute('aria-label', textarea.placeholder || '');
+            }
+        });
+    },
+
     /**
      * Initializes configurable links.
      */
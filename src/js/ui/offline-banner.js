@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Banner shown while offline with the age of the displayed data
+ * @author danielknng
+ * @module ui/offline-banner
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { dom } from './dom.js';
+import { show, hide } from './helpers.js';
+import { isOffline } from '../api/http.js';
+import languageManager from '../i18n/manager.js';
+
+/**
+ * cachedAt timestamp of the data shown last (ticket list or detail)
+ * @private
+ */
+let dataCachedAt = null;
+
+/**
+ * Offline banner.
+ * While the browser is offline, tickets come from the local cache or the service worker;
+ * the banner tells the user how old the shown data is.
+ *
+ * @namespace OfflineBanner
+ */
+export const OfflineBanner = {
+    /**
+     * Starts listening for connection changes
+     */
+    init() {
+        window.addEventListener('online', () => this.render());
+        window.addEventListener('offline', () => this.render());
+        this.render();
+    },
+
+    /**
+     * Records when the currently shown data was loaded from the server
+     * @param {number|null} cachedAt - cachedAt timestamp of the shown ticket list or ticket
+     */
+    setDataTimestamp(cachedAt) {
+        dataCachedAt = cachedAt || null;
+        this.render();
+    },
+
+    /**
+     * Shows or hides the banner for the current connection state
+     */
+    render() {
+        if (!dom.offlineBanner) return;
+
+        if (!isOffline()) {
+            hide(dom.offlineBanner);
+            return;
+        }
+
+        if (dom.offlineBannerText) {
+            dom.offlineBannerText.textContent = dataCachedAt
+                ? languageManager.getMessage('offlineBanner', {
+                    time: new Date(dataCachedAt).toLocaleString(languageManager.getCurrentLocale())
+                })
+                : languageManager.getMessage('offlineBannerNoData');
+        }
+        show(dom.offlineBanner);
+    },
+
+    /**
+     * Forgets the data timestamp (e.g. on logout)
+     */
+    reset() {
+        dataCachedAt = null;
+        this.render();
+    }
+};
+
+export default OfflineBanner;
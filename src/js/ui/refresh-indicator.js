@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Indicator for background refreshes of cached ticket data
+ * @author danielknng
+ * @module ui/refresh-indicator
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { dom } from './dom.js';
+import { show, hide } from './helpers.js';
+
+/**
+ * Number of running refreshes per view and ticket ("ticketlist:" / "ticketdetail:<id>")
+ * @private
+ */
+const running = new Map();
+
+/**
+ * Small "refreshing" hint in the ticket list and ticket detail view while cached data
+ * is being revalidated (see TicketService stale-while-revalidate).
+ *
+ * @namespace RefreshIndicator
+ */
+export const RefreshIndicator = {
+    /**
+     * Records the start or end of a background refresh
+     * @param {Object} event - Payload of cache:revalidating
+     * @param {string} event.scope - 'ticketlist' or 'ticketdetail'
+     * @param {number|string|null} [event.ticketId] - Ticket ID (detail only)
+     * @param {boolean} event.active - Whether the refresh started or ended
+     */
+    update({ scope, ticketId = null, active }) {
+        const key = `${scope}:${ticketId ?? ''}`;
+        const count = Math.max((running.get(key) || 0) + (active ? 1 : -1), 0);
+
+        if (count > 0) {
+            running.set(key, count);
+        } else {
+            running.delete(key);
+        }
+        this.render();
+    },
+
+    /**
+     * Shows the indicator in the views with a running refresh
+     */
+    render() {
+        const openTicketId = dom.ticketDetailContainer?.getAttribute('data-ticket-id');
+        const listRefreshing = running.has('ticketlist:');
+        const detailRefreshing = !!openTicketId && running.has(`ticketdetail:${openTicketId}`);
+
+        if (dom.ticketListRefreshing) {
+            listRefreshing ? show(dom.ticketListRefreshing) : hide(dom.ticketListRefreshing);
+        }
+        if (dom.ticketDetailRefreshing) {
+            detailRefreshing ? show(dom.ticketDetailRefreshing) : hide(dom.ticketDetailRefreshing);
+        }
+    },
+
+    /**
+     * Hides the indicator and forgets running refreshes (e.g. on logout)
+     */
+    reset() {
+        running.clear();
+        this.render();
+    }
+};
+
+export default RefreshIndicator;
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Session expiry warning banner
+ * @author danielknng
+ * @module ui/session-warning
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { dom } from './dom.js';
+import { show, hide } from './helpers.js';
+import languageManager from '../i18n/manager.js';
+
+/**
+ * Countdown interval handle
+ * @private
+ */
+let countdownInterval = null;
+
+/**
+ * Session warning banner shown shortly before an idle session expires.
+ *
+ * @namespace SessionWarning
+ */
+export const SessionWarning = {
+    /**
+     * Shows the warning with a live countdown
+     * @param {number} expiresAt - Timestamp at which the session expires
+     * @param {Function} onExtend - Callback when the user chooses to stay logged in
+     */
+    show(expiresAt, onExtend) {
+        if (!dom.sessionWarning) return;
+
+        const updateText = () => {
+            const seconds = Math.max(Math.ceil((expiresAt - Date.now()) / 1000), 0);
+            if (dom.sessionWarningText) {
+                dom.sessionWarningText.textContent = languageManager.getMessage('sessionExpiring', { seconds });
+            }
+        };
+
+        if (dom.sessionExtendBtn) {
+            dom.sessionExtendBtn.textContent = languageManager.getLabel('sessionExtendButton');
+            dom.sessionExtendBtn.onclick = () => {
+                this.hide();
+                if (typeof onExtend === 'function') onExtend();
+            };
+        }
+
+        clearInterval(countdownInterval);
+        updateText();
+        countdownInterval = setInterval(updateText, 1000);
+        show(dom.sessionWarning);
+    },
+
+    /**
+     * Hides the warning and stops the countdown
+     */
+    hide() {
+        clearInterval(countdownInterval);
+        countdownInterval = null;
+        if (dom.sessionExtendBtn) dom.sessionExtendBtn.onclick = null;
+        hide(dom.sessionWarning);
+    }
+};
+
+export default SessionWarning;
@@ -9,6 +9,7 @@
 import { NF_CONFIG } from '../core/config.js';
 import { dom } from './dom.js';
 import { show, hide } from './helpers.js';
+import { translateError } from '../i18n/error-translator.js';
 
 /**
  * Shows a persistent login hint message that remains until manually cleared
@@ -51,6 +52,17 @@ export function showStatus(msg, type = 'success', targetModal = null) {
     setTimeout(() => hide(statusElement), duration);
 }
 
+/**
+ * Shows the localized message for an error (see i18n/error-translator), nothing for cancelled requests
+ * @param {Error} error - Error thrown by an API service or feature module
+ * @param {HTMLElement|string} [targetModal=null] - Target modal element or name (auto-detected if null)
+ * @param {string} [fallbackKey=null] - Message key of the failed operation for errors without a known code
+ */
+export function showError(error, targetModal = null, fallbackKey = null) {
+    const message = translateError(error, fallbackKey);
+    if (message) showStatus(message, 'error', targetModal);
+}
+
 /**
  * Shows login status message
  * @private
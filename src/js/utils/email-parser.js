@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Minimal MIME parser for the preview of .eml attachments
+ * @author danielknng
+ * @module utils/email-parser
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { htmlToText } from './sanitize.js';
+
+/**
+ * Header fields shown in the preview, in this order
+ * @constant {Array<string>}
+ */
+export const EMAIL_PREVIEW_HEADERS = ['from', 'to', 'cc', 'date', 'subject'];
+
+/**
+ * Nesting depth of multipart bodies that is followed (forwarded mails contain further mails)
+ * @constant {number}
+ */
+const MAX_DEPTH = 5;
+
+/**
+ * Parses an email (RFC 822/MIME) for display. Only the text is extracted: the first text/plain
+ * part, or the first text/html part converted to text. Attachments of the mail are listed by name.
+ * @param {ArrayBuffer} buffer - Content of the .eml file
+ * @returns {{headers: Object<string, string>, text: string, attachments: Array<string>}} Parsed mail
+ */
+export function parseEmail(buffer) {
+    const raw = Array.from(new Uint8Array(buffer), byte => String.fromCharCode(byte)).join('');
+    const { headers, body } = splitPart(raw);
+    const attachments = [];
+    const content = extractText(headers, body, attachments, 0);
+    const text = content?.isHtml ? htmlToText(content.text) : content?.text;
+
+    const shown = {};
+    EMAIL_PREVIEW_HEADERS.forEach(name => {
+        if (headers[name]) shown[name] = decodeHeader(headers[name]);
+    });
+
+    return { headers: shown, text: text ?? '', attachments };
+}
+
+/**
+ * Splits a MIME part into its header fields (lowercase names, unfolded) and its body
+ * @private
+ * @param {string} raw - Part as binary string
+ * @returns {{headers: Object<string, string>, body: string}} Header fields and body
+ */
+function splitPart(raw) {
+    const match = raw.match(/\r?\n\r?\n/);
+    const headerText = match ? raw.slice(0, match.index) : raw;
+    const body = match ? raw.slice(match.index + match[0].length) : '';
+
+    const headers = {};
+    headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon <= 0) return;
+        const name = line.slice(0, colon).trim().toLowerCase();
+        // The first occurrence wins (e.g. the topmost Received header)
+        if (!(name in headers)) headers[name] = line.slice(colon + 1).trim();
+    });
+
+    return { headers, body };
+}
+
+/**
+ * Finds the text of a part, following multipart bodies
+ * @private
+ * @param {Object<string, string>} headers - Header fields of the part
+ * @param {string} body - Body of the part
+ * @param {Array<string>} attachments - Collects the names of attached files
+ * @param {number} depth - Current nesting depth
+ * @returns {{text: string, isHtml: boolean}|null} Text (HTML is converted by the caller) or null if the part contains no text
+ */
+function extractText(headers, body, attachments, depth) {
+    const { value: type, params } = parseHeaderValue(headers['content-type'] || 'text/plain');
+    const disposition = parseHeaderValue(headers['content-disposition'] || '');
+    const filename = disposition.params.filename || params.name;
+
+    if (disposition.value === 'attachment' || (filename && !type.startsWith('multipart/'))) {
+        attachments.push(decodeHeader(filename || type));
+        return null;
+    }
+
+    if (type.startsWith('multipart/') && params.boundary && depth < MAX_DEPTH) {
+        let html = null;
+        let text = null;
+        splitMultipart(body, params.boundary).forEach(rawPart => {
+            const part = splitPart(rawPart);
+            const content = extractText(part.headers, part.body, attachments, depth + 1);
+            if (!content) return;
+            if (content.isHtml) html = html ?? content;
+            else text = text ?? content;
+        });
+        return text ?? html;
+    }
+
+    if (type === 'message/rfc822' && depth < MAX_DEPTH) {
+        const inner = splitPart(body);
+        return extractText(inner.headers, inner.body, attachments, depth + 1);
+    }
+
+    if (!type.startsWith('text/')) {
+        attachments.push(type);
+        return null;
+    }
+
+    return {
+        text: decodeCharset(decodeTransferEncoding(body, headers['content-transfer-encoding']), params.charset),
+        isHtml: type === 'text/html'
+    };
+}
+
+/**
+ * Splits a multipart body at its boundary
+ * @private
+ * @param {string} body - Multipart body
+ * @param {string} boundary - Boundary from the Content-Type header
+ * @returns {Array<string>} Raw parts without preamble and epilogue
+ */
+function splitMultipart(body, boundary) {
+    const parts = body.split(`--${boundary}`);
+    // parts[0] is the preamble, the part starting with "--" is the epilogue
+    return parts.slice(1)
+        .filter(part => !part.startsWith('--'))
+        .map(part => part.replace(/^\r?\n/, ''));
+}
+
+/**
+ * Parses a header value with parameters, e.g. 'text/plain; charset="utf-8"'
+ * @private
+ * @param {string} value - Header value
+ * @returns {{value: string, params: Object<string, string>}} Lowercase value and parameters
+ */
+function parseHeaderValue(value) {
+    const [main, ...rest] = value.split(';');
+    const params = {};
+    rest.forEach(param => {
+        const equals = param.indexOf('=');
+        if (equals <= 0) return;
+        const name = param.slice(0, equals).trim().toLowerCase().replace(/\*$/, '');
+        params[name] = param.slice(equals + 1).trim().replace(/^"(.*)"$/, '$1');
+    });
+    return { value: main.trim().toLowerCase(), params };
+}
+
+/**
+ * Decodes a base64 or quoted-printable body
+ * @private
+ * @param {string} body - Encoded body as binary string
+ * @param {string} [encoding] - Content-Transfer-Encoding
+ * @returns {string} Decoded body as binary string
+ */
+function decodeTransferEncoding(body, encoding = '') {
+    const name = encoding.trim().toLowerCase();
+    if (name === 'base64') {
+        try {
+            return atob(body.replace(/[^A-Za-z0-9+/=]/g, ''));
+        } catch {
+            return body;
+        }
+    }
+    if (name === 'quoted-printable') {
+        return body
+            .replace(/=\r?\n/g, '')
+            .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+    return body;
+}
+
+/**
+ * Decodes a binary string with a charset
+ * @private
+ * @param {string} binary - Binary string
+ * @param {string} [charset='utf-8'] - Charset of the text
+ * @returns {string} Text
+ */
+function decodeCharset(binary, charset = 'utf-8') {
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    try {
+        return new TextDecoder(charset).decode(bytes);
+    } catch {
+        // Unknown charset
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+}
+
+/**
+ * Decodes encoded words in a header (RFC 2047), e.g. "=?UTF-8?Q?Gr=C3=BC=C3=9Fe?="
+ * @private
+ * @param {string} value - Header value as binary string
+ * @returns {string} Decoded header
+ */
+function decodeHeader(value) {
+    return decodeCharset(value)
+        // Whitespace between two encoded words is not part of the text
+        .replace(/(\?=)\s+(=\?)/g, '$1$2')
+        .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+            const binary = encoding.toUpperCase() === 'B'
+                ? decodeTransferEncoding(text, 'base64')
+                : decodeTransferEncoding(text.replace(/_/g, ' '), 'quoted-printable');
+            return decodeCharset(binary, charset);
+        });
+}
+
+export default parseEmail;
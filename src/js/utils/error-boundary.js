@@ -7,6 +7,7 @@
  */
 
 import nfLogger from '../core/logger.js';
+import { isCancelledRequest } from '../api/http.js';
 
 /**
  * Wraps a function with consistent error handling
@@ -21,7 +22,12 @@ export function withErrorHandling(fn, context) {
         try {
             return await fn.apply(this, args);
         } catch (error) {
-            nfLogger.error(`${context} failed`, { error: error.message, context });
+            if (isCancelledRequest(error)) {
+                // Superseded by a newer request - not a failure
+                nfLogger.debug(`${context} cancelled`, { context });
+            } else {
+                nfLogger.error(`${context} failed`, { error: error.message, context });
+            }
             throw error;
         }
     };
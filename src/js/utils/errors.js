@@ -36,9 +36,10 @@ export class ApiError extends AppError {
      * @param {string} message - Error message
      * @param {number} status - HTTP status code
      * @param {*} response - Response data
+     * @param {string} [code] - Error code of the failed operation (defaults to API_<status>)
      */
-    constructor(message, status, response) {
-        super(message, `API_${status}`, response);
+    constructor(message, status, response, code = `API_${status}`) {
+        super(message, code, response);
         this.name = 'ApiError';
         this.status = status;
     }
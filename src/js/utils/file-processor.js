@@ -31,5 +31,15 @@ export async function processFilesToAttachments(files, fileToBase64) {
     return attachments;
 }
 
+/**
+ * Builds a key identifying a file across file inputs - inputs and DataTransfer return new
+ * File objects for the same file
+ * @param {File} file - File
+ * @returns {string} Key of name, size and modification date
+ */
+export function getFileKey(file) {
+    return `${file.name}|${file.size}|${file.lastModified}`;
+}
+
 export default processFilesToAttachments;
 
@@ -0,0 +1,345 @@
+/**
+ * @fileoverview Allowlist-based HTML sanitizer for untrusted content (article bodies, KB summaries)
+ * @author danielknng
+ * @module utils/sanitize
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+/**
+ * Default sanitizer rules. Everything that is not listed here is removed.
+ * Can be partially overridden per call via the options parameter of sanitizeHtml().
+ *
+ * @constant {Object}
+ * @property {Array<string>} allowedTags - Tags that are kept (other tags are unwrapped, their text is kept)
+ * @property {Array<string>} removeWithContent - Tags that are removed together with their content
+ * @property {Object<string, Array<string>>} allowedAttributes - Allowed attributes per tag ('*' applies to all tags)
+ * @property {Array<string>} allowedSchemes - URL schemes allowed in href attributes
+ * @property {Array<string>} allowedImageSchemes - URL schemes allowed in img src attributes
+ * @property {Array<string>} allowedStyles - CSS properties allowed in style attributes
+ * @property {Array<string>} problematicColors - Color values that are unreadable in the portal and get dropped
+ */
+export const SANITIZER_DEFAULTS = {
+    allowedTags: [
+        'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'code', 'col', 'colgroup', 'dd', 'del', 'div',
+        'dl', 'dt', 'em', 'font', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'li',
+        'mark', 'ol', 'p', 'pre', 's', 'small', 'span', 'strike', 'strong', 'sub', 'sup', 'table',
+        'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+    ],
+    removeWithContent: [
+        'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript',
+        'template', 'svg', 'math', 'form', 'input', 'button', 'textarea', 'select', 'option',
+        'link', 'meta', 'base', 'head', 'title', 'audio', 'video', 'source', 'track', 'canvas'
+    ],
+    allowedAttributes: {
+        '*': ['title', 'dir', 'lang', 'style'],
+        a: ['href', 'name'],
+        img: ['src', 'alt', 'width', 'height'],
+        font: ['color', 'size', 'face'],
+        ol: ['start', 'type'],
+        table: ['border', 'cellpadding', 'cellspacing', 'width'],
+        td: ['colspan', 'rowspan', 'align', 'valign', 'width'],
+        th: ['colspan', 'rowspan', 'align', 'valign', 'width'],
+        col: ['span', 'width'],
+        colgroup: ['span', 'width']
+    },
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+    allowedImageSchemes: ['http', 'https', 'cid', 'data'],
+    allowedStyles: [
+        'color', 'background-color', 'font-weight', 'font-style', 'font-size', 'font-family',
+        'text-align', 'text-decoration', 'vertical-align', 'white-space',
+        'margin', 'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+        'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+        'border', 'border-top', 'border-right', 'border-bottom', 'border-left',
+        'border-color', 'border-style', 'border-width', 'border-collapse',
+        'width', 'max-width', 'height', 'line-height', 'list-style', 'list-style-type'
+    ],
+    problematicColors: [
+        'white', '#fff', '#ffffff', 'rgb(255, 255, 255)', 'rgb(255,255,255)', 'windowtext'
+    ]
+};
+
+/**
+ * Data URLs allowed for inline images
+ * @constant {RegExp}
+ */
+const SAFE_DATA_IMAGE = /^data:image\/(png|jpe?g|gif|webp|bmp);base64,[a-z0-9+/=\s]+$/i;
+
+/**
+ * Values that must never appear in a style declaration
+ * @constant {RegExp}
+ */
+const UNSAFE_STYLE_VALUE = /url\s*\(|expression\s*\(|javascript:|behavior\s*:|@import|-moz-binding/i;
+
+/**
+ * Checks if a CSS style property is allowed. The property name must be listed exactly -
+ * "border" does not allow "border-image".
+ * @param {string} style - CSS declaration or property name to check
+ * @param {Array} allowedStyles - Array of allowed style properties
+ * @returns {boolean} True if style is allowed
+ */
+export function isAllowedStyle(style, allowedStyles) {
+    const property = style.split(':')[0].trim().toLowerCase();
+    return allowedStyles.includes(property);
+}
+
+/**
+ * Checks if a CSS style contains problematic colors
+ * @param {string} style - CSS style to check
+ * @param {Array} problematicColors - Array of problematic color values
+ * @returns {boolean} True if style contains problematic colors
+ */
+export function hasProblematicColor(style, problematicColors) {
+    return problematicColors.some(color => style.includes(color));
+}
+
+/**
+ * Checks whether a URL is safe to keep in an attribute.
+ * Relative URLs are allowed, absolute URLs must use one of the allowed schemes.
+ *
+ * @param {string} url - URL to check
+ * @param {Array<string>} [allowedSchemes] - Allowed URL schemes without colon
+ * @returns {boolean} True if the URL is safe
+ * @example
+ * isSafeUrl('https://example.com');        // true
+ * isSafeUrl('javascript:alert(1)');        // false
+ * isSafeUrl('/api/v1/ticket_attachment/1'); // true
+ */
+export function isSafeUrl(url, allowedSchemes = SANITIZER_DEFAULTS.allowedSchemes) {
+    if (typeof url !== 'string') return false;
+
+    // Browsers ignore control characters and whitespace inside the scheme ("java\tscript:")
+    const normalized = url.replace(/[\u0000- \u007F-\u009F]/g, '').toLowerCase();
+    const match = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+
+    if (!match) return true; // Relative URL
+
+    const scheme = match[1];
+    if (!allowedSchemes.includes(scheme)) return false;
+    if (scheme === 'data') return SAFE_DATA_IMAGE.test(url.trim());
+    return true;
+}
+
+/**
+ * Filters a style attribute down to the allowed CSS declarations
+ * @param {string} style - Value of a style attribute
+ * @param {Object} [options] - Sanitizer options (defaults to SANITIZER_DEFAULTS)
+ * @returns {string} Sanitized style value (empty if nothing is left)
+ * @example
+ * sanitizeStyle('color: red; position: fixed'); // 'color: red'
+ */
+export function sanitizeStyle(style, options = {}) {
+    const { allowedStyles, problematicColors } = { ...SANITIZER_DEFAULTS, ...options };
+    if (!style || typeof style !== 'string') return '';
+
+    return style
+        .split(';')
+        .map(declaration => declaration.trim())
+        .filter(declaration => declaration.includes(':'))
+        .filter(declaration => isAllowedStyle(declaration, allowedStyles))
+        .filter(declaration => !UNSAFE_STYLE_VALUE.test(declaration))
+        .filter(declaration => {
+            const [property, ...value] = declaration.toLowerCase().split(':');
+            return !property.includes('color') || !hasProblematicColor(value.join(':'), problematicColors);
+        })
+        .join('; ');
+}
+
+/**
+ * Sanitizes an HTML string against the allowlist.
+ * Parsing happens in an inert template element, so no scripts run and no resources load.
+ *
+ * @param {string} html - Untrusted HTML
+ * @param {Object} [options] - Overrides for SANITIZER_DEFAULTS
+ * @param {Document} [options.document] - Document used for parsing (defaults to the global document)
+ * @returns {string} Sanitized HTML
+ * @example
+ * sanitizeHtml('<p onclick="x()">Hi<script>alert(1)</script></p>'); // '<p>Hi</p>'
+ */
+export function sanitizeHtml(html, options = {}) {
+    if (html === null || html === undefined || html === '') return '';
+
+    const config = { ...SANITIZER_DEFAULTS, ...options };
+    const doc = options.document || globalThis.document;
+    const template = doc.createElement('template');
+    template.innerHTML = String(html);
+
+    sanitizeChildren(template.content, config);
+
+    return template.innerHTML;
+}
+
+/**
+ * Converts plain text to HTML by escaping it and keeping line breaks
+ * @param {string} text - Plain text
+ * @returns {string} HTML-safe representation
+ * @example
+ * textToHtml('a < b\nc'); // 'a &lt; b<br>c'
+ */
+export function textToHtml(text) {
+    if (text === null || text === undefined) return '';
+    return escapeHtml(String(text)).replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Block elements that start a new line when HTML is converted to plain text
+ * @constant {Array<string>}
+ */
+const TEXT_BLOCK_TAGS = ['p', 'div', 'blockquote', 'pre', 'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'tr', 'table'];
+
+/**
+ * Converts HTML to plain text, keeping line breaks, paragraphs and list items
+ * @param {string} html - HTML (parsed inert, nothing is executed or loaded)
+ * @param {Object} [options] - Conversion options
+ * @param {Document} [options.document] - Document used for parsing (defaults to the global document)
+ * @returns {string} Plain text
+ * @example
+ * htmlToText('<p>Hi</p><ul><li>a</li><li>b</li></ul>'); // 'Hi\n- a\n- b'
+ */
+export function htmlToText(html, options = {}) {
+    if (html === null || html === undefined || html === '') return '';
+
+    const doc = options.document || globalThis.document;
+    const template = doc.createElement('template');
+    template.innerHTML = String(html);
+
+    const output = { text: '' };
+    appendText(template.content, output, false);
+
+    return output.text
+        .replace(/\u00a0/g, ' ')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Escapes HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Appends the text of all child nodes, block elements start on a new line
+ * @private
+ * @param {Node} parent - Parent node
+ * @param {Object} output - Collected text ({ text })
+ * @param {boolean} preformatted - Whether whitespace is kept (inside pre)
+ */
+function appendText(parent, output, preformatted) {
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === 3) {
+            output.text += preformatted ? node.nodeValue : node.nodeValue.replace(/\s+/g, ' ');
+            return;
+        }
+        if (node.nodeType !== 1) return;
+
+        const tag = node.nodeName.toLowerCase();
+        if (SANITIZER_DEFAULTS.removeWithContent.includes(tag)) return;
+        if (tag === 'br') {
+            output.text += '\n';
+            return;
+        }
+
+        const block = TEXT_BLOCK_TAGS.includes(tag);
+        if (block && output.text && !output.text.endsWith('\n')) output.text += '\n';
+        if (tag === 'li') output.text += '- ';
+
+        appendText(node, output, preformatted || tag === 'pre');
+
+        if (block && !output.text.endsWith('\n')) output.text += '\n';
+    });
+}
+
+/**
+ * Sanitizes all child nodes of a node in place
+ * @private
+ * @param {Node} parent - Parent node
+ * @param {Object} config - Merged sanitizer options
+ */
+function sanitizeChildren(parent, config) {
+    // Copy the list first, nodes are removed and replaced while iterating
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === 3) return; // Text
+
+        if (node.nodeType !== 1) {
+            // Comments, processing instructions, CDATA
+            node.remove();
+            return;
+        }
+
+        const tag = node.nodeName.toLowerCase();
+
+        if (config.removeWithContent.includes(tag)) {
+            node.remove();
+            return;
+        }
+
+        sanitizeChildren(node, config);
+
+        if (!config.allowedTags.includes(tag)) {
+            // Unknown tag - keep its (already sanitized) content
+            node.replaceWith(...Array.from(node.childNodes));
+            return;
+        }
+
+        sanitizeAttributes(node, tag, config);
+    });
+}
+
+/**
+ * Removes all attributes of an element that are not allowed
+ * @private
+ * @param {Element} element - Element to clean
+ * @param {string} tag - Lowercase tag name
+ * @param {Object} config - Merged sanitizer options
+ */
+function sanitizeAttributes(element, tag, config) {
+    const allowed = [
+        ...(config.allowedAttributes['*'] || []),
+        ...(config.allowedAttributes[tag] || [])
+    ];
+
+    Array.from(element.attributes).forEach(attribute => {
+        const name = attribute.name.toLowerCase();
+        const value = attribute.value;
+
+        if (!allowed.includes(name)) {
+            element.removeAttribute(attribute.name);
+            return;
+        }
+
+        if (name === 'href' && !isSafeUrl(value, config.allowedSchemes)) {
+            element.removeAttribute(attribute.name);
+        } else if (name === 'src' && !isSafeUrl(value, config.allowedImageSchemes)) {
+            element.removeAttribute(attribute.name);
+        } else if (name === 'style') {
+            const style = sanitizeStyle(value, config);
+            style ? element.setAttribute('style', style) : element.removeAttribute('style');
+        } else if (name === 'color' && hasProblematicColor(value.toLowerCase(), config.problematicColors)) {
+            element.removeAttribute(attribute.name);
+        }
+    });
+
+    // Links open outside the portal without access to it
+    if (tag === 'a' && element.hasAttribute('href')) {
+        element.setAttribute('target', '_blank');
+        element.setAttribute('rel', 'noopener noreferrer');
+    }
+}
+
+// Make available globally for backward compatibility
+if (typeof window !== 'undefined') {
+    if (!window.NFUtils) window.NFUtils = {};
+    window.NFUtils.sanitizeHtml = sanitizeHtml;
+}
+
+export default sanitizeHtml;
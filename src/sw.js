@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Service worker providing offline read access to the portal and cached tickets
+ * @author danielknng
+ * @module sw
+ * @since 2025-01-XX
+ * @version 2.0.0
+ *
+ * Registered by core/service-worker.js as sw.js?api=<NF_CONFIG.api.baseUrl>.
+ * - App shell (HTML, CSS, JS modules, language files): network first, precached on install
+ * - Ticket, article and knowledge base GET requests to the API: network first, the last
+ *   response is served while offline (marked with the X-NF-Cached-At header)
+ * Everything else (POST/PUT, login, search) always goes to the network.
+ */
+
+/* global self, caches */
+
+/**
+ * Cache versions - bump SHELL_CACHE when files are added to or removed from APP_SHELL
+ * @constant {string}
+ */
+const SHELL_CACHE = 'nf-shell-v13';
+const API_CACHE = 'nf-api-v1';
+
+/**
+ * Response header with the time (ms) the response was stored, set on responses served from API_CACHE
+ * @constant {string}
+ */
+const CACHED_AT_HEADER = 'X-NF-Cached-At';
+
+/**
+ * Files of the app shell, relative to this file. Keep in sync with the files in src/ and public/.
+ * @constant {Array<string>}
+ */
+const APP_SHELL = [
+    'html/nf_gui.html',
+    'manifest.webmanifest',
+    '../public/img/it-service_portal.png',
+    '../public/img/icon-192.png',
+    '../public/img/icon-512.png',
+
+    'css/main.css',
+    'css/base/variables.css',
+    'css/base/typography.css',
+    'css/base/utilities.css',
+    'css/components/buttons.css',
+    'css/components/forms.css',
+    'css/components/modal.css',
+    'css/components/status-badges.css',
+    'css/components/loader.css',
+    'css/components/session-warning.css',
+    'css/components/offline-banner.css',
+    'css/components/editor.css',
+    'css/modules/login.css',
+    'css/modules/search.css',
+    'css/modules/ticket-list.css',
+    'css/modules/ticket-detail.css',
+    'css/modules/new-ticket.css',
+    'css/modules/gallery.css',
+    'css/layout/sections.css',
+    'css/layout/cards.css',
+
+    'js/app.js',
+    'js/api/auth.js',
+    'js/api/cache-backends.js',
+    'js/api/cache-strategy.js',
+    'js/api/cache.js',
+    'js/api/client.js',
+    'js/api/http.js',
+    'js/api/knowledge-base.js',
+    'js/api/outbox.js',
+    'js/api/poller.js',
+    'js/api/retry-policy.js',
+    'js/api/session.js',
+    'js/api/tickets.js',
+    'js/core/config.js',
+    'js/core/constants.js',
+    'js/core/idb.js',
+    'js/core/logger.js',
+    'js/core/service-worker.js',
+    'js/core/storage.js',
+    'js/features/editor/rich-text-editor.js',
+    'js/features/gallery/attachments.js',
+    'js/features/gallery/viewer.js',
+    'js/features/notifications/desktop.js',
+    'js/features/search/knowledge-base.js',
+    'js/features/tickets/actions.js',
+    'js/features/tickets/create.js',
+    'js/features/tickets/detail.js',
+    'js/features/tickets/drafts.js',
+    'js/features/tickets/list.js',
+    'js/features/tickets/unread.js',
+    'js/features/upload/file-handler.js',
+    'js/features/upload/file-signature.js',
+    'js/features/upload/image-processor.js',
+    'js/features/upload/upload-queue.js',
+    'js/i18n/error-translator.js',
+    'js/i18n/manager.js',
+    'js/state/events.js',
+    'js/state/store.js',
+    'js/state/tab-sync.js',
+    'js/ui/dom.js',
+    'js/ui/helpers.js',
+    'js/ui/init.js',
+    'js/ui/modal-utils.js',
+    'js/ui/modal.js',
+    'js/ui/offline-banner.js',
+    'js/ui/refresh-indicator.js',
+    'js/ui/session-warning.js',
+    'js/ui/status.js',
+    'js/utils/debounce.js',
+    'js/utils/email-parser.js',
+    'js/utils/error-boundary.js',
+    'js/utils/errors.js',
+    'js/utils/file-processor.js',
+    'js/utils/focus.js',
+    'js/utils/loading.js',
+    'js/utils/performance.js',
+    'js/utils/safe-access.js',
+    'js/utils/sanitize.js',
+    'js/utils/template.js',
+    'js/utils/validation.js',
+    'js/utils/visibility.js',
+
+    ...['en', 'de'].flatMap(lang =>
+        ['ui', 'aria', 'system', 'messages', 'utils'].map(file => `lang/${lang}/${file}.json`)
+    )
+];
+
+/**
+ * API endpoints (below the API base URL) whose GET responses are kept for offline use
+ * @constant {Array<RegExp>}
+ */
+const OFFLINE_API_ROUTES = [
+    /^\/tickets\/\d+$/,
+    /^\/tickets\/search$/,
+    /^\/ticket_articles\/by_ticket\/\d+$/,
+    /^\/knowledge_bases\/\d+\/answers\/\d+$/
+];
+
+/**
+ * Zammad API base URL passed by the page when registering the worker
+ * @constant {URL|null}
+ */
+const API_BASE = (() => {
+    const baseUrl = new URL(self.location.href).searchParams.get('api');
+    try {
+        return baseUrl ? new URL(baseUrl, self.location.href) : null;
+    } catch (e) {
+        return null;
+    }
+})();
+
+/**
+ * Checks whether a request is a GET to one of the offline API routes
+ * @param {Request} request - Intercepted request
+ * @returns {boolean} True if the response may be served from API_CACHE
+ */
+function isOfflineApiRequest(request) {
+    if (request.method !== 'GET' || !API_BASE) return false;
+
+    const url = new URL(request.url);
+    const basePath = API_BASE.pathname.replace(/\/$/, '');
+    if (url.origin !== API_BASE.origin || !url.pathname.startsWith(`${basePath}/`)) return false;
+
+    const path = url.pathname.slice(basePath.length);
+    return OFFLINE_API_ROUTES.some(route => route.test(path));
+}
+
+/**
+ * Checks whether a request belongs to the app shell
+ * @param {Request} request - Intercepted request
+ * @returns {boolean} True for same-origin GET requests inside the portal folders
+ */
+function isShellRequest(request) {
+    if (request.method !== 'GET') return false;
+
+    const url = new URL(request.url);
+    const root = new URL('../', self.location.href);
+    return url.origin === self.location.origin && url.href.startsWith(root.href);
+}
+
+/**
+ * Copies a response and adds the time it was stored
+ * @param {Response} response - Network response
+ * @returns {Promise<Response>} Response to put into API_CACHE
+ */
+async function withCachedAt(response) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, String(Date.now()));
+
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+/**
+ * Network first for app shell files, falls back to the precached version
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Response
+ */
+async function handleShellRequest(event) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(event.request);
+        if (response.ok) {
+            event.waitUntil(cache.put(event.request, response.clone()));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(event.request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Network first for ticket and article GETs, serves the last response while offline
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Response
+ */
+async function handleApiRequest(event) {
+    const cache = await caches.open(API_CACHE);
+
+    try {
+        const response = await fetch(event.request);
+        if (response.ok) {
+            event.waitUntil(withCachedAt(response.clone()).then(copy => cache.put(event.request, copy)));
+        }
+        return response;
+    } catch (error) {
+        // Request URLs contain the ticket/customer ID - Authorization and Origin may differ
+        const cached = await cache.match(event.request, { ignoreVary: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('nf-') && key !== SHELL_CACHE && key !== API_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    if (isOfflineApiRequest(event.request)) {
+        event.respondWith(handleApiRequest(event));
+    } else if (isShellRequest(event.request)) {
+        event.respondWith(handleShellRequest(event));
+    }
+});
+
+self.addEventListener('message', (event) => {
+    // Sent on logout - cached tickets must not be readable by the next user of the browser
+    if (event.data?.type === 'nf:clear-api-cache') {
+        event.waitUntil(caches.delete(API_CACHE));
+    }
+});
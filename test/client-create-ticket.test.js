@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Tests for the duplicate check of ZammadApiClient.createTicket
+ * @author danielknng
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZammadApiClient } from '../src/js/api/client.js';
+import { isRequestTimeout } from '../src/js/api/http.js';
+import { NF_CONFIG } from '../src/js/core/config.js';
+
+const BASE_URL = 'https://helpdesk.example.com/api/v1';
+const USER_ID = 7;
+const TICKET = { subject: 'Printer broken', body: 'The printer on floor 2 is broken', contentType: 'text/plain' };
+
+/**
+ * Requests sent by the client ("METHOD path")
+ * @type {Array<string>}
+ */
+let requests;
+
+/**
+ * Answers of the stubbed server per request, see stubServer()
+ * @type {Object<string, Function>}
+ */
+let server;
+
+/**
+ * Creates a JSON response
+ * @param {*} data - Response body
+ * @param {number} [status=200] - HTTP status
+ * @returns {Response} Response
+ */
+function json(data, status = 200) {
+    return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Answers like a request that never gets a response - rejected once apiFetch aborts it
+ * @param {AbortSignal} signal - Signal of the request
+ * @returns {Promise<never>}
+ */
+function hang(signal) {
+    return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted', 'AbortError')));
+    });
+}
+
+/**
+ * Ticket as listed by Zammad
+ * @param {number} id - Ticket ID
+ * @returns {Object} Ticket
+ */
+function listedTicket(id) {
+    return { id, customer_id: USER_ID, title: TICKET.subject, created_at: new Date().toISOString() };
+}
+
+describe('createTicket duplicate check', () => {
+    const originalFetch = globalThis.fetch;
+    const originalTimeout = NF_CONFIG.api.timeout;
+    const originalRetry = NF_CONFIG.api.retry;
+    let client;
+
+    before(() => {
+        globalThis.window = { appState: { get: key => (key === 'userId' ? USER_ID : null) } };
+        globalThis.fetch = async (url, options = {}) => {
+            const method = options.method || 'GET';
+            const path = url.slice(BASE_URL.length).split('?')[0];
+            requests.push(`${method} ${path}`);
+            return server[`${method} ${path}`](options);
+        };
+
+        NF_CONFIG.api.timeout = 20;
+        NF_CONFIG.api.retry = {
+            ...originalRetry,
+            baseDelay: 1,
+            maxDelay: 10,
+            jitter: 0,
+            ticketCreation: { ...originalRetry.ticketCreation, enabled: true }
+        };
+    });
+
+    after(() => {
+        delete globalThis.window;
+        globalThis.fetch = originalFetch;
+        NF_CONFIG.api.timeout = originalTimeout;
+        NF_CONFIG.api.retry = originalRetry;
+    });
+
+    beforeEach(() => {
+        requests = [];
+        client = new ZammadApiClient(BASE_URL, 'dXNlcjpwYXNz');
+    });
+
+    test('returns the ticket a timed out POST created instead of posting again', async () => {
+        server = {
+            'POST /tickets': options => hang(options.signal),
+            'GET /tickets': () => json([listedTicket(41), listedTicket(42)]),
+            'GET /ticket_articles/by_ticket/41': () => json([{ body: 'Another issue', content_type: 'text/plain' }]),
+            'GET /ticket_articles/by_ticket/42': () => json([{ body: TICKET.body, content_type: 'text/plain' }])
+        };
+
+        const ticket = await client.createTicket(TICKET);
+
+        assert.equal(ticket.id, 42);
+        assert.equal(requests.filter(request => request === 'POST /tickets').length, 1);
+    });
+
+    test('posts again if the timed out POST created no ticket', async () => {
+        let posts = 0;
+        server = {
+            'POST /tickets': options => (++posts === 1 ? hang(options.signal) : json({ id: 43 }, 201)),
+            'GET /tickets': () => json([])
+        };
+
+        const ticket = await client.createTicket(TICKET);
+
+        assert.equal(ticket.id, 43);
+        assert.deepEqual(requests, ['POST /tickets', 'GET /tickets', 'POST /tickets']);
+    });
+
+    test('rethrows the POST error if the lookup fails', async () => {
+        server = {
+            'POST /tickets': options => hang(options.signal),
+            'GET /tickets': () => json({ error: 'Service unavailable' }, 500)
+        };
+
+        await assert.rejects(client.createTicket(TICKET), error => {
+            assert.equal(isRequestTimeout(error), true);
+            return true;
+        });
+        assert.equal(requests.filter(request => request === 'POST /tickets').length, 1);
+    });
+
+    test('does not post a queued ticket that an earlier attempt created', async () => {
+        server = {
+            'GET /tickets': () => json([listedTicket(44)]),
+            'GET /ticket_articles/by_ticket/44': () => json([{ body: TICKET.body, content_type: 'text/plain' }])
+        };
+
+        const ticket = await client.createTicket({ ...TICKET, attemptedAt: Date.now() - 1000 });
+
+        assert.equal(ticket.id, 44);
+        assert.equal(requests.includes('POST /tickets'), false);
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Tests for the email content extraction of the ticket detail view
+ * @author danielknng
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>', { url: 'http://localhost/' });
+
+/**
+ * HTML assigned via innerHTML to elements other than <template>, i.e. parsed in the live document
+ * @type {Array<string>}
+ */
+const liveParsed = [];
+
+let extractEmailContent;
+
+before(async () => {
+    const innerHTML = Object.getOwnPropertyDescriptor(window.Element.prototype, 'innerHTML');
+    Object.defineProperty(window.Element.prototype, 'innerHTML', {
+        ...innerHTML,
+        set(value) {
+            if (!(this instanceof window.HTMLTemplateElement)) liveParsed.push(String(value));
+            innerHTML.set.call(this, value);
+        }
+    });
+
+    for (const name of ['window', 'document', 'navigator', 'localStorage', 'sessionStorage', 'Element', 'HTMLElement', 'Node', 'Event', 'CustomEvent']) {
+        Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+    }
+
+    // The language files are not served here - the module only needs empty translations
+    globalThis.fetch = async () => new Response('{}', { headers: { 'Content-Type': 'application/json' } });
+
+    ({ extractEmailContent } = await import('../src/js/features/tickets/detail.js'));
+});
+
+test('email HTML is not parsed in the live document', () => {
+    const payload = '<p>Printer is broken</p><img src=x onerror="window.__hit = true">';
+    const result = extractEmailContent(payload, true);
+
+    assert.equal(liveParsed.some(html => html.includes('onerror')), false);
+    assert.equal(window.__hit, undefined);
+    assert.equal(result, 'Printer is broken');
+});
+
+test('signature and quoted mail are cut off', () => {
+    const result = extractEmailContent(
+        '<p>Please reset my password</p><div class="signature">Jane Doe</div><hr><p>From: support</p>',
+        true
+    );
+
+    assert.equal(result, 'Please reset my password');
+});
+
+test('bodies of other senders are returned unchanged', () => {
+    const body = '<p>Hello</p><img src=x onerror="alert(1)">';
+    assert.equal(extractEmailContent(body, false), body);
+});
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Tests for the file type detection from the file content
+ * @author danielknng
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchesFileType, detectFileType } from '../src/js/features/upload/file-signature.js';
+
+/**
+ * Binary file types known to the detection
+ * @constant {Array<string>}
+ */
+const BINARY_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
+
+/**
+ * Creates a file from a string with one character per byte
+ * @param {string} bytes - File content
+ * @param {string} name - File name
+ * @param {string} [type=''] - MIME type reported by the browser
+ * @returns {File} File
+ */
+function createFile(bytes, name, type = '') {
+    return new File([Uint8Array.from(bytes, char => char.charCodeAt(0))], name, { type });
+}
+
+const PNG = '\x89PNG\r\n\x1A\n\x00\x00\x00\x0DIHDR\x00\x00\x00\x01\x00\x00\x00\x01\x08\x02\x00\x00\x00';
+const JPEG = '\xFF\xD8\xFF\xE0\x00\x10JFIF\x00\x01\x01\x00\x00\x01\x00\x01\x00\x00';
+const PDF = '%PDF-1.7\n%\xE2\xE3\xCF\xD3\n1 0 obj\n<< /Type /Catalog >>\nendobj\n';
+const EXE = 'MZ\x90\x00\x03\x00\x00\x00\x04\x00\x00\x00\xFF\xFF\x00\x00\xB8\x00\x00\x00';
+
+describe('matchesFileType', () => {
+    test('accepts PNG, JPEG and PDF files', async () => {
+        assert.equal(await matchesFileType(createFile(PNG, 'screenshot.png', 'image/png'), 'image/png'), true);
+        assert.equal(await matchesFileType(createFile(JPEG, 'photo.jpg', 'image/jpeg'), 'image/jpeg'), true);
+        assert.equal(await matchesFileType(createFile(PDF, 'invoice.pdf', 'application/pdf'), 'application/pdf'), true);
+    });
+
+    test('finds a PDF header after leading bytes', async () => {
+        assert.equal(await matchesFileType(createFile(`\r\n${PDF}`, 'invoice.pdf'), 'application/pdf'), true);
+    });
+
+    test('rejects a program renamed to .png', async () => {
+        const file = createFile(EXE, 'screenshot.png', 'image/png');
+        assert.equal(await matchesFileType(file, 'image/png'), false);
+    });
+
+    test('rejects files of another type', async () => {
+        assert.equal(await matchesFileType(createFile(PNG, 'photo.jpg', 'image/jpeg'), 'image/jpeg'), false);
+        assert.equal(await matchesFileType(createFile(JPEG, 'invoice.pdf', 'application/pdf'), 'application/pdf'), false);
+    });
+
+    test('rejects files too short to hold the signature', async () => {
+        assert.equal(await matchesFileType(createFile('', 'empty.png'), 'image/png'), false);
+        assert.equal(await matchesFileType(createFile('\x89PN', 'short.png'), 'image/png'), false);
+        assert.equal(await matchesFileType(createFile('\xFF\xD8', 'short.jpg'), 'image/jpeg'), false);
+        assert.equal(await matchesFileType(createFile('%PDF', 'short.pdf'), 'application/pdf'), false);
+    });
+
+    test('returns null for types without a signature', async () => {
+        assert.equal(await matchesFileType(createFile(PNG, 'archive.zip'), 'application/zip'), null);
+    });
+
+    test('checks text files by content', async () => {
+        assert.equal(await matchesFileType(createFile('Printer error 42\n', 'log.txt'), 'text/plain'), true);
+        assert.equal(await matchesFileType(createFile(EXE, 'log.txt'), 'text/plain'), false);
+        assert.equal(await matchesFileType(createFile('Received: from mail\r\nSubject: Hi\r\n', 'mail.eml'), 'message/rfc822'), true);
+    });
+});
+
+describe('detectFileType', () => {
+    test('detects the type from the content, not the name', async () => {
+        assert.equal(await detectFileType(createFile(PNG, 'document.pdf', 'application/pdf')), 'image/png');
+        assert.equal(await detectFileType(createFile(JPEG, 'file.bin')), 'image/jpeg');
+        assert.equal(await detectFileType(createFile(PDF, 'scan')), 'application/pdf');
+    });
+
+    test('detects no type for a program renamed to .png', async () => {
+        assert.equal(await detectFileType(createFile(EXE, 'screenshot.png', 'image/png')), null);
+    });
+
+    test('detects no binary type for files too short to hold a signature', async () => {
+        assert.equal(await detectFileType(createFile('', 'empty.png'), BINARY_TYPES), null);
+        assert.equal(await detectFileType(createFile('\x89P', 'short.png'), BINARY_TYPES), null);
+    });
+
+    test('prefers binary signatures over the text check', async () => {
+        assert.equal(await detectFileType(createFile(PDF, 'notes.txt'), ['text/plain', 'application/pdf']), 'application/pdf');
+    });
+});
@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Tests for sending the queued items of the ticket outbox
+ * @author danielknng
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { test, describe, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { TicketOutbox, OUTBOX_STATUS } from '../src/js/api/outbox.js';
+import { apiFetch } from '../src/js/api/http.js';
+import appState from '../src/js/state/store.js';
+
+/**
+ * Minimal Web Locks implementation: requests for the same name run one after another
+ * @returns {{request: Function}} Lock manager
+ */
+function createLockManager() {
+    const queues = new Map();
+    return {
+        request(name, callback) {
+            const result = (queues.get(name) || Promise.resolve()).then(() => callback({ name, mode: 'exclusive' }));
+            queues.set(name, result.catch(() => {}));
+            return result;
+        }
+    };
+}
+
+/**
+ * Creates a ticket service that records what it sends
+ * @param {Function} [handler] - Called with the sent item, its result or error is returned
+ * @returns {Object} Ticket service with the sent items in `sent`
+ */
+function createTicketService(handler = () => ({ id: 1 })) {
+    const service = {
+        sent: [],
+        async createTicket(ticketData) {
+            service.sent.push(`ticket:${ticketData.subject}`);
+            return handler(ticketData);
+        },
+        async sendReply(ticketId, text) {
+            service.sent.push(`reply:${ticketId}:${text}`);
+            return handler({ ticketId, text });
+        }
+    };
+    return service;
+}
+
+/**
+ * Gets the error of a request that got no response
+ * @param {boolean} [timedOut=false] - Whether the request ran into its timeout
+ * @returns {Promise<Error>} Network error as thrown by apiFetch
+ */
+async function createNetworkError(timedOut = false) {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = (url, options) => new Promise((resolve, reject) => {
+        if (!timedOut) reject(new TypeError('Failed to fetch'));
+        options.signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted', 'AbortError')));
+    });
+    try {
+        return await apiFetch('https://helpdesk.example.com/api/v1/tickets', { method: 'POST' }, 0, 5).catch(error => error);
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+}
+
+/**
+ * Reads the stored items of the current user, as a newly opened tab would
+ * @returns {Promise<Array<Object>>} Stored items
+ */
+async function readStoredItems() {
+    const outbox = new TicketOutbox();
+    await outbox._loadItems();
+    return outbox.items;
+}
+
+describe('TicketOutbox', () => {
+    const originalNavigator = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+    const started = [];
+
+    /**
+     * Creates an outbox that is stopped after the test, like the one of a browser tab
+     * @returns {TicketOutbox} Outbox
+     */
+    function openTab() {
+        const outbox = new TicketOutbox();
+        started.push(outbox);
+        return outbox;
+    }
+
+    before(() => {
+        appState.set('userId', 7, true);
+    });
+
+    after(() => {
+        if (originalNavigator) Object.defineProperty(globalThis, 'navigator', originalNavigator);
+        else delete globalThis.navigator;
+        delete globalThis.indexedDB;
+    });
+
+    beforeEach(() => {
+        globalThis.indexedDB = new IDBFactory();
+        Object.defineProperty(globalThis, 'navigator', {
+            value: { onLine: true, locks: createLockManager() },
+            configurable: true,
+            writable: true
+        });
+    });
+
+    afterEach(() => {
+        started.splice(0).forEach(outbox => outbox.stop());
+    });
+
+    test('sends pending items in the order they were queued', async () => {
+        const outbox = openTab();
+        const service = createTicketService();
+        await outbox.queueTicket({ subject: 'Printer broken', body: 'Floor 2' });
+        await outbox.queueReply(5, 'Any news?');
+        await outbox.queueTicket({ subject: 'VPN down', body: 'Since today' });
+
+        await outbox.start(service);
+        await outbox.flush();
+
+        assert.deepEqual(service.sent, ['ticket:Printer broken', 'reply:5:Any news?', 'ticket:VPN down']);
+        assert.deepEqual(outbox.items, []);
+        assert.deepEqual(await readStoredItems(), []);
+    });
+
+    test('keeps an item pending after a network error and tries again later', async () => {
+        const outbox = openTab();
+        const networkError = await createNetworkError();
+        const service = createTicketService(() => {
+            throw networkError;
+        });
+        await outbox.queueTicket({ subject: 'Printer broken', body: 'Floor 2' });
+        await outbox.queueTicket({ subject: 'VPN down', body: 'Since today' });
+
+        await outbox.start(service);
+        await outbox.flush();
+
+        // The flush pauses at the first item, the order is kept
+        assert.deepEqual(service.sent, ['ticket:Printer broken']);
+        assert.deepEqual(outbox.items.map(item => item.status), [OUTBOX_STATUS.PENDING, OUTBOX_STATUS.PENDING]);
+        assert.deepEqual((await readStoredItems()).map(item => item.status), [OUTBOX_STATUS.PENDING, OUTBOX_STATUS.PENDING]);
+        assert.ok(outbox._retryTimer, 'retry is scheduled');
+    });
+
+    test('marks items the server rejects as failed and sends the next one', async () => {
+        const outbox = openTab();
+        const service = createTicketService(({ subject }) => {
+            if (subject === 'Printer broken') throw new Error('Validation failed');
+            return { id: 2 };
+        });
+        await outbox.queueTicket({ subject: 'Printer broken', body: 'Floor 2' });
+        await outbox.queueTicket({ subject: 'VPN down', body: 'Since today' });
+
+        await outbox.start(service);
+        await outbox.flush();
+
+        assert.deepEqual(service.sent, ['ticket:Printer broken', 'ticket:VPN down']);
+        assert.equal(outbox.items.length, 1);
+        assert.equal(outbox.items[0].status, OUTBOX_STATUS.FAILED);
+        assert.equal(outbox.items[0].error, 'Validation failed');
+        assert.equal(outbox.items[0].attempts, 1);
+    });
+
+    test('does not requeue a reply whose request timed out', async () => {
+        const outbox = openTab();
+        const timeout = await createNetworkError(true);
+        const service = createTicketService(() => {
+            throw timeout;
+        });
+        await outbox.queueReply(5, 'Any news?');
+
+        await outbox.start(service);
+        await outbox.flush();
+
+        assert.equal(outbox.items[0].status, OUTBOX_STATUS.FAILED);
+        assert.equal(outbox._retryTimer, null);
+    });
+
+    test('sends an item only once when two tabs flush at the same time', async () => {
+        const firstTab = openTab();
+        const secondTab = openTab();
+        const sent = [];
+        const service = createTicketService(async ({ subject }) => {
+            sent.push(subject);
+            // Give the other tab time to pick up the item
+            await new Promise(resolve => setTimeout(resolve, 20));
+            return { id: 3 };
+        });
+        await firstTab.queueTicket({ subject: 'Printer broken', body: 'Floor 2' });
+
+        await Promise.all([firstTab.start(service), secondTab.start(service)]);
+        await Promise.all([firstTab.flush(), secondTab.flush()]);
+
+        assert.deepEqual(sent, ['Printer broken']);
+        assert.deepEqual(firstTab.items, []);
+        assert.deepEqual(secondTab.items, []);
+    });
+
+    test('skips items another tab has sent since they were loaded', async () => {
+        globalThis.navigator.locks = undefined;
+        const firstTab = openTab();
+        const secondTab = openTab();
+        const firstService = createTicketService();
+        const secondService = createTicketService();
+        await firstTab.queueTicket({ subject: 'Printer broken', body: 'Floor 2' });
+
+        // Both tabs loaded the item while offline, the second one sends it first
+        globalThis.navigator.onLine = false;
+        await firstTab.start(firstService);
+        await firstTab.flush();
+        globalThis.navigator.onLine = true;
+        await secondTab.start(secondService);
+        await secondTab.flush();
+
+        await firstTab.flush();
+
+        assert.deepEqual(secondService.sent, ['ticket:Printer broken']);
+        assert.deepEqual(firstService.sent, []);
+        assert.deepEqual(firstTab.items, []);
+    });
+
+    test('skips items another tab has marked as failed', async () => {
+        const firstTab = openTab();
+        const secondTab = openTab();
+        const firstService = createTicketService();
+        await firstTab.queueTicket({ subject: 'Printer broken', body: 'Floor 2' });
+
+        globalThis.navigator.onLine = false;
+        await firstTab.start(firstService);
+        await firstTab.flush();
+        globalThis.navigator.onLine = true;
+        await secondTab.start(createTicketService(() => {
+            throw new Error('Validation failed');
+        }));
+        await secondTab.flush();
+
+        await firstTab.flush();
+
+        assert.deepEqual(firstService.sent, []);
+        assert.equal(firstTab.items[0].status, OUTBOX_STATUS.FAILED);
+    });
+
+    test('sends an item left in sending state by a closed tab', async () => {
+        const closedTab = openTab();
+        await closedTab.queueTicket({ subject: 'Printer broken', body: 'Floor 2' });
+        await closedTab._update(closedTab.items[0], { status: OUTBOX_STATUS.SENDING });
+
+        const outbox = openTab();
+        const service = createTicketService();
+        await outbox.start(service);
+        await outbox.flush();
+
+        assert.deepEqual(service.sent, ['ticket:Printer broken']);
+        assert.deepEqual(await readStoredItems(), []);
+    });
+
+    test('logs database errors instead of rejecting', async () => {
+        const outbox = openTab();
+        await outbox.queueTicket({ subject: 'Printer broken', body: 'Floor 2' });
+        await outbox.start(createTicketService());
+        await outbox.flush();
+
+        outbox.items.push({ id: 99, type: 'ticket', payload: {}, status: OUTBOX_STATUS.PENDING });
+        outbox._getDb = () => Promise.reject(new Error('Database closed'));
+
+        await assert.doesNotReject(outbox.flush());
+    });
+});
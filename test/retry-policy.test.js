@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Tests for the retry policy and the retries of apiFetch
+ * @author danielknng
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { RetryPolicy } from '../src/js/api/retry-policy.js';
+import { apiFetch, isNetworkError } from '../src/js/api/http.js';
+import { NF_CONFIG } from '../src/js/core/config.js';
+
+/**
+ * Creates a response with headers
+ * @param {number} status - HTTP status
+ * @param {Object} [headers] - Response headers
+ * @returns {Response} Response
+ */
+function createResponse(status, headers = {}) {
+    return new Response(status === 204 ? null : '{}', { status, headers });
+}
+
+describe('RetryPolicy.getDelay', () => {
+    test('doubles the wait for every attempt', () => {
+        const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 10000, jitter: 0 });
+        assert.deepEqual([0, 1, 2, 3].map(attempt => policy.getDelay(attempt)), [100, 200, 400, 800]);
+    });
+
+    test('caps the wait at maxDelay', () => {
+        const policy = new RetryPolicy({ baseDelay: 1000, maxDelay: 3000, jitter: 0 });
+        assert.equal(policy.getDelay(1), 2000);
+        assert.equal(policy.getDelay(2), 3000);
+        assert.equal(policy.getDelay(10), 3000);
+    });
+
+    test('keeps the jitter within its range', () => {
+        const policy = new RetryPolicy({ baseDelay: 1000, maxDelay: 10000, jitter: 0.5 });
+        for (let i = 0; i < 50; i++) {
+            const delay = policy.getDelay(1);
+            assert.ok(delay >= 1000 && delay <= 3000, `${delay} out of range`);
+        }
+    });
+
+    test('uses Retry-After in seconds', () => {
+        const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 10000, jitter: 0 });
+        assert.equal(policy.getDelay(0, createResponse(429, { 'Retry-After': '3' })), 3000);
+        assert.equal(policy.getDelay(5, createResponse(503, { 'Retry-After': '0' })), 0);
+    });
+
+    test('uses Retry-After as HTTP date', () => {
+        const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 10000, jitter: 0 });
+        const date = new Date(Date.now() + 5000).toUTCString();
+        const delay = policy.getDelay(0, createResponse(503, { 'Retry-After': date }));
+        // The HTTP date has no milliseconds
+        assert.ok(delay > 3000 && delay <= 5000, `${delay} out of range`);
+    });
+
+    test('does not wait for a Retry-After date in the past', () => {
+        const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 10000, jitter: 0 });
+        const date = new Date(Date.now() - 60000).toUTCString();
+        assert.equal(policy.getDelay(0, createResponse(503, { 'Retry-After': date })), 0);
+    });
+
+    test('gives up if Retry-After asks for longer than maxDelay', () => {
+        const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 10000, jitter: 0 });
+        assert.equal(policy.getDelay(0, createResponse(429, { 'Retry-After': '60' })), null);
+        assert.equal(policy.getDelay(0, createResponse(503, { 'Retry-After': new Date(Date.now() + 60000).toUTCString() })), null);
+    });
+
+    test('falls back to the backoff for an invalid Retry-After', () => {
+        const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 10000, jitter: 0 });
+        assert.equal(policy.getDelay(1, createResponse(503, { 'Retry-After': 'soon' })), 200);
+        assert.equal(policy.getDelay(1, createResponse(503)), 200);
+    });
+});
+
+describe('RetryPolicy retry decisions', () => {
+    const policy = new RetryPolicy({ statuses: [502, 503], methods: ['GET', 'HEAD'] });
+
+    test('retries idempotent methods only', () => {
+        assert.equal(policy.isRetryable('GET'), true);
+        assert.equal(policy.isRetryable('get'), true);
+        assert.equal(policy.isRetryable('POST'), false);
+        assert.equal(policy.isRetryable('PUT'), false);
+    });
+
+    test('follows the idempotent override of the caller', () => {
+        assert.equal(policy.isRetryable('POST', true), true);
+        assert.equal(policy.isRetryable('GET', false), false);
+    });
+
+    test('does not retry a POST on a retryable status', () => {
+        assert.equal(policy.shouldRetryResponse(createResponse(503), 'POST'), false);
+        assert.equal(policy.shouldRetryResponse(createResponse(503), 'GET'), true);
+        assert.equal(policy.shouldRetryResponse(createResponse(500), 'GET'), false);
+    });
+
+    test('retries 429 for every method unless marked as not idempotent', () => {
+        assert.equal(policy.shouldRetryResponse(createResponse(429), 'POST'), true);
+        assert.equal(policy.shouldRetryResponse(createResponse(429), 'POST', false), false);
+    });
+});
+
+describe('apiFetch retries', () => {
+    const originalFetch = globalThis.fetch;
+    const originalRetry = NF_CONFIG.api.retry;
+    let calls;
+
+    /**
+     * Replaces fetch with a stub answering from a list
+     * @param {Array<Response|Error>} answers - Answer per call, the last one repeats
+     */
+    function stubFetch(answers) {
+        globalThis.fetch = async (url, options) => {
+            const answer = answers[Math.min(calls.length, answers.length - 1)];
+            calls.push(options.method || 'GET');
+            if (answer instanceof Error) throw answer;
+            return answer;
+        };
+    }
+
+    beforeEach(() => {
+        calls = [];
+        NF_CONFIG.api.retry = { ...originalRetry, baseDelay: 1, maxDelay: 10, jitter: 0, statuses: [503], methods: ['GET'] };
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+        NF_CONFIG.api.retry = originalRetry;
+    });
+
+    test('does not resend a POST after a network error', async () => {
+        const failure = new TypeError('Failed to fetch');
+        stubFetch([failure, createResponse(201)]);
+
+        await assert.rejects(apiFetch('/tickets', { method: 'POST', body: '{}' }, 3), error => error === failure);
+        assert.deepEqual(calls, ['POST']);
+        assert.equal(isNetworkError(failure), true);
+    });
+
+    test('does not resend a POST on a retryable status', async () => {
+        stubFetch([createResponse(503), createResponse(201)]);
+
+        const response = await apiFetch('/tickets', { method: 'POST', body: '{}' }, 3);
+        assert.equal(response.status, 503);
+        assert.deepEqual(calls, ['POST']);
+    });
+
+    test('resends a POST marked as idempotent', async () => {
+        stubFetch([new TypeError('Failed to fetch'), createResponse(201)]);
+
+        const response = await apiFetch('/tickets', { method: 'POST', body: '{}', idempotent: true }, 3);
+        assert.equal(response.status, 201);
+        assert.deepEqual(calls, ['POST', 'POST']);
+    });
+
+    test('resends a GET until the attempts are used up', async () => {
+        stubFetch([createResponse(503)]);
+
+        const response = await apiFetch('/tickets', {}, 2);
+        assert.equal(response.status, 503);
+        assert.equal(calls.length, 3);
+    });
+
+    test('stops when beforeRetry returns false', async () => {
+        stubFetch([createResponse(503), createResponse(200)]);
+
+        const response = await apiFetch('/tickets', { beforeRetry: () => false }, 3);
+        assert.equal(response.status, 503);
+        assert.equal(calls.length, 1);
+    });
+});
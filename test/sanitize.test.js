@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Tests for the allowlist-based HTML sanitizer
+ * @author danielknng
+ * @since 2025-01-XX
+ * @version 2.0.0
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { sanitizeHtml, sanitizeStyle, isSafeUrl, isAllowedStyle } from '../src/js/utils/sanitize.js';
+
+const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+
+/**
+ * Sanitizes HTML with the jsdom document
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Sanitized HTML
+ */
+function sanitize(html) {
+    return sanitizeHtml(html, { document: window.document });
+}
+
+describe('sanitizeHtml', () => {
+    test('removes script elements with their content', () => {
+        assert.equal(sanitize('<p>Hi<script>alert(1)</script></p>'), '<p>Hi</p>');
+        assert.equal(sanitize('<svg><script>alert(1)</script></svg><p>ok</p>'), '<p>ok</p>');
+    });
+
+    test('removes event handler attributes', () => {
+        assert.equal(sanitize('<p onclick="alert(1)" onmouseover="alert(2)">Hi</p>'), '<p>Hi</p>');
+        assert.equal(sanitize('<img src="https://example.com/a.png" onerror="alert(1)">'), '<img src="https://example.com/a.png">');
+    });
+
+    test('keeps allowed tags and attributes', () => {
+        const html = '<table border="1"><tbody><tr><td colspan="2" align="left"><b>Bold</b> <em title="t">text</em></td></tr></tbody></table>';
+        assert.equal(sanitize(html), html);
+        assert.equal(sanitize('<ol start="3"><li>Item</li></ol>'), '<ol start="3"><li>Item</li></ol>');
+    });
+
+    test('unwraps unknown tags and keeps their text', () => {
+        assert.equal(sanitize('<article><p>Text</p></article>'), '<p>Text</p>');
+    });
+
+    test('opens safe links in a new tab', () => {
+        assert.equal(
+            sanitize('<a href="https://example.com" id="x">Link</a>'),
+            '<a href="https://example.com" target="_blank" rel="noopener noreferrer">Link</a>'
+        );
+    });
+
+    test('blocks javascript: links, also encoded and obfuscated', () => {
+        [
+            'javascript:alert(1)',
+            'JaVaScRiPt:alert(1)',
+            '&#106;avascript:alert(1)',
+            '&#x6A;&#x61;&#x76;&#x61;&#x73;&#x63;&#x72;&#x69;&#x70;&#x74;&#x3A;alert(1)',
+            'java&#x09;script:alert(1)',
+            'java&NewLine;script:alert(1)',
+            ' \tjavascript:alert(1)',
+            'java\nscript:alert(1)'
+        ].forEach(href => {
+            assert.equal(sanitize(`<a href="${href}">Link</a>`), '<a>Link</a>', href);
+        });
+    });
+
+    test('blocks data: URLs in links but keeps inline images', () => {
+        const image = 'data:image/png;base64,iVBORw0KGgo=';
+        assert.equal(sanitize(`<a href="${image}">Link</a>`), '<a>Link</a>');
+        assert.equal(sanitize(`<img src="${image}">`), `<img src="${image}">`);
+    });
+
+    test('blocks data: image sources that can run scripts', () => {
+        assert.equal(sanitize('<img src="data:text/html;base64,PHNjcmlwdD4=">'), '<img>');
+        assert.equal(sanitize('<img src="data:image/svg+xml;base64,PHN2Zz4=">'), '<img>');
+        assert.equal(sanitize('<img src="data:image/png,<svg onload=alert(1)>">'), '<img>');
+    });
+
+    test('removes style values with url( or expression(', () => {
+        assert.equal(sanitize('<p style="background-color: url(https://example.com/x)">Hi</p>'), '<p>Hi</p>');
+        assert.equal(sanitize('<p style="width: expression(alert(1)); color: red">Hi</p>'), '<p style="color: red">Hi</p>');
+    });
+});
+
+describe('sanitizeStyle', () => {
+    test('keeps allowed declarations only', () => {
+        assert.equal(sanitizeStyle('color: red; position: fixed; font-weight: bold'), 'color: red; font-weight: bold');
+    });
+
+    test('matches property names exactly', () => {
+        assert.equal(sanitizeStyle('border-image: url(x.png) 30; border: 1px solid'), 'border: 1px solid');
+        assert.equal(sanitizeStyle('border-image-source: linear-gradient(red, blue)'), '');
+        assert.equal(sanitizeStyle('margin-left: 4px; MARGIN-TOP: 2px'), 'margin-left: 4px; MARGIN-TOP: 2px');
+    });
+
+    test('removes url(, expression( and other unsafe values', () => {
+        assert.equal(sanitizeStyle('width: expression(alert(1))'), '');
+        assert.equal(sanitizeStyle('border: 1px solid; padding: url (x)'), 'border: 1px solid');
+        assert.equal(sanitizeStyle('font-family: javascript:alert(1)'), '');
+    });
+
+    test('drops colors that are unreadable in the portal', () => {
+        assert.equal(sanitizeStyle('color: #ffffff; font-size: 12px'), 'font-size: 12px');
+    });
+
+    test('returns an empty string for missing values', () => {
+        assert.equal(sanitizeStyle(''), '');
+        assert.equal(sanitizeStyle(null), '');
+    });
+});
+
+describe('isAllowedStyle', () => {
+    test('compares the property name against the allowlist', () => {
+        assert.equal(isAllowedStyle('border: 1px solid', ['border']), true);
+        assert.equal(isAllowedStyle('border-image: none', ['border']), false);
+        assert.equal(isAllowedStyle(' Color : red', ['color']), true);
+    });
+});
+
+describe('isSafeUrl', () => {
+    test('allows relative URLs and the allowed schemes', () => {
+        assert.equal(isSafeUrl('/api/v1/ticket_attachment/1'), true);
+        assert.equal(isSafeUrl('https://example.com'), true);
+        assert.equal(isSafeUrl('mailto:support@example.com'), true);
+    });
+
+    test('blocks other schemes, also with whitespace and control characters', () => {
+        assert.equal(isSafeUrl('javascript:alert(1)'), false);
+        assert.equal(isSafeUrl('java\tscript:alert(1)'), false);
+        assert.equal(isSafeUrl('java\nscript:alert(1)'), false);
+        assert.equal(isSafeUrl('\u0001javascript:alert(1)'), false);
+        assert.equal(isSafeUrl('vbscript:msgbox(1)'), false);
+        assert.equal(isSafeUrl('data:text/html,<script>alert(1)</script>'), false);
+    });
+
+    test('allows data: only for base64 encoded images of the image schemes', () => {
+        const schemes = ['http', 'https', 'cid', 'data'];
+        assert.equal(isSafeUrl('data:image/jpeg;base64,/9j/4AAQ', schemes), true);
+        assert.equal(isSafeUrl('data:image/svg+xml;base64,PHN2Zz4=', schemes), false);
+        assert.equal(isSafeUrl('data:text/html;base64,PHNjcmlwdD4=', schemes), false);
+    });
+
+    test('rejects values that are not strings', () => {
+        assert.equal(isSafeUrl(null), false);
+        assert.equal(isSafeUrl(undefined), false);
+    });
+});